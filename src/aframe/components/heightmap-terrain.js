@@ -0,0 +1,135 @@
+/**
+ * A-Frame component that renders a terrain mesh from a grayscale heightmap
+ * image, where black pixels are at zero height and white pixels are at the
+ * given maximum height.
+ *
+ * The terrain lies in the XY plane of the entity with the height along the Z
+ * axis, matching the show coordinate system used in the 3D view.
+ */
+
+import AFrame from '@skybrush/aframe-components';
+
+const { THREE } = AFrame;
+
+/**
+ * Loads an image from the given URL and resolves to the image element once it
+ * is ready.
+ */
+const loadImage = (src) =>
+  new Promise((resolve, reject) => {
+    const image = new Image();
+    image.addEventListener('load', () => resolve(image));
+    image.addEventListener('error', () =>
+      reject(new Error('Failed to load heightmap image'))
+    );
+    image.src = src;
+  });
+
+/**
+ * Samples the given image on a regular grid and returns the brightness of the
+ * samples in the [0; 1] range, row by row from the top of the image.
+ */
+function sampleHeightmap(image, columns, rows) {
+  const canvas = document.createElement('canvas');
+  canvas.width = columns;
+  canvas.height = rows;
+
+  const context = canvas.getContext('2d');
+  context.drawImage(image, 0, 0, columns, rows);
+
+  const { data } = context.getImageData(0, 0, columns, rows);
+  const result = new Float32Array(columns * rows);
+  for (let i = 0; i < result.length; i++) {
+    const offset = i * 4;
+    result[i] =
+      (0.299 * data[offset] +
+        0.587 * data[offset + 1] +
+        0.114 * data[offset + 2]) /
+      255;
+  }
+
+  return result;
+}
+
+AFrame.registerComponent('heightmap-terrain', {
+  schema: {
+    src: { type: 'string', default: '' },
+    width: { type: 'number', default: 100 },
+    depth: { type: 'number', default: 100 },
+    heightScale: { type: 'number', default: 10 },
+    color: { type: 'color', default: '#8d8d7a' },
+    maxSegments: { type: 'int', default: 256 },
+  },
+
+  init() {
+    this._generation = 0;
+  },
+
+  async update() {
+    const { src, width, depth, heightScale, color, maxSegments } = this.data;
+
+    // Updates may arrive while the previous image is still loading; only the
+    // most recent one is allowed to modify the mesh
+    const generation = ++this._generation;
+
+    if (!src) {
+      this._removeMesh();
+      return;
+    }
+
+    let image;
+    try {
+      image = await loadImage(src);
+    } catch (error) {
+      console.warn(error);
+      return;
+    }
+
+    if (generation !== this._generation) {
+      return;
+    }
+
+    const columns = Math.max(2, Math.min(image.width, maxSegments + 1));
+    const rows = Math.max(2, Math.min(image.height, maxSegments + 1));
+    const heights = sampleHeightmap(image, columns, rows);
+
+    // PlaneGeometry lays out its vertices row by row from the top (+Y) edge,
+    // just like the samples of the image
+    const geometry = new THREE.PlaneGeometry(
+      width,
+      depth,
+      columns - 1,
+      rows - 1
+    );
+    const positions = geometry.attributes.position;
+    for (let i = 0; i < positions.count; i++) {
+      positions.setZ(i, heights[i] * heightScale);
+    }
+
+    positions.needsUpdate = true;
+    geometry.computeVertexNormals();
+
+    const material = new THREE.MeshStandardMaterial({
+      color: new THREE.Color(color),
+      flatShading: true,
+      side: THREE.DoubleSide,
+    });
+
+    this._removeMesh();
+    this.el.setObject3D('mesh', new THREE.Mesh(geometry, material));
+  },
+
+  remove() {
+    this._generation++;
+    this._removeMesh();
+  },
+
+  _removeMesh() {
+    const mesh = this.el.getObject3D('mesh');
+    if (mesh) {
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+      this.el.removeObject3D('mesh');
+    }
+  },
+});
@@ -8,6 +8,7 @@ import 'aframe-environment-component';
 import './components/deallocate';
 import './components/drone-flock';
 import './components/glow-material';
+import './components/heightmap-terrain';
 import './components/sync-pose-with-store';
 
 import './primitives/drone-flock';
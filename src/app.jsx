@@ -17,9 +17,13 @@ import CornerRibbon from './components/CornerRibbon';
 import ServerConnectionManager from './components/ServerConnectionManager';
 import ShowFileWatcher from './views/show-control/ShowFileWatcher';
 
+import BatteryForecastDialog from './features/battery-forecast/BatteryForecastDialog';
+import CollisionAnalysisDialog from './features/collision-analysis/CollisionAnalysisDialog';
 import DetachedPanelManager from './features/detachable-panels/DetachedPanelManager';
 import DockDetailsDialog from './features/docks/DockDetailsDialog';
+import DockStatusObserver from './features/docks/DockStatusObserver';
 import FirmwareUpdateSetupDialog from './features/firmware-update/FirmwareUpdateSetupDialog';
+import FlightLogAnalysisDialog from './features/flight-log-analysis/FlightLogAnalysisDialog';
 import AppHotkeys from './features/hotkeys/AppHotkeys';
 import HotkeyDialog from './features/hotkeys/HotkeyDialog';
 import PendingUAVIdOverlay from './features/hotkeys/PendingUAVIdOverlay';
@@ -160,6 +164,7 @@ const App = ({ onFirstRender }) => (
 
       <ServerConnectionManager />
 
+      <DockStatusObserver />
       <LanguageWatcher />
       <MissionProgressObserver />
       <ShowFileWatcher />
@@ -173,11 +178,15 @@ const App = ({ onFirstRender }) => (
       <dialogs.LayerSettingsDialog />
       <dialogs.ServerSettingsDialog />
       {hasTimeLimitedSession && <dialogs.SessionExpiryDialog />}
+      <dialogs.SettingsProfileImportDialog />
       <dialogs.TimeSyncDialog />
 
+      <BatteryForecastDialog />
+      <CollisionAnalysisDialog />
       <CoordinateAveragingDialog />
       <DockDetailsDialog />
       <FirmwareUpdateSetupDialog />
+      <FlightLogAnalysisDialog />
       <HotkeyDialog />
       <LicenseInfoDialog />
       <MapCachingDialog />
@@ -21,6 +21,7 @@ import { clearConnectionList } from '~/features/connections/slice';
 import { clearDockList } from '~/features/docks/slice';
 import { shouldManageLocalServer } from '~/features/local-server/selectors';
 import { addLogItem } from '~/features/log/slice';
+import { isReplayActive } from '~/features/recording/selectors';
 import {
   calculateAndStoreClockSkew,
   disconnectFromServer,
@@ -48,6 +49,7 @@ import {
   clearStartTimeAndMethod,
   synchronizeShowSettings,
 } from '~/features/show/slice';
+import { isSimulationActive } from '~/features/simulation/selectors';
 import { showError, showNotification } from '~/features/snackbar/actions';
 import { MessageSemantics } from '~/features/snackbar/types';
 import { clearWeatherData } from '~/features/weather/slice';
@@ -714,7 +716,11 @@ const createCommonDisconnectionAndErrorHandlerThunk =
 const ServerConnectionManager = connect(
   // mapStateToProps
   (state) => ({
-    active: state.dialogs.serverSettings.active && !state.session.isExpired,
+    active:
+      state.dialogs.serverSettings.active &&
+      !state.session.isExpired &&
+      !isReplayActive(state) &&
+      !isSimulationActive(state),
     cliArguments: state.settings.localServer.cliArguments,
     needsLocalServer: shouldManageLocalServer(state),
     port: getServerPort(state),
@@ -0,0 +1,119 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+import { withTranslation } from 'react-i18next';
+import { connect } from 'react-redux';
+
+import Button from '@material-ui/core/Button';
+import Checkbox from '@material-ui/core/Checkbox';
+import DialogActions from '@material-ui/core/DialogActions';
+import DialogContent from '@material-ui/core/DialogContent';
+import DialogContentText from '@material-ui/core/DialogContentText';
+import List from '@material-ui/core/List';
+import ListItem from '@material-ui/core/ListItem';
+import ListItemIcon from '@material-ui/core/ListItemIcon';
+import ListItemText from '@material-ui/core/ListItemText';
+
+import DraggableDialog from '@skybrush/mui-components/lib/DraggableDialog';
+
+import {
+  closeSettingsProfileImportDialog,
+  importSelectedSettingsProfileSections,
+  toggleSettingsProfileSection,
+} from '~/features/settings/actions';
+import { settingsProfileSections } from '~/features/settings/profiles';
+
+/**
+ * Dialog that lists the sections of a settings profile being imported and
+ * lets the user select which of them should be applied.
+ */
+const SettingsProfileImportDialog = ({
+  onClose,
+  onImport,
+  onToggleSection,
+  open,
+  profile,
+  selectedSections,
+  t,
+}) => {
+  const sections = profile
+    ? settingsProfileSections.filter(({ id }) => profile.sections.includes(id))
+    : [];
+
+  return (
+    <DraggableDialog
+      fullWidth
+      open={open}
+      maxWidth='xs'
+      title={t('settings.profiles.importTitle')}
+      onClose={onClose}
+    >
+      <DialogContent>
+        {profile && (
+          <DialogContentText>
+            {t('settings.profiles.importDescription', {
+              name: profile.name || t('settings.profiles.unnamed'),
+              date: profile.createdAt
+                ? new Date(profile.createdAt).toLocaleString()
+                : '—',
+            })}
+          </DialogContentText>
+        )}
+        <List dense disablePadding>
+          {sections.map(({ id, label }) => (
+            <ListItem key={id} button onClick={() => onToggleSection(id)}>
+              <ListItemIcon>
+                <Checkbox
+                  disableRipple
+                  edge='start'
+                  checked={selectedSections.includes(id)}
+                  tabIndex={-1}
+                />
+              </ListItemIcon>
+              <ListItemText primary={label(t)} />
+            </ListItem>
+          ))}
+        </List>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>{t('general.action.cancel')}</Button>
+        <Button
+          color='primary'
+          disabled={selectedSections.length === 0}
+          onClick={onImport}
+        >
+          {t('general.action.import')}
+        </Button>
+      </DialogActions>
+    </DraggableDialog>
+  );
+};
+
+SettingsProfileImportDialog.propTypes = {
+  onClose: PropTypes.func,
+  onImport: PropTypes.func,
+  onToggleSection: PropTypes.func,
+  open: PropTypes.bool,
+  profile: PropTypes.shape({
+    createdAt: PropTypes.string,
+    name: PropTypes.string,
+    sections: PropTypes.arrayOf(PropTypes.string),
+  }),
+  selectedSections: PropTypes.arrayOf(PropTypes.string),
+  t: PropTypes.func,
+};
+
+SettingsProfileImportDialog.defaultProps = {
+  open: false,
+  selectedSections: [],
+};
+
+export default connect(
+  // mapStateToProps
+  (state) => state.dialogs.settingsProfileImport,
+  // mapDispatchToProps
+  {
+    onClose: closeSettingsProfileImportDialog,
+    onImport: importSelectedSettingsProfileSections,
+    onToggleSection: toggleSettingsProfileSection,
+  }
+)(withTranslation()(SettingsProfileImportDialog));
@@ -0,0 +1,341 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+import { withTranslation } from 'react-i18next';
+import { connect } from 'react-redux';
+
+import Box from '@material-ui/core/Box';
+import Button from '@material-ui/core/Button';
+import Checkbox from '@material-ui/core/Checkbox';
+import Divider from '@material-ui/core/Divider';
+import FormControlLabel from '@material-ui/core/FormControlLabel';
+import IconButton from '@material-ui/core/IconButton';
+import InputAdornment from '@material-ui/core/InputAdornment';
+import List from '@material-ui/core/List';
+import ListItem from '@material-ui/core/ListItem';
+import ListItemSecondaryAction from '@material-ui/core/ListItemSecondaryAction';
+import ListItemText from '@material-ui/core/ListItemText';
+import MenuItem from '@material-ui/core/MenuItem';
+import TextField from '@material-ui/core/TextField';
+import Typography from '@material-ui/core/Typography';
+
+import Add from '@material-ui/icons/Add';
+import Check from '@material-ui/icons/Check';
+import Delete from '@material-ui/icons/Delete';
+
+import Header from '@skybrush/mui-components/lib/FormHeader';
+
+import { SimpleNumericField } from '~/components/forms';
+import { TooltipWithContainerFromContext as Tooltip } from '~/containerContext';
+import { acknowledgeAllAlerts } from '~/features/alert/actions';
+import {
+  labelsForAlertSounds,
+  propertiesForAlertConditions,
+} from '~/features/alert/constants';
+import { describeAlert } from '~/features/alert/rules';
+import { getActiveAlerts, getAlertRules } from '~/features/alert/selectors';
+import {
+  acknowledgeActiveAlert,
+  addAlertRule,
+  removeAlertRule,
+  resetAlertRules,
+  updateAlertRule,
+} from '~/features/alert/slice';
+import { AlertCondition, AlertSound } from '~/features/alert/types';
+import { describeGPSFixType, GPSFixType, Severity } from '~/model/enums';
+import { formatUnixTimestamp } from '~/utils/formatting';
+
+const SEVERITIES = [
+  [Severity.INFO, 'Info'],
+  [Severity.WARNING, 'Warning'],
+  [Severity.ERROR, 'Error'],
+  [Severity.CRITICAL, 'Critical'],
+];
+
+const GPS_FIX_TYPES = [
+  GPSFixType.FIX_2D,
+  GPSFixType.FIX_3D,
+  GPSFixType.DGPS,
+  GPSFixType.RTK_FLOAT,
+  GPSFixType.RTK_FIXED,
+];
+
+const ThresholdField = ({ label, rule, onChange }) => {
+  const { hasThreshold, unit } = propertiesForAlertConditions[rule.condition];
+
+  if (!hasThreshold) {
+    return null;
+  }
+
+  if (rule.condition === AlertCondition.GPS_FIX_POOR) {
+    return (
+      <TextField
+        select
+        label={label}
+        size='small'
+        value={rule.threshold}
+        onChange={(event) => onChange(Number(event.target.value))}
+      >
+        {GPS_FIX_TYPES.map((type) => (
+          <MenuItem key={type} value={type}>
+            {describeGPSFixType(type)}
+          </MenuItem>
+        ))}
+      </TextField>
+    );
+  }
+
+  return (
+    <SimpleNumericField
+      label={label}
+      min={0}
+      size='small'
+      value={rule.threshold}
+      InputProps={
+        unit
+          ? {
+              endAdornment: (
+                <InputAdornment position='end'>{unit}</InputAdornment>
+              ),
+            }
+          : undefined
+      }
+      onChange={(event) => {
+        const value = Number.parseFloat(event.target.value);
+        if (Number.isFinite(value)) {
+          onChange(Math.max(value, 0));
+        }
+      }}
+    />
+  );
+};
+
+ThresholdField.propTypes = {
+  label: PropTypes.string,
+  onChange: PropTypes.func,
+  rule: PropTypes.object,
+};
+
+const AlertRuleEditor = ({ onRemove, onUpdate, rule, t }) => {
+  const update = (changes) => onUpdate({ id: rule.id, ...changes });
+
+  return (
+    <Box py={1}>
+      <Box display='flex' alignItems='center'>
+        <Checkbox
+          checked={rule.enabled}
+          onChange={(event) => update({ enabled: event.target.checked })}
+        />
+        <Box flex={1} mr={1}>
+          <TextField
+            fullWidth
+            select
+            label={t('settings.alerts.condition')}
+            size='small'
+            value={rule.condition}
+            onChange={(event) => update({ condition: event.target.value })}
+          >
+            {Object.entries(propertiesForAlertConditions).map(
+              ([condition, { label }]) => (
+                <MenuItem key={condition} value={condition}>
+                  {label}
+                </MenuItem>
+              )
+            )}
+          </TextField>
+        </Box>
+        <Box width={140}>
+          <ThresholdField
+            label={t('settings.alerts.threshold')}
+            rule={rule}
+            onChange={(threshold) => update({ threshold })}
+          />
+        </Box>
+        <Tooltip content={t('settings.alerts.removeRule')}>
+          <IconButton onClick={() => onRemove(rule.id)}>
+            <Delete />
+          </IconButton>
+        </Tooltip>
+      </Box>
+      <Box display='flex' alignItems='center' pl={6}>
+        <Box mr={1}>
+          <TextField
+            select
+            label={t('settings.alerts.severity')}
+            size='small'
+            value={rule.severity}
+            onChange={(event) => update({ severity: event.target.value })}
+          >
+            {SEVERITIES.map(([severity, label]) => (
+              <MenuItem key={severity} value={severity}>
+                {label}
+              </MenuItem>
+            ))}
+          </TextField>
+        </Box>
+        <Box mr={1}>
+          <TextField
+            select
+            label={t('settings.alerts.sound')}
+            size='small'
+            value={rule.sound}
+            onChange={(event) => update({ sound: event.target.value })}
+          >
+            {Object.values(AlertSound).map((sound) => (
+              <MenuItem key={sound} value={sound}>
+                {labelsForAlertSounds[sound]}
+              </MenuItem>
+            ))}
+          </TextField>
+        </Box>
+        <FormControlLabel
+          label={t('settings.alerts.notify')}
+          control={
+            <Checkbox
+              checked={rule.notify}
+              onChange={(event) => update({ notify: event.target.checked })}
+            />
+          }
+        />
+        <FormControlLabel
+          label={t('settings.alerts.log')}
+          control={
+            <Checkbox
+              checked={rule.log}
+              onChange={(event) => update({ log: event.target.checked })}
+            />
+          }
+        />
+      </Box>
+    </Box>
+  );
+};
+
+AlertRuleEditor.propTypes = {
+  onRemove: PropTypes.func,
+  onUpdate: PropTypes.func,
+  rule: PropTypes.object,
+  t: PropTypes.func,
+};
+
+const ActiveAlertList = ({ alerts, onAcknowledge, t }) =>
+  alerts.length > 0 ? (
+    <List dense>
+      {alerts.map((alert) => (
+        <ListItem key={alert.key}>
+          <ListItemText
+            primary={describeAlert(alert.rule, alert.subject)}
+            secondary={
+              alert.acknowledged
+                ? t('settings.alerts.acknowledgedSince', {
+                    time: formatUnixTimestamp(alert.since / 1000),
+                  })
+                : t('settings.alerts.activeSince', {
+                    time: formatUnixTimestamp(alert.since / 1000),
+                  })
+            }
+          />
+          {!alert.acknowledged && (
+            <ListItemSecondaryAction>
+              <Tooltip content={t('settings.alerts.acknowledge')}>
+                <IconButton edge='end' onClick={() => onAcknowledge(alert.key)}>
+                  <Check />
+                </IconButton>
+              </Tooltip>
+            </ListItemSecondaryAction>
+          )}
+        </ListItem>
+      ))}
+    </List>
+  ) : (
+    <Typography variant='body2' color='textSecondary'>
+      {t('settings.alerts.noActiveAlerts')}
+    </Typography>
+  );
+
+ActiveAlertList.propTypes = {
+  alerts: PropTypes.array,
+  onAcknowledge: PropTypes.func,
+  t: PropTypes.func,
+};
+
+const AlertsTabPresentation = ({
+  activeAlerts,
+  onAcknowledge,
+  onAcknowledgeAll,
+  onAddRule,
+  onRemoveRule,
+  onResetRules,
+  onUpdateRule,
+  rules,
+  t,
+}) => (
+  <>
+    <Header>{t('settings.alerts.activeAlerts')}</Header>
+    <ActiveAlertList
+      alerts={activeAlerts}
+      t={t}
+      onAcknowledge={onAcknowledge}
+    />
+    {activeAlerts.some(({ acknowledged }) => !acknowledged) && (
+      <Box display='flex' justifyContent='flex-end'>
+        <Button onClick={onAcknowledgeAll}>
+          {t('settings.alerts.acknowledgeAll')}
+        </Button>
+      </Box>
+    )}
+
+    <Header>{t('settings.alerts.rules')}</Header>
+    {rules.length > 0 ? (
+      rules.map((rule, index) => (
+        <React.Fragment key={rule.id}>
+          {index > 0 && <Divider />}
+          <AlertRuleEditor
+            rule={rule}
+            t={t}
+            onRemove={onRemoveRule}
+            onUpdate={onUpdateRule}
+          />
+        </React.Fragment>
+      ))
+    ) : (
+      <Typography variant='body2' color='textSecondary'>
+        {t('settings.alerts.noRules')}
+      </Typography>
+    )}
+    <Box display='flex' justifyContent='space-between' py={1}>
+      <Button startIcon={<Add />} onClick={() => onAddRule()}>
+        {t('settings.alerts.addRule')}
+      </Button>
+      <Button onClick={onResetRules}>{t('settings.alerts.resetRules')}</Button>
+    </Box>
+  </>
+);
+
+AlertsTabPresentation.propTypes = {
+  activeAlerts: PropTypes.array,
+  onAcknowledge: PropTypes.func,
+  onAcknowledgeAll: PropTypes.func,
+  onAddRule: PropTypes.func,
+  onRemoveRule: PropTypes.func,
+  onResetRules: PropTypes.func,
+  onUpdateRule: PropTypes.func,
+  rules: PropTypes.array,
+  t: PropTypes.func,
+};
+
+export default connect(
+  // mapStateToProps
+  (state) => ({
+    activeAlerts: getActiveAlerts(state),
+    rules: getAlertRules(state),
+  }),
+  // mapDispatchToProps
+  {
+    onAcknowledge: acknowledgeActiveAlert,
+    onAcknowledgeAll: acknowledgeAllAlerts,
+    onAddRule: addAlertRule,
+    onRemoveRule: removeAlertRule,
+    onResetRules: resetAlertRules,
+    onUpdateRule: updateAlertRule,
+  }
+)(withTranslation()(AlertsTabPresentation));
@@ -3,18 +3,26 @@ import React from 'react';
 import { withTranslation } from 'react-i18next';
 import { connect } from 'react-redux';
 
+import Button from '@material-ui/core/Button';
 import Dialog from '@material-ui/core/Dialog';
+import DialogActions from '@material-ui/core/DialogActions';
 import DialogContent from '@material-ui/core/DialogContent';
 import Tab from '@material-ui/core/Tab';
 
 import DialogTabs from '@skybrush/mui-components/lib/DialogTabs';
 
+import FileButton from '~/components/FileButton';
 import {
   closeAppSettingsDialog,
+  exportSettingsProfile,
+  loadSettingsProfileFromFile,
   setAppSettingsDialogTab,
 } from '~/features/settings/actions';
+import { SETTINGS_PROFILE_IMPORT_FILTER } from '~/features/settings/profiles';
 
+import AlertsTab from './AlertsTab';
 import APIKeysTab from './APIKeysTab';
+import CalloutsTab from './CalloutsTab';
 import DisplayTab from './DisplayTab';
 import PreflightTab from './PreflightTab';
 import ServerTab from './ServerTab';
@@ -24,7 +32,9 @@ import UAVsTab from './UAVsTab';
 /* ===================================================================== */
 
 const tabNameToComponent = {
+  alerts: <AlertsTab />,
   apiKeys: <APIKeysTab />,
+  callouts: <CalloutsTab />,
   display: <DisplayTab />,
   preflight: <PreflightTab />,
   server: <ServerTab />,
@@ -38,6 +48,8 @@ const tabNameToComponent = {
  */
 const AppSettingsDialogPresentation = ({
   onClose,
+  onExportProfile,
+  onImportProfile,
   onTabSelected,
   open,
   selectedTab,
@@ -49,6 +61,8 @@ const AppSettingsDialogPresentation = ({
       <Tab value='threeD' label={t('settings.tabs.threeDView')} />
       <Tab value='uavs' label={t('settings.tabs.uavs')} />
       <Tab value='preflight' label={t('settings.tabs.preflight')} />
+      <Tab value='alerts' label={t('settings.tabs.alerts')} />
+      <Tab value='callouts' label={t('settings.tabs.callouts')} />
       {window.bridge && window.bridge.isElectron ? (
         <Tab value='server' label={t('settings.tabs.server')} />
       ) : null}
@@ -57,11 +71,24 @@ const AppSettingsDialogPresentation = ({
     <DialogContent style={{ minHeight: 200 }}>
       {tabNameToComponent[selectedTab]}
     </DialogContent>
+    <DialogActions>
+      <FileButton
+        filter={SETTINGS_PROFILE_IMPORT_FILTER}
+        onSelected={onImportProfile}
+      >
+        {t('settings.profiles.importButton')}
+      </FileButton>
+      <Button onClick={onExportProfile}>
+        {t('settings.profiles.exportButton')}
+      </Button>
+    </DialogActions>
   </Dialog>
 );
 
 AppSettingsDialogPresentation.propTypes = {
   onClose: PropTypes.func,
+  onExportProfile: PropTypes.func,
+  onImportProfile: PropTypes.func,
   onTabSelected: PropTypes.func,
   open: PropTypes.bool,
   selectedTab: PropTypes.string,
@@ -85,6 +112,12 @@ const AppSettingsDialog = connect(
     onClose() {
       dispatch(closeAppSettingsDialog());
     },
+    onExportProfile() {
+      dispatch(exportSettingsProfile());
+    },
+    onImportProfile(file) {
+      dispatch(loadSettingsProfileFromFile(file));
+    },
     onTabSelected(event, value) {
       dispatch(setAppSettingsDialogTab(value));
     },
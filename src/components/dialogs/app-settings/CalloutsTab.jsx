@@ -0,0 +1,169 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+import { withTranslation } from 'react-i18next';
+import { connect } from 'react-redux';
+
+import Box from '@material-ui/core/Box';
+import Button from '@material-ui/core/Button';
+import Checkbox from '@material-ui/core/Checkbox';
+import FormControlLabel from '@material-ui/core/FormControlLabel';
+import FormGroup from '@material-ui/core/FormGroup';
+import MenuItem from '@material-ui/core/MenuItem';
+import TextField from '@material-ui/core/TextField';
+import Typography from '@material-ui/core/Typography';
+import RecordVoiceOver from '@material-ui/icons/RecordVoiceOver';
+
+import Header from '@skybrush/mui-components/lib/FormHeader';
+
+import {
+  setCalloutEventEnabled,
+  speakSampleCallout,
+} from '~/features/callouts/actions';
+import { CALLOUT_EVENTS } from '~/features/callouts/constants';
+import {
+  areCalloutsEnabled,
+  getEnabledCalloutEvents,
+} from '~/features/callouts/selectors';
+import { isSpeechSynthesisSupported } from '~/features/callouts/speech';
+import { updateAppSettings } from '~/features/settings/slice';
+
+const SPEAKING_RATES = [0.75, 1, 1.25, 1.5];
+const VOLUMES = [0.25, 0.5, 0.75, 1];
+
+const CalloutsTabPresentation = ({
+  enabled,
+  events,
+  onEnabledToggled,
+  onEventToggled,
+  onRateChanged,
+  onTest,
+  onVolumeChanged,
+  rate,
+  t,
+  volume,
+}) =>
+  isSpeechSynthesisSupported() ? (
+    <>
+      <FormGroup>
+        <FormControlLabel
+          label={t('settings.callouts.enabled')}
+          control={<Checkbox checked={enabled} onChange={onEnabledToggled} />}
+        />
+      </FormGroup>
+
+      <Header>{t('settings.callouts.events')}</Header>
+      <FormGroup>
+        {CALLOUT_EVENTS.map((event) => (
+          <FormControlLabel
+            key={event}
+            disabled={!enabled}
+            label={t(`settings.callouts.eventLabels.${event}`)}
+            control={
+              <Checkbox
+                checked={events.includes(event)}
+                name={event}
+                onChange={onEventToggled}
+              />
+            }
+          />
+        ))}
+      </FormGroup>
+
+      <Header>{t('settings.callouts.voice')}</Header>
+      <Box display='flex' alignItems='center' pb={2}>
+        <Box mr={1}>
+          <TextField
+            select
+            disabled={!enabled}
+            label={t('settings.callouts.rate')}
+            size='small'
+            value={rate}
+            onChange={onRateChanged}
+          >
+            {SPEAKING_RATES.map((value) => (
+              <MenuItem key={value} value={value}>
+                {`${value}×`}
+              </MenuItem>
+            ))}
+          </TextField>
+        </Box>
+        <Box mr={1}>
+          <TextField
+            select
+            disabled={!enabled}
+            label={t('settings.callouts.volume')}
+            size='small'
+            value={volume}
+            onChange={onVolumeChanged}
+          >
+            {VOLUMES.map((value) => (
+              <MenuItem key={value} value={value}>
+                {`${Math.round(value * 100)}%`}
+              </MenuItem>
+            ))}
+          </TextField>
+        </Box>
+        <Box flex={1} />
+        <Button startIcon={<RecordVoiceOver />} onClick={onTest}>
+          {t('settings.callouts.test')}
+        </Button>
+      </Box>
+
+      <Typography variant='body2' color='textSecondary'>
+        {t('settings.callouts.languageHint')}
+      </Typography>
+    </>
+  ) : (
+    <Box py={2}>
+      <Typography variant='body2' color='textSecondary'>
+        {t('settings.callouts.notSupported')}
+      </Typography>
+    </Box>
+  );
+
+CalloutsTabPresentation.propTypes = {
+  enabled: PropTypes.bool,
+  events: PropTypes.arrayOf(PropTypes.string),
+  onEnabledToggled: PropTypes.func,
+  onEventToggled: PropTypes.func,
+  onRateChanged: PropTypes.func,
+  onTest: PropTypes.func,
+  onVolumeChanged: PropTypes.func,
+  rate: PropTypes.number,
+  t: PropTypes.func,
+  volume: PropTypes.number,
+};
+
+export default connect(
+  // mapStateToProps
+  (state) => ({
+    enabled: areCalloutsEnabled(state),
+    events: getEnabledCalloutEvents(state),
+    rate: state.settings.callouts?.rate ?? 1,
+    volume: state.settings.callouts?.volume ?? 1,
+  }),
+  // mapDispatchToProps
+  (dispatch) => ({
+    onEnabledToggled(event) {
+      dispatch(
+        updateAppSettings('callouts', { enabled: event.target.checked })
+      );
+    },
+
+    onEventToggled(event) {
+      dispatch(setCalloutEventEnabled(event.target.name, event.target.checked));
+    },
+
+    onRateChanged(event) {
+      dispatch(updateAppSettings('callouts', { rate: event.target.value }));
+    },
+
+    onTest() {
+      dispatch(speakSampleCallout());
+    },
+
+    onVolumeChanged(event) {
+      dispatch(updateAppSettings('callouts', { volume: event.target.value }));
+    },
+  })
+)(withTranslation()(CalloutsTabPresentation));
@@ -18,6 +18,32 @@ import { clearGeofencePolygonId } from '~/features/mission/slice';
 import { FeatureType } from '~/model/features';
 import { createValidator, optional, positive } from '~/utils/validation';
 
+const validateAltitudeLimits = createValidator({
+  minAltitude: optional(positive),
+  maxAltitude: optional(positive),
+});
+
+/**
+ * Validates the attributes of an exclusion zone. The max altitude is the
+ * bottom of the obstacle and the min altitude is its top, so the former must
+ * be below the latter when both are given.
+ */
+const validateExclusionZoneAttributes = (values) => {
+  const errors = validateAltitudeLimits(values);
+  const { minAltitude, maxAltitude } = values;
+
+  if (
+    !errors.minAltitude &&
+    !errors.maxAltitude &&
+    Number(minAltitude) > 0 &&
+    Number(maxAltitude) >= Number(minAltitude)
+  ) {
+    errors.maxAltitude = 'Value must be below the min AGL altitude';
+  }
+
+  return errors;
+};
+
 // PERF: Optimize this, it has lots of unnecessary recomputes
 const FeatureAttributesForm = ({
   clearGeofencePolygonId,
@@ -41,10 +67,7 @@ const FeatureAttributesForm = ({
       return (
         <Form
           initialValues={feature.attributes}
-          validate={createValidator({
-            minAltitude: optional(positive),
-            maxAltitude: optional(positive),
-          })}
+          validate={validateExclusionZoneAttributes}
           onSubmit={({ isExclusionZone, minAltitude, maxAltitude }) => {
             onSetFeatureAttributes({
               isExclusionZone,
@@ -111,6 +134,34 @@ const FeatureAttributesForm = ({
       );
     }
 
+    case FeatureType.POINTS: {
+      return (
+        <Form
+          initialValues={feature.attributes}
+          onSubmit={({ isRallyPoint }) => {
+            onSetFeatureAttributes({ isRallyPoint });
+          }}
+        >
+          {({ form }) => (
+            <div>
+              <Checkboxes name='isRallyPoint' data={{ label: 'Rally point' }} />
+              <FormHelperText style={{ marginTop: -8, marginBottom: 8 }}>
+                Treat the points of this feature as rally points that the UAVs
+                may use as alternative landing sites instead of returning to
+                their home positions.
+              </FormHelperText>
+
+              {/* HACK: Forms are not meant to be used like this... */}
+              <FormSpy
+                subscription={{ values: true }}
+                onChange={() => form.submit()}
+              />
+            </div>
+          )}
+        </Form>
+      );
+    }
+
     default: {
       return (
         <BackgroundHint text="This feature type doesn't support attributes." />
@@ -8,6 +8,7 @@ import GlobalErrorDialog from './GlobalErrorDialog';
 import LayerSettingsDialog from './LayerSettingsDialog';
 import ServerSettingsDialog from './ServerSettingsDialog';
 import SessionExpiryDialog from './SessionExpiryDialog';
+import SettingsProfileImportDialog from './SettingsProfileImportDialog';
 import SubscriptionDialog from './SubscriptionDialog';
 import TimeSyncDialog from './TimeSyncDialog';
 
@@ -21,6 +22,7 @@ const dialogs = {
   LayerSettingsDialog,
   ServerSettingsDialog,
   SessionExpiryDialog,
+  SettingsProfileImportDialog,
   SubscriptionDialog,
   TimeSyncDialog,
 };
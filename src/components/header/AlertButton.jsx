@@ -13,6 +13,11 @@ import SidebarBadge from '@skybrush/mui-components/lib/SidebarBadge';
 
 import Colors from '~/components/colors';
 import { acknowledgeOrToggleMuted } from '~/features/alert/actions';
+import {
+  areAlertsMuted,
+  getNumberOfPendingAlerts,
+  hasPendingAudibleAlerts,
+} from '~/features/alert/selectors';
 
 import alertSoundResource from '~/../assets/sounds/alert.mp3';
 
@@ -68,7 +73,7 @@ const AlertSound = () => {
   return audio;
 };
 
-const AlertButton = ({ count, muted, ...rest }) => {
+const AlertButton = ({ audible, count, muted, ...rest }) => {
   const classes = useStyles();
   const hasAlerts = count > 0;
 
@@ -93,19 +98,24 @@ const AlertButton = ({ count, muted, ...rest }) => {
       <SidebarBadge visible={hasAlerts} color={Colors.error}>
         {count > 1 && (count >= 10 ? '9+' : String(count))}
       </SidebarBadge>
-      {!muted && hasAlerts && <AlertSound />}
+      {audible && <AlertSound />}
     </GenericHeaderButton>
   );
 };
 
 AlertButton.propTypes = {
+  audible: PropTypes.bool,
   count: PropTypes.number,
   muted: PropTypes.bool,
 };
 
 export default connect(
   // mapStateToProps
-  (state) => state.alert,
+  (state) => ({
+    audible: hasPendingAudibleAlerts(state),
+    count: getNumberOfPendingAlerts(state),
+    muted: areAlertsMuted(state),
+  }),
   // mapDispatchToProps
   {
     onClick: acknowledgeOrToggleMuted,
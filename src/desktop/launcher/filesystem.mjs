@@ -31,7 +31,10 @@ export async function writeBufferToFile({
     defaultPath: preferredFilename,
     ...dialogOptions,
   });
-  if (!canceled) {
-    await writeFile(filePath, Buffer.from(new Uint8Array(buffer)));
+  if (canceled) {
+    return false;
   }
+
+  await writeFile(filePath, Buffer.from(new Uint8Array(buffer)));
+  return true;
 }
@@ -3,6 +3,7 @@ import { ipcMain as ipc } from 'electron-better-ipc';
 import getApplicationFolder from './app-folder.mjs';
 import { readBufferFromFile, writeBufferToFile } from './filesystem.mjs';
 import * as localServer from './local-server.mjs';
+import * as logFile from './log-file.mjs';
 import * as powerSaving from './power-saving.mjs';
 
 const setupIpc = () => {
@@ -11,6 +12,8 @@ const setupIpc = () => {
   ipc.answerRenderer('localServer.search', localServer.search);
   ipc.answerRenderer('localServer.selectPath', localServer.selectPath);
   ipc.answerRenderer('localServer.terminate', localServer.terminate);
+  ipc.answerRenderer('logFile.append', logFile.appendToLogFile);
+  ipc.answerRenderer('logFile.read', logFile.readLogFiles);
   ipc.answerRenderer('readBufferFromFile', readBufferFromFile);
   ipc.answerRenderer('writeBufferToFile', writeBufferToFile);
   ipc.answerRenderer(
@@ -0,0 +1,126 @@
+import {
+  appendFile,
+  mkdir,
+  readFile,
+  rename,
+  rm,
+  stat,
+} from 'node:fs/promises';
+import path from 'node:path';
+
+import { app } from 'electron';
+
+/**
+ * Name of the log file of the application. Rotated log files have a numeric
+ * suffix, with higher numbers belonging to older files.
+ */
+const LOG_FILE_NAME = 'skybrush-live.log';
+
+/**
+ * Size of the log file above which it is rotated, in bytes.
+ */
+const MAX_LOG_FILE_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Number of rotated log files to keep in addition to the current one.
+ */
+const MAX_ROTATED_LOG_FILES = 5;
+
+/**
+ * Promise that resolves when the last operation on the log file has finished.
+ * Used to ensure that appends and rotations do not interleave.
+ */
+let pendingOperation = Promise.resolve();
+
+const getLogFilePath = (index = 0) =>
+  path.join(
+    app.getPath('logs'),
+    index > 0 ? `${LOG_FILE_NAME}.${index}` : LOG_FILE_NAME
+  );
+
+const getLogFileSize = async () => {
+  try {
+    const { size } = await stat(getLogFilePath());
+    return size;
+  } catch {
+    return 0;
+  }
+};
+
+/**
+ * Returns the given fallback value instead of throwing an error if the given
+ * file system operation fails because the file does not exist.
+ */
+const unlessMissing = async (promise, fallback) => {
+  try {
+    return await promise;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+
+    throw error;
+  }
+};
+
+const rotateLogFilesIfNeeded = async () => {
+  if ((await getLogFileSize()) < MAX_LOG_FILE_SIZE) {
+    return;
+  }
+
+  await rm(getLogFilePath(MAX_ROTATED_LOG_FILES), { force: true });
+
+  // Files must be renamed one after the other, starting from the oldest one,
+  // so each rename moves a file to a name that was freed up by the previous
+  // one
+  const indices = Array.from(
+    { length: MAX_ROTATED_LOG_FILES },
+    (_, index) => MAX_ROTATED_LOG_FILES - 1 - index
+  );
+  await indices.reduce(
+    (previous, index) =>
+      previous.then(() =>
+        unlessMissing(rename(getLogFilePath(index), getLogFilePath(index + 1)))
+      ),
+    Promise.resolve()
+  );
+};
+
+const enqueue = (operation) => {
+  const result = pendingOperation.then(operation);
+  pendingOperation = result.catch(() => {});
+  return result;
+};
+
+/**
+ * Appends the given text to the log file of the application, rotating the
+ * log file first if it has grown too large.
+ *
+ * @param {string} text  the text to append
+ */
+export const appendToLogFile = (text) =>
+  enqueue(async () => {
+    await mkdir(path.dirname(getLogFilePath()), { recursive: true });
+    await rotateLogFilesIfNeeded();
+    await appendFile(getLogFilePath(), text, 'utf8');
+  });
+
+/**
+ * Reads the contents of the log file of the application and the rotated log
+ * files, oldest first.
+ *
+ * @return {string} the concatenated contents of the log files
+ */
+export const readLogFiles = () =>
+  enqueue(async () => {
+    const indices = Array.from(
+      { length: MAX_ROTATED_LOG_FILES + 1 },
+      (_, index) => MAX_ROTATED_LOG_FILES - index
+    );
+    const parts = await Promise.all(
+      indices.map((index) =>
+        unlessMissing(readFile(getLogFilePath(index), 'utf8'), '')
+      )
+    );
+    return parts.join('');
+  });
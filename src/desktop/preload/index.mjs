@@ -157,6 +157,12 @@ contextBridge.exposeInMainWorld('bridge', {
     terminate: localServerModule.terminate,
   },
 
+  // Rotating log file of the application, managed by the main process
+  logFile: {
+    append: (text) => ipc.callMain('logFile.append', text),
+    read: () => ipc.callMain('logFile.read'),
+  },
+
   provideActions: receiveActionsFromRenderer,
   provideSubscriptions: receiveSubscriptionsFromRenderer,
   reverseDNSLookup,
@@ -195,6 +201,8 @@ contextBridge.exposeInMainWorld('bridge', {
    *        to the user as a default
    * @param {object} options additional options that are passed on to Electron's
    *        <code>showSaveDialog()</code> function
+   * @returns {Promise<boolean>} whether the file was written; false if the
+   *          user cancelled the dialog
    */
   writeBufferToFile: async (buffer, preferredFilename, options) =>
     ipc.callMain('writeBufferToFile', {
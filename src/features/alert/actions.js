@@ -1,10 +1,20 @@
-import { dismissAlerts, setMuted } from './slice';
+import { hasPendingAlerts } from './selectors';
+import { acknowledgeAllActiveAlerts, dismissAlerts, setMuted } from './slice';
+
+/**
+ * Thunk that acknowledges all pending alerts, including the ones triggered by
+ * the alert rules.
+ */
+export const acknowledgeAllAlerts = () => (dispatch) => {
+  dispatch(dismissAlerts());
+  dispatch(acknowledgeAllActiveAlerts());
+};
 
 export const acknowledgeOrToggleMuted = () => (dispatch, getState) => {
-  const { alert } = getState();
-  if (alert.count > 0) {
-    dispatch(dismissAlerts());
+  const state = getState();
+  if (hasPendingAlerts(state)) {
+    dispatch(acknowledgeAllAlerts());
   } else {
-    dispatch(setMuted(!alert.muted));
+    dispatch(setMuted(!state.alert.muted));
   }
 };
@@ -0,0 +1,130 @@
+import { GPSFixType, Severity } from '~/model/enums';
+
+import { AlertCondition, type AlertRule, AlertSound } from './types';
+
+/**
+ * Number of milliseconds between consecutive evaluations of the alert rules.
+ */
+export const ALERT_RULE_EVALUATION_INTERVAL = 1000;
+
+/**
+ * Subject of alerts that do not refer to a single UAV but to the server
+ * connection as a whole.
+ */
+export const SERVER_ALERT_SUBJECT = '';
+
+/**
+ * Object mapping alert conditions to their properties: human-readable labels,
+ * the unit of their threshold and the default threshold for new rules.
+ *
+ * `perUAV` is false for conditions that are evaluated once for the server
+ * connection and not once for every UAV. `hasThreshold` is false for
+ * conditions that do not need a threshold at all.
+ */
+export const propertiesForAlertConditions: Record<
+  AlertCondition,
+  {
+    label: string;
+    unit: string;
+    defaultThreshold: number;
+    hasThreshold: boolean;
+    perUAV: boolean;
+  }
+> = {
+  [AlertCondition.BATTERY_LOW]: {
+    label: 'Battery below',
+    unit: '%',
+    defaultThreshold: 20,
+    hasThreshold: true,
+    perUAV: true,
+  },
+  [AlertCondition.GPS_FIX_POOR]: {
+    label: 'GPS fix worse than',
+    unit: '',
+    defaultThreshold: GPSFixType.RTK_FLOAT,
+    hasThreshold: true,
+    perUAV: true,
+  },
+  [AlertCondition.ALTITUDE_HIGH]: {
+    label: 'Altitude above',
+    unit: 'm',
+    defaultThreshold: 120,
+    hasThreshold: true,
+    perUAV: true,
+  },
+  [AlertCondition.OUTSIDE_GEOFENCE]: {
+    label: 'Outside geofence',
+    unit: '',
+    defaultThreshold: 0,
+    hasThreshold: false,
+    perUAV: true,
+  },
+  [AlertCondition.RSSI_LOW]: {
+    label: 'RSSI below',
+    unit: '%',
+    defaultThreshold: 30,
+    hasThreshold: true,
+    perUAV: true,
+  },
+  [AlertCondition.TELEMETRY_STALE]: {
+    label: 'Telemetry older than',
+    unit: 's',
+    defaultThreshold: 5,
+    hasThreshold: true,
+    perUAV: true,
+  },
+  [AlertCondition.CLOCK_SKEW_HIGH]: {
+    label: 'Clock skew above',
+    unit: 'ms',
+    defaultThreshold: 500,
+    hasThreshold: true,
+    perUAV: false,
+  },
+};
+
+/**
+ * Human-readable labels of the alert sounds.
+ */
+export const labelsForAlertSounds: Record<AlertSound, string> = {
+  [AlertSound.NONE]: 'No sound',
+  [AlertSound.ALARM]: 'Alarm',
+  [AlertSound.BEEP]: 'Beep',
+  [AlertSound.CHIME]: 'Chime',
+};
+
+/**
+ * Alert rules that are set up when the application is started for the first
+ * time.
+ */
+export const DEFAULT_ALERT_RULES: AlertRule[] = [
+  {
+    id: 'battery',
+    condition: AlertCondition.BATTERY_LOW,
+    threshold: 20,
+    severity: Severity.WARNING,
+    sound: AlertSound.BEEP,
+    notify: true,
+    log: true,
+    enabled: true,
+  },
+  {
+    id: 'geofence',
+    condition: AlertCondition.OUTSIDE_GEOFENCE,
+    threshold: 0,
+    severity: Severity.ERROR,
+    sound: AlertSound.ALARM,
+    notify: true,
+    log: true,
+    enabled: true,
+  },
+  {
+    id: 'telemetry',
+    condition: AlertCondition.TELEMETRY_STALE,
+    threshold: 5,
+    severity: Severity.WARNING,
+    sound: AlertSound.NONE,
+    notify: false,
+    log: true,
+    enabled: true,
+  },
+];
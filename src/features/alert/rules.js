@@ -0,0 +1,186 @@
+/**
+ * @file Functions that evaluate the alert rules defined by the user.
+ */
+
+import turfContains from '@turf/boolean-contains';
+import * as TurfHelpers from '@turf/helpers';
+import isNil from 'lodash-es/isNil';
+
+import { describeGPSFixType } from '~/model/enums';
+import { createGeometryFromPoints } from '~/utils/math';
+
+import {
+  propertiesForAlertConditions,
+  SERVER_ALERT_SUBJECT,
+} from './constants';
+import { AlertCondition } from './types';
+
+/**
+ * Returns the altitude of the UAV that alert rules should compare to their
+ * thresholds: the altitude above ground level if known, the altitude above
+ * home level otherwise.
+ */
+const getAltitudeOfUAV = (uav) => uav.position?.agl ?? uav.position?.ahl;
+
+/**
+ * Creates the context object that the alert conditions are evaluated in.
+ *
+ * @param {Object} options  the inputs of the context
+ * @param {Object} options.batterySettings  the battery settings of the app,
+ *        used to estimate the charge of batteries that report their voltage
+ *        only
+ * @param {number} options.clockSkew  the clock skew between the server and
+ *        the client, in milliseconds
+ * @param {Array} options.geofence  the points of the geofence polygon in
+ *        world coordinates, if any
+ * @param {number} options.now  the current time on the server, in milliseconds
+ */
+export function createAlertEvaluationContext({
+  batterySettings,
+  clockSkew,
+  geofence,
+  now,
+}) {
+  return {
+    batterySettings,
+    clockSkew,
+    geofence:
+      Array.isArray(geofence) && geofence.length >= 3
+        ? createGeometryFromPoints(geofence)
+        : undefined,
+    now,
+  };
+}
+
+/**
+ * Evaluates the condition of an alert rule for a single UAV.
+ *
+ * @returns {boolean} whether the condition holds; conditions that cannot be
+ *          evaluated due to missing data never hold
+ */
+export function isAlertConditionMetForUAV(rule, uav, context) {
+  const { threshold } = rule;
+
+  switch (rule.condition) {
+    case AlertCondition.BATTERY_LOW: {
+      const { percentage, voltage } = uav.battery ?? {};
+      const charge = isNil(percentage)
+        ? !isNil(voltage) && context.batterySettings
+          ? context.batterySettings.estimatePercentageFromVoltage(voltage)
+          : undefined
+        : percentage;
+      return !isNil(charge) && charge < threshold;
+    }
+
+    case AlertCondition.GPS_FIX_POOR: {
+      const type = uav.gpsFix?.type;
+      return !isNil(type) && type < threshold;
+    }
+
+    case AlertCondition.ALTITUDE_HIGH: {
+      const altitude = getAltitudeOfUAV(uav);
+      return !isNil(altitude) && altitude > threshold;
+    }
+
+    case AlertCondition.OUTSIDE_GEOFENCE: {
+      const { position } = uav;
+      if (!context.geofence || isNil(position?.lat) || isNil(position?.lon)) {
+        return false;
+      }
+
+      return !turfContains(
+        context.geofence,
+        TurfHelpers.point([position.lon, position.lat]).geometry
+      );
+    }
+
+    case AlertCondition.RSSI_LOW: {
+      const rssi = uav.rssi?.[0];
+      return !isNil(rssi) && rssi >= 0 && rssi < threshold;
+    }
+
+    case AlertCondition.TELEMETRY_STALE:
+      return (
+        !isNil(uav.lastUpdated) &&
+        context.now - uav.lastUpdated > threshold * 1000
+      );
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Evaluates the condition of an alert rule that does not refer to individual
+ * UAVs.
+ */
+export function isAlertConditionMetForServer(rule, context) {
+  switch (rule.condition) {
+    case AlertCondition.CLOCK_SKEW_HIGH:
+      return (
+        !isNil(context.clockSkew) &&
+        Math.abs(context.clockSkew) > rule.threshold
+      );
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Evaluates a single alert rule for all the UAVs and returns the subjects
+ * (UAV IDs or the special server subject) for which the condition holds.
+ */
+export function evaluateAlertRule(rule, uavs, context) {
+  if (!rule.enabled) {
+    return [];
+  }
+
+  if (!propertiesForAlertConditions[rule.condition]?.perUAV) {
+    return isAlertConditionMetForServer(rule, context)
+      ? [SERVER_ALERT_SUBJECT]
+      : [];
+  }
+
+  const result = [];
+  for (const uav of uavs) {
+    if (uav && isAlertConditionMetForUAV(rule, uav, context)) {
+      result.push(uav.id);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Returns a human-readable description of the threshold of an alert rule.
+ */
+export function describeAlertRuleThreshold({ condition, threshold }) {
+  const { hasThreshold, unit } = propertiesForAlertConditions[condition] ?? {};
+  if (!hasThreshold) {
+    return '';
+  }
+
+  if (condition === AlertCondition.GPS_FIX_POOR) {
+    return describeGPSFixType(threshold);
+  }
+
+  return unit
+    ? `${threshold}${unit === '%' ? '' : ' '}${unit}`
+    : String(threshold);
+}
+
+/**
+ * Returns a human-readable description of an alert triggered by the given
+ * rule for the given subject.
+ */
+export function describeAlert(rule, subject) {
+  const { label } = propertiesForAlertConditions[rule.condition] ?? {
+    label: 'Unknown condition',
+  };
+  const threshold = describeAlertRuleThreshold(rule);
+  const condition = threshold ? `${label} ${threshold}` : label;
+  return subject === SERVER_ALERT_SUBJECT
+    ? condition
+    : `UAV ${subject}: ${condition}`;
+}
@@ -0,0 +1,159 @@
+import { delay, put, select } from 'redux-saga/effects';
+
+import { addLogItem } from '~/features/log/slice';
+import { getGeofencePolygonInWorldCoordinates } from '~/features/mission/selectors';
+import {
+  getClockSkewInMilliseconds,
+  getRoundedClockSkewInMilliseconds,
+  isConnected,
+} from '~/features/servers/selectors';
+import { getBatterySettings } from '~/features/settings/selectors';
+import { showNotification } from '~/features/snackbar/actions';
+import { MessageSemantics } from '~/features/snackbar/types';
+import {
+  getUAVIdList,
+  getUAVIdToStateMapping,
+} from '~/features/uavs/selectors';
+import { Severity } from '~/model/enums';
+import { logLevelForSeverity } from '~/utils/logging';
+
+import { ALERT_RULE_EVALUATION_INTERVAL } from './constants';
+import {
+  createAlertEvaluationContext,
+  describeAlert,
+  evaluateAlertRule,
+} from './rules';
+import {
+  areAlertsMuted,
+  getActiveAlertsByKey,
+  getAlertRules,
+} from './selectors';
+import {
+  acknowledgeActiveAlert,
+  getActiveAlertKey,
+  updateActiveAlerts,
+} from './slice';
+import { playAlertSound } from './sounds';
+import { AlertSound } from './types';
+
+const messageSemanticsForSeverities = {
+  [Severity.DEBUG]: MessageSemantics.DEFAULT,
+  [Severity.INFO]: MessageSemantics.INFO,
+  [Severity.WARNING]: MessageSemantics.WARNING,
+  [Severity.ERROR]: MessageSemantics.ERROR,
+  [Severity.CRITICAL]: MessageSemantics.ERROR,
+};
+
+/**
+ * Saga that evaluates the alert rules defined by the user periodically,
+ * keeps track of the alerts whose conditions hold, and notifies the user
+ * when a new alert is triggered.
+ */
+export default function* alertRulesSaga() {
+  while (true) {
+    yield delay(ALERT_RULE_EVALUATION_INTERVAL);
+
+    const rules = yield select(getAlertRules);
+    const activeAlerts = yield select(getActiveAlertsByKey);
+    const connected = yield select(isConnected);
+
+    // Nothing to do if there are no rules and no alerts to clear
+    if (rules.length === 0 && Object.keys(activeAlerts).length === 0) {
+      continue;
+    }
+
+    const uavsById = yield select(getUAVIdToStateMapping);
+    const uavIds = yield select(getUAVIdList);
+    const clockSkew = connected
+      ? yield select(getClockSkewInMilliseconds)
+      : undefined;
+    const roundedClockSkew =
+      (yield select(getRoundedClockSkewInMilliseconds)) || 0;
+    const context = createAlertEvaluationContext({
+      batterySettings: yield select(getBatterySettings),
+      clockSkew,
+      geofence: yield select(getGeofencePolygonInWorldCoordinates),
+      now: Date.now() + roundedClockSkew,
+    });
+
+    const uavs = uavIds.map((uavId) => uavsById[uavId]);
+    const now = Date.now();
+    const stillActive = new Set();
+    const added = [];
+
+    for (const rule of rules) {
+      for (const subject of evaluateAlertRule(rule, uavs, context)) {
+        const key = getActiveAlertKey(rule.id, subject);
+        stillActive.add(key);
+        if (!activeAlerts[key]) {
+          added.push({ rule, subject, key });
+        }
+      }
+    }
+
+    const removed = Object.keys(activeAlerts).filter(
+      (key) => !stillActive.has(key)
+    );
+
+    if (added.length === 0 && removed.length === 0) {
+      continue;
+    }
+
+    yield put(
+      updateActiveAlerts({
+        added: added.map(({ rule, subject }) => ({
+          ruleId: rule.id,
+          subject,
+          since: now,
+          acknowledged: false,
+        })),
+        removed,
+      })
+    );
+
+    const muted = yield select(areAlertsMuted);
+    const soundsToPlay = new Set();
+
+    for (const { rule, subject, key } of added) {
+      const message = describeAlert(rule, subject);
+
+      if (rule.log) {
+        yield put(
+          addLogItem({
+            level: logLevelForSeverity(rule.severity),
+            message,
+            module: 'alerts',
+            auxiliaryId: subject,
+          })
+        );
+      }
+
+      if (rule.notify) {
+        yield put(
+          showNotification({
+            message,
+            semantics:
+              messageSemanticsForSeverities[rule.severity] ??
+              MessageSemantics.WARNING,
+            buttons: [
+              { label: 'Acknowledge', action: acknowledgeActiveAlert(key) },
+            ],
+          })
+        );
+      }
+
+      if (rule.sound !== AlertSound.NONE) {
+        soundsToPlay.add(rule.sound);
+      }
+    }
+
+    // The alarm sound is played by the alert button as long as there are
+    // unacknowledged alarms; the other sounds are played here, once per
+    // evaluation round even if multiple alerts were triggered
+    if (!muted) {
+      for (const sound of soundsToPlay) {
+        playAlertSound(sound);
+      }
+    }
+  }
+}
@@ -1,6 +1,71 @@
+import { createSelector } from '@reduxjs/toolkit';
+
+import { selectOrdered } from '~/utils/collections';
+
+import { AlertSound } from './types';
+
 export const areAlertsMuted = (state) => state.alert.muted;
 
-export const hasPendingAlerts = (state) => state.alert.count > 0;
+/**
+ * Returns the alert rules defined by the user, in the order they were added.
+ */
+export const getAlertRules = createSelector(
+  (state) => state.alert.rules,
+  selectOrdered
+);
+
+/**
+ * Returns the object mapping alert rule IDs to the rules themselves.
+ */
+export const getAlertRulesById = (state) => state.alert.rules.byId;
+
+/**
+ * Returns the object mapping the keys of the currently active alerts to the
+ * alerts themselves.
+ */
+export const getActiveAlertsByKey = (state) => state.alert.active;
+
+/**
+ * Returns the list of currently active alerts, along with their keys and the
+ * rules that triggered them, the most recent alert first.
+ */
+export const getActiveAlerts = createSelector(
+  getActiveAlertsByKey,
+  getAlertRulesById,
+  (alerts, rulesById) =>
+    Object.entries(alerts)
+      .map(([key, alert]) => ({ ...alert, key, rule: rulesById[alert.ruleId] }))
+      .filter(({ rule }) => rule)
+      .sort((a, b) => b.since - a.since)
+);
+
+/**
+ * Returns the number of active alerts that were not acknowledged by the user
+ * yet.
+ */
+export const getNumberOfUnacknowledgedAlerts = createSelector(
+  getActiveAlerts,
+  (alerts) => alerts.filter(({ acknowledged }) => !acknowledged).length
+);
+
+/**
+ * Returns whether there is at least one unacknowledged active alert whose
+ * rule is set up to sound an alarm until acknowledged.
+ */
+const hasUnacknowledgedAlarms = createSelector(getActiveAlerts, (alerts) =>
+  alerts.some(
+    ({ acknowledged, rule }) => !acknowledged && rule.sound === AlertSound.ALARM
+  )
+);
+
+/**
+ * Returns the number of alerts to show on the badge of the alert button.
+ */
+export const getNumberOfPendingAlerts = (state) =>
+  state.alert.count + getNumberOfUnacknowledgedAlerts(state);
+
+export const hasPendingAlerts = (state) => getNumberOfPendingAlerts(state) > 0;
 
 export const hasPendingAudibleAlerts = (state) =>
-  !state.alert.muted && state.alert.count > 0;
+  !state.alert.muted &&
+  (state.alert.count > 0 || hasUnacknowledgedAlarms(state));
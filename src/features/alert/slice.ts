@@ -1,28 +1,112 @@
 /**
  * @file Slice of the state object that stores whether the user has pending
- * audible alerts to acknowledge and whether alerts are muted.
+ * audible alerts to acknowledge and whether alerts are muted, the alert rules
+ * defined by the user and the alerts that are currently triggered by them.
  */
 
 import { createSlice, type PayloadAction } from '@reduxjs/toolkit';
+import { nanoid } from 'nanoid';
+
+import { Severity } from '~/model/enums';
+import {
+  addItemToBack,
+  type Collection,
+  createCollectionFromArray,
+  deleteItemById,
+} from '~/utils/collections';
+
+import { DEFAULT_ALERT_RULES, propertiesForAlertConditions } from './constants';
+import {
+  type ActiveAlert,
+  AlertCondition,
+  type AlertRule,
+  AlertSound,
+} from './types';
 
 type AlertSliceState = {
   muted: boolean;
   count: number;
+
+  /** The alert rules defined by the user */
+  rules: Collection<AlertRule>;
+
+  /**
+   * The alerts whose conditions currently hold, keyed by the ID of the rule
+   * and the subject of the alert, separated by a colon
+   */
+  active: Record<string, ActiveAlert>;
 };
 
 const initialState: AlertSliceState = {
   muted: false,
   count: 0,
+  rules: createCollectionFromArray(DEFAULT_ALERT_RULES),
+  active: {},
 };
 
+/**
+ * Returns the key of an active alert in the state slice.
+ */
+export const getActiveAlertKey = (
+  ruleId: AlertRule['id'],
+  subject: string
+): string => `${ruleId}:${subject}`;
+
 const { actions, reducer } = createSlice({
   name: 'alert',
   initialState,
   reducers: {
+    acknowledgeActiveAlert(state, action: PayloadAction<string>) {
+      const alert = state.active[action.payload];
+      if (alert) {
+        alert.acknowledged = true;
+      }
+    },
+
+    acknowledgeAllActiveAlerts(state) {
+      for (const alert of Object.values(state.active)) {
+        alert.acknowledged = true;
+      }
+    },
+
+    addAlertRule: {
+      prepare: (condition: AlertCondition = AlertCondition.BATTERY_LOW) => ({
+        payload: {
+          id: nanoid(8),
+          condition,
+          threshold: propertiesForAlertConditions[condition].defaultThreshold,
+          severity: Severity.WARNING,
+          sound: AlertSound.BEEP,
+          notify: true,
+          log: true,
+          enabled: true,
+        },
+      }),
+      reducer(state, action: PayloadAction<AlertRule>) {
+        addItemToBack(state.rules, action.payload);
+      },
+    },
+
     dismissAlerts(state) {
       state.count = 0;
     },
 
+    removeAlertRule(state, action: PayloadAction<AlertRule['id']>) {
+      const ruleId = action.payload;
+      deleteItemById(state.rules, ruleId);
+
+      for (const [key, alert] of Object.entries(state.active)) {
+        if (alert.ruleId === ruleId) {
+          delete state.active[key];
+        }
+      }
+    },
+
+    resetAlertRules(state) {
+      state.rules = createCollectionFromArray(DEFAULT_ALERT_RULES);
+      state.active = {};
+    },
+
     setMuted(state, action: PayloadAction<boolean>) {
       state.muted = action.payload;
     },
@@ -30,9 +114,69 @@ const { actions, reducer } = createSlice({
     triggerAlert(state) {
       state.count += 1;
     },
+
+    updateActiveAlerts(
+      state,
+      action: PayloadAction<{ added: ActiveAlert[]; removed: string[] }>
+    ) {
+      const { added, removed } = action.payload;
+
+      for (const key of removed) {
+        delete state.active[key];
+      }
+
+      for (const alert of added) {
+        state.active[getActiveAlertKey(alert.ruleId, alert.subject)] = alert;
+      }
+    },
+
+    updateAlertRule(
+      state,
+      action: PayloadAction<
+        Pick<AlertRule, 'id'> & Partial<Omit<AlertRule, 'id'>>
+      >
+    ) {
+      const { id, ...changes } = action.payload;
+      const rule = state.rules.byId[id];
+      if (!rule) {
+        return;
+      }
+
+      // Use the default threshold of the new condition if the condition
+      // was changed and no new threshold was specified
+      if (
+        changes.condition !== undefined &&
+        changes.condition !== rule.condition &&
+        changes.threshold === undefined
+      ) {
+        changes.threshold =
+          propertiesForAlertConditions[changes.condition].defaultThreshold;
+      }
+
+      Object.assign(rule, changes);
+
+      // Changing the rule invalidates the alerts triggered by it; they will
+      // be triggered again if the new condition still holds
+      for (const [key, alert] of Object.entries(state.active)) {
+        if (alert.ruleId === id) {
+          delete state.active[key];
+        }
+      }
+    },
   },
 });
 
-export const { dismissAlerts, setMuted, triggerAlert } = actions;
+export const {
+  acknowledgeActiveAlert,
+  acknowledgeAllActiveAlerts,
+  addAlertRule,
+  dismissAlerts,
+  removeAlertRule,
+  resetAlertRules,
+  setMuted,
+  triggerAlert,
+  updateActiveAlerts,
+  updateAlertRule,
+} = actions;
 
 export default reducer;
@@ -0,0 +1,64 @@
+/**
+ * @file Short sounds that can be played when an alert rule fires.
+ *
+ * The repeating alarm sound is handled by the alert button in the header
+ * because it needs to keep on ringing until the alerts are acknowledged. The
+ * sounds here are played once and are synthesized with the Web Audio API so
+ * they need no separate audio assets.
+ */
+
+import { AlertSound } from './types';
+
+/**
+ * Frequencies and durations (in seconds) of the tones making up each sound.
+ */
+const TONES = {
+  [AlertSound.BEEP]: [[880, 0.15]],
+  [AlertSound.CHIME]: [
+    [660, 0.12],
+    [990, 0.25],
+  ],
+};
+
+let audioContext;
+
+const getAudioContext = () => {
+  if (!audioContext) {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    audioContext = AudioContext ? new AudioContext() : null;
+  }
+
+  return audioContext;
+};
+
+/**
+ * Plays one of the short alert sounds. Does nothing for sounds that are not
+ * synthesized here or when the Web Audio API is not available.
+ */
+export function playAlertSound(sound) {
+  const tones = TONES[sound];
+  const context = tones ? getAudioContext() : null;
+  if (!context) {
+    return;
+  }
+
+  let start = context.currentTime;
+  for (const [frequency, duration] of tones) {
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+
+    oscillator.type = 'sine';
+    oscillator.frequency.value = frequency;
+
+    // Short fade-out to avoid clicks at the end of the tone
+    gain.gain.setValueAtTime(0.3, start);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + duration);
+
+    oscillator.connect(gain);
+    gain.connect(context.destination);
+    oscillator.start(start);
+    oscillator.stop(start + duration);
+
+    start += duration;
+  }
+}
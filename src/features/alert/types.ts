@@ -0,0 +1,80 @@
+import { type Severity } from '~/model/enums';
+import { type Identifier } from '~/utils/collections';
+
+/**
+ * Enum containing the conditions that an alert rule can watch for.
+ */
+export enum AlertCondition {
+  BATTERY_LOW = 'batteryLow',
+  GPS_FIX_POOR = 'gpsFixPoor',
+  ALTITUDE_HIGH = 'altitudeHigh',
+  OUTSIDE_GEOFENCE = 'outsideGeofence',
+  RSSI_LOW = 'rssiLow',
+  TELEMETRY_STALE = 'telemetryStale',
+  CLOCK_SKEW_HIGH = 'clockSkewHigh',
+}
+
+/**
+ * Enum containing the sounds that can be played when an alert rule fires.
+ */
+export enum AlertSound {
+  /** No sound at all */
+  NONE = 'none',
+
+  /** Repeating alarm that keeps on ringing until the alert is acknowledged */
+  ALARM = 'alarm',
+
+  /** Single short beep */
+  BEEP = 'beep',
+
+  /** Single two-tone chime */
+  CHIME = 'chime',
+}
+
+/**
+ * A single user-defined alert rule.
+ */
+export type AlertRule = {
+  id: Identifier;
+
+  /** The condition that the rule watches for */
+  condition: AlertCondition;
+
+  /** Threshold of the condition; its unit depends on the condition */
+  threshold: number;
+
+  /** Severity of the alerts triggered by the rule */
+  severity: Severity;
+
+  /** Sound to play when the rule fires */
+  sound: AlertSound;
+
+  /** Whether to show a notification when the rule fires */
+  notify: boolean;
+
+  /** Whether to add an entry to the application log when the rule fires */
+  log: boolean;
+
+  /** Whether the rule is evaluated at all */
+  enabled: boolean;
+};
+
+/**
+ * An alert that was triggered by a rule for a given subject (typically a
+ * UAV) and whose condition still holds.
+ */
+export type ActiveAlert = {
+  ruleId: AlertRule['id'];
+
+  /**
+   * ID of the UAV that the alert refers to; empty string for alerts that
+   * refer to the server connection itself
+   */
+  subject: string;
+
+  /** Timestamp when the alert was triggered */
+  since: number;
+
+  /** Whether the alert was acknowledged by the user */
+  acknowledged: boolean;
+};
@@ -0,0 +1,195 @@
+import isNil from 'lodash-es/isNil';
+import PropTypes from 'prop-types';
+import React from 'react';
+import { withTranslation } from 'react-i18next';
+import { connect } from 'react-redux';
+
+import Button from '@material-ui/core/Button';
+import DialogActions from '@material-ui/core/DialogActions';
+import DialogContent from '@material-ui/core/DialogContent';
+import DialogContentText from '@material-ui/core/DialogContentText';
+import Table from '@material-ui/core/Table';
+import TableBody from '@material-ui/core/TableBody';
+import TableCell from '@material-ui/core/TableCell';
+import TableHead from '@material-ui/core/TableHead';
+import TableRow from '@material-ui/core/TableRow';
+
+import BackgroundHint from '@skybrush/mui-components/lib/BackgroundHint';
+import DraggableDialog from '@skybrush/mui-components/lib/DraggableDialog';
+
+import Colors from '~/components/colors';
+import { formatDuration, formatMissionId } from '~/utils/formatting';
+
+import { BatteryForecastStatus } from './constants';
+import {
+  closeBatteryForecastDialog,
+  isBatteryForecastDialogOpen,
+} from './dialog';
+import {
+  getBatteryForecast,
+  getBatteryForecastSummary,
+  getBatteryForecastThreshold,
+} from './selectors';
+
+const formatPercentage = (value) =>
+  isNil(value) ? '—' : `${Math.round(value)}%`;
+
+const formatMeters = (value) => `${Math.round(value)} m`;
+
+const colorForStatus = {
+  [BatteryForecastStatus.LOW]: Colors.error,
+  [BatteryForecastStatus.OK]: Colors.success,
+};
+
+/**
+ * Table row showing the battery forecast of a single drone.
+ */
+const BatteryForecastRow = ({ item }) => (
+  <TableRow>
+    <TableCell>{formatMissionId(item.missionIndex)}</TableCell>
+    <TableCell>{item.uavId ?? '—'}</TableCell>
+    <TableCell align='right'>{formatDuration(item.airborneTime)}</TableCell>
+    <TableCell align='right'>{formatMeters(item.distance)}</TableCell>
+    <TableCell align='right'>{formatMeters(item.climb)}</TableCell>
+    <TableCell align='right'>{formatPercentage(item.consumption)}</TableCell>
+    <TableCell align='right'>{formatPercentage(item.currentCharge)}</TableCell>
+    <TableCell align='right' style={{ color: colorForStatus[item.status] }}>
+      {formatPercentage(item.chargeAtLanding)}
+    </TableCell>
+    <TableCell align='right'>
+      {isNil(item.flightTime) ? '—' : formatDuration(item.flightTime)}
+    </TableCell>
+  </TableRow>
+);
+
+BatteryForecastRow.propTypes = {
+  item: PropTypes.shape({
+    airborneTime: PropTypes.number,
+    chargeAtLanding: PropTypes.number,
+    climb: PropTypes.number,
+    consumption: PropTypes.number,
+    currentCharge: PropTypes.number,
+    distance: PropTypes.number,
+    flightTime: PropTypes.number,
+    missionIndex: PropTypes.number,
+    status: PropTypes.oneOf(Object.values(BatteryForecastStatus)),
+    uavId: PropTypes.string,
+  }),
+};
+
+/**
+ * Dialog that shows the expected battery charge of each drone at the end of
+ * the loaded show so weak batteries can be swapped before takeoff.
+ */
+const BatteryForecastDialog = ({
+  forecast,
+  onClose,
+  open,
+  summary,
+  t,
+  threshold,
+}) => (
+  <DraggableDialog
+    fullWidth
+    open={open}
+    maxWidth='md'
+    title={t('batteryForecast.title')}
+    onClose={onClose}
+  >
+    {forecast.length > 0 ? (
+      <DialogContent>
+        <DialogContentText>
+          {t('batteryForecast.summary', {
+            duration: formatDuration(summary.showDuration),
+            known: summary.knownCount,
+            low: summary.lowCount,
+            minimum: formatPercentage(summary.minChargeAtLanding),
+            threshold: formatPercentage(threshold),
+          })}
+        </DialogContentText>
+        <Table size='small'>
+          <TableHead>
+            <TableRow>
+              <TableCell>{t('batteryForecast.columns.showId')}</TableCell>
+              <TableCell>{t('batteryForecast.columns.uavId')}</TableCell>
+              <TableCell align='right'>
+                {t('batteryForecast.columns.airborneTime')}
+              </TableCell>
+              <TableCell align='right'>
+                {t('batteryForecast.columns.distance')}
+              </TableCell>
+              <TableCell align='right'>
+                {t('batteryForecast.columns.climb')}
+              </TableCell>
+              <TableCell align='right'>
+                {t('batteryForecast.columns.consumption')}
+              </TableCell>
+              <TableCell align='right'>
+                {t('batteryForecast.columns.currentCharge')}
+              </TableCell>
+              <TableCell align='right'>
+                {t('batteryForecast.columns.chargeAtLanding')}
+              </TableCell>
+              <TableCell align='right'>
+                {t('batteryForecast.columns.flightTime')}
+              </TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {forecast.map((item) => (
+              <BatteryForecastRow key={item.missionIndex} item={item} />
+            ))}
+          </TableBody>
+        </Table>
+        <DialogContentText variant='caption' component='p'>
+          {t('batteryForecast.disclaimer')}
+        </DialogContentText>
+      </DialogContent>
+    ) : (
+      <DialogContent>
+        <BackgroundHint text={t('batteryForecast.noShow')} />
+      </DialogContent>
+    )}
+    <DialogActions>
+      <Button onClick={onClose}>{t('general.action.close')}</Button>
+    </DialogActions>
+  </DraggableDialog>
+);
+
+BatteryForecastDialog.propTypes = {
+  forecast: PropTypes.arrayOf(PropTypes.object),
+  onClose: PropTypes.func,
+  open: PropTypes.bool,
+  summary: PropTypes.shape({
+    knownCount: PropTypes.number,
+    lowCount: PropTypes.number,
+    minChargeAtLanding: PropTypes.number,
+    showDuration: PropTypes.number,
+  }),
+  t: PropTypes.func,
+  threshold: PropTypes.number,
+};
+
+BatteryForecastDialog.defaultProps = {
+  forecast: [],
+  open: false,
+};
+
+export default connect(
+  // mapStateToProps
+  (state) => {
+    const open = isBatteryForecastDialogOpen(state);
+    return open
+      ? {
+          forecast: getBatteryForecast(state),
+          open,
+          summary: getBatteryForecastSummary(state),
+          threshold: getBatteryForecastThreshold(state),
+        }
+      : { open };
+  },
+  // mapDispatchToProps
+  {
+    onClose: closeBatteryForecastDialog,
+  }
+)(withTranslation()(BatteryForecastDialog));
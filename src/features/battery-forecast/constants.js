@@ -0,0 +1,27 @@
+/**
+ * Battery charge consumed by a drone per minute spent in the air, in
+ * percentage points. This is a conservative estimate for a typical show drone
+ * that hovers for about 15-20 minutes on a full battery.
+ */
+export const AIRBORNE_CONSUMPTION_PER_MINUTE = 5.5;
+
+/**
+ * Additional battery charge consumed by a drone per meter of horizontal
+ * travel, in percentage points.
+ */
+export const HORIZONTAL_CONSUMPTION_PER_METER = 0.005;
+
+/**
+ * Additional battery charge consumed by a drone per meter of climb, in
+ * percentage points. Descents are assumed not to need extra energy.
+ */
+export const CLIMB_CONSUMPTION_PER_METER = 0.04;
+
+/**
+ * Possible outcomes of the battery forecast of a single drone.
+ */
+export const BatteryForecastStatus = {
+  OK: 'ok',
+  LOW: 'low',
+  UNKNOWN: 'unknown',
+};
@@ -0,0 +1,43 @@
+/**
+ * @file Slice of the state object that handles the state of the dialog that
+ * shows the battery forecast of the loaded show.
+ */
+
+import { createSlice } from '@reduxjs/toolkit';
+
+import { type AppSelector } from '~/store/reducers';
+import { noPayload } from '~/utils/redux';
+
+type BatteryForecastDialogSliceState = {
+  open: boolean;
+};
+
+const initialState: BatteryForecastDialogSliceState = {
+  open: false,
+};
+
+const { actions, reducer } = createSlice({
+  name: 'battery-forecast-dialog',
+  initialState,
+  reducers: {
+    closeBatteryForecastDialog: noPayload<BatteryForecastDialogSliceState>(
+      (state) => {
+        state.open = false;
+      }
+    ),
+
+    showBatteryForecastDialog: noPayload<BatteryForecastDialogSliceState>(
+      (state) => {
+        state.open = true;
+      }
+    ),
+  },
+});
+
+export const { closeBatteryForecastDialog, showBatteryForecastDialog } =
+  actions;
+
+export const isBatteryForecastDialogOpen: AppSelector<boolean> = (state) =>
+  state.dialogs.batteryForecast.open;
+
+export default reducer;
@@ -0,0 +1,72 @@
+/**
+ * @file Rough model of the battery consumption of drones flying a show, used
+ * to forecast the remaining charge of the batteries at landing.
+ *
+ * All charge levels are expressed as percentages. Voltage-based values are
+ * converted to percentages with the battery settings of the user, which
+ * assume a linear discharge curve; the forecast is therefore meant to spot
+ * weak batteries before takeoff, not to predict the exact landing voltage.
+ */
+
+import isNil from 'lodash-es/isNil';
+
+import { BatteryThresholdType } from '~/features/safety/model';
+
+import {
+  AIRBORNE_CONSUMPTION_PER_MINUTE,
+  CLIMB_CONSUMPTION_PER_METER,
+  HORIZONTAL_CONSUMPTION_PER_METER,
+} from './constants';
+
+/**
+ * Estimates the battery charge that a drone consumes while flying a
+ * trajectory with the given statistics.
+ *
+ * @param {Object} stats  the statistics of the trajectory
+ * @param {number} stats.airborneTime  the time spent in the air, in seconds
+ * @param {number} stats.distance  the horizontal distance travelled, in meters
+ * @param {number} stats.climb  the total ascent, in meters
+ * @returns {number} the consumed charge, in percentage points
+ */
+export const estimateBatteryConsumption = ({ airborneTime, distance, climb }) =>
+  (airborneTime / 60) * AIRBORNE_CONSUMPTION_PER_MINUTE +
+  distance * HORIZONTAL_CONSUMPTION_PER_METER +
+  climb * CLIMB_CONSUMPTION_PER_METER;
+
+/**
+ * Returns the current charge of the battery of a UAV as a percentage, falling
+ * back to an estimate from the voltage if the UAV does not report a
+ * percentage. Returns undefined if the battery state of the UAV is unknown.
+ */
+export function getBatteryChargeOfUAV(uav, batterySettings) {
+  const { percentage, voltage } = uav?.battery ?? {};
+  if (isNil(percentage)) {
+    return isNil(voltage)
+      ? undefined
+      : batterySettings.estimatePercentageFromVoltage(voltage);
+  }
+
+  return percentage;
+}
+
+/**
+ * Converts the low battery threshold from the safety settings to a
+ * percentage. Falls back to the low voltage threshold of the battery settings
+ * if the safety settings do not specify a threshold or the threshold is
+ * disabled, because drones landing with a low battery deserve a warning
+ * either way.
+ */
+export function getLowBatteryThresholdAsPercentage(threshold, batterySettings) {
+  switch (threshold?.type) {
+    case BatteryThresholdType.PERCENTAGE:
+      return threshold.value;
+
+    case BatteryThresholdType.VOLTAGE:
+      return batterySettings.estimatePercentageFromVoltage(threshold.value);
+
+    default:
+      return batterySettings.estimatePercentageFromVoltagePerCell(
+        batterySettings.lowVoltageThreshold
+      );
+  }
+}
@@ -0,0 +1,145 @@
+import isNil from 'lodash-es/isNil';
+import mapValues from 'lodash-es/mapValues';
+
+import { createSelector } from '@reduxjs/toolkit';
+
+import { getMissionMapping } from '~/features/mission/selectors';
+import { getSafetySettings } from '~/features/safety/selectors';
+import { getBatterySettings } from '~/features/settings/selectors';
+import {
+  getFlightStatisticsOfTrajectories,
+  getShowDuration,
+} from '~/features/show/selectors';
+import { getUAVIdToStateMapping } from '~/features/uavs/selectors';
+import { createDeepResultSelector } from '~/utils/selectors';
+
+import {
+  AIRBORNE_CONSUMPTION_PER_MINUTE,
+  BatteryForecastStatus,
+} from './constants';
+import {
+  estimateBatteryConsumption,
+  getBatteryChargeOfUAV,
+  getLowBatteryThresholdAsPercentage,
+} from './model';
+
+/**
+ * Returns the low battery threshold that the battery forecast compares the
+ * expected charge at landing to, as a percentage.
+ */
+export const getBatteryForecastThreshold = createSelector(
+  getSafetySettings,
+  getBatterySettings,
+  (safetySettings, batterySettings) =>
+    getLowBatteryThresholdAsPercentage(
+      safetySettings?.lowBatteryThreshold,
+      batterySettings
+    )
+);
+
+/**
+ * Returns the current battery charge of each UAV as a percentage, keyed by
+ * the IDs of the UAVs. The charge is estimated from the voltage for UAVs that
+ * do not report a percentage.
+ *
+ * Charges are rounded to whole percents and the result is compared deeply to
+ * the previous one so the forecast is not recalculated for every telemetry
+ * update, only when the charge of a UAV actually changes.
+ */
+const getBatteryChargesByUAVId = createDeepResultSelector(
+  getUAVIdToStateMapping,
+  getBatterySettings,
+  (uavsById, batterySettings) =>
+    mapValues(uavsById, (uav) => {
+      const charge = getBatteryChargeOfUAV(uav, batterySettings);
+      return isNil(charge) ? undefined : Math.round(charge);
+    })
+);
+
+/**
+ * Returns the battery forecast of the loaded show, one item for each mission
+ * slot that has a trajectory.
+ *
+ * Each item contains the mission index and the ID of the UAV mapped to it,
+ * the flight statistics of the trajectory, the estimated consumption, the
+ * current charge and the expected charge at landing (all in percentage
+ * points), the flight time that the current charge would allow before
+ * reaching the threshold (in seconds) and the status of the forecast.
+ */
+export const getBatteryForecast = createSelector(
+  getFlightStatisticsOfTrajectories,
+  getMissionMapping,
+  getBatteryChargesByUAVId,
+  getBatteryForecastThreshold,
+  (statistics, mapping, chargesByUAVId, threshold) => {
+    const result = [];
+
+    for (const [missionIndex, stats] of statistics.entries()) {
+      if (!stats) {
+        continue;
+      }
+
+      const uavId = mapping?.[missionIndex] ?? undefined;
+      const consumption = estimateBatteryConsumption(stats);
+      const currentCharge = isNil(uavId) ? undefined : chargesByUAVId[uavId];
+      const chargeAtLanding = isNil(currentCharge)
+        ? undefined
+        : currentCharge - consumption;
+
+      result.push({
+        missionIndex,
+        uavId,
+        ...stats,
+        consumption,
+        currentCharge,
+        chargeAtLanding,
+        flightTime: isNil(currentCharge)
+          ? undefined
+          : (Math.max(currentCharge - threshold, 0) * 60) /
+            AIRBORNE_CONSUMPTION_PER_MINUTE,
+        status: isNil(chargeAtLanding)
+          ? BatteryForecastStatus.UNKNOWN
+          : chargeAtLanding < threshold
+            ? BatteryForecastStatus.LOW
+            : BatteryForecastStatus.OK,
+      });
+    }
+
+    return result;
+  }
+);
+
+/**
+ * Returns the items of the battery forecast for the drones that would land
+ * with a charge below the low battery threshold.
+ */
+export const getLowBatteryForecastItems = createSelector(
+  getBatteryForecast,
+  (forecast) =>
+    forecast.filter(({ status }) => status === BatteryForecastStatus.LOW)
+);
+
+/**
+ * Returns a summary of the battery forecast: the duration of the show, the
+ * number of drones with a known forecast, the lowest expected charge at
+ * landing and the number of drones that would land below the threshold.
+ */
+export const getBatteryForecastSummary = createSelector(
+  getBatteryForecast,
+  getLowBatteryForecastItems,
+  getShowDuration,
+  (forecast, lowItems, showDuration) => {
+    const known = forecast.filter(
+      ({ chargeAtLanding }) => !isNil(chargeAtLanding)
+    );
+    return {
+      showDuration,
+      knownCount: known.length,
+      lowCount: lowItems.length,
+      minChargeAtLanding:
+        known.length > 0
+          ? Math.min(...known.map(({ chargeAtLanding }) => chargeAtLanding))
+          : undefined,
+    };
+  }
+);
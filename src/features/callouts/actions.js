@@ -0,0 +1,32 @@
+import { updateAppSettings } from '~/features/settings/slice';
+import i18n from '~/i18n';
+
+import { getCalloutSpeechOptions, getEnabledCalloutEvents } from './selectors';
+import { speak } from './speech';
+
+/**
+ * Thunk that enables or disables callouts for the given event.
+ */
+export const setCalloutEventEnabled =
+  (event, enabled) => (dispatch, getState) => {
+    const events = getEnabledCalloutEvents(getState()).filter(
+      (item) => item !== event
+    );
+
+    if (enabled) {
+      events.push(event);
+    }
+
+    dispatch(updateAppSettings('callouts', { events }));
+  };
+
+/**
+ * Thunk that speaks a sample callout with the current settings so the user
+ * can check the voice, the speaking rate and the volume.
+ */
+export const speakSampleCallout = () => (_dispatch, getState) => {
+  speak(i18n.t('callouts.sample'), {
+    ...getCalloutSpeechOptions(getState()),
+    interrupt: true,
+  });
+};
@@ -0,0 +1,46 @@
+import { CalloutEvent } from './types';
+
+/**
+ * The callout events in the order they should be shown to the user.
+ */
+export const CALLOUT_EVENTS: CalloutEvent[] = [
+  CalloutEvent.SHOW_COUNTDOWN,
+  CalloutEvent.SWARM_TAKEOFF,
+  CalloutEvent.SWARM_LANDING,
+  CalloutEvent.UAV_ERROR,
+  CalloutEvent.BATTERY_LOW,
+  CalloutEvent.ALERT,
+  CalloutEvent.CONNECTION_LOST,
+  CalloutEvent.ERROR_MESSAGE,
+];
+
+/**
+ * The callout events that are enabled by default. Error messages of the
+ * snackbar are excluded because they may be too verbose for a show.
+ */
+export const DEFAULT_CALLOUT_EVENTS: CalloutEvent[] = CALLOUT_EVENTS.filter(
+  (event) => event !== CalloutEvent.ERROR_MESSAGE
+);
+
+/**
+ * The number of seconds before the start of the show when the countdown is
+ * announced.
+ */
+export const SHOW_COUNTDOWN_CALLOUTS = [60, 30, 20, 10, 5, 4, 3, 2, 1, 0];
+
+/**
+ * Number of milliseconds between consecutive checks of the show countdown.
+ */
+export const SHOW_COUNTDOWN_CHECK_INTERVAL = 200;
+
+/**
+ * Number of milliseconds between consecutive checks of the state of the UAVs.
+ */
+export const UAV_STATE_CHECK_INTERVAL = 1000;
+
+/**
+ * Altitude above the home position, in meters, above which a UAV is
+ * considered to be airborne. Matches the threshold used in the UAV status
+ * summary.
+ */
+export const AIRBORNE_ALTITUDE_THRESHOLD = 0.3;
@@ -0,0 +1,337 @@
+import isNil from 'lodash-es/isNil';
+import { eventChannel } from 'redux-saga';
+import { all, call, delay, select, take } from 'redux-saga/effects';
+
+import { SERVER_ALERT_SUBJECT } from '~/features/alert/constants';
+import { describeAlertRuleThreshold } from '~/features/alert/rules';
+import { getAlertRulesById } from '~/features/alert/selectors';
+import { updateActiveAlerts } from '~/features/alert/slice';
+import { AlertCondition } from '~/features/alert/types';
+import { replayLoaded } from '~/features/recording/slice';
+import { disconnectFromServer } from '~/features/servers/actions';
+import { getCurrentServerState } from '~/features/servers/selectors';
+import { setCurrentServerConnectionState } from '~/features/servers/slice';
+import { expireSession } from '~/features/session/slice';
+import {
+  getSecondsUntilShowStart,
+  isShowAuthorizedToStart,
+} from '~/features/show/selectors';
+import { simulationStarted } from '~/features/simulation/slice';
+import snackbarSignal from '~/features/snackbar/signal';
+import { MessageSemantics } from '~/features/snackbar/types';
+import { getUAVIdToStateMapping } from '~/features/uavs/selectors';
+import UAVErrorCode from '~/flockwave/UAVErrorCode';
+import i18n from '~/i18n';
+import { ConnectionState } from '~/model/enums';
+import { isErrorCodeOrMoreSevere } from '~/model/status-codes';
+import { UAVAge } from '~/model/uav';
+
+import {
+  AIRBORNE_ALTITUDE_THRESHOLD,
+  SHOW_COUNTDOWN_CALLOUTS,
+  SHOW_COUNTDOWN_CHECK_INTERVAL,
+  UAV_STATE_CHECK_INTERVAL,
+} from './constants';
+import {
+  getCalloutSpeechOptions,
+  shouldAnnounceCalloutEvent,
+} from './selectors';
+import { isSpeechSynthesisSupported, speak } from './speech';
+import { CalloutEvent } from './types';
+
+/**
+ * Maximum number of UAVs that are announced individually when they enter an
+ * error state or trigger an alert at the same time; above this limit, only
+ * the number of UAVs is announced.
+ */
+const MAX_INDIVIDUAL_CALLOUTS = 3;
+
+/**
+ * Returns the text to speak when the given rule triggers an alert for the
+ * given subject.
+ */
+function describeAlertForCallout(rule, subject) {
+  const condition = i18n.t(
+    [
+      `callouts.alertConditions.${rule.condition}`,
+      'callouts.alertConditions.unknown',
+    ],
+    { threshold: describeAlertRuleThreshold(rule) }
+  );
+  return subject === SERVER_ALERT_SUBJECT
+    ? i18n.t('callouts.serverAlert', { condition })
+    : i18n.t('callouts.alert', { id: subject, condition });
+}
+
+/**
+ * Speaks the given text if callouts are enabled for the given event.
+ */
+function* announce(event, text, { interrupt = false } = {}) {
+  const shouldAnnounce = yield select(shouldAnnounceCalloutEvent, event);
+  if (shouldAnnounce) {
+    const options = yield select(getCalloutSpeechOptions);
+    speak(text, { ...options, interrupt });
+  }
+}
+
+/**
+ * Announces the given list of items individually, or only their number if
+ * there are too many of them.
+ */
+function* announceEach(event, items, describe, summarize) {
+  if (items.length > MAX_INDIVIDUAL_CALLOUTS) {
+    yield call(announce, event, summarize(items.length));
+  } else {
+    for (const item of items) {
+      yield call(announce, event, describe(item));
+    }
+  }
+}
+
+/**
+ * Saga that announces the countdown to the scheduled start time of the show
+ * when the show is authorized to start.
+ */
+function* showCountdownCalloutSaga() {
+  let previous = null;
+
+  while (true) {
+    yield delay(SHOW_COUNTDOWN_CHECK_INTERVAL);
+
+    const authorized = yield select(isShowAuthorizedToStart);
+    const remaining = authorized
+      ? yield select(getSecondsUntilShowStart)
+      : null;
+
+    // Announce a mark only if the countdown passed it since the last check;
+    // large jumps mean that the start time was changed so we stay silent
+    if (
+      !isNil(previous) &&
+      !isNil(remaining) &&
+      previous > remaining &&
+      previous - remaining < 2
+    ) {
+      const mark = SHOW_COUNTDOWN_CALLOUTS.find(
+        (seconds) => previous > seconds && remaining <= seconds
+      );
+      if (mark !== undefined) {
+        yield call(
+          announce,
+          CalloutEvent.SHOW_COUNTDOWN,
+          mark === 0
+            ? i18n.t('callouts.showStart')
+            : mark >= 10
+              ? i18n.t('callouts.secondsUntilShowStart', { seconds: mark })
+              : String(mark),
+          { interrupt: true }
+        );
+      }
+    }
+
+    previous = remaining;
+  }
+}
+
+/**
+ * Saga that watches the state of the UAVs and announces when the swarm takes
+ * off or lands, and when UAVs enter an error state.
+ */
+function* uavStateCalloutSaga() {
+  let initialized = false;
+  let wasAirborne = false;
+  let previousErrorCodes = new Map();
+
+  while (true) {
+    yield delay(UAV_STATE_CHECK_INTERVAL);
+
+    const uavs = yield select(getUAVIdToStateMapping);
+    const errorCodes = new Map();
+    let airborne = false;
+
+    for (const [uavId, uav] of Object.entries(uavs)) {
+      if (!uav || uav.age === UAVAge.GONE || uav.age === UAVAge.FORGOTTEN) {
+        continue;
+      }
+
+      if (Math.abs(uav.position?.ahl ?? 0) >= AIRBORNE_ALTITUDE_THRESHOLD) {
+        airborne = true;
+      }
+
+      const maxErrorCode = uav.errors?.length > 0 ? Math.max(...uav.errors) : 0;
+      if (isErrorCodeOrMoreSevere(maxErrorCode)) {
+        errorCodes.set(uavId, maxErrorCode);
+      }
+    }
+
+    // The first round only establishes the initial state; there is nothing
+    // to compare it to yet
+    if (initialized) {
+      if (airborne && !wasAirborne) {
+        yield call(
+          announce,
+          CalloutEvent.SWARM_TAKEOFF,
+          i18n.t('callouts.swarmTakeoff')
+        );
+      } else if (!airborne && wasAirborne) {
+        yield call(
+          announce,
+          CalloutEvent.SWARM_LANDING,
+          i18n.t('callouts.swarmLanded')
+        );
+      }
+
+      const newErrors = [...errorCodes.entries()].filter(([uavId, code]) => {
+        const previousCode = previousErrorCodes.get(uavId);
+        return isNil(previousCode) || previousCode < code;
+      });
+
+      yield call(
+        announceEach,
+        CalloutEvent.UAV_ERROR,
+        newErrors,
+        ([uavId, code]) =>
+          i18n.t('callouts.uavError', {
+            id: uavId,
+            error: UAVErrorCode.describe(code),
+          }),
+        (count) => i18n.t('callouts.multipleUAVErrors', { count })
+      );
+    }
+
+    initialized = true;
+    wasAirborne = airborne;
+    previousErrorCodes = errorCodes;
+  }
+}
+
+/**
+ * Saga that announces the alerts newly triggered by the alert rules.
+ */
+function* alertCalloutSaga() {
+  while (true) {
+    const { payload } = yield take(updateActiveAlerts.type);
+    const rulesById = yield select(getAlertRulesById);
+    const alerts = payload.added
+      .map((alert) => ({ ...alert, rule: rulesById[alert.ruleId] }))
+      .filter(({ rule }) => rule);
+    const batteryAlerts = alerts.filter(
+      ({ rule }) => rule.condition === AlertCondition.BATTERY_LOW
+    );
+    const otherAlerts = alerts.filter(
+      ({ rule }) => rule.condition !== AlertCondition.BATTERY_LOW
+    );
+
+    yield call(
+      announceEach,
+      CalloutEvent.BATTERY_LOW,
+      batteryAlerts,
+      ({ subject }) => i18n.t('callouts.batteryLow', { id: subject }),
+      (count) => i18n.t('callouts.multipleBatteryLow', { count })
+    );
+    yield call(
+      announceEach,
+      CalloutEvent.ALERT,
+      otherAlerts,
+      ({ rule, subject }) => describeAlertForCallout(rule, subject),
+      (count) => i18n.t('callouts.multipleAlerts', { count })
+    );
+  }
+}
+
+/**
+ * Types of the actions after which the application disconnects from the
+ * server on purpose.
+ */
+const INTENTIONAL_DISCONNECTION_ACTIONS = [
+  disconnectFromServer.type,
+  expireSession.type,
+  replayLoaded.type,
+  simulationStarted.type,
+];
+
+/**
+ * Saga that announces when the connection to the server is lost
+ * unexpectedly, i.e. without the user disconnecting explicitly or switching
+ * to simulation or replay mode.
+ */
+function* connectionCalloutSaga() {
+  let previousState = (yield select(getCurrentServerState)).state;
+  let disconnectionRequested = false;
+
+  while (true) {
+    const { type, payload: state } = yield take([
+      setCurrentServerConnectionState.type,
+      ...INTENTIONAL_DISCONNECTION_ACTIONS,
+    ]);
+
+    if (type !== setCurrentServerConnectionState.type) {
+      disconnectionRequested = true;
+      continue;
+    }
+
+    const lost =
+      previousState === ConnectionState.CONNECTED &&
+      (state === ConnectionState.DISCONNECTED ||
+        state === ConnectionState.CONNECTING);
+
+    if (lost && !disconnectionRequested) {
+      yield call(
+        announce,
+        CalloutEvent.CONNECTION_LOST,
+        i18n.t('callouts.connectionLost')
+      );
+    }
+
+    if (lost || state === ConnectionState.CONNECTED) {
+      disconnectionRequested = false;
+    }
+
+    previousState = state;
+  }
+}
+
+/**
+ * Saga that reads out the error messages shown in the snackbar.
+ */
+function* errorMessageCalloutSaga() {
+  const channel = eventChannel((emit) => {
+    const binding = snackbarSignal.add(emit);
+    return () => {
+      snackbarSignal.detach(binding);
+    };
+  });
+
+  try {
+    while (true) {
+      const notification = yield take(channel);
+      const { message, semantics } =
+        typeof notification === 'string'
+          ? { message: notification }
+          : notification;
+
+      if (semantics === MessageSemantics.ERROR && typeof message === 'string') {
+        yield call(announce, CalloutEvent.ERROR_MESSAGE, message);
+      }
+    }
+  } finally {
+    channel.close();
+  }
+}
+
+/**
+ * Saga that speaks voice callouts for the important events during a flight
+ * so the operators do not need to keep their eyes on the screen.
+ */
+export default function* calloutsSaga() {
+  if (!isSpeechSynthesisSupported()) {
+    return;
+  }
+
+  yield all([
+    alertCalloutSaga(),
+    connectionCalloutSaga(),
+    errorMessageCalloutSaga(),
+    showCountdownCalloutSaga(),
+    uavStateCalloutSaga(),
+  ]);
+}
@@ -0,0 +1,39 @@
+import { createSelector } from '@reduxjs/toolkit';
+
+import { getDisplayLanguage } from '~/features/settings/selectors';
+
+/**
+ * Returns the callout-related settings of the application.
+ */
+const getCalloutSettings = (state) => state.settings.callouts;
+
+/**
+ * Returns whether spoken callouts are enabled.
+ */
+export const areCalloutsEnabled = (state) =>
+  Boolean(getCalloutSettings(state)?.enabled);
+
+/**
+ * Returns the list of events that should be announced with callouts.
+ */
+export const getEnabledCalloutEvents = (state) =>
+  getCalloutSettings(state)?.events ?? [];
+
+/**
+ * Returns whether the given event should be announced with a callout right
+ * now.
+ */
+export const shouldAnnounceCalloutEvent = (state, event) =>
+  areCalloutsEnabled(state) && getEnabledCalloutEvents(state).includes(event);
+
+/**
+ * Returns the options to pass to the speech synthesizer when speaking a
+ * callout. The language of the callouts follows the language of the user
+ * interface.
+ */
+export const getCalloutSpeechOptions = createSelector(
+  getDisplayLanguage,
+  (state) => getCalloutSettings(state)?.rate,
+  (state) => getCalloutSettings(state)?.volume,
+  (language, rate = 1, volume = 1) => ({ language, rate, volume })
+);
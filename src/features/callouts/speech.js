@@ -0,0 +1,71 @@
+/**
+ * @file Thin wrapper around the speech synthesis part of the Web Speech API,
+ * which is available both in the browser and in Electron.
+ */
+
+/**
+ * Returns whether speech synthesis is supported in the current environment.
+ */
+export const isSpeechSynthesisSupported = () =>
+  typeof window !== 'undefined' &&
+  Boolean(window.speechSynthesis) &&
+  typeof window.SpeechSynthesisUtterance === 'function';
+
+/**
+ * Finds the voice best suited for the given language code, preferring voices
+ * whose language matches exactly and then voices that share the primary
+ * language subtag.
+ */
+function findVoiceForLanguage(language) {
+  const voices = window.speechSynthesis.getVoices();
+  const code = language.toLowerCase();
+  const primary = code.split('-')[0];
+  return (
+    voices.find((voice) => voice.lang.toLowerCase() === code) ??
+    voices.find(
+      (voice) => voice.lang.toLowerCase().split(/[-_]/)[0] === primary
+    )
+  );
+}
+
+/**
+ * Speaks the given text with speech synthesis. Does nothing if speech
+ * synthesis is not supported.
+ *
+ * @param {string} text  the text to speak
+ * @param {Object} options  additional options
+ * @param {boolean} options.interrupt  whether to cancel the callouts that are
+ *        being spoken or are waiting to be spoken before speaking the text
+ * @param {string} options.language  the code of the language of the text
+ * @param {number} options.rate  the speaking rate; 1 is the normal rate
+ * @param {number} options.volume  the volume, between 0 and 1
+ */
+export function speak(
+  text,
+  { interrupt = false, language, rate = 1, volume = 1 } = {}
+) {
+  if (!text || !isSpeechSynthesisSupported()) {
+    return;
+  }
+
+  const { speechSynthesis } = window;
+  const utterance = new window.SpeechSynthesisUtterance(text);
+
+  if (language) {
+    utterance.lang = language;
+
+    const voice = findVoiceForLanguage(language);
+    if (voice) {
+      utterance.voice = voice;
+    }
+  }
+
+  utterance.rate = rate;
+  utterance.volume = volume;
+
+  if (interrupt) {
+    speechSynthesis.cancel();
+  }
+
+  speechSynthesis.speak(utterance);
+}
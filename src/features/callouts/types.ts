@@ -0,0 +1,14 @@
+/**
+ * Enum describing the events that the application may announce with spoken
+ * voice callouts.
+ */
+export enum CalloutEvent {
+  ALERT = 'alert',
+  BATTERY_LOW = 'batteryLow',
+  CONNECTION_LOST = 'connectionLost',
+  ERROR_MESSAGE = 'errorMessage',
+  SHOW_COUNTDOWN = 'showCountdown',
+  SWARM_LANDING = 'swarmLanding',
+  SWARM_TAKEOFF = 'swarmTakeoff',
+  UAV_ERROR = 'uavError',
+}
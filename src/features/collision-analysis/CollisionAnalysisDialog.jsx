@@ -0,0 +1,277 @@
+import isNil from 'lodash-es/isNil';
+import PropTypes from 'prop-types';
+import React from 'react';
+import { withTranslation } from 'react-i18next';
+import { connect } from 'react-redux';
+
+import Box from '@material-ui/core/Box';
+import Button from '@material-ui/core/Button';
+import DialogActions from '@material-ui/core/DialogActions';
+import DialogContent from '@material-ui/core/DialogContent';
+import DialogContentText from '@material-ui/core/DialogContentText';
+import LinearProgress from '@material-ui/core/LinearProgress';
+import Table from '@material-ui/core/Table';
+import TableBody from '@material-ui/core/TableBody';
+import TableCell from '@material-ui/core/TableCell';
+import TableHead from '@material-ui/core/TableHead';
+import TableRow from '@material-ui/core/TableRow';
+
+import BackgroundHint from '@skybrush/mui-components/lib/BackgroundHint';
+import DraggableDialog from '@skybrush/mui-components/lib/DraggableDialog';
+
+import { SimpleDistanceField } from '~/components/forms/fields';
+import { getMissionMapping } from '~/features/mission/selectors';
+import { hasLoadedShowFile } from '~/features/show/selectors';
+import { formatDuration, formatMissionId } from '~/utils/formatting';
+
+import {
+  getCollisionAnalysisError,
+  getCollisionAnalysisResult,
+  getCollisionAnalysisStatus,
+  getCollisionAnalysisSummary,
+  getCollisionAnalysisThreshold,
+  isCollisionAnalysisDialogOpen,
+} from './selectors';
+import {
+  closeCollisionAnalysisDialog,
+  runCollisionAnalysis,
+  setCollisionAnalysisThreshold,
+} from './slice';
+import { CollisionAnalysisStatus } from './types';
+
+const formatMeters = (value) => (isNil(value) ? '—' : `${value.toFixed(2)} m`);
+
+const formatPair = (indices) => indices.map(formatMissionId).join(' – ');
+
+/**
+ * Table row showing a single pair of drones that get too close to each other.
+ */
+const ConflictRow = ({ conflict, mapping }) => (
+  <TableRow>
+    <TableCell>{formatPair(conflict.indices)}</TableCell>
+    <TableCell>
+      {conflict.indices.map((index) => mapping[index] ?? '—').join(' – ')}
+    </TableCell>
+    <TableCell align='right'>{formatDuration(conflict.start)}</TableCell>
+    <TableCell align='right'>
+      {formatDuration(conflict.end - conflict.start)}
+    </TableCell>
+    <TableCell align='right'>{formatMeters(conflict.distance)}</TableCell>
+  </TableRow>
+);
+
+ConflictRow.propTypes = {
+  conflict: PropTypes.shape({
+    distance: PropTypes.number,
+    end: PropTypes.number,
+    indices: PropTypes.arrayOf(PropTypes.number),
+    start: PropTypes.number,
+  }),
+  mapping: PropTypes.arrayOf(PropTypes.string),
+};
+
+/**
+ * Summary of the collision analysis: the closest approach of any two drones
+ * and the highest velocity and acceleration of any drone.
+ */
+const CollisionAnalysisSummary = ({ summary, t, threshold }) => {
+  const { conflictCount, maxAcceleration, maxVelocity, minimum } = summary;
+
+  return (
+    <>
+      <DialogContentText>
+        {minimum
+          ? t('collisionAnalysis.minimumDistance', {
+              distance: formatMeters(minimum.distance),
+              pair: formatPair(minimum.indices),
+              time: formatDuration(minimum.time),
+            })
+          : t('collisionAnalysis.singleDrone')}{' '}
+        {conflictCount > 0
+          ? t('collisionAnalysis.conflicts', {
+              count: conflictCount,
+              threshold: formatMeters(threshold),
+            })
+          : t('collisionAnalysis.noConflicts', {
+              threshold: formatMeters(threshold),
+            })}
+      </DialogContentText>
+      {maxVelocity && maxAcceleration && (
+        <DialogContentText>
+          {t('collisionAnalysis.kinematics', {
+            acceleration: `${maxAcceleration.value.toFixed(1)} m/s²`,
+            accelerationDrone: formatMissionId(maxAcceleration.index),
+            accelerationTime: formatDuration(maxAcceleration.time),
+            velocity: `${maxVelocity.value.toFixed(1)} m/s`,
+            velocityDrone: formatMissionId(maxVelocity.index),
+            velocityTime: formatDuration(maxVelocity.time),
+          })}
+        </DialogContentText>
+      )}
+    </>
+  );
+};
+
+CollisionAnalysisSummary.propTypes = {
+  summary: PropTypes.object,
+  t: PropTypes.func,
+  threshold: PropTypes.number,
+};
+
+/**
+ * Dialog that shows the result of the collision analysis of the loaded show:
+ * the minimum distance between any two drones, the pairs of drones that get
+ * closer to each other than the configured threshold and the highest
+ * velocities and accelerations along the trajectories.
+ */
+const CollisionAnalysisDialog = ({
+  error,
+  hasShow,
+  mapping,
+  onClose,
+  onRun,
+  onThresholdChanged,
+  open,
+  result,
+  status,
+  summary,
+  t,
+  threshold,
+}) => (
+  <DraggableDialog
+    fullWidth
+    open={open}
+    maxWidth='md'
+    title={t('collisionAnalysis.title')}
+    onClose={onClose}
+  >
+    {hasShow ? (
+      <DialogContent>
+        <Box mb={2}>
+          <SimpleDistanceField
+            label={t('collisionAnalysis.threshold')}
+            min={0.1}
+            max={100}
+            step={0.1}
+            value={threshold}
+            onChange={onThresholdChanged}
+          />
+        </Box>
+        {status === CollisionAnalysisStatus.RUNNING && (
+          <>
+            <DialogContentText>
+              {t('collisionAnalysis.running')}
+            </DialogContentText>
+            <LinearProgress />
+          </>
+        )}
+        {status === CollisionAnalysisStatus.ERROR && (
+          <DialogContentText color='error'>
+            {t('collisionAnalysis.error', { error })}
+          </DialogContentText>
+        )}
+        {result && summary && (
+          <CollisionAnalysisSummary
+            summary={summary}
+            t={t}
+            threshold={result.threshold}
+          />
+        )}
+        {result && result.conflicts.length > 0 && (
+          <Table size='small'>
+            <TableHead>
+              <TableRow>
+                <TableCell>{t('collisionAnalysis.columns.showIds')}</TableCell>
+                <TableCell>{t('collisionAnalysis.columns.uavIds')}</TableCell>
+                <TableCell align='right'>
+                  {t('collisionAnalysis.columns.start')}
+                </TableCell>
+                <TableCell align='right'>
+                  {t('collisionAnalysis.columns.duration')}
+                </TableCell>
+                <TableCell align='right'>
+                  {t('collisionAnalysis.columns.distance')}
+                </TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {result.conflicts.map((conflict) => (
+                <ConflictRow
+                  key={`${conflict.indices.join(':')}@${conflict.start}`}
+                  conflict={conflict}
+                  mapping={mapping}
+                />
+              ))}
+            </TableBody>
+          </Table>
+        )}
+        {result && result.conflictCount > result.conflicts.length && (
+          <DialogContentText variant='caption' component='p'>
+            {t('collisionAnalysis.truncated', {
+              count: result.conflicts.length,
+            })}
+          </DialogContentText>
+        )}
+      </DialogContent>
+    ) : (
+      <DialogContent>
+        <BackgroundHint text={t('collisionAnalysis.noShow')} />
+      </DialogContent>
+    )}
+    <DialogActions>
+      <Button
+        disabled={!hasShow || status === CollisionAnalysisStatus.RUNNING}
+        onClick={onRun}
+      >
+        {t('collisionAnalysis.runAgain')}
+      </Button>
+      <Button onClick={onClose}>{t('general.action.close')}</Button>
+    </DialogActions>
+  </DraggableDialog>
+);
+
+CollisionAnalysisDialog.propTypes = {
+  error: PropTypes.string,
+  hasShow: PropTypes.bool,
+  mapping: PropTypes.arrayOf(PropTypes.string),
+  onClose: PropTypes.func,
+  onRun: PropTypes.func,
+  onThresholdChanged: PropTypes.func,
+  open: PropTypes.bool,
+  result: PropTypes.object,
+  status: PropTypes.oneOf(Object.values(CollisionAnalysisStatus)),
+  summary: PropTypes.object,
+  t: PropTypes.func,
+  threshold: PropTypes.number,
+};
+
+CollisionAnalysisDialog.defaultProps = {
+  mapping: [],
+  open: false,
+};
+
+export default connect(
+  // mapStateToProps
+  (state) => {
+    const open = isCollisionAnalysisDialogOpen(state);
+    return open
+      ? {
+          error: getCollisionAnalysisError(state),
+          hasShow: hasLoadedShowFile(state),
+          mapping: getMissionMapping(state),
+          open,
+          result: getCollisionAnalysisResult(state),
+          status: getCollisionAnalysisStatus(state),
+          summary: getCollisionAnalysisSummary(state),
+          threshold: getCollisionAnalysisThreshold(state),
+        }
+      : { open };
+  },
+  // mapDispatchToProps
+  {
+    onClose: closeCollisionAnalysisDialog,
+    onRun: runCollisionAnalysis,
+    onThresholdChanged: (event) =>
+      setCollisionAnalysisThreshold(Number.parseFloat(event.target.value)),
+  }
+)(withTranslation()(CollisionAnalysisDialog));
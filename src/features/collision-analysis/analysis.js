@@ -0,0 +1,221 @@
+/**
+ * @file Functions that check the pairwise separation of the drones in a show
+ * and estimate their velocities and accelerations by sampling their
+ * trajectories over time.
+ *
+ * The functions in this file do not depend on the state store so they can be
+ * run in a web worker.
+ */
+
+import {
+  getPositionOfTrajectoryAt,
+  getTrajectoryDuration,
+  isValidTrajectory,
+} from '~/features/show/trajectory';
+
+import { MAX_REPORTED_CONFLICTS } from './constants';
+
+const distanceBetween = (a, b) =>
+  Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+
+/**
+ * Updates the highest velocity and acceleration of a single drone with the
+ * displacement between the last two samples of its trajectory.
+ *
+ * The state object holds the kinematics item of the drone that is being
+ * updated, and the position and velocity of the drone at the previous sample.
+ */
+function updateKinematics(state, position, time, dt) {
+  const { item, previousPosition, previousVelocity } = state;
+
+  if (previousPosition && dt > 0) {
+    const velocity = [
+      (position[0] - previousPosition[0]) / dt,
+      (position[1] - previousPosition[1]) / dt,
+      (position[2] - previousPosition[2]) / dt,
+    ];
+    const speed = Math.hypot(...velocity);
+    if (speed > item.maxVelocity) {
+      item.maxVelocity = speed;
+      item.maxVelocityTime = time - dt / 2;
+    }
+
+    if (previousVelocity) {
+      const acceleration = distanceBetween(velocity, previousVelocity) / dt;
+      if (acceleration > item.maxAcceleration) {
+        item.maxAcceleration = acceleration;
+        item.maxAccelerationTime = time - dt;
+      }
+    }
+
+    state.previousVelocity = velocity;
+  }
+
+  state.previousPosition = position;
+}
+
+/**
+ * Creates an object that keeps track of the pairs of drones that are closer to
+ * each other than the threshold. Consecutive samples where the same pair is
+ * too close are merged into a single conflict.
+ */
+function createConflictTracker() {
+  const conflicts = [];
+  let conflictCount = 0;
+  let ongoingConflicts = new Map();
+  let nextOngoingConflicts = new Map();
+
+  return {
+    /**
+     * Records that the given pair of drones is closer than the threshold at
+     * the given time.
+     */
+    add(pair, distance, time) {
+      const key = pair.join(':');
+      let conflict = ongoingConflicts.get(key);
+
+      if (conflict) {
+        conflict.end = time;
+        if (distance < conflict.distance) {
+          conflict.distance = distance;
+          conflict.time = time;
+        }
+      } else {
+        conflict = { indices: pair, start: time, end: time, distance, time };
+        conflictCount++;
+
+        if (conflicts.length < MAX_REPORTED_CONFLICTS) {
+          conflicts.push(conflict);
+        }
+      }
+
+      nextOngoingConflicts.set(key, conflict);
+    },
+
+    /**
+     * Closes the current sample; conflicts that were not recorded again in
+     * the current sample are considered to be over.
+     */
+    finishSample() {
+      ongoingConflicts = nextOngoingConflicts;
+      nextOngoingConflicts = new Map();
+    },
+
+    /**
+     * Returns the reported conflicts and the total number of conflicts.
+     */
+    getResult: () => ({ conflicts, conflictCount }),
+  };
+}
+
+/**
+ * Samples the trajectories of a show at regular intervals and checks the
+ * distances between all pairs of drones at each sample.
+ *
+ * Pairs are enumerated with a sweep along the X axis so the analysis stays
+ * fast for shows with a thousand drones: only pairs that are closer along the
+ * X axis than the threshold or the closest distance seen so far need to be
+ * checked.
+ *
+ * @param {Object} options
+ * @param {Object[]} options.trajectories  the trajectories of the drones,
+ *        indexed by mission indices; may contain undefined for drones without
+ *        a trajectory
+ * @param {number} options.threshold  the minimum separation between drones;
+ *        pairs getting closer than this are reported as conflicts
+ * @param {number} options.interval  the time between consecutive samples
+ * @returns {Object} the result of the analysis: the closest approach of any
+ *          two drones, the time intervals when pairs of drones were closer
+ *          than the threshold and the highest velocity and acceleration of
+ *          each drone
+ */
+export function analyzeTrajectories({ trajectories, threshold, interval }) {
+  const indices = [];
+  let duration = 0;
+
+  for (const [index, trajectory] of trajectories.entries()) {
+    if (isValidTrajectory(trajectory)) {
+      indices.push(index);
+      duration = Math.max(duration, getTrajectoryDuration(trajectory));
+    }
+  }
+
+  const count = indices.length;
+  const kinematics = indices.map((index) => ({
+    index,
+    maxVelocity: 0,
+    maxVelocityTime: 0,
+    maxAcceleration: 0,
+    maxAccelerationTime: 0,
+  }));
+  const kinematicStates = kinematics.map((item) => ({ item }));
+  const order = indices.map((_, i) => i);
+
+  const conflictTracker = createConflictTracker();
+  let minimum;
+
+  const steps = Math.ceil(duration / interval);
+  let previousTime = 0;
+
+  for (let step = 0; step <= steps; step++) {
+    const time = Math.min(step * interval, duration);
+    const positions = indices.map((index) =>
+      getPositionOfTrajectoryAt(trajectories[index], time)
+    );
+
+    for (let i = 0; i < count; i++) {
+      updateKinematics(
+        kinematicStates[i],
+        positions[i],
+        time,
+        time - previousTime
+      );
+    }
+
+    order.sort((a, b) => positions[a][0] - positions[b][0]);
+
+    for (let a = 0; a < count; a++) {
+      const first = positions[order[a]];
+
+      for (let b = a + 1; b < count; b++) {
+        const second = positions[order[b]];
+        const radius = minimum
+          ? Math.max(minimum.distance, threshold)
+          : Number.POSITIVE_INFINITY;
+
+        if (second[0] - first[0] > radius) {
+          break;
+        }
+
+        const distance = distanceBetween(first, second);
+        if (distance > radius) {
+          continue;
+        }
+
+        const i = indices[order[a]];
+        const j = indices[order[b]];
+        const pair = i < j ? [i, j] : [j, i];
+
+        if (!minimum || distance < minimum.distance) {
+          minimum = { distance, indices: pair, time };
+        }
+
+        if (distance < threshold) {
+          conflictTracker.add(pair, distance, time);
+        }
+      }
+    }
+
+    conflictTracker.finishSample();
+    previousTime = time;
+  }
+
+  return {
+    ...conflictTracker.getResult(),
+    duration,
+    interval,
+    kinematics,
+    minimum,
+    threshold,
+  };
+}
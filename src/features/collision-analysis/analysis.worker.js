@@ -0,0 +1,14 @@
+/**
+ * @file Web worker that runs the collision analysis of a show so the UI stays
+ * responsive while the trajectories are being sampled.
+ */
+
+import { analyzeTrajectories } from './analysis';
+
+self.addEventListener('message', ({ data }) => {
+  try {
+    self.postMessage({ result: analyzeTrajectories(data) });
+  } catch (error) {
+    self.postMessage({ error: String(error?.message ?? error) });
+  }
+});
@@ -0,0 +1,24 @@
+/**
+ * Default minimum distance between any two drones of a show, in meters.
+ * Pairs of drones that get closer to each other are reported as conflicts.
+ */
+export const DEFAULT_MINIMUM_SEPARATION = 2;
+
+/**
+ * Time between consecutive samples of the trajectories during the analysis,
+ * in seconds.
+ */
+export const COLLISION_ANALYSIS_SAMPLING_INTERVAL = 0.25;
+
+/**
+ * Maximum number of conflicts that the analysis reports one by one. Shows with
+ * more conflicts are most likely broken anyway (e.g., they are scaled down
+ * too much), and we do not want to flood the UI with them.
+ */
+export const MAX_REPORTED_CONFLICTS = 1000;
+
+/**
+ * Maximum number of conflicts whose trajectory segments are highlighted in the
+ * 3D view and on the map.
+ */
+export const MAX_HIGHLIGHTED_CONFLICTS = 100;
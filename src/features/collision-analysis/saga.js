@@ -0,0 +1,61 @@
+import { call, put, select, takeLatest } from 'redux-saga/effects';
+
+import { getTrajectories } from '~/features/show/selectors';
+import { loadingPromiseFulfilled } from '~/features/show/slice';
+import { isValidTrajectory } from '~/features/show/trajectory';
+
+import { COLLISION_ANALYSIS_SAMPLING_INTERVAL } from './constants';
+import { getCollisionAnalysisThreshold } from './selectors';
+import {
+  clearCollisionAnalysisResult,
+  collisionAnalysisFailed,
+  collisionAnalysisFinished,
+  collisionAnalysisStarted,
+  runCollisionAnalysis,
+  setCollisionAnalysisThreshold,
+} from './slice';
+import { analyzeTrajectoriesInWorker } from './worker';
+
+/**
+ * Saga that runs the collision analysis of the loaded show in a web worker
+ * and stores its result in the state store.
+ */
+function* analyzeLoadedShow() {
+  const trajectories = yield select(getTrajectories);
+  if (!trajectories.some(isValidTrajectory)) {
+    yield put(clearCollisionAnalysisResult());
+    return;
+  }
+
+  const threshold = yield select(getCollisionAnalysisThreshold);
+
+  yield put(collisionAnalysisStarted());
+
+  try {
+    const result = yield call(analyzeTrajectoriesInWorker, {
+      trajectories,
+      threshold,
+      interval: COLLISION_ANALYSIS_SAMPLING_INTERVAL,
+    });
+    yield put(collisionAnalysisFinished(result));
+  } catch (error) {
+    console.error(error);
+    yield put(collisionAnalysisFailed(String(error?.message ?? error)));
+  }
+}
+
+/**
+ * Saga that re-runs the collision analysis whenever a show is loaded or the
+ * minimum separation between drones is changed. Analyses that are still
+ * running are cancelled when a new one is started.
+ */
+export default function* collisionAnalysisSaga() {
+  yield takeLatest(
+    [
+      loadingPromiseFulfilled.type,
+      runCollisionAnalysis.type,
+      setCollisionAnalysisThreshold.type,
+    ],
+    analyzeLoadedShow
+  );
+}
@@ -0,0 +1,174 @@
+import maxBy from 'lodash-es/maxBy';
+
+import { createSelector } from '@reduxjs/toolkit';
+
+import { Status } from '~/components/semantics';
+import {
+  getOutdoorShowToWorldCoordinateSystemTransformation,
+  getTrajectories,
+  hasLoadedShowFile,
+} from '~/features/show/selectors';
+import { getPositionOfTrajectoryAt } from '~/features/show/trajectory';
+
+import { MAX_HIGHLIGHTED_CONFLICTS } from './constants';
+import { CollisionAnalysisStatus } from './types';
+
+/**
+ * Returns the minimum distance between drones that the collision analysis
+ * checks the show against, in meters.
+ */
+export const getCollisionAnalysisThreshold = (state) =>
+  state.collisionAnalysis.settings.threshold;
+
+/**
+ * Returns the status of the collision analysis of the loaded show.
+ */
+export const getCollisionAnalysisStatus = (state) =>
+  state.collisionAnalysis.status;
+
+/**
+ * Returns the result of the last collision analysis of the loaded show, or
+ * undefined if the analysis has not finished yet.
+ */
+export const getCollisionAnalysisResult = (state) =>
+  state.collisionAnalysis.result;
+
+/**
+ * Returns the error message of the last collision analysis if it failed.
+ */
+export const getCollisionAnalysisError = (state) =>
+  state.collisionAnalysis.error;
+
+/**
+ * Returns whether the dialog showing the result of the collision analysis is
+ * open.
+ */
+export const isCollisionAnalysisDialogOpen = (state) =>
+  state.collisionAnalysis.dialog.open;
+
+/**
+ * Returns the most important figures of the collision analysis: the closest
+ * approach of any two drones, the number of conflicts and the highest
+ * velocity and acceleration of any drone, along with the mission index of the
+ * drone and the time when it was reached.
+ */
+export const getCollisionAnalysisSummary = createSelector(
+  getCollisionAnalysisResult,
+  (result) => {
+    if (!result) {
+      return undefined;
+    }
+
+    const { conflictCount, kinematics, minimum } = result;
+    const fastest = maxBy(kinematics, 'maxVelocity');
+    const hardest = maxBy(kinematics, 'maxAcceleration');
+
+    return {
+      conflictCount,
+      minimum,
+      maxVelocity: fastest && {
+        index: fastest.index,
+        time: fastest.maxVelocityTime,
+        value: fastest.maxVelocity,
+      },
+      maxAcceleration: hardest && {
+        index: hardest.index,
+        time: hardest.maxAccelerationTime,
+        value: hardest.maxAcceleration,
+      },
+    };
+  }
+);
+
+/**
+ * Returns the semantic status of the collision analysis, suitable for a
+ * status light.
+ */
+export const getCollisionAnalysisStatusLight = (state) => {
+  if (!hasLoadedShowFile(state)) {
+    return Status.OFF;
+  }
+
+  switch (getCollisionAnalysisStatus(state)) {
+    case CollisionAnalysisStatus.RUNNING:
+      return Status.WAITING;
+
+    case CollisionAnalysisStatus.ERROR:
+      return Status.ERROR;
+
+    case CollisionAnalysisStatus.DONE:
+      return getCollisionAnalysisResult(state).conflictCount > 0
+        ? Status.ERROR
+        : Status.SUCCESS;
+
+    default:
+      return Status.OFF;
+  }
+};
+
+/**
+ * Returns the parts of the trajectories that belong to the conflicts found by
+ * the collision analysis, in show coordinates. Each conflict yields a segment
+ * for both drones involved; at most `MAX_HIGHLIGHTED_CONFLICTS` conflicts are
+ * considered.
+ *
+ * Segments are padded with one sampling interval on both ends so even
+ * momentary conflicts show up as a visible line.
+ */
+export const getCollisionSegments = createSelector(
+  getTrajectories,
+  getCollisionAnalysisResult,
+  (trajectories, result) => {
+    const segments = [];
+    if (!result) {
+      return segments;
+    }
+
+    const { conflicts, interval } = result;
+
+    for (const [index, conflict] of conflicts
+      .slice(0, MAX_HIGHLIGHTED_CONFLICTS)
+      .entries()) {
+      const start = Math.max(0, conflict.start - interval);
+      const end = Math.min(result.duration, conflict.end + interval);
+
+      for (const missionIndex of conflict.indices) {
+        const trajectory = trajectories[missionIndex];
+        const points = [];
+
+        for (let time = start; time < end; time += interval) {
+          points.push(getPositionOfTrajectoryAt(trajectory, time));
+        }
+
+        points.push(getPositionOfTrajectoryAt(trajectory, end));
+
+        segments.push({
+          id: `${index}:${missionIndex}`,
+          missionIndex,
+          points: points.filter(Boolean),
+        });
+      }
+    }
+
+    return segments;
+  }
+);
+
+/**
+ * Returns the parts of the trajectories that belong to the conflicts found by
+ * the collision analysis, in world coordinates.
+ *
+ * Returns an empty array if the show is indoors or there is no show coordinate
+ * system defined yet.
+ */
+export const getCollisionSegmentsInWorldCoordinates = createSelector(
+  getCollisionSegments,
+  getOutdoorShowToWorldCoordinateSystemTransformation,
+  (segments, transform) =>
+    transform
+      ? segments.map(({ points, ...rest }) => ({
+          ...rest,
+          points: points.map(transform),
+        }))
+      : []
+);
@@ -0,0 +1,122 @@
+/**
+ * @file Slice of the state object that stores the settings and the result of
+ * the collision analysis of the loaded show.
+ */
+
+import { createSlice, type PayloadAction } from '@reduxjs/toolkit';
+
+import { _clearLoadedShow } from '~/features/show/slice';
+import { noPayload } from '~/utils/redux';
+
+import { DEFAULT_MINIMUM_SEPARATION } from './constants';
+import { type CollisionAnalysisResult, CollisionAnalysisStatus } from './types';
+
+type CollisionAnalysisSliceState = {
+  dialog: {
+    open: boolean;
+  };
+
+  settings: {
+    /** Minimum distance between drones, in meters */
+    threshold: number;
+  };
+
+  status: CollisionAnalysisStatus;
+  result?: CollisionAnalysisResult;
+  error?: string;
+};
+
+const initialState: CollisionAnalysisSliceState = {
+  dialog: {
+    open: false,
+  },
+
+  settings: {
+    threshold: DEFAULT_MINIMUM_SEPARATION,
+  },
+
+  status: CollisionAnalysisStatus.IDLE,
+  result: undefined,
+  error: undefined,
+};
+
+const clearResult = (state: CollisionAnalysisSliceState): void => {
+  state.status = CollisionAnalysisStatus.IDLE;
+  state.result = undefined;
+  state.error = undefined;
+};
+
+const { actions, reducer } = createSlice({
+  name: 'collision-analysis',
+  initialState,
+  reducers: {
+    clearCollisionAnalysisResult: noPayload<CollisionAnalysisSliceState>(
+      (state) => {
+        clearResult(state);
+      }
+    ),
+
+    closeCollisionAnalysisDialog: noPayload<CollisionAnalysisSliceState>(
+      (state) => {
+        state.dialog.open = false;
+      }
+    ),
+
+    collisionAnalysisFailed(state, action: PayloadAction<string | undefined>) {
+      state.status = CollisionAnalysisStatus.ERROR;
+      state.result = undefined;
+      state.error = action.payload;
+    },
+
+    collisionAnalysisFinished(
+      state,
+      action: PayloadAction<CollisionAnalysisResult>
+    ) {
+      state.status = CollisionAnalysisStatus.DONE;
+      state.result = action.payload;
+      state.error = undefined;
+    },
+
+    collisionAnalysisStarted: noPayload<CollisionAnalysisSliceState>(
+      (state) => {
+        clearResult(state);
+        state.status = CollisionAnalysisStatus.RUNNING;
+      }
+    ),
+
+    runCollisionAnalysis: noPayload<CollisionAnalysisSliceState>(() => {
+      // Nothing to do, this action simply triggers a saga that will do the
+      // hard work.
+    }),
+
+    setCollisionAnalysisThreshold(state, action: PayloadAction<number>) {
+      const threshold = action.payload;
+      if (Number.isFinite(threshold) && threshold > 0) {
+        state.settings.threshold = threshold;
+      }
+    },
+
+    showCollisionAnalysisDialog: noPayload<CollisionAnalysisSliceState>(
+      (state) => {
+        state.dialog.open = true;
+      }
+    ),
+  },
+
+  extraReducers(builder) {
+    builder.addCase(_clearLoadedShow, clearResult);
+  },
+});
+
+export const {
+  clearCollisionAnalysisResult,
+  closeCollisionAnalysisDialog,
+  collisionAnalysisFailed,
+  collisionAnalysisFinished,
+  collisionAnalysisStarted,
+  runCollisionAnalysis,
+  setCollisionAnalysisThreshold,
+  showCollisionAnalysisDialog,
+} = actions;
+
+export default reducer;
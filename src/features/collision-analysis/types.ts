@@ -0,0 +1,59 @@
+/**
+ * Possible states of the collision analysis of the loaded show.
+ */
+export enum CollisionAnalysisStatus {
+  IDLE = 'idle',
+  RUNNING = 'running',
+  DONE = 'done',
+  ERROR = 'error',
+}
+
+/**
+ * A time interval during which two drones of the show are closer to each
+ * other than the configured minimum separation. Drones are identified by
+ * their mission indices.
+ */
+export type CollisionConflict = {
+  indices: [number, number];
+  start: number;
+  end: number;
+
+  /** The smallest distance between the two drones during the interval */
+  distance: number;
+
+  /** The time when the smallest distance was reached */
+  time: number;
+};
+
+/**
+ * The highest velocity and acceleration of a single drone along its
+ * trajectory, estimated from the sampled positions.
+ */
+export type DroneKinematics = {
+  index: number;
+  maxVelocity: number;
+  maxVelocityTime: number;
+  maxAcceleration: number;
+  maxAccelerationTime: number;
+};
+
+export type CollisionAnalysisResult = {
+  /** Conflicts in the order they begin; may be truncated for broken shows */
+  conflicts: CollisionConflict[];
+
+  /** Total number of conflicts, including the ones not listed */
+  conflictCount: number;
+
+  duration: number;
+  interval: number;
+  kinematics: DroneKinematics[];
+
+  /** The closest approach of any two drones during the show */
+  minimum?: {
+    distance: number;
+    indices: [number, number];
+    time: number;
+  };
+
+  threshold: number;
+};
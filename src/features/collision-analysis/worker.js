@@ -0,0 +1,16 @@
+import { runInWorker } from '~/utils/workers';
+
+/**
+ * Runs the collision analysis of a show in a dedicated web worker. Returns a
+ * promise that resolves to the result of the analysis. The promise is extended
+ * with a cancellation callback for Redux-saga that terminates the worker.
+ *
+ * @param {Object} parameters  the parameters of the analysis; see
+ *        `analyzeTrajectories()` for details
+ */
+export const analyzeTrajectoriesInWorker = (parameters) =>
+  runInWorker(
+    new Worker(new URL('analysis.worker.js', import.meta.url)),
+    parameters,
+    { errorMessage: 'Collision analysis failed' }
+  );
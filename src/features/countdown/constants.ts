@@ -0,0 +1,42 @@
+/**
+ * Number of seconds before the start of the show when the countdown display
+ * switches to its warning color.
+ */
+export const COUNTDOWN_WARNING_THRESHOLD = 60;
+
+/**
+ * Number of seconds before the start of the show when the countdown display
+ * switches to its critical color.
+ */
+export const COUNTDOWN_CRITICAL_THRESHOLD = 10;
+
+/**
+ * Fixed font sizes that the user can choose from for the main readout of the
+ * countdown display, in pixels. The readout may also be scaled to fill the
+ * panel instead.
+ */
+export const COUNTDOWN_FONT_SIZES = [48, 72, 96, 144, 192, 288] as const;
+
+/**
+ * Phases of the countdown display that determine how the main readout is
+ * formatted and colored.
+ */
+export enum CountdownPhase {
+  /** No start time is scheduled or the show clock is unknown */
+  IDLE = 'idle',
+
+  /** The start time is more than a minute away */
+  COUNTDOWN = 'countdown',
+
+  /** The start time is less than a minute away */
+  WARNING = 'warning',
+
+  /** The start time is less than ten seconds away */
+  CRITICAL = 'critical',
+
+  /** The show is in progress */
+  RUNNING = 'running',
+
+  /** The show has ended */
+  FINISHED = 'finished',
+}
@@ -0,0 +1,108 @@
+import isNil from 'lodash-es/isNil';
+
+import { getClockById } from '~/features/clocks/selectors';
+import { CommonClockId } from '~/features/clocks/types';
+import {
+  getTickCountOnClockAt,
+  isClockAffectedByClockSkew,
+} from '~/features/clocks/utils';
+import { getRoundedClockSkewInMilliseconds } from '~/features/servers/selectors';
+import {
+  getSecondsUntilShowStart,
+  getShowDuration,
+} from '~/features/show/selectors';
+
+import {
+  COUNTDOWN_CRITICAL_THRESHOLD,
+  COUNTDOWN_WARNING_THRESHOLD,
+  CountdownPhase,
+} from './constants';
+
+/**
+ * Returns the font size of the main readout of the countdown display in
+ * pixels, or undefined if the readout should fill the panel.
+ */
+export const getCountdownFontSize = (state) => state.countdown.fontSize;
+
+/**
+ * Returns the number of seconds shown on the given clock at the given
+ * timestamp, taking into account the clock skew between the server and the
+ * client if needed.
+ */
+const getSecondsOnClockAt = (state, clock, timestamp) => {
+  const clockSkew = isClockAffectedByClockSkew(clock)
+    ? getRoundedClockSkewInMilliseconds(state) || 0
+    : 0;
+  return (
+    getTickCountOnClockAt(clock, timestamp + clockSkew) /
+    (clock.ticksPerSecond || 1)
+  );
+};
+
+/**
+ * Returns the clock with the given ID if the server provides it and it is
+ * running, undefined otherwise.
+ */
+const getRunningClockById = (state, id) => {
+  const clock = getClockById(state, id);
+  return clock?.running ? clock : undefined;
+};
+
+/**
+ * Returns the times to show on the countdown display: the number of seconds
+ * until the scheduled start of the show, the number of seconds elapsed since
+ * the start and the number of seconds remaining until the end of the show.
+ * Each of them may be null if it is not known.
+ *
+ * Elapsed and remaining times are taken from the show and end-of-show clocks
+ * of the server while they are running, and are derived from the scheduled
+ * start time and the duration of the loaded show otherwise.
+ *
+ * The result depends on the current time so it is not memoized.
+ */
+export const getCountdownTimes = (state, now = Date.now()) => {
+  const secondsUntilStart = getSecondsUntilShowStart(state);
+  const showClock = getRunningClockById(state, CommonClockId.SHOW);
+  const endOfShowClock = getRunningClockById(state, CommonClockId.END_OF_SHOW);
+  const duration = getShowDuration(state);
+
+  const elapsed = showClock
+    ? getSecondsOnClockAt(state, showClock, now)
+    : isNil(secondsUntilStart)
+      ? null
+      : -secondsUntilStart;
+
+  // The end-of-show clock counts upwards from a negative value and reaches
+  // zero at the end of the show
+  const remaining = endOfShowClock
+    ? -getSecondsOnClockAt(state, endOfShowClock, now)
+    : isNil(elapsed) || duration <= 0
+      ? null
+      : duration - Math.max(elapsed, 0);
+
+  return { elapsed, remaining, secondsUntilStart };
+};
+
+/**
+ * Returns the phase of the countdown given the times shown on the countdown
+ * display.
+ */
+export function getCountdownPhase({ elapsed, remaining, secondsUntilStart }) {
+  if (!isNil(secondsUntilStart) && secondsUntilStart > 0) {
+    return secondsUntilStart <= COUNTDOWN_CRITICAL_THRESHOLD
+      ? CountdownPhase.CRITICAL
+      : secondsUntilStart <= COUNTDOWN_WARNING_THRESHOLD
+        ? CountdownPhase.WARNING
+        : CountdownPhase.COUNTDOWN;
+  }
+
+  if (!isNil(remaining) && remaining <= 0) {
+    return CountdownPhase.FINISHED;
+  }
+
+  if (!isNil(elapsed) && elapsed >= 0) {
+    return CountdownPhase.RUNNING;
+  }
+
+  return CountdownPhase.IDLE;
+}
@@ -0,0 +1,40 @@
+/**
+ * @file Slice of the state object that stores the settings of the countdown
+ * display of the show.
+ */
+
+import { createSlice, type PayloadAction } from '@reduxjs/toolkit';
+
+import { COUNTDOWN_FONT_SIZES } from './constants';
+
+type CountdownSliceState = {
+  /**
+   * Font size of the main readout of the countdown display in pixels;
+   * undefined means that the readout is scaled to fill the panel.
+   */
+  fontSize?: number;
+};
+
+const initialState: CountdownSliceState = {
+  fontSize: undefined,
+};
+
+const { actions, reducer } = createSlice({
+  name: 'countdown',
+  initialState,
+  reducers: {
+    setCountdownFontSize(state, action: PayloadAction<number | undefined>) {
+      const fontSize = action.payload;
+      if (
+        fontSize === undefined ||
+        (COUNTDOWN_FONT_SIZES as readonly number[]).includes(fontSize)
+      ) {
+        state.fontSize = fontSize;
+      }
+    },
+  },
+});
+
+export const { setCountdownFontSize } = actions;
+
+export default reducer;
@@ -1,29 +1,32 @@
 import PropTypes from 'prop-types';
 import React from 'react';
 import { connect } from 'react-redux';
-import { useToggle } from 'react-use';
 
 import Box from '@material-ui/core/Box';
-import FormControlLabel from '@material-ui/core/FormControlLabel';
 import IconButton from '@material-ui/core/IconButton';
-import Switch from '@material-ui/core/Switch';
 import Toolbar from '@material-ui/core/Toolbar';
 import Typography from '@material-ui/core/Typography';
 import { makeStyles } from '@material-ui/core/styles';
 
 import MeetingRoom from '@material-ui/icons/MeetingRoom';
 import NoMeetingRoom from '@material-ui/icons/NoMeetingRoom';
-import PowerSettingsNew from '@material-ui/icons/PowerSettingsNew';
-import Refresh from '@material-ui/icons/Refresh';
 
 import StatusText from '@skybrush/mui-components/lib/StatusText';
 import Tooltip from '@skybrush/mui-components/lib/Tooltip';
 
 import { ComplexAvatar } from '~/components/avatar';
-import Colors from '~/components/colors';
 import MiniTable from '~/components/MiniTable';
+import { areExperimentalFeaturesEnabled } from '~/features/settings/selectors';
 
+import { closeDockDoor, openDockDoor } from './actions';
 import { getSelectedDockIdInDockDetailsDialog } from './details';
+import { getDockById } from './selectors';
+import {
+  describeChargingStatus,
+  describeDoorState,
+  getOverallStatusOfDock,
+} from './status';
+import { DockDoorState } from './types';
 
 const useStyles = makeStyles(
   (theme) => ({
@@ -63,89 +66,128 @@ const useStyles = makeStyles(
   }
 );
 
+const formatPadOccupancy = (pads) =>
+  Array.isArray(pads) && pads.length > 0
+    ? `${pads.filter((pad) => pad.occupied).length}/${pads.length}`
+    : '—';
+
+const formatCoordinate = (value) =>
+  typeof value === 'number' ? value.toFixed(7) : '—';
+
 /**
- * Sidebar of the UAV details dialog.
+ * Sidebar of the dock details dialog.
  */
-const DockDetailsDialogSidebar = ({ dockId }) => {
-  const [modeIsAuto, toggleMode] = useToggle(false);
+const DockDetailsDialogSidebar = ({
+  dock,
+  dockId,
+  experimentalFeaturesEnabled,
+  onCloseDoor,
+  onOpenDoor,
+}) => {
   const classes = useStyles();
+  const door = describeDoorState(dock?.door);
+  const doorIsBusy =
+    dock?.door === DockDoorState.OPENING ||
+    dock?.door === DockDoorState.CLOSING;
+
   return (
     <Box className={classes.root}>
       <Box display='flex' flexDirection='row' alignItems='center'>
         <Box className={classes.avatar}>
-          <ComplexAvatar label='OK' status='success' />
+          <ComplexAvatar
+            id={dockId}
+            label={formatPadOccupancy(dock?.pads)}
+            hint='pads'
+            status={getOverallStatusOfDock(dock)}
+          />
         </Box>
         <Box className={classes.summary}>
           <Typography variant='body1'>{dockId}</Typography>
-          {modeIsAuto ? (
-            <StatusText key='status' status='success'>
-              Automatic mode
-            </StatusText>
-          ) : (
-            <StatusText key='status' status='warning'>
-              Manual mode
-            </StatusText>
-          )}
+          <StatusText status={door.status}>Door {door.label}</StatusText>
         </Box>
       </Box>
-      <Toolbar disableGutters variant='dense' className={classes.toolbar}>
-        <Box className={classes.toolbarInner}>
-          <Tooltip content='Open door'>
-            <IconButton size='small'>
-              <MeetingRoom fontSize='small' />
-            </IconButton>
-          </Tooltip>
-          <Tooltip content='Close door'>
-            <IconButton size='small'>
-              <NoMeetingRoom fontSize='small' />
-            </IconButton>
-          </Tooltip>
-          <Tooltip content='Reboot'>
-            <IconButton size='small'>
-              <Refresh htmlColor={Colors.error} fontSize='small' />
-            </IconButton>
-          </Tooltip>
-          <Tooltip content='Power off'>
-            <IconButton size='small'>
-              <PowerSettingsNew htmlColor={Colors.error} fontSize='small' />
-            </IconButton>
-          </Tooltip>
-        </Box>
-      </Toolbar>
+      {experimentalFeaturesEnabled && (
+        <Toolbar disableGutters variant='dense' className={classes.toolbar}>
+          <Box className={classes.toolbarInner}>
+            <Tooltip content='Open door'>
+              <IconButton
+                size='small'
+                disabled={
+                  !dock || doorIsBusy || dock.door === DockDoorState.OPEN
+                }
+                onClick={() => onOpenDoor(dockId)}
+              >
+                <MeetingRoom fontSize='small' />
+              </IconButton>
+            </Tooltip>
+            <Tooltip content='Close door'>
+              <IconButton
+                size='small'
+                disabled={
+                  !dock || doorIsBusy || dock.door === DockDoorState.CLOSED
+                }
+                onClick={() => onCloseDoor(dockId)}
+              >
+                <NoMeetingRoom fontSize='small' />
+              </IconButton>
+            </Tooltip>
+          </Box>
+        </Toolbar>
+      )}
       <MiniTable
         items={[
-          ['Location', 'ELTE kert'],
+          ['Latitude', formatCoordinate(dock?.position?.lat)],
+          ['Longitude', formatCoordinate(dock?.position?.lon)],
           'sep1',
-          ['Latitude', 47.474223],
-          ['Longitude', 19.06188],
-          'sep2',
-          ['Door', <StatusText status='success'>closed</StatusText>],
-          ['Temperature', '31.3 °C'],
-          'sep3',
-          ['Landing pad 1', <StatusText status='next'>charging</StatusText>],
+          [
+            'Door',
+            <StatusText key='door' status={door.status}>
+              {door.label}
+            </StatusText>,
+          ],
+          [
+            'Temperature',
+            typeof dock?.temperature === 'number'
+              ? `${dock.temperature.toFixed(1)} °C`
+              : '—',
+          ],
+          ...(dock?.pads?.length > 0 ? ['sep2'] : []),
+          ...(dock?.pads ?? []).map((pad) => {
+            const { status, label } = describeChargingStatus(pad);
+            return [
+              `Landing pad ${pad.id}`,
+              <StatusText key={pad.id} status={status}>
+                {label}
+              </StatusText>,
+            ];
+          }),
         ]}
       />
-      <Box flex={1} />
-      <FormControlLabel
-        control={<Switch color='primary' />}
-        label='Automatic mode'
-        style={{ margin: '0 !important' }}
-        checked={modeIsAuto}
-        onChange={() => toggleMode()}
-      />
     </Box>
   );
 };
 
 DockDetailsDialogSidebar.propTypes = {
+  dock: PropTypes.object,
   dockId: PropTypes.string,
+  experimentalFeaturesEnabled: PropTypes.bool,
+  onCloseDoor: PropTypes.func,
+  onOpenDoor: PropTypes.func,
 };
 
 export default connect(
   // mapStateToProps
-  (state) => ({
-    dockId: getSelectedDockIdInDockDetailsDialog(state),
-  }),
+  (state) => {
+    const dockId = getSelectedDockIdInDockDetailsDialog(state);
+    return {
+      dock: getDockById(state, dockId),
+      dockId,
+      experimentalFeaturesEnabled: areExperimentalFeaturesEnabled(state),
+    };
+  },
   // mapDispatchToProps
-  {}
+  {
+    onCloseDoor: closeDockDoor,
+    onOpenDoor: openDockDoor,
+  }
 )(DockDetailsDialogSidebar);
@@ -10,6 +10,7 @@ import {
   getSelectedTabInDockDetailsDialog,
   setSelectedTabInDockDetailsDialog,
 } from './details';
+import { DockDetailsDialogTab } from './types';
 
 /**
  * Presentation component for the dialog that allows the user to inspect the
@@ -17,10 +18,9 @@ import {
  */
 const DockDetailsDialogTabs = ({ dragHandleId, ...rest }) => (
   <DialogTabs alignment='left' dragHandle={dragHandleId} {...rest}>
-    <Tab label='Status' value='status' />
-    <Tab label='Schedule' value='schedule' />
-    <Tab label='Storage' value='storage' />
-    <Tab label='Live cam' value='liveCam' />
+    <Tab label='Status' value={DockDetailsDialogTab.STATUS} />
+    <Tab label='Schedule' value={DockDetailsDialogTab.SCHEDULE} />
+    <Tab label='Storage' value={DockDetailsDialogTab.STORAGE} />
   </DialogTabs>
 );
 
@@ -30,7 +30,7 @@ DockDetailsDialogTabs.propTypes = {
 };
 
 DockDetailsDialogTabs.defaultProps = {
-  value: 'status',
+  value: DockDetailsDialogTab.STATUS,
 };
 
 export default connect(
@@ -0,0 +1,212 @@
+import getUnixTime from 'date-fns/getUnixTime';
+import orderBy from 'lodash-es/orderBy';
+import PropTypes from 'prop-types';
+import React, { useState } from 'react';
+import { connect } from 'react-redux';
+
+import Box from '@material-ui/core/Box';
+import Button from '@material-ui/core/Button';
+import IconButton from '@material-ui/core/IconButton';
+import List from '@material-ui/core/List';
+import ListItem from '@material-ui/core/ListItem';
+import ListItemSecondaryAction from '@material-ui/core/ListItemSecondaryAction';
+import ListItemText from '@material-ui/core/ListItemText';
+import ListSubheader from '@material-ui/core/ListSubheader';
+import TextField from '@material-ui/core/TextField';
+import Clear from '@material-ui/icons/Clear';
+
+import StatusLight from '@skybrush/mui-components/lib/StatusLight';
+import Tooltip from '@skybrush/mui-components/lib/Tooltip';
+
+import { areExperimentalFeaturesEnabled } from '~/features/settings/selectors';
+import { formatDuration, formatUnixTimestamp } from '~/utils/formatting';
+
+import { cancelScheduledDockMission, scheduleDockMission } from './actions';
+import { getStatusOfScheduledMission, isMissionUpcoming } from './status';
+import { DockMissionStatus } from './types';
+
+const formatPastMissionDetails = ({ duration, reason, startTime }) =>
+  [
+    formatUnixTimestamp(startTime),
+    reason ?? (typeof duration === 'number' ? formatDuration(duration) : null),
+  ]
+    .filter(Boolean)
+    .join(' • ');
+
+/**
+ * Form that allows the user to schedule a new mission on a docking station.
+ */
+const ScheduleMissionForm = ({ onSubmit }) => {
+  const [name, setName] = useState('');
+  const [startTime, setStartTime] = useState('');
+
+  // The value of a datetime-local input is interpreted in local time
+  const startDate = startTime ? new Date(startTime) : null;
+  const isValid =
+    name.trim().length > 0 &&
+    startDate !== null &&
+    !Number.isNaN(startDate.getTime());
+
+  const submit = () => {
+    onSubmit({ name: name.trim(), startTime: getUnixTime(startDate) });
+    setName('');
+  };
+
+  return (
+    <Box display='flex' alignItems='flex-end' px={2} pt={1}>
+      <TextField
+        label='Mission name'
+        value={name}
+        style={{ flex: 1 }}
+        onChange={(event) => setName(event.target.value)}
+      />
+      <Box ml={1}>
+        <TextField
+          label='Start time'
+          type='datetime-local'
+          value={startTime}
+          InputLabelProps={{ shrink: true }}
+          onChange={(event) => setStartTime(event.target.value)}
+        />
+      </Box>
+      <Box ml={1}>
+        <Button color='primary' disabled={!isValid} onClick={submit}>
+          Schedule
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+ScheduleMissionForm.propTypes = {
+  onSubmit: PropTypes.func,
+};
+
+/**
+ * Panel in the dock details dialog that shows the upcoming and past missions
+ * of a docking station. Missions can be scheduled and cancelled only when
+ * experimental features are enabled because not all docks support these
+ * commands.
+ */
+const DockSchedulePanel = ({
+  dock,
+  experimentalFeaturesEnabled,
+  onCancelMission,
+  onScheduleMission,
+}) => {
+  if (!dock) {
+    return null;
+  }
+
+  const schedule = dock.schedule ?? [];
+  const upcoming = orderBy(schedule.filter(isMissionUpcoming), 'startTime');
+  const past = orderBy(
+    schedule.filter((mission) => !isMissionUpcoming(mission)),
+    'startTime',
+    'desc'
+  );
+
+  return (
+    <>
+      {experimentalFeaturesEnabled && (
+        <ScheduleMissionForm
+          onSubmit={(mission) =>
+            onScheduleMission({ dockId: dock.id, ...mission })
+          }
+        />
+      )}
+      <List dense>
+        <ListSubheader disableSticky>Upcoming missions</ListSubheader>
+        {upcoming.length === 0 && (
+          <ListItem>
+            <ListItemText secondary='No missions are scheduled' />
+          </ListItem>
+        )}
+        {upcoming.map((mission) => (
+          <ListItem key={mission.id}>
+            <StatusLight
+              status={getStatusOfScheduledMission(mission)}
+              size='small'
+            />
+            <ListItemText
+              primary={mission.name}
+              secondary={
+                mission.status === DockMissionStatus.RUNNING
+                  ? `Running since ${formatUnixTimestamp(mission.startTime)}`
+                  : `Scheduled: ${formatUnixTimestamp(mission.startTime)}`
+              }
+            />
+            {experimentalFeaturesEnabled &&
+              mission.status === DockMissionStatus.SCHEDULED && (
+                <ListItemSecondaryAction>
+                  <Tooltip content='Cancel mission'>
+                    <IconButton
+                      edge='end'
+                      onClick={() =>
+                        onCancelMission({
+                          dockId: dock.id,
+                          missionId: mission.id,
+                        })
+                      }
+                    >
+                      <Clear />
+                    </IconButton>
+                  </Tooltip>
+                </ListItemSecondaryAction>
+              )}
+          </ListItem>
+        ))}
+
+        <ListSubheader disableSticky>Past missions</ListSubheader>
+        {past.length === 0 && (
+          <ListItem>
+            <ListItemText secondary='No missions have been flown yet' />
+          </ListItem>
+        )}
+        {past.map((mission) => (
+          <ListItem key={mission.id}>
+            <StatusLight
+              status={getStatusOfScheduledMission(mission)}
+              size='small'
+            />
+            <ListItemText
+              primary={mission.name}
+              secondary={formatPastMissionDetails(mission)}
+            />
+          </ListItem>
+        ))}
+      </List>
+    </>
+  );
+};
+
+DockSchedulePanel.propTypes = {
+  dock: PropTypes.shape({
+    id: PropTypes.string,
+    schedule: PropTypes.arrayOf(
+      PropTypes.shape({
+        id: PropTypes.string,
+        name: PropTypes.string,
+        startTime: PropTypes.number,
+        status: PropTypes.string,
+        duration: PropTypes.number,
+        reason: PropTypes.string,
+      })
+    ),
+  }),
+  experimentalFeaturesEnabled: PropTypes.bool,
+  onCancelMission: PropTypes.func,
+  onScheduleMission: PropTypes.func,
+};
+
+export default connect(
+  // mapStateToProps
+  (state) => ({
+    experimentalFeaturesEnabled: areExperimentalFeaturesEnabled(state),
+  }),
+  // mapDispatchToProps
+  {
+    onCancelMission: cancelScheduledDockMission,
+    onScheduleMission: scheduleDockMission,
+  }
+)(DockSchedulePanel);
@@ -0,0 +1,61 @@
+import PropTypes from 'prop-types';
+import React, { useCallback } from 'react';
+import { connect } from 'react-redux';
+
+import useDeviceTreeSubscription from '~/hooks/useDeviceTreeSubscription';
+import { mapDockStatus } from '~/model/docks';
+
+import { getDockIdList } from './selectors';
+import { setDockState } from './slice';
+
+/**
+ * Component that subscribes to the status of a single docking station in the
+ * device tree and stores the received information into the state.
+ */
+const SingleDockStatusObserver = ({ dockId, onUpdate }) => {
+  const handleUpdate = useCallback(
+    (status) => {
+      if (status && typeof status === 'object') {
+        onUpdate({ id: dockId, ...mapDockStatus(status) });
+      }
+    },
+    [dockId, onUpdate]
+  );
+
+  useDeviceTreeSubscription(`/${dockId}/status`, handleUpdate);
+  return null;
+};
+
+SingleDockStatusObserver.propTypes = {
+  dockId: PropTypes.string,
+  onUpdate: PropTypes.func,
+};
+
+/**
+ * Component that keeps the states of all the known docking stations up to date
+ * between DOCK-INF messages by subscribing to their status in the device tree.
+ */
+const DockStatusObserver = ({ dockIds, onUpdate }) =>
+  dockIds.map((dockId) => (
+    <SingleDockStatusObserver
+      key={dockId}
+      dockId={dockId}
+      onUpdate={onUpdate}
+    />
+  ));
+
+DockStatusObserver.propTypes = {
+  dockIds: PropTypes.arrayOf(PropTypes.string),
+  onUpdate: PropTypes.func,
+};
+
+export default connect(
+  // mapStateToProps
+  (state) => ({
+    dockIds: getDockIdList(state),
+  }),
+  // mapDispatchToProps
+  {
+    onUpdate: setDockState,
+  }
+)(DockStatusObserver);
@@ -0,0 +1,153 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+import { connect } from 'react-redux';
+
+import Button from '@material-ui/core/Button';
+import List from '@material-ui/core/List';
+import ListItem from '@material-ui/core/ListItem';
+import ListItemSecondaryAction from '@material-ui/core/ListItemSecondaryAction';
+import ListItemText from '@material-ui/core/ListItemText';
+import ListSubheader from '@material-ui/core/ListSubheader';
+
+import BackgroundHint from '@skybrush/mui-components/lib/BackgroundHint';
+import StatusLight from '@skybrush/mui-components/lib/StatusLight';
+
+import { areExperimentalFeaturesEnabled } from '~/features/settings/selectors';
+import { formatDuration } from '~/utils/formatting';
+
+import { startChargingOnDockPad } from './actions';
+import { describeChargingStatus, describeDoorState } from './status';
+import { DockChargingStatus } from './types';
+
+const formatChargingDetails = ({ voltage, timeToFull }) =>
+  [
+    typeof voltage === 'number' ? `${voltage.toFixed(1)}V` : null,
+    typeof timeToFull === 'number'
+      ? `Time until full: ${formatDuration(timeToFull)}`
+      : null,
+  ]
+    .filter(Boolean)
+    .join(' • ');
+
+/**
+ * Panel in the dock details dialog that shows the state of the door and the
+ * landing pads of a docking station. Charging can be started from the panel
+ * only when experimental features are enabled.
+ */
+const DockStatusPanel = ({
+  dock,
+  experimentalFeaturesEnabled,
+  onStartCharging,
+}) => {
+  if (!dock) {
+    return <BackgroundHint text='The selected dock is not available' />;
+  }
+
+  const door = describeDoorState(dock.door);
+  const pads = dock.pads ?? [];
+
+  return (
+    <List>
+      <ListItem>
+        <StatusLight status={door.status} />
+        <ListItemText primary={`Door ${door.label}`} />
+      </ListItem>
+      {typeof dock.temperature === 'number' && (
+        <ListItem>
+          <StatusLight status='off' />
+          <ListItemText
+            primary={`Temperature: ${dock.temperature.toFixed(1)} °C`}
+          />
+        </ListItem>
+      )}
+
+      {pads.length === 0 && (
+        <ListItem>
+          <StatusLight status='off' />
+          <ListItemText primary='The dock did not report any landing pads' />
+        </ListItem>
+      )}
+
+      {pads.map((pad) => {
+        const charging = describeChargingStatus(pad);
+        const canStartCharging =
+          pad.occupied &&
+          pad.charging.status !== DockChargingStatus.CHARGING &&
+          pad.charging.status !== DockChargingStatus.CHARGED;
+
+        return (
+          <React.Fragment key={pad.id}>
+            <ListSubheader disableSticky>Landing pad {pad.id}</ListSubheader>
+            <ListItem>
+              <StatusLight status={pad.occupied ? 'success' : 'off'} />
+              <ListItemText
+                primary={
+                  pad.occupied
+                    ? pad.uavId
+                      ? `Occupied by UAV ${pad.uavId}`
+                      : 'Occupied'
+                    : 'Empty'
+                }
+              />
+            </ListItem>
+            {pad.occupied && (
+              <ListItem>
+                <StatusLight status={charging.status} />
+                <ListItemText
+                  primary={`Charging status: ${charging.label}`}
+                  secondary={formatChargingDetails(pad.charging) || undefined}
+                />
+                {experimentalFeaturesEnabled && (
+                  <ListItemSecondaryAction>
+                    <Button
+                      size='small'
+                      disabled={!canStartCharging}
+                      onClick={() =>
+                        onStartCharging({ dockId: dock.id, padId: pad.id })
+                      }
+                    >
+                      Start charging
+                    </Button>
+                  </ListItemSecondaryAction>
+                )}
+              </ListItem>
+            )}
+          </React.Fragment>
+        );
+      })}
+    </List>
+  );
+};
+
+DockStatusPanel.propTypes = {
+  dock: PropTypes.shape({
+    id: PropTypes.string,
+    door: PropTypes.string,
+    pads: PropTypes.arrayOf(
+      PropTypes.shape({
+        id: PropTypes.string,
+        occupied: PropTypes.bool,
+        uavId: PropTypes.string,
+        charging: PropTypes.shape({
+          status: PropTypes.string,
+          voltage: PropTypes.number,
+          timeToFull: PropTypes.number,
+        }),
+      })
+    ),
+    temperature: PropTypes.number,
+  }),
+  experimentalFeaturesEnabled: PropTypes.bool,
+  onStartCharging: PropTypes.func,
+};
+
+export default connect(
+  // mapStateToProps
+  (state) => ({
+    experimentalFeaturesEnabled: areExperimentalFeaturesEnabled(state),
+  }),
+  // mapDispatchToProps
+  {
+    onStartCharging: startChargingOnDockPad,
+  }
+)(DockStatusPanel);
@@ -0,0 +1,69 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+
+import List from '@material-ui/core/List';
+import ListItem from '@material-ui/core/ListItem';
+import ListItemText from '@material-ui/core/ListItemText';
+
+import BackgroundHint from '@skybrush/mui-components/lib/BackgroundHint';
+import StatusLight from '@skybrush/mui-components/lib/StatusLight';
+
+import { formatData } from '~/utils/formatting';
+
+/**
+ * Ratio of used space above which a storage volume is shown with a warning.
+ */
+const STORAGE_WARNING_THRESHOLD = 0.9;
+
+const describeStorageVolume = ({ device, label, used, free }) => {
+  const total = used + free;
+  const ratio = total > 0 ? used / total : 0;
+  return {
+    primary: label ? `${device} • ${label}` : device,
+    secondary: `${formatData(used)} used • ${formatData(free)} free • ${(
+      ratio * 100
+    ).toFixed(1)}%`,
+    status: ratio >= STORAGE_WARNING_THRESHOLD ? 'warning' : 'success',
+  };
+};
+
+/**
+ * Panel in the dock details dialog that shows the storage volumes of a
+ * docking station.
+ */
+const DockStoragePanel = ({ dock }) => {
+  const volumes = dock?.storage ?? [];
+
+  if (volumes.length === 0) {
+    return <BackgroundHint text='The dock did not report any storage' />;
+  }
+
+  return (
+    <List>
+      {volumes.map((volume) => {
+        const { primary, secondary, status } = describeStorageVolume(volume);
+        return (
+          <ListItem key={volume.device}>
+            <StatusLight status={status} />
+            <ListItemText primary={primary} secondary={secondary} />
+          </ListItem>
+        );
+      })}
+    </List>
+  );
+};
+
+DockStoragePanel.propTypes = {
+  dock: PropTypes.shape({
+    storage: PropTypes.arrayOf(
+      PropTypes.shape({
+        device: PropTypes.string,
+        label: PropTypes.string,
+        used: PropTypes.number,
+        free: PropTypes.number,
+      })
+    ),
+  }),
+};
+
+export default DockStoragePanel;
@@ -1,4 +1,6 @@
 import { setSelection } from '~/features/map/selection';
+import { showError, showSuccess } from '~/features/snackbar/actions';
+import messageHub from '~/message-hub';
 import { dockIdToGlobalId } from '~/model/identifiers';
 
 /**
@@ -12,3 +14,83 @@ import { dockIdToGlobalId } from '~/model/identifiers';
  */
 export const setSelectedDockIds = (ids) =>
   setSelection(ids.map(dockIdToGlobalId));
+
+/**
+ * Creates a thunk that executes an operation on a docking station via the
+ * message hub and reports the outcome in a snackbar notification.
+ */
+const createDockOperation =
+  (operation, successMessage) =>
+  (...args) =>
+  async (dispatch) => {
+    try {
+      await messageHub.execute[operation](...args);
+    } catch (error) {
+      dispatch(showError(error.message || String(error)));
+      return;
+    }
+
+    dispatch(showSuccess(successMessage));
+  };
+
+/**
+ * Thunk that cancels a mission scheduled on a docking station.
+ *
+ * @param {Object} options
+ * @param {string} options.dockId  ID of the docking station
+ * @param {string} options.missionId  ID of the mission to cancel
+ */
+export const cancelScheduledDockMission = createDockOperation(
+  'cancelScheduledDockMission',
+  'Scheduled mission cancelled.'
+);
+
+/**
+ * Thunk that closes the door of a docking station.
+ */
+export const closeDockDoor = (dockId) =>
+  createDockOperation(
+    'setDockDoorState',
+    'Dock door closing.'
+  )({
+    dockId,
+    open: false,
+  });
+
+/**
+ * Thunk that opens the door of a docking station.
+ */
+export const openDockDoor = (dockId) =>
+  createDockOperation(
+    'setDockDoorState',
+    'Dock door opening.'
+  )({
+    dockId,
+    open: true,
+  });
+
+/**
+ * Thunk that schedules a mission on a docking station.
+ *
+ * @param {Object} options
+ * @param {string} options.dockId  ID of the docking station
+ * @param {string} options.name  human-readable name of the mission
+ * @param {number} options.startTime  the scheduled start of the mission, as
+ *        a UNIX timestamp in seconds
+ */
+export const scheduleDockMission = createDockOperation(
+  'scheduleDockMission',
+  'Mission scheduled.'
+);
+
+/**
+ * Thunk that starts charging the drone on a landing pad of a docking station.
+ *
+ * @param {Object} options
+ * @param {string} options.dockId  ID of the docking station
+ * @param {string} options.padId  ID of the landing pad
+ */
+export const startChargingOnDockPad = createDockOperation(
+  'startChargingOnDockPad',
+  'Charging started.'
+);
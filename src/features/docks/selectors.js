@@ -19,3 +19,15 @@ export const getDocksInOrder = createSelector(
  * IDs from the state object.
  */
 export const getSelectedDockIds = selectionForSubset(globalIdToDockId);
+
+/**
+ * Selector that returns the list of IDs of all the docking stations that we
+ * store in the state object.
+ */
+export const getDockIdList = (state) => state.docks.order;
+
+/**
+ * Returns the state of the docking station with the given ID, or undefined if
+ * there is no such dock.
+ */
+export const getDockById = (state, dockId) => state.docks.byId[dockId];
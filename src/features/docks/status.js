@@ -0,0 +1,101 @@
+/**
+ * @file Helper functions that map the state of a docking station to the
+ * status semantics and labels shown on the UI.
+ */
+
+import maxBy from 'lodash-es/maxBy';
+
+import { Status, statusToPriority } from '~/components/semantics';
+
+import { DockChargingStatus, DockDoorState, DockMissionStatus } from './types';
+
+const doorStatuses = {
+  [DockDoorState.CLOSED]: Status.SUCCESS,
+  [DockDoorState.CLOSING]: Status.WARNING,
+  [DockDoorState.OPEN]: Status.INFO,
+  [DockDoorState.OPENING]: Status.WARNING,
+  [DockDoorState.UNKNOWN]: Status.OFF,
+};
+
+const doorLabels = {
+  [DockDoorState.CLOSED]: 'closed',
+  [DockDoorState.CLOSING]: 'closing',
+  [DockDoorState.OPEN]: 'open',
+  [DockDoorState.OPENING]: 'opening',
+  [DockDoorState.UNKNOWN]: 'unknown',
+};
+
+const chargingStatuses = {
+  [DockChargingStatus.CHARGED]: Status.SUCCESS,
+  [DockChargingStatus.CHARGING]: Status.NEXT,
+  [DockChargingStatus.ERROR]: Status.ERROR,
+  [DockChargingStatus.IDLE]: Status.OFF,
+};
+
+const chargingLabels = {
+  [DockChargingStatus.CHARGED]: 'charged',
+  [DockChargingStatus.CHARGING]: 'charging',
+  [DockChargingStatus.ERROR]: 'error',
+  [DockChargingStatus.IDLE]: 'not charging',
+};
+
+const missionStatuses = {
+  [DockMissionStatus.FAILED]: Status.ERROR,
+  [DockMissionStatus.RUNNING]: Status.NEXT,
+  [DockMissionStatus.SCHEDULED]: Status.OFF,
+  [DockMissionStatus.SUCCESSFUL]: Status.SUCCESS,
+};
+
+/**
+ * Returns the status semantics and the label of the door of a dock.
+ */
+export const describeDoorState = (door = DockDoorState.UNKNOWN) => ({
+  status: doorStatuses[door] ?? Status.OFF,
+  label: doorLabels[door] ?? doorLabels[DockDoorState.UNKNOWN],
+});
+
+/**
+ * Returns the status semantics and the label of the charging status of a
+ * landing pad.
+ */
+export const describeChargingStatus = (pad) => {
+  if (!pad.occupied) {
+    return { status: Status.OFF, label: 'empty' };
+  }
+
+  const status = pad.charging?.status ?? DockChargingStatus.IDLE;
+  return {
+    status: chargingStatuses[status] ?? Status.OFF,
+    label: chargingLabels[status] ?? chargingLabels[DockChargingStatus.IDLE],
+  };
+};
+
+/**
+ * Returns the status semantics of a mission in the schedule of a dock.
+ */
+export const getStatusOfScheduledMission = (mission) =>
+  missionStatuses[mission.status] ?? Status.OFF;
+
+/**
+ * Returns whether the given mission in the schedule of a dock has not
+ * finished yet.
+ */
+export const isMissionUpcoming = (mission) =>
+  mission.status === DockMissionStatus.SCHEDULED ||
+  mission.status === DockMissionStatus.RUNNING;
+
+/**
+ * Returns the most severe status semantics of the door and the landing pads of
+ * a dock, to be shown as the overall status of the dock.
+ */
+export const getOverallStatusOfDock = (dock) => {
+  if (!dock || dock.door === undefined) {
+    return Status.OFF;
+  }
+
+  const statuses = [
+    describeDoorState(dock.door).status,
+    ...(dock.pads ?? []).map((pad) => describeChargingStatus(pad).status),
+  ];
+  return maxBy(statuses, statusToPriority);
+};
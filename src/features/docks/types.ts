@@ -2,19 +2,126 @@ import { type GPSPosition } from '~/model/geography';
 import { type Identifier } from '~/utils/collections';
 
 export enum DockDetailsDialogTab {
-  LIVE_CAM = 'liveCam',
   SCHEDULE = 'schedule',
   STATUS = 'status',
   STORAGE = 'storage',
 }
 
+/**
+ * State of the door (lid) of a docking station.
+ */
+export enum DockDoorState {
+  CLOSED = 'closed',
+  CLOSING = 'closing',
+  OPEN = 'open',
+  OPENING = 'opening',
+  UNKNOWN = 'unknown',
+}
+
+/**
+ * Charging status of a single landing pad of a docking station.
+ */
+export enum DockChargingStatus {
+  CHARGED = 'charged',
+  CHARGING = 'charging',
+  ERROR = 'error',
+  IDLE = 'idle',
+}
+
+/**
+ * Status of a mission in the schedule of a docking station.
+ */
+export enum DockMissionStatus {
+  FAILED = 'failed',
+  RUNNING = 'running',
+  SCHEDULED = 'scheduled',
+  SUCCESSFUL = 'successful',
+}
+
+/**
+ * @example
+ * {
+ *   id: '1',
+ *   occupied: true,
+ *   uavId: '17',
+ *   charging: {
+ *     status: 'charging',
+ *     voltage: 11.6,
+ *     timeToFull: 1032
+ *   }
+ * }
+ */
+export type DockLandingPad = {
+  id: string;
+  occupied: boolean;
+  uavId?: Identifier;
+  charging: {
+    status: DockChargingStatus;
+    /** Voltage of the battery being charged, in volts */
+    voltage?: number;
+    /** Estimated number of seconds until the battery is fully charged */
+    timeToFull?: number;
+  };
+};
+
+/**
+ * @example
+ * {
+ *   id: 'msn-42',
+ *   name: 'Takeoff + landing test',
+ *   startTime: 1627323000,
+ *   status: 'failed',
+ *   duration: 57,
+ *   reason: 'Prearm checks failed'
+ * }
+ */
+export type DockScheduledMission = {
+  id: string;
+  name: string;
+  /** Scheduled start of the mission, as a UNIX timestamp in seconds */
+  startTime: number;
+  status: DockMissionStatus;
+  /** Duration of the mission in seconds, if it has finished */
+  duration?: number;
+  /** Reason of the failure of the mission, if it has failed */
+  reason?: string;
+};
+
+/**
+ * @example
+ * {
+ *   device: '/dev/mmcblk0p5',
+ *   label: 'Data storage',
+ *   used: 536870912,
+ *   free: 67753328640
+ * }
+ */
+export type DockStorageVolume = {
+  device: string;
+  label?: string;
+  /** Used space in bytes */
+  used: number;
+  /** Free space in bytes */
+  free: number;
+};
+
 /**
  * @example
  * {
- *   id: 'DOCK:123456'
+ *   id: 'DOCK:123456',
+ *   door: 'closed',
+ *   pads: [],
+ *   schedule: [],
+ *   storage: []
  * }
  */
 export type DockState = {
   id: Identifier;
   position?: GPSPosition;
+  door?: DockDoorState;
+  pads?: DockLandingPad[];
+  schedule?: DockScheduledMission[];
+  storage?: DockStorageVolume[];
+  /** Temperature inside the docking station, in degrees Celsius */
+  temperature?: number;
 };
@@ -0,0 +1,231 @@
+import loadable from '@loadable/component';
+import PropTypes from 'prop-types';
+import React, { useMemo } from 'react';
+import { connect } from 'react-redux';
+
+import Box from '@material-ui/core/Box';
+import Button from '@material-ui/core/Button';
+import DialogActions from '@material-ui/core/DialogActions';
+import DialogContent from '@material-ui/core/DialogContent';
+import List from '@material-ui/core/List';
+import ListItem from '@material-ui/core/ListItem';
+import ListItemIcon from '@material-ui/core/ListItemIcon';
+import ListItemText from '@material-ui/core/ListItemText';
+import Typography from '@material-ui/core/Typography';
+import { makeStyles, useTheme } from '@material-ui/core/styles';
+
+import CheckCircle from '@material-ui/icons/CheckCircle';
+import Error from '@material-ui/icons/Error';
+import Warning from '@material-ui/icons/Warning';
+
+import { isThemeDark } from '@skybrush/app-theme-material-ui';
+import BackgroundHint from '@skybrush/mui-components/lib/BackgroundHint';
+import DraggableDialog from '@skybrush/mui-components/lib/DraggableDialog';
+
+import Colors, { colorForSeverity } from '~/components/colors';
+import { retrieveFlightLogAnalysis } from '~/features/uavs/log-download';
+import { Severity } from '~/model/enums';
+import { createTimeSeriesChartOptions } from '~/utils/charts';
+import { formatDuration } from '~/utils/formatting';
+
+import {
+  closeFlightLogAnalysisDialog,
+  getFlightLogShownInAnalysisDialog,
+  isFlightLogAnalysisDialogOpen,
+} from './dialog';
+
+/* ************************************************************************ */
+
+const LineChart = loadable(
+  () => import(/* webpackChunkName: "charts" */ '~/components/LineChart'),
+  {
+    resolveComponent: ({ default: Line }) => Line,
+  }
+);
+
+const DATASET_COLORS = [Colors.main, Colors.warning, Colors.success];
+
+const useStyles = makeStyles(
+  (theme) => ({
+    anomalies: {
+      maxHeight: 200,
+      overflow: 'auto',
+      marginBottom: theme.spacing(1),
+    },
+
+    chart: {
+      height: 160,
+      marginBottom: theme.spacing(2),
+    },
+  }),
+  {
+    name: 'FlightLogAnalysisDialog',
+  }
+);
+
+const createChartData = ({ datasets }) => ({
+  datasets: datasets.map(({ label, data }, index) => ({
+    label,
+    data,
+    borderColor: DATASET_COLORS[index % DATASET_COLORS.length],
+    borderWidth: 1.5,
+    pointRadius: 0,
+  })),
+});
+
+/* ************************************************************************ */
+
+const FlightLogChart = ({ chart }) => {
+  const classes = useStyles();
+  const theme = useTheme();
+  const isDark = isThemeDark(theme);
+  const data = useMemo(() => createChartData(chart), [chart]);
+  const options = useMemo(
+    () => createTimeSeriesChartOptions({ isDark, unit: chart.unit }),
+    [chart, isDark]
+  );
+
+  return (
+    <>
+      <Typography variant='subtitle2'>
+        {chart.unit ? `${chart.title} [${chart.unit}]` : chart.title}
+      </Typography>
+      <Box className={classes.chart}>
+        <LineChart data={data} options={options} />
+      </Box>
+    </>
+  );
+};
+
+FlightLogChart.propTypes = {
+  chart: PropTypes.shape({
+    title: PropTypes.string,
+    unit: PropTypes.string,
+    datasets: PropTypes.arrayOf(
+      PropTypes.shape({
+        label: PropTypes.string,
+        data: PropTypes.array,
+      })
+    ),
+  }),
+};
+
+const describeAnomalyPosition = ({ time, line }) =>
+  Number.isFinite(time)
+    ? `T+${formatDuration(time)}`
+    : Number.isFinite(line)
+      ? `Line ${line}`
+      : undefined;
+
+const AnomalyList = ({ anomalies }) => {
+  const classes = useStyles();
+
+  if (anomalies.length === 0) {
+    return (
+      <List dense>
+        <ListItem>
+          <ListItemIcon>
+            <CheckCircle style={{ color: Colors.success }} />
+          </ListItemIcon>
+          <ListItemText primary='No anomalies found' />
+        </ListItem>
+      </List>
+    );
+  }
+
+  return (
+    <List dense className={classes.anomalies}>
+      {anomalies.map((anomaly, index) => {
+        const Icon = anomaly.severity === Severity.ERROR ? Error : Warning;
+        return (
+          // eslint-disable-next-line react/no-array-index-key
+          <ListItem key={index}>
+            <ListItemIcon>
+              <Icon style={{ color: colorForSeverity(anomaly.severity) }} />
+            </ListItemIcon>
+            <ListItemText
+              primary={anomaly.message}
+              secondary={describeAnomalyPosition(anomaly)}
+            />
+          </ListItem>
+        );
+      })}
+    </List>
+  );
+};
+
+AnomalyList.propTypes = {
+  anomalies: PropTypes.arrayOf(
+    PropTypes.shape({
+      line: PropTypes.number,
+      message: PropTypes.string,
+      severity: PropTypes.oneOf(Object.values(Severity)),
+      time: PropTypes.number,
+    })
+  ),
+};
+
+/**
+ * Presentation component for the dialog that shows the anomalies found in a
+ * downloaded flight log and the most important time series from the log.
+ */
+const FlightLogAnalysisDialog = ({ analysis, logId, onClose, open, uavId }) => (
+  <DraggableDialog
+    fullWidth
+    open={open}
+    maxWidth='md'
+    title={`Analysis of log ${logId ?? ''} of UAV ${uavId ?? ''}`}
+    onClose={onClose}
+  >
+    <DialogContent>
+      {analysis?.supported ? (
+        <>
+          <AnomalyList anomalies={analysis.anomalies} />
+          {analysis.charts.map((chart) => (
+            <FlightLogChart key={chart.id} chart={chart} />
+          ))}
+        </>
+      ) : analysis ? (
+        <BackgroundHint text='Automatic analysis is not supported for this log format' />
+      ) : (
+        <BackgroundHint text='The log has not been downloaded yet' />
+      )}
+    </DialogContent>
+    <DialogActions>
+      <Button onClick={onClose}>Close</Button>
+    </DialogActions>
+  </DraggableDialog>
+);
+
+FlightLogAnalysisDialog.propTypes = {
+  analysis: PropTypes.shape({
+    anomalies: PropTypes.array,
+    charts: PropTypes.array,
+    supported: PropTypes.bool,
+  }),
+  logId: PropTypes.string,
+  onClose: PropTypes.func,
+  open: PropTypes.bool,
+  uavId: PropTypes.string,
+};
+
+export default connect(
+  // mapStateToProps
+  (state) => {
+    const { uavId, logId } = getFlightLogShownInAnalysisDialog(state);
+    return {
+      analysis:
+        uavId && logId
+          ? retrieveFlightLogAnalysis(uavId, logId)(state)
+          : undefined,
+      logId,
+      open: isFlightLogAnalysisDialogOpen(state),
+      uavId,
+    };
+  },
+
+  // mapDispatchToProps
+  {
+    onClose: closeFlightLogAnalysisDialog,
+  }
+)(FlightLogAnalysisDialog);
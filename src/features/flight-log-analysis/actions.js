@@ -0,0 +1,143 @@
+import JSZip from 'jszip';
+import maxBy from 'lodash-es/maxBy';
+
+import { getUAVIdsParticipatingInMission } from '~/features/mission/selectors';
+import {
+  showError,
+  showNotification,
+  showSuccess,
+} from '~/features/snackbar/actions';
+import { MessageSemantics } from '~/features/snackbar/types';
+import {
+  initiateLogDownload,
+  setLogDownloadError,
+  setLogDownloadProgress,
+  storeDownloadedLog,
+} from '~/features/uavs/log-download';
+import messageHub from '~/message-hub';
+import { convertFlightLogToBlob } from '~/model/flight-logs';
+import { writeBlobToFile } from '~/utils/filesystem';
+import { formatDateForFilename } from '~/utils/formatting';
+
+/**
+ * Downloads the most recent flight log of a single UAV, stores it in the
+ * cache of downloaded logs (which also analyzes it) and returns the log
+ * and its analysis.
+ */
+const downloadLatestFlightLog = (uavId) => async (dispatch) => {
+  const logs = await messageHub.query.getFlightLogList(uavId);
+  const latest = maxBy(
+    Array.isArray(logs) ? logs : [],
+    ({ timestamp }) => timestamp ?? Number.NEGATIVE_INFINITY
+  );
+
+  if (!latest) {
+    throw new Error('No logs found');
+  }
+
+  const { id } = latest;
+  dispatch(initiateLogDownload(uavId, id));
+
+  try {
+    const log = await messageHub.query.getFlightLog(uavId, id, {
+      onProgress({ progress }) {
+        dispatch(setLogDownloadProgress(uavId, id, progress));
+      },
+    });
+    const analysis = await dispatch(storeDownloadedLog(uavId, id, log));
+    return { log, analysis };
+  } catch (error) {
+    dispatch(setLogDownloadError(uavId, id, String(error?.message ?? error)));
+    throw error;
+  }
+};
+
+/**
+ * Thunk that downloads the most recent flight log of each UAV that
+ * participates in the current mission, analyzes them and saves them into a
+ * single ZIP file, along with a JSON summary of the anomalies found in the
+ * logs.
+ *
+ * @param {Object} options  additional options
+ * @param {function} options.onProgress  function to call with the number of
+ *        UAVs processed so far and the total number of UAVs
+ */
+export const saveFlightLogsOfMission =
+  ({ onProgress } = {}) =>
+  async (dispatch, getState) => {
+    const uavIds = getUAVIdsParticipatingInMission(getState());
+    if (uavIds.length === 0) {
+      dispatch(showError('There are no UAVs in the current mission'));
+      return;
+    }
+
+    const zip = new JSZip();
+    const summary = {};
+    let numFailures = 0;
+    let numAnomalies = 0;
+
+    // Logs are downloaded one by one to avoid overloading the server and the
+    // radio links of the UAVs
+    for (const [index, uavId] of uavIds.entries()) {
+      onProgress?.(index, uavIds.length);
+
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const { log, analysis } = await dispatch(
+          downloadLatestFlightLog(uavId)
+        );
+        const { filename, blob } = convertFlightLogToBlob(log);
+        zip.file(`${uavId}/${filename}`, blob);
+        summary[uavId] = {
+          logId: log.id,
+          filename,
+          supported: analysis?.supported ?? false,
+          anomalies: analysis?.anomalies ?? [],
+        };
+        numAnomalies += summary[uavId].anomalies.length;
+      } catch (error) {
+        summary[uavId] = { error: String(error?.message ?? error) };
+        numFailures++;
+      }
+    }
+
+    onProgress?.(uavIds.length, uavIds.length);
+
+    if (numFailures === uavIds.length) {
+      dispatch(showError('Failed to download the flight logs of all UAVs'));
+      return;
+    }
+
+    zip.file('analysis.json', JSON.stringify(summary, null, 2));
+
+    const date = formatDateForFilename();
+
+    try {
+      const blob = await zip.generateAsync({
+        type: 'blob',
+        mimeType: 'application/zip',
+      });
+      await writeBlobToFile(blob, `flight-logs-${date}.zip`, {
+        title: 'Save flight logs',
+        filters: [{ name: 'ZIP archives', extensions: ['zip'] }],
+      });
+    } catch (error) {
+      dispatch(showError(`Error while saving flight logs: ${String(error)}`));
+      return;
+    }
+
+    const numSaved = uavIds.length - numFailures;
+    if (numFailures > 0 || numAnomalies > 0) {
+      dispatch(
+        showNotification({
+          message:
+            `Saved the flight logs of ${numSaved} UAV(s)` +
+            (numFailures > 0 ? `, ${numFailures} failed` : '') +
+            (numAnomalies > 0 ? `; found ${numAnomalies} anomalies` : ''),
+          semantics: MessageSemantics.WARNING,
+        })
+      );
+    } else {
+      dispatch(showSuccess(`Saved the flight logs of ${numSaved} UAV(s)`));
+    }
+  };
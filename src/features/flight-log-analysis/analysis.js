@@ -0,0 +1,466 @@
+/**
+ * @file Analysis of flight logs downloaded from UAVs: conversion of the logs
+ * into time series suitable for charts, and detection of anomalies.
+ */
+
+import { Base64 } from 'js-base64';
+import isNil from 'lodash-es/isNil';
+
+import { FlightLogKind, Severity } from '~/model/enums';
+
+import {
+  ARDUPILOT_ERROR_SUBSYSTEMS,
+  FlightLogChart,
+  MAX_GPS_HDOP,
+  MAX_GPS_HORIZONTAL_ACCURACY,
+  MAX_POINTS_PER_DATASET,
+  MAX_VIBRATION,
+  MIN_AIRBORNE_ALTITUDE,
+  MIN_BOARD_VOLTAGE,
+  propertiesForFlightLogCharts,
+  SUSPICIOUS_MESSAGE_PATTERNS,
+} from './constants';
+import { isDataFlashLog, parseDataFlashLog } from './dataflash';
+
+const ARDUPILOT_MESSAGES = [
+  'ATT',
+  'BARO',
+  'BAT',
+  'CTUN',
+  'CURR',
+  'ERR',
+  'GPA',
+  'GPS',
+  'MSG',
+  'POWR',
+  'VIBE',
+];
+
+const INSTANCE_COLUMNS = ['Instance', 'Inst', 'IMU', 'I', 'C'];
+
+/**
+ * Reduces the number of points in a series by keeping every n-th point only,
+ * making sure that the last point is kept.
+ */
+function decimate(points, maxCount = MAX_POINTS_PER_DATASET) {
+  if (points.length <= maxCount) {
+    return points;
+  }
+
+  const step = points.length / maxCount;
+  const result = [];
+  for (let index = 0; index < maxCount; index++) {
+    result.push(points[Math.floor(index * step)]);
+  }
+
+  result.push(points.at(-1));
+  return result;
+}
+
+/**
+ * Returns the indices of the rows of a decoded dataflash message table that
+ * belong to the first instance of the sensor, for message types that are
+ * logged separately for multiple instances of the same sensor.
+ */
+function getIndicesOfFirstInstance(table) {
+  const length = table ? (Object.values(table)[0]?.length ?? 0) : 0;
+  const instanceColumn = INSTANCE_COLUMNS.find((name) => table?.[name]);
+  const indices = [];
+
+  for (let index = 0; index < length; index++) {
+    if (!instanceColumn || table[instanceColumn][index] === 0) {
+      indices.push(index);
+    }
+  }
+
+  return indices;
+}
+
+/**
+ * Returns a function that converts the timestamp of a row in a decoded
+ * dataflash message table to seconds since the start of the log.
+ */
+function createTimeGetter(table, start) {
+  if (table.TimeUS) {
+    return (index) => table.TimeUS[index] / 1e6 - start;
+  }
+
+  if (table.TimeMS) {
+    return (index) => table.TimeMS[index] / 1e3 - start;
+  }
+
+  return () => undefined;
+}
+
+/**
+ * Extracts the given column from a decoded dataflash message table as a list
+ * of points, with the time in seconds on the X axis.
+ */
+function getSeries(messages, name, column, start) {
+  const table = messages[name];
+  if (!table?.[column]) {
+    return [];
+  }
+
+  const getTime = createTimeGetter(table, start);
+  const result = [];
+
+  for (const index of getIndicesOfFirstInstance(table)) {
+    const value = table[column][index];
+    if (Number.isFinite(value)) {
+      result.push({
+        x: getTime(index),
+        y: value,
+      });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Creates a chart descriptor with the given datasets, skipping the empty
+ * ones. Returns undefined if all datasets are empty.
+ */
+function createChart(id, datasets) {
+  const nonEmptyDatasets = datasets
+    .filter(({ data }) => data.length > 0)
+    .map(({ label, data }) => ({ label, data: decimate(data) }));
+
+  return nonEmptyDatasets.length > 0
+    ? { id, ...propertiesForFlightLogCharts[id], datasets: nonEmptyDatasets }
+    : undefined;
+}
+
+/**
+ * Adds an anomaly to the given list when any point of a series violates a
+ * threshold. The anomaly is placed at the time of the first violation and
+ * reports the worst violating value.
+ */
+function flagThresholdViolation(
+  anomalies,
+  points,
+  {
+    isViolation,
+    severity = Severity.WARNING,
+    describe,
+    compare = (a, b) => b - a,
+  }
+) {
+  const violations = points.filter(({ y }) => isViolation(y));
+  if (violations.length > 0) {
+    const worst = violations.reduce((a, b) => (compare(a.y, b.y) > 0 ? b : a));
+    anomalies.push({
+      time: violations[0].x,
+      severity,
+      message: describe(worst.y),
+    });
+  }
+}
+
+/**
+ * Returns the severity of the given status message if it matches one of the
+ * suspicious patterns, or undefined otherwise.
+ */
+const getSeverityOfStatusMessage = (message) =>
+  SUSPICIOUS_MESSAGE_PATTERNS.find(({ pattern }) => pattern.test(message))
+    ?.severity;
+
+/**
+ * Analyzes an ArduPilot dataflash log.
+ */
+function analyzeDataFlashLog(bytes) {
+  const messages = parseDataFlashLog(bytes, { messages: ARDUPILOT_MESSAGES });
+  const anomalies = [];
+
+  // Find the earliest timestamp in the log; all times are relative to it
+  let start = Number.POSITIVE_INFINITY;
+  for (const table of Object.values(messages)) {
+    if (table.TimeUS?.length > 0) {
+      start = Math.min(start, table.TimeUS[0] / 1e6);
+    } else if (table.TimeMS?.length > 0) {
+      start = Math.min(start, table.TimeMS[0] / 1e3);
+    }
+  }
+
+  if (!Number.isFinite(start)) {
+    start = 0;
+  }
+
+  const altitude = messages.CTUN?.Alt
+    ? getSeries(messages, 'CTUN', 'Alt', start)
+    : getSeries(messages, 'BARO', 'Alt', start);
+  const voltage = messages.BAT
+    ? getSeries(messages, 'BAT', 'Volt', start)
+    : getSeries(messages, 'CURR', 'Volt', start);
+  const boardVoltage = getSeries(messages, 'POWR', 'Vcc', start);
+  const vibration = ['VibeX', 'VibeY', 'VibeZ'].map((column) => ({
+    label: column.slice(-1),
+    data: getSeries(messages, 'VIBE', column, start),
+  }));
+  const horizontalAccuracy = getSeries(messages, 'GPA', 'HAcc', start);
+  const hdop = getSeries(messages, 'GPS', 'HDop', start);
+  const attitude = ['Roll', 'Pitch', 'Yaw'].map((column) => ({
+    label: column,
+    data: getSeries(messages, 'ATT', column, start),
+  }));
+
+  const charts = [
+    createChart(FlightLogChart.ALTITUDE, [
+      { label: 'Altitude', data: altitude },
+    ]),
+    createChart(FlightLogChart.BATTERY, [
+      { label: 'Battery', data: voltage },
+      { label: 'Board', data: boardVoltage },
+    ]),
+    createChart(FlightLogChart.VIBRATION, vibration),
+    createChart(FlightLogChart.GPS_ACCURACY, [
+      { label: 'Horizontal accuracy [m]', data: horizontalAccuracy },
+      { label: 'HDOP', data: hdop },
+    ]),
+    createChart(FlightLogChart.ATTITUDE, attitude),
+  ].filter(Boolean);
+
+  // Brownouts show up as drops in the supply voltage of the flight controller
+  flagThresholdViolation(anomalies, boardVoltage, {
+    isViolation: (value) => value > 0 && value < MIN_BOARD_VOLTAGE,
+    compare: (a, b) => a - b,
+    severity: Severity.ERROR,
+    describe: (value) =>
+      `Board voltage dropped to ${value.toFixed(2)} V (possible brownout)`,
+  });
+
+  for (const { label, data } of vibration) {
+    flagThresholdViolation(anomalies, data, {
+      isViolation: (value) => value > MAX_VIBRATION,
+      describe: (value) =>
+        `Excessive vibration on the ${label} axis (${value.toFixed(1)} m/s²)`,
+    });
+  }
+
+  if (horizontalAccuracy.length > 0) {
+    flagThresholdViolation(anomalies, horizontalAccuracy, {
+      isViolation: (value) => value > MAX_GPS_HORIZONTAL_ACCURACY,
+      describe: (value) =>
+        `Poor GPS accuracy (horizontal accuracy ${value.toFixed(1)} m)`,
+    });
+  } else {
+    flagThresholdViolation(anomalies, hdop, {
+      isViolation: (value) => value > MAX_GPS_HDOP,
+      describe: (value) => `Poor GPS accuracy (HDOP ${value.toFixed(2)})`,
+    });
+  }
+
+  // Error events reported by the flight controller
+  const errors = messages.ERR;
+  if (errors?.Subsys) {
+    const getTime = createTimeGetter(errors, start);
+    for (const [index, subsystem] of errors.Subsys.entries()) {
+      const props = ARDUPILOT_ERROR_SUBSYSTEMS[subsystem];
+      const code = errors.ECode?.[index];
+      // Error code zero means that the error condition was resolved
+      if (props && code !== 0) {
+        anomalies.push({
+          time: getTime(index),
+          severity: props.severity,
+          message: `${props.name} (error code ${code})`,
+        });
+      }
+    }
+  }
+
+  // Status messages sent by the flight controller
+  const statusMessages = messages.MSG;
+  if (statusMessages?.Message) {
+    const getTime = createTimeGetter(statusMessages, start);
+    for (const [index, message] of statusMessages.Message.entries()) {
+      const severity = getSeverityOfStatusMessage(message);
+      if (severity) {
+        anomalies.push({ time: getTime(index), severity, message });
+      }
+    }
+  }
+
+  // A log that ends while the UAV is still in the air usually means that the
+  // flight controller lost power or crashed
+  const lastAltitude = altitude.at(-1);
+  if (lastAltitude && lastAltitude.y > MIN_AIRBORNE_ALTITUDE) {
+    anomalies.push({
+      time: lastAltitude.x,
+      severity: Severity.ERROR,
+      message: `Log ends while airborne at ${lastAltitude.y.toFixed(
+        1
+      )} m (possible brownout or crash)`,
+    });
+  }
+
+  return { charts, anomalies };
+}
+
+/**
+ * Mapping from the column names that we recognize in tabular text logs to the
+ * charts and the labels of the datasets in the charts.
+ */
+const TEXT_LOG_COLUMNS = {
+  alt: [FlightLogChart.ALTITUDE, 'Altitude'],
+  altitude: [FlightLogChart.ALTITUDE, 'Altitude'],
+  agl: [FlightLogChart.ALTITUDE, 'Altitude'],
+  z: [FlightLogChart.ALTITUDE, 'Altitude'],
+  voltage: [FlightLogChart.BATTERY, 'Battery'],
+  vbat: [FlightLogChart.BATTERY, 'Battery'],
+  battery: [FlightLogChart.BATTERY, 'Battery'],
+  vibex: [FlightLogChart.VIBRATION, 'X'],
+  vibey: [FlightLogChart.VIBRATION, 'Y'],
+  vibez: [FlightLogChart.VIBRATION, 'Z'],
+  vibration: [FlightLogChart.VIBRATION, 'Vibration'],
+  hacc: [FlightLogChart.GPS_ACCURACY, 'Horizontal accuracy [m]'],
+  hdop: [FlightLogChart.GPS_ACCURACY, 'HDOP'],
+  roll: [FlightLogChart.ATTITUDE, 'Roll'],
+  pitch: [FlightLogChart.ATTITUDE, 'Pitch'],
+  yaw: [FlightLogChart.ATTITUDE, 'Yaw'],
+};
+
+const TIME_COLUMNS = new Set(['t', 'time', 'timestamp']);
+
+/**
+ * Appends the values of a numeric row of a tabular text log to the datasets
+ * of the charts, creating the datasets on the fly when needed.
+ */
+function appendRowToDatasets(datasets, columns, values, time) {
+  for (const [index, name] of columns.entries()) {
+    const spec = TEXT_LOG_COLUMNS[name];
+    if (spec) {
+      const key = spec.join('/');
+      datasets[key] ??= { chart: spec[0], label: spec[1], data: [] };
+      datasets[key].data.push({ x: time, y: values[index] });
+    }
+  }
+}
+
+/**
+ * Analyzes a flight log in text format.
+ *
+ * Logs that consist of a header row and rows of comma-, semicolon- or
+ * tab-separated numeric values are converted into charts based on the names
+ * of the columns in the header. Lines that are not numeric rows are treated
+ * as status messages and are scanned for signs of anomalies.
+ */
+function analyzeTextLog(text) {
+  const lines = text.split(/\r?\n/);
+  const anomalies = [];
+  const datasets = {};
+  let columns;
+  let separator;
+  let timeColumn = -1;
+  let start;
+
+  for (const [lineIndex, line] of lines.entries()) {
+    const trimmed = line.trim();
+    if (trimmed.length === 0) {
+      continue;
+    }
+
+    if (columns) {
+      const values = trimmed.split(separator).map(Number);
+      if (values.length === columns.length && values.every(Number.isFinite)) {
+        const rawTime = timeColumn >= 0 ? values[timeColumn] : lineIndex;
+        start ??= rawTime;
+        appendRowToDatasets(datasets, columns, values, rawTime - start);
+        continue;
+      }
+    } else {
+      separator = [',', ';', '\t'].find((char) => trimmed.includes(char));
+      const names = separator
+        ? trimmed.split(separator).map((name) => name.trim().toLowerCase())
+        : [];
+      if (names.some((name) => TEXT_LOG_COLUMNS[name])) {
+        columns = names;
+        timeColumn = names.findIndex((name) => TIME_COLUMNS.has(name));
+        continue;
+      }
+    }
+
+    const severity = getSeverityOfStatusMessage(trimmed);
+    if (severity) {
+      anomalies.push({ line: lineIndex + 1, severity, message: trimmed });
+    }
+  }
+
+  const charts = Object.keys(propertiesForFlightLogCharts)
+    .map((id) =>
+      createChart(
+        id,
+        Object.values(datasets).filter(({ chart }) => chart === id)
+      )
+    )
+    .filter(Boolean);
+
+  return { charts, anomalies };
+}
+
+/**
+ * Decodes the body of a flight log into text if it looks like text, or
+ * returns undefined otherwise.
+ */
+function decodeAsText(bytes) {
+  try {
+    const text = new TextDecoder('utf8', { fatal: true }).decode(bytes);
+    // eslint-disable-next-line no-control-regex
+    return /[\u0000-\u0008\u000E-\u001F]/.test(text) ? undefined : text;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Analyzes a flight log downloaded from a UAV.
+ *
+ * @param {Object} flightLog  the flight log as returned by the server, with
+ *        keys `kind` and `body`
+ * @returns {Object} the result of the analysis, with keys `supported` (whether
+ *          the format of the log is supported), `charts` (list of charts,
+ *          each with an identifier, a title, a unit and a list of datasets)
+ *          and `anomalies` (list of anomalies, each with a severity, a
+ *          message and a time in seconds since the start of the log or a
+ *          line number)
+ */
+export function analyzeFlightLog(flightLog) {
+  const { kind, body } = flightLog || {};
+  let result;
+
+  if (typeof body !== 'string') {
+    return { supported: false, charts: [], anomalies: [] };
+  }
+
+  if (kind === FlightLogKind.TEXT) {
+    result = analyzeTextLog(body);
+  } else {
+    const bytes = Base64.toUint8Array(body);
+    if (kind === FlightLogKind.ARDUPILOT || isDataFlashLog(bytes)) {
+      result = analyzeDataFlashLog(bytes);
+    } else {
+      const text = decodeAsText(bytes);
+      result = isNil(text) ? undefined : analyzeTextLog(text);
+    }
+  }
+
+  if (!result) {
+    return { supported: false, charts: [], anomalies: [] };
+  }
+
+  result.anomalies.sort((a, b) => (a.time ?? a.line) - (b.time ?? b.line));
+  return { supported: true, ...result };
+}
+
+/**
+ * Returns the most severe severity level among the anomalies of an analysis,
+ * or undefined if there were no anomalies.
+ */
+export function getMostSevereAnomalySeverity(analysis) {
+  const anomalies = analysis?.anomalies ?? [];
+  return anomalies.some(({ severity }) => severity === Severity.ERROR)
+    ? Severity.ERROR
+    : anomalies.length > 0
+      ? Severity.WARNING
+      : undefined;
+}
@@ -0,0 +1,14 @@
+/**
+ * @file Web worker that parses and analyzes downloaded flight logs so the UI
+ * stays responsive while large dataflash logs are being decoded.
+ */
+
+import { analyzeFlightLog } from './analysis';
+
+self.addEventListener('message', ({ data }) => {
+  try {
+    self.postMessage({ result: analyzeFlightLog(data) });
+  } catch (error) {
+    self.postMessage({ error: String(error?.message ?? error) });
+  }
+});
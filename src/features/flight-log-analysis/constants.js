@@ -0,0 +1,97 @@
+/**
+ * @file Constants related to the analysis of flight logs downloaded from UAVs.
+ */
+
+import { Severity } from '~/model/enums';
+
+/**
+ * Enum containing the identifiers of the charts produced by the analysis of
+ * a flight log.
+ */
+export const FlightLogChart = {
+  ALTITUDE: 'altitude',
+  BATTERY: 'battery',
+  VIBRATION: 'vibration',
+  GPS_ACCURACY: 'gpsAccuracy',
+  ATTITUDE: 'attitude',
+};
+
+/**
+ * Titles and units of the charts produced by the analysis of a flight log,
+ * in the order they should be shown.
+ */
+export const propertiesForFlightLogCharts = {
+  [FlightLogChart.ALTITUDE]: { title: 'Altitude', unit: 'm' },
+  [FlightLogChart.BATTERY]: { title: 'Battery voltage', unit: 'V' },
+  [FlightLogChart.VIBRATION]: { title: 'Vibration', unit: 'm/s²' },
+  [FlightLogChart.GPS_ACCURACY]: { title: 'GPS accuracy', unit: '' },
+  [FlightLogChart.ATTITUDE]: { title: 'Attitude', unit: '°' },
+};
+
+/**
+ * Maximum number of points to keep in a single dataset of a chart. Longer
+ * series are decimated.
+ */
+export const MAX_POINTS_PER_DATASET = 1000;
+
+/**
+ * Board supply voltage below which we flag a possible brownout, in volts.
+ */
+export const MIN_BOARD_VOLTAGE = 4.5;
+
+/**
+ * Vibration level above which we flag excessive vibration, in m/s².
+ */
+export const MAX_VIBRATION = 30;
+
+/**
+ * Horizontal position accuracy of the GPS above which we flag poor GPS
+ * accuracy, in meters.
+ */
+export const MAX_GPS_HORIZONTAL_ACCURACY = 5;
+
+/**
+ * Horizontal dilution of precision above which we flag poor GPS accuracy;
+ * used when the log does not contain the horizontal accuracy.
+ */
+export const MAX_GPS_HDOP = 2;
+
+/**
+ * Altitude above which a UAV is considered to be airborne when the log ends,
+ * in meters.
+ */
+export const MIN_AIRBORNE_ALTITUDE = 2;
+
+/**
+ * Names of the subsystems in the ERR messages of ArduPilot logs that are worth
+ * flagging, and the severity of the corresponding anomalies.
+ */
+export const ARDUPILOT_ERROR_SUBSYSTEMS = {
+  5: { name: 'Radio failsafe', severity: Severity.WARNING },
+  6: { name: 'Battery failsafe', severity: Severity.ERROR },
+  7: { name: 'GPS failsafe', severity: Severity.ERROR },
+  8: { name: 'GCS failsafe', severity: Severity.WARNING },
+  9: { name: 'Fence breach', severity: Severity.ERROR },
+  12: { name: 'Crash check', severity: Severity.ERROR },
+  16: { name: 'EKF check failure', severity: Severity.ERROR },
+  17: { name: 'EKF failsafe', severity: Severity.ERROR },
+  25: { name: 'Thrust loss', severity: Severity.ERROR },
+  26: { name: 'Sensor failsafe', severity: Severity.ERROR },
+  29: { name: 'Vibration failsafe', severity: Severity.ERROR },
+  31: { name: 'Dead reckoning failsafe', severity: Severity.ERROR },
+};
+
+/**
+ * Patterns to look for in the status messages of flight logs, and the
+ * severity of the corresponding anomalies.
+ */
+export const SUSPICIOUS_MESSAGE_PATTERNS = [
+  { pattern: /brown-?out/i, severity: Severity.ERROR },
+  { pattern: /ekf.*fail|fail.*ekf/i, severity: Severity.ERROR },
+  { pattern: /failsafe/i, severity: Severity.WARNING },
+  { pattern: /crash/i, severity: Severity.ERROR },
+  {
+    pattern: /\b(?:low|critical) battery|battery (?:low|critical)/i,
+    severity: Severity.WARNING,
+  },
+];
@@ -0,0 +1,174 @@
+/**
+ * @file Parser for ArduPilot dataflash logs (`.bin` files).
+ *
+ * A dataflash log is a sequence of binary messages. Each message starts with
+ * the header bytes 0xA3 0x95 and a message type byte. The layout of each
+ * message type is described by FMT messages in the log itself, so the parser
+ * needs to process the FMT messages first to learn how to decode the rest.
+ */
+
+const HEADER_1 = 0xa3;
+const HEADER_2 = 0x95;
+const FMT_TYPE = 128;
+const FMT_LENGTH = 89;
+
+const textDecoder = new TextDecoder('ascii');
+
+/**
+ * Decodes a NUL-terminated ASCII string of the given length.
+ */
+function decodeString(bytes, offset, length) {
+  let end = offset;
+  const limit = offset + length;
+  while (end < limit && bytes[end] !== 0) {
+    end++;
+  }
+
+  return textDecoder.decode(bytes.subarray(offset, end));
+}
+
+/**
+ * Object mapping the format characters of the dataflash log to their sizes
+ * and to functions that decode them from a DataView.
+ */
+const FIELD_TYPES = {
+  a: { size: 64, decode: () => null }, // int16_t[32], not needed
+  b: { size: 1, decode: (view, offset) => view.getInt8(offset) },
+  B: { size: 1, decode: (view, offset) => view.getUint8(offset) },
+  h: { size: 2, decode: (view, offset) => view.getInt16(offset, true) },
+  H: { size: 2, decode: (view, offset) => view.getUint16(offset, true) },
+  i: { size: 4, decode: (view, offset) => view.getInt32(offset, true) },
+  I: { size: 4, decode: (view, offset) => view.getUint32(offset, true) },
+  f: { size: 4, decode: (view, offset) => view.getFloat32(offset, true) },
+  d: { size: 8, decode: (view, offset) => view.getFloat64(offset, true) },
+  n: { size: 4, string: true },
+  N: { size: 16, string: true },
+  Z: { size: 64, string: true },
+  c: { size: 2, decode: (view, offset) => view.getInt16(offset, true) / 100 },
+  C: { size: 2, decode: (view, offset) => view.getUint16(offset, true) / 100 },
+  e: { size: 4, decode: (view, offset) => view.getInt32(offset, true) / 100 },
+  E: { size: 4, decode: (view, offset) => view.getUint32(offset, true) / 100 },
+  L: { size: 4, decode: (view, offset) => view.getInt32(offset, true) / 1e7 },
+  M: { size: 1, decode: (view, offset) => view.getUint8(offset) },
+  q: {
+    size: 8,
+    decode: (view, offset) => Number(view.getBigInt64(offset, true)),
+  },
+  Q: {
+    size: 8,
+    decode: (view, offset) => Number(view.getBigUint64(offset, true)),
+  },
+};
+
+/**
+ * Creates a message format descriptor from the format string and the column
+ * names found in an FMT message.
+ */
+function createMessageFormat({ name, length, format, columns }) {
+  const fields = [];
+  let offset = 3;
+
+  for (const [index, char] of [...format].entries()) {
+    const type = FIELD_TYPES[char];
+    if (!type) {
+      // Unknown field type; we cannot decode this message type reliably
+      return { name, length, fields: null };
+    }
+
+    fields.push({ name: columns[index] ?? `field${index}`, offset, ...type });
+    offset += type.size;
+  }
+
+  return { name, length, fields };
+}
+
+/**
+ * Parses an ArduPilot dataflash log.
+ *
+ * @param {Uint8Array} bytes  the contents of the log
+ * @param {Object} options  additional options
+ * @param {Iterable<string>} options.messages  the names of the message types
+ *        to decode; decoding only the messages that are needed saves lots of
+ *        time and memory for large logs
+ * @returns {Object} object mapping the names of the decoded message types to
+ *          objects that map column names to the arrays of values in that
+ *          column
+ */
+export function parseDataFlashLog(bytes, { messages } = {}) {
+  const wanted = messages ? new Set(messages) : undefined;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const formats = new Map();
+  const result = {};
+  const { length } = bytes;
+  let offset = 0;
+
+  formats.set(FMT_TYPE, { name: 'FMT', length: FMT_LENGTH });
+
+  while (offset + 3 <= length) {
+    if (bytes[offset] !== HEADER_1 || bytes[offset + 1] !== HEADER_2) {
+      // Corrupted data; scan forward until the next message header
+      offset++;
+      continue;
+    }
+
+    const type = bytes[offset + 2];
+    const format = formats.get(type);
+
+    if (!format) {
+      offset++;
+      continue;
+    }
+
+    if (offset + format.length > length) {
+      // Truncated message at the end of the log
+      break;
+    }
+
+    if (type === FMT_TYPE) {
+      const definition = {
+        type: bytes[offset + 3],
+        length: bytes[offset + 4],
+        name: decodeString(bytes, offset + 5, 4),
+        format: decodeString(bytes, offset + 9, 16),
+        columns: decodeString(bytes, offset + 25, 64).split(','),
+      };
+
+      if (definition.type !== FMT_TYPE) {
+        formats.set(definition.type, createMessageFormat(definition));
+      }
+    } else if (format.fields && (!wanted || wanted.has(format.name))) {
+      let table = result[format.name];
+      if (!table) {
+        table = {};
+        for (const field of format.fields) {
+          table[field.name] = [];
+        }
+
+        result[format.name] = table;
+      }
+
+      for (const field of format.fields) {
+        const fieldOffset = offset + field.offset;
+        table[field.name].push(
+          field.string
+            ? decodeString(bytes, fieldOffset, field.size)
+            : field.decode(view, fieldOffset)
+        );
+      }
+    }
+
+    offset += format.length;
+  }
+
+  return result;
+}
+
+/**
+ * Returns whether the given bytes look like the beginning of an ArduPilot
+ * dataflash log.
+ */
+export const isDataFlashLog = (bytes) =>
+  bytes.length >= 3 &&
+  bytes[0] === HEADER_1 &&
+  bytes[1] === HEADER_2 &&
+  bytes[2] === FMT_TYPE;
@@ -0,0 +1,63 @@
+/**
+ * @file Slice of the state object that handles the state of the dialog that
+ * shows the analysis of a downloaded flight log.
+ */
+
+import { createSlice, type PayloadAction } from '@reduxjs/toolkit';
+
+import type UAV from '~/model/uav';
+import { type AppSelector } from '~/store/reducers';
+import { noPayload } from '~/utils/redux';
+
+type FlightLogAnalysisDialogSliceState = {
+  open: boolean;
+  uavId?: UAV['id'];
+  logId?: string;
+};
+
+const initialState: FlightLogAnalysisDialogSliceState = {
+  open: false,
+  uavId: undefined,
+  logId: undefined,
+};
+
+const { actions, reducer } = createSlice({
+  name: 'flight-log-analysis-dialog',
+  initialState,
+  reducers: {
+    openFlightLogAnalysisDialog: {
+      prepare: (uavId: UAV['id'], logId: string) => ({
+        payload: { uavId, logId },
+      }),
+      reducer(
+        state,
+        {
+          payload: { uavId, logId },
+        }: PayloadAction<{ uavId: UAV['id']; logId: string }>
+      ) {
+        state.uavId = uavId;
+        state.logId = logId;
+        state.open = true;
+      },
+    },
+
+    closeFlightLogAnalysisDialog: noPayload<FlightLogAnalysisDialogSliceState>(
+      (state) => {
+        state.open = false;
+      }
+    ),
+  },
+});
+
+export const { openFlightLogAnalysisDialog, closeFlightLogAnalysisDialog } =
+  actions;
+
+export const isFlightLogAnalysisDialogOpen: AppSelector<boolean> = (state) =>
+  state.dialogs.flightLogAnalysis.open;
+
+export const getFlightLogShownInAnalysisDialog: AppSelector<{
+  uavId?: UAV['id'];
+  logId?: string;
+}> = (state) => state.dialogs.flightLogAnalysis;
+
+export default reducer;
@@ -0,0 +1,15 @@
+import { runInWorker } from '~/utils/workers';
+
+/**
+ * Analyzes a downloaded flight log in a dedicated web worker. Returns a
+ * promise that resolves to the result of the analysis.
+ *
+ * @param {Object} flightLog  the flight log to analyze; see
+ *        `analyzeFlightLog()` for details
+ */
+export const analyzeFlightLogInWorker = (flightLog) =>
+  runInWorker(
+    new Worker(new URL('analysis.worker.js', import.meta.url)),
+    flightLog,
+    { errorMessage: 'Flight log analysis failed' }
+  );
@@ -0,0 +1,67 @@
+import { batch } from 'react-redux';
+
+import {
+  clearLastUploadResult,
+  setupMissionFromShow,
+} from '~/features/show/actions';
+import { hasLoadedShowFile } from '~/features/show/selectors';
+
+import {
+  getStateToRestoreOnRedo,
+  getStateToRestoreOnUndo,
+  getUndoableState,
+} from './selectors';
+import { redoPerformed, restoreUndoableState, undoPerformed } from './slice';
+
+/**
+ * Returns whether the placement of the show differs between the two given
+ * undoable states.
+ */
+const isShowPlacementDifferent = (first, second) =>
+  first.outdoorShowOrigin !== second.outdoorShowOrigin ||
+  first.outdoorShowOrientation !== second.outdoorShowOrientation ||
+  first.indoorShowOrientation !== second.indoorShowOrientation;
+
+/**
+ * Replaces the undoable parts of the state with the given state, and updates
+ * everything that depends on the placement of the show if needed.
+ */
+const restoreState =
+  (current, target, historyAction) => (dispatch, getState) => {
+    batch(() => {
+      dispatch(historyAction(current));
+      dispatch(restoreUndoableState(target));
+
+      if (
+        isShowPlacementDifferent(current, target) &&
+        hasLoadedShowFile(getState())
+      ) {
+        dispatch(clearLastUploadResult());
+        dispatch(setupMissionFromShow());
+      }
+    });
+  };
+
+/**
+ * Thunk that undoes the last change to the map features, the mission items,
+ * the geofence or the placement of the show.
+ */
+export const undo = () => (dispatch, getState) => {
+  const state = getState();
+  const target = getStateToRestoreOnUndo(state);
+  if (target) {
+    dispatch(restoreState(getUndoableState(state), target, undoPerformed));
+  }
+};
+
+/**
+ * Thunk that redoes the last undone change to the map features, the mission
+ * items, the geofence or the placement of the show.
+ */
+export const redo = () => (dispatch, getState) => {
+  const state = getState();
+  const target = getStateToRestoreOnRedo(state);
+  if (target) {
+    dispatch(restoreState(getUndoableState(state), target, redoPerformed));
+  }
+};
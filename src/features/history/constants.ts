@@ -0,0 +1,16 @@
+/**
+ * @file Constants related to the undo/redo history of the application.
+ */
+
+/**
+ * Maximum number of steps that are kept in the undo history.
+ */
+export const MAX_HISTORY_LENGTH = 100;
+
+/**
+ * Undoable changes of the same kind that follow each other within this many
+ * milliseconds are merged into a single step of the undo history. This
+ * prevents continuous edits (e.g., typing a feature name) from flooding the
+ * history.
+ */
+export const HISTORY_COALESCING_INTERVAL = 1000;
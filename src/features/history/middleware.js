@@ -0,0 +1,119 @@
+/**
+ * @file Redux middleware that records the undoable parts of the state object
+ * before they are changed.
+ */
+
+import {
+  addFeatureById,
+  removeFeaturesByIds,
+  renameFeature,
+  setFeatureColor,
+  toggleFeatureFillVisible,
+  toggleFeatureMeasurementVisible,
+  toggleFeaturePointsVisible,
+  updateFeatureAttributes,
+  updateFeaturePropertiesByIds,
+  updateFeatureVisibility,
+} from '~/features/map-features/slice';
+import {
+  _setMissionItemsFromValidatedArray,
+  addMissionItem,
+  clearGeofencePolygonId,
+  moveMissionItem,
+  removeMissionItemsByIds,
+  setGeofencePolygonId,
+  updateMissionItemParameters,
+} from '~/features/mission/slice';
+import {
+  setIndoorShowOrientation,
+  setOutdoorShowOrientation,
+  setOutdoorShowOrigin,
+} from '~/features/show/slice';
+
+import { HISTORY_COALESCING_INTERVAL } from './constants';
+import { getUndoableState } from './selectors';
+import { pushUndoableState, redoPerformed, undoPerformed } from './slice';
+
+/**
+ * Types of the actions that may change the undoable parts of the state.
+ */
+const UNDOABLE_ACTION_TYPES = new Set(
+  [
+    _setMissionItemsFromValidatedArray,
+    addFeatureById,
+    addMissionItem,
+    clearGeofencePolygonId,
+    moveMissionItem,
+    removeFeaturesByIds,
+    removeMissionItemsByIds,
+    renameFeature,
+    setFeatureColor,
+    setGeofencePolygonId,
+    setIndoorShowOrientation,
+    setOutdoorShowOrientation,
+    setOutdoorShowOrigin,
+    toggleFeatureFillVisible,
+    toggleFeatureMeasurementVisible,
+    toggleFeaturePointsVisible,
+    updateFeatureAttributes,
+    updateFeaturePropertiesByIds,
+    updateFeatureVisibility,
+    updateMissionItemParameters,
+  ].map((actionCreator) => actionCreator.type)
+);
+
+/**
+ * Creates a Redux middleware that pushes the undoable parts of the state
+ * object to the undo history before they are changed by an action.
+ *
+ * Changes made by actions dispatched synchronously after each other (e.g.,
+ * from the same thunk) are merged into a single step of the undo history, and
+ * so are changes made by actions of the same type in quick succession.
+ */
+export const createHistoryMiddleware = () => {
+  let lastChangeType;
+  let lastChangeAt = 0;
+  let isGroupingChanges = false;
+
+  return (store) => (next) => (action) => {
+    if (
+      action.type === undoPerformed.type ||
+      action.type === redoPerformed.type
+    ) {
+      lastChangeType = undefined;
+      return next(action);
+    }
+
+    if (!UNDOABLE_ACTION_TYPES.has(action.type)) {
+      return next(action);
+    }
+
+    const stateBefore = getUndoableState(store.getState());
+    const result = next(action);
+    const stateAfter = getUndoableState(store.getState());
+
+    if (stateBefore !== stateAfter) {
+      const now = Date.now();
+      const shouldCoalesce =
+        isGroupingChanges ||
+        (action.type === lastChangeType &&
+          now - lastChangeAt < HISTORY_COALESCING_INTERVAL);
+
+      if (!shouldCoalesce) {
+        store.dispatch(pushUndoableState(stateBefore));
+      }
+
+      lastChangeType = action.type;
+      lastChangeAt = now;
+
+      if (!isGroupingChanges) {
+        isGroupingChanges = true;
+        queueMicrotask(() => {
+          isGroupingChanges = false;
+        });
+      }
+    }
+
+    return result;
+  };
+};
@@ -0,0 +1,53 @@
+import { createSelector } from '@reduxjs/toolkit';
+
+/**
+ * Returns the placement of the show (origin and orientation) in the form in
+ * which it is stored in the undo history.
+ */
+const getUndoableShowPlacement = createSelector(
+  (state) => state.show.environment.outdoor.coordinateSystem,
+  (state) => state.show.environment.indoor.coordinateSystem,
+  (outdoorCoordinateSystem, indoorCoordinateSystem) => ({
+    outdoorShowOrigin: outdoorCoordinateSystem.origin,
+    outdoorShowOrientation: outdoorCoordinateSystem.orientation,
+    indoorShowOrientation: indoorCoordinateSystem.orientation,
+  })
+);
+
+/**
+ * Returns the parts of the state object that can be undone and redone.
+ */
+export const getUndoableState = createSelector(
+  (state) => state.features,
+  (state) => state.mission.items,
+  (state) => state.mission.geofencePolygonId,
+  getUndoableShowPlacement,
+  (features, missionItems, geofencePolygonId, showPlacement) => ({
+    features,
+    missionItems,
+    geofencePolygonId,
+    ...showPlacement,
+  })
+);
+
+/**
+ * Returns the state that would be restored by the next undo operation, or
+ * undefined if there is nothing to undo.
+ */
+export const getStateToRestoreOnUndo = (state) => state.history.past.at(-1);
+
+/**
+ * Returns the state that would be restored by the next redo operation, or
+ * undefined if there is nothing to redo.
+ */
+export const getStateToRestoreOnRedo = (state) => state.history.future[0];
+
+/**
+ * Returns whether there is at least one change that can be undone.
+ */
+export const canUndo = (state) => state.history.past.length > 0;
+
+/**
+ * Returns whether there is at least one undone change that can be redone.
+ */
+export const canRedo = (state) => state.history.future.length > 0;
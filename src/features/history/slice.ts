@@ -0,0 +1,102 @@
+/**
+ * @file Slice of the state object that stores the undo/redo history of the
+ * map features, the mission items, the geofence and the placement of the show.
+ */
+
+import {
+  createAction,
+  createSlice,
+  type PayloadAction,
+} from '@reduxjs/toolkit';
+
+import { type FeatureWithProperties } from '~/features/map-features/types';
+import { type MissionItem } from '~/model/missions';
+import { type Collection } from '~/utils/collections';
+import { type Coordinate2D } from '~/utils/math';
+import { noPayload } from '~/utils/redux';
+
+import { MAX_HISTORY_LENGTH } from './constants';
+
+/**
+ * The parts of the state object that can be undone and redone.
+ */
+export type UndoableState = {
+  features: Collection<FeatureWithProperties>;
+  missionItems: Collection<MissionItem>;
+  geofencePolygonId?: FeatureWithProperties['id'];
+  outdoorShowOrigin?: Coordinate2D;
+  outdoorShowOrientation: string;
+  indoorShowOrientation: string;
+};
+
+type HistorySliceState = {
+  /** Earlier states that can be restored by undoing, oldest first */
+  past: UndoableState[];
+
+  /** Later states that can be restored by redoing, newest first */
+  future: UndoableState[];
+};
+
+const initialState: HistorySliceState = {
+  past: [],
+  future: [],
+};
+
+/**
+ * Action that replaces the undoable parts of the state object with the given
+ * state. It is handled by the slices that own these parts of the state.
+ */
+export const restoreUndoableState = createAction<UndoableState>(
+  'history/restoreUndoableState'
+);
+
+const { actions, reducer } = createSlice({
+  name: 'history',
+  initialState,
+  reducers: {
+    clearHistory: noPayload<HistorySliceState>((state) => {
+      state.past = [];
+      state.future = [];
+    }),
+
+    /**
+     * Records the given state as the state before an undoable change, and
+     * clears the redo history.
+     */
+    pushUndoableState(state, action: PayloadAction<UndoableState>) {
+      state.past.push(action.payload);
+      if (state.past.length > MAX_HISTORY_LENGTH) {
+        state.past.splice(0, state.past.length - MAX_HISTORY_LENGTH);
+      }
+
+      state.future = [];
+    },
+
+    /**
+     * Moves the last state from the undo history to the redo history,
+     * replacing it with the given current state.
+     */
+    undoPerformed(state, action: PayloadAction<UndoableState>) {
+      if (state.past.length > 0) {
+        state.past.pop();
+        state.future.unshift(action.payload);
+      }
+    },
+
+    /**
+     * Moves the first state from the redo history to the undo history,
+     * replacing it with the given current state.
+     */
+    redoPerformed(state, action: PayloadAction<UndoableState>) {
+      if (state.future.length > 0) {
+        state.future.shift();
+        state.past.push(action.payload);
+      }
+    },
+  },
+});
+
+export const { clearHistory, pushUndoableState, redoPerformed, undoPerformed } =
+  actions;
+
+export default reducer;
@@ -8,6 +8,7 @@ import React from 'react';
 import { configure as configureHotkeys, GlobalHotKeys } from 'react-hotkeys';
 import { connect } from 'react-redux';
 
+import { redo, undo } from '~/features/history/actions';
 import { selectAllUAVs } from '~/features/map/selection';
 import { removeSelectedFeatures } from '~/features/map-features/actions';
 import { removeSelectedMissionItems } from '~/features/mission/actions';
@@ -28,7 +29,7 @@ import {
   deleteLastCharacterOfPendingUAVId,
   handlePendingUAVIdThenDispatch,
 } from './actions';
-import keyMap from './keymap';
+import { getKeyMap } from './selectors';
 import {
   isKeyboardNavigationActive,
   sendKeyboardNavigationSignal,
@@ -61,8 +62,8 @@ configureHotkeys({
 // Luckily it is not a problem if we use GlobalHotKeys "outside" the workbench
 // and normal <HotKeys> "inside" the workbench.
 
-const AppHotkeys = ({ handlers }) => (
-  <GlobalHotKeys keyMap={keyMap} handlers={handlers} />
+const AppHotkeys = ({ handlers, keyMap }) => (
+  <GlobalHotKeys allowChanges keyMap={keyMap} handlers={handlers} />
 );
 
 const bindHotkeyHandlers = (reduxHandlers, nonReduxHandlers, dispatch) => ({
@@ -75,6 +76,7 @@ const bindHotkeyHandlers = (reduxHandlers, nonReduxHandlers, dispatch) => ({
 
 AppHotkeys.propTypes = {
   handlers: PropTypes.object,
+  keyMap: PropTypes.object,
 };
 
 /**
@@ -105,7 +107,9 @@ const callUAVActionOnSelection = (actionName) => () => {
 
 export default connect(
   // mapStateToProps
-  null,
+  (state) => ({
+    keyMap: getKeyMap(state),
+  }),
   // mapDispatchToProps
   (dispatch) => ({
     handlers: bindHotkeyHandlers(
@@ -127,6 +131,7 @@ export default connect(
         CLEAR_SELECTION: clearSelectionOrPendingUAVId,
         COPY_COORDINATES: copyCoordinates,
         DELETE_LAST_CHARACTER: deleteLastCharacterOfPendingUAVId,
+        REDO: redo,
         REMOVE_SELECTION: handlePendingUAVIdThenDispatch(() => (dispatch) => {
           dispatch(requestRemovalOfSelectedUAVs());
           dispatch(removeSelectedFeatures());
@@ -140,6 +145,11 @@ export default connect(
         SEND_LANDING_COMMAND: callUAVActionOnSelection('land'),
         SEND_POSITION_HOLD_COMMAND: callUAVActionOnSelection('holdPosition'),
         SEND_RTH_COMMAND: callUAVActionOnSelection('returnToHome'),
+        SEND_MOTORS_ON_COMMAND: callUAVActionOnSelection('turnMotorsOn'),
+        SEND_MOTORS_OFF_COMMAND: callUAVActionOnSelection('turnMotorsOff'),
+        SEND_RESET_COMMAND: callUAVActionOnSelection('reset'),
+        SEND_SLEEP_COMMAND: callUAVActionOnSelection('sleep'),
+        SEND_WAKE_UP_COMMAND: callUAVActionOnSelection('wakeUp'),
         SHOW_HOTKEY_DIALOG: showHotkeyDialog,
         TOGGLE_BROADCAST_MODE: toggleBroadcast,
         TOGGLE_SORT_BY_MISSION_ID: toggleMissionIds,
@@ -154,6 +164,7 @@ export default connect(
         TYPE_8: () => appendToPendingUAVId(8),
         TYPE_9: () => appendToPendingUAVId(9),
         TYPE_S: () => appendToPendingUAVId('s'),
+        UNDO: undo,
       },
       // Plain callable functions bound to hotkeys
       {
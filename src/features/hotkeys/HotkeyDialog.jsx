@@ -3,25 +3,44 @@
  */
 
 import PropTypes from 'prop-types';
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { getApplicationKeyMap } from 'react-hotkeys';
 import { connect } from 'react-redux';
 
+import Box from '@material-ui/core/Box';
 import Button from '@material-ui/core/Button';
+import Dialog from '@material-ui/core/Dialog';
 import DialogActions from '@material-ui/core/DialogActions';
 import DialogContent from '@material-ui/core/DialogContent';
+import DialogContentText from '@material-ui/core/DialogContentText';
+import DialogTitle from '@material-ui/core/DialogTitle';
+import IconButton from '@material-ui/core/IconButton';
 import Table from '@material-ui/core/Table';
 import TableBody from '@material-ui/core/TableBody';
 import TableCell from '@material-ui/core/TableCell';
 import TableRow from '@material-ui/core/TableRow';
+import Edit from '@material-ui/icons/Edit';
+import SettingsBackupRestore from '@material-ui/icons/SettingsBackupRestore';
 
 import DraggableDialog from '@skybrush/mui-components/lib/DraggableDialog';
+import Tooltip from '@skybrush/mui-components/lib/Tooltip';
 
 import { isRunningOnMac, platformModifierKey } from '~/utils/platform';
 
-import { HIDDEN } from './keymap';
-import { isHotkeyDialogVisible } from './selectors';
-import { closeHotkeyDialog } from './slice';
+import { assignHotkey } from './actions';
+import { defaultKeyMap, HIDDEN } from './keymap';
+import {
+  findHotkeyConflicts,
+  getCustomHotkeyBindings,
+  getEditableHotkeys,
+  isHotkeyDialogVisible,
+} from './selectors';
+import { getKeySequenceFromEvent } from './sequences';
+import {
+  closeHotkeyDialog,
+  resetAllHotkeyBindings,
+  resetHotkeyBinding,
+} from './slice';
 
 /**
  * Formats the given hotkey sequence to make it suitable for the user.
@@ -62,6 +81,7 @@ function formatKeySequence(definition) {
 
 const keysColumnStyle = { width: 120 };
 const nameColumnStyle = { maxWidth: '99%' };
+const buttonsColumnStyle = { width: 80, whiteSpace: 'nowrap' };
 
 const HotkeyRow = ({ name, sequences }) => (
   <TableRow>
@@ -69,6 +89,7 @@ const HotkeyRow = ({ name, sequences }) => (
       {sequences.map(({ sequence }) => formatKeySequence(sequence))}
     </TableCell>
     <TableCell style={nameColumnStyle}>{name}</TableCell>
+    <TableCell style={buttonsColumnStyle} padding='none' />
   </TableRow>
 );
 
@@ -81,52 +102,235 @@ HotkeyRow.propTypes = {
   ),
 };
 
+const EditableHotkeyRow = ({ hotkey, onEdit, onReset }) => (
+  <TableRow>
+    <TableCell style={keysColumnStyle} padding='none'>
+      {hotkey.sequence ? formatKeySequence(hotkey.sequence) : '—'}
+    </TableCell>
+    <TableCell style={nameColumnStyle}>{hotkey.name}</TableCell>
+    <TableCell style={buttonsColumnStyle} padding='none'>
+      <Tooltip content='Change hotkey'>
+        <IconButton size='small' onClick={() => onEdit(hotkey)}>
+          <Edit fontSize='small' />
+        </IconButton>
+      </Tooltip>
+      <Tooltip content='Restore default hotkey'>
+        <span>
+          <IconButton
+            size='small'
+            disabled={!hotkey.isCustomized}
+            onClick={() => onReset(hotkey.action)}
+          >
+            <SettingsBackupRestore fontSize='small' />
+          </IconButton>
+        </span>
+      </Tooltip>
+    </TableCell>
+  </TableRow>
+);
+
+EditableHotkeyRow.propTypes = {
+  hotkey: PropTypes.shape({
+    action: PropTypes.string,
+    isCustomized: PropTypes.bool,
+    name: PropTypes.string,
+    sequence: PropTypes.string,
+  }),
+  onEdit: PropTypes.func,
+  onReset: PropTypes.func,
+};
+
 /**
- * Dialog that shows the current list of hotkeys.
+ * Dialog that records a new key sequence for a hotkey and warns the user about
+ * the other hotkeys that are bound to the same sequence.
  */
-const HotkeyDialog = ({ onClose, open }) => {
+const HotkeyRecorderDialog = ({ bindings, hotkey, onAssign, onClose }) => {
+  const [sequence, setSequence] = useState('');
+  const recorderRef = useRef(null);
+
+  useEffect(() => {
+    setSequence(hotkey?.sequence ?? '');
+  }, [hotkey]);
+
+  const handleKeyDown = (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+
+    const recorded = getKeySequenceFromEvent(event);
+    if (recorded) {
+      setSequence(recorded);
+    }
+  };
+
+  const conflicts = hotkey
+    ? findHotkeyConflicts(bindings, hotkey.action, sequence)
+    : [];
+  const reserved = conflicts.some(({ hidden }) => hidden);
+
+  return (
+    <Dialog
+      open={Boolean(hotkey)}
+      maxWidth='xs'
+      TransitionProps={{ onEntered: () => recorderRef.current?.focus() }}
+      onClose={onClose}
+    >
+      <DialogTitle>{hotkey?.name}</DialogTitle>
+      <DialogContent>
+        <DialogContentText>
+          Press the new key combination while the box below is focused.
+        </DialogContentText>
+        <Box
+          ref={recorderRef}
+          tabIndex={0}
+          textAlign='center'
+          py={2}
+          border={1}
+          borderColor='divider'
+          borderRadius={4}
+          component='div'
+          onKeyDown={handleKeyDown}
+        >
+          {sequence ? formatKeySequence(sequence) : 'No hotkey'}
+        </Box>
+        {conflicts.length > 0 && (
+          <Box mt={2} color={reserved ? 'error.main' : 'warning.main'}>
+            {reserved
+              ? 'This key combination is reserved and cannot be assigned.'
+              : `This key combination is already assigned to: ${conflicts
+                  .map(({ name }) => name)
+                  .join(', ')}. Assigning it here removes it from there.`}
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={() => setSequence('')}>Clear</Button>
+        <Button onClick={() => setSequence(hotkey?.defaultSequence ?? '')}>
+          Default
+        </Button>
+        <Box flex={1} />
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          color='primary'
+          disabled={reserved}
+          onClick={() => onAssign(hotkey.action, sequence)}
+        >
+          Assign
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+HotkeyRecorderDialog.propTypes = {
+  bindings: PropTypes.objectOf(PropTypes.string),
+  hotkey: PropTypes.shape({
+    action: PropTypes.string,
+    defaultSequence: PropTypes.string,
+    name: PropTypes.string,
+    sequence: PropTypes.string,
+  }),
+  onAssign: PropTypes.func,
+  onClose: PropTypes.func,
+};
+
+/**
+ * Dialog that shows the current list of hotkeys and allows the user to
+ * change the global ones.
+ */
+const HotkeyDialog = ({
+  bindings,
+  editableHotkeys,
+  onAssign,
+  onClose,
+  onReset,
+  onResetAll,
+  open,
+}) => {
   const [hotkeys, setHotkeys] = useState(() => getApplicationKeyMap());
+  const [editedHotkey, setEditedHotkey] = useState(null);
 
   useEffect(() => {
     setHotkeys(getApplicationKeyMap());
   }, [open]);
 
+  const closeEditor = () => setEditedHotkey(null);
+  const assignAndCloseEditor = (action, sequence) => {
+    if (onAssign(action, sequence)) {
+      closeEditor();
+    }
+  };
+
+  // Hotkeys of the application keymap that are not global are defined by
+  // the individual panels and cannot be changed
+  const otherHotkeys = Object.keys(hotkeys || {}).filter(
+    (hotkey) => !(hotkey in defaultKeyMap) && hotkeys[hotkey].group !== HIDDEN
+  );
+
   return (
     <DraggableDialog title='Hotkeys' open={open} onClose={onClose}>
       <DialogContent>
         <Table size='small'>
           <TableBody>
-            {Object.keys(hotkeys || {}).map(
-              (hotkey) =>
-                hotkeys[hotkey].group !== HIDDEN && (
-                  <HotkeyRow key={hotkey} {...hotkeys[hotkey]} />
-                )
-            )}
+            {editableHotkeys.map((hotkey) => (
+              <EditableHotkeyRow
+                key={hotkey.action}
+                hotkey={hotkey}
+                onEdit={setEditedHotkey}
+                onReset={onReset}
+              />
+            ))}
+            {otherHotkeys.map((hotkey) => (
+              <HotkeyRow key={hotkey} {...hotkeys[hotkey]} />
+            ))}
           </TableBody>
         </Table>
       </DialogContent>
 
       <DialogActions>
+        <Button
+          disabled={Object.keys(bindings).length === 0}
+          onClick={onResetAll}
+        >
+          Restore defaults
+        </Button>
+        <Box flex={1} />
         <Button color='primary' onClick={onClose}>
           Close
         </Button>
       </DialogActions>
+
+      <HotkeyRecorderDialog
+        bindings={bindings}
+        hotkey={editedHotkey}
+        onAssign={assignAndCloseEditor}
+        onClose={closeEditor}
+      />
     </DraggableDialog>
   );
 };
 
 HotkeyDialog.propTypes = {
+  bindings: PropTypes.objectOf(PropTypes.string),
+  editableHotkeys: PropTypes.arrayOf(PropTypes.object),
+  onAssign: PropTypes.func,
   onClose: PropTypes.func,
+  onReset: PropTypes.func,
+  onResetAll: PropTypes.func,
   open: PropTypes.bool,
 };
 
 export default connect(
   // mapStateToProps
   (state) => ({
+    bindings: getCustomHotkeyBindings(state),
+    editableHotkeys: getEditableHotkeys(state),
     open: isHotkeyDialogVisible(state),
   }),
   // mapDispatchToProps
   {
+    onAssign: assignHotkey,
     onClose: closeHotkeyDialog,
+    onReset: resetHotkeyBinding,
+    onResetAll: resetAllHotkeyBindings,
   }
 )(HotkeyDialog);
@@ -1,17 +1,25 @@
 import isNil from 'lodash-es/isNil';
 
-import { dismissAlerts } from '~/features/alert/slice';
+import { acknowledgeAllAlerts } from '~/features/alert/actions';
 import { hasPendingAudibleAlerts } from '~/features/alert/selectors';
 import { clearSelection } from '~/features/map/selection';
 import { getMissionMapping } from '~/features/mission/selectors';
-import { showNotification } from '~/features/snackbar/actions';
+import { showError, showNotification } from '~/features/snackbar/actions';
 import { setSelectedUAVIds } from '~/features/uavs/actions';
 import { getUAVById } from '~/features/uavs/selectors';
 import { scrollUAVListItemIntoView } from '~/utils/navigation';
 import { copyDisplayedCoordinatesToClipboard } from '~/views/map/utils';
 
-import { getPendingUAVId, isPendingUAVIdOverlayVisible } from './selectors';
-import { setPendingUAVId, startPendingUAVIdTimeout } from './slice';
+import {
+  getHotkeyConflicts,
+  getPendingUAVId,
+  isPendingUAVIdOverlayVisible,
+} from './selectors';
+import {
+  setPendingUAVId,
+  startPendingUAVIdTimeout,
+  updateHotkeyBindings,
+} from './slice';
 
 /* Prefixes to try in front of a UAV ID in case the "real" UAV ID has leading
  * zeros */
@@ -172,7 +180,7 @@ export function clearSelectionOrPendingUAVId() {
     if (isPendingUAVIdOverlayVisible(state)) {
       dispatch(clearPendingUAVId());
     } else if (hasPendingAudibleAlerts(state)) {
-      dispatch(dismissAlerts());
+      dispatch(acknowledgeAllAlerts());
     } else {
       dispatch(clearSelection());
     }
@@ -208,3 +216,45 @@ export function deleteLastCharacterOfPendingUAVId() {
     }
   };
 }
+
+/**
+ * Assigns the given key sequence to the given hotkey action. Other actions
+ * bound to the same sequence lose their hotkey, unless they are reserved for
+ * internal use (e.g., typing UAV IDs), in which case the assignment is
+ * rejected.
+ *
+ * @param {string} action  the name of the action in the keymap
+ * @param {string} sequence  the key sequence to assign; an empty string removes
+ *        the hotkey of the action
+ * @returns {boolean} whether the key sequence was assigned
+ */
+export const assignHotkey = (action, sequence) => (dispatch, getState) => {
+  const conflicts = getHotkeyConflicts(getState(), action, sequence);
+  const reserved = conflicts.find(({ hidden }) => hidden);
+
+  if (reserved) {
+    dispatch(
+      showError(
+        `This key combination is reserved for another function: ${reserved.name}`
+      )
+    );
+    return false;
+  }
+
+  const updates = { [action]: sequence };
+  for (const conflict of conflicts) {
+    updates[conflict.action] = '';
+  }
+
+  dispatch(updateHotkeyBindings(updates));
+
+  if (conflicts.length > 0) {
+    dispatch(
+      showNotification(
+        `Hotkey removed from: ${conflicts.map(({ name }) => name).join(', ')}`
+      )
+    );
+  }
+
+  return true;
+};
@@ -3,7 +3,12 @@ import { isRunningOnMac } from '~/utils/platform';
 /** Special marker for hotkeys that are supposed to be hidden from the user */
 export const HIDDEN = '_hidden';
 
-const globalKeyMap = {
+/**
+ * Default hotkey bindings of the application. Sequences use "mod" for the
+ * platform-specific modifier key; an empty sequence means that the action has
+ * no hotkey by default but the user may assign one.
+ */
+export const defaultKeyMap = {
   ACTIVATE_SELECTION: {
     name: 'Show properties dialog for selection',
     sequence: 'enter',
@@ -24,6 +29,16 @@ const globalKeyMap = {
     sequence: 'mod+shift+c',
   },
 
+  REDO: {
+    name: 'Redo last undone change',
+    sequence: 'mod+shift+z',
+  },
+
+  UNDO: {
+    name: 'Undo last change',
+    sequence: 'mod+z',
+  },
+
   PAGE_DOWN: {
     name: 'Page down',
     sequence: 'pagedown',
@@ -112,6 +127,31 @@ const globalKeyMap = {
     sequence: 'mod+alt+r',
   },
 
+  SEND_MOTORS_ON_COMMAND: {
+    name: 'Turn motors on for selection',
+    sequence: '',
+  },
+
+  SEND_MOTORS_OFF_COMMAND: {
+    name: 'Turn motors off for selection',
+    sequence: '',
+  },
+
+  SEND_RESET_COMMAND: {
+    name: 'Send reset command to selection',
+    sequence: '',
+  },
+
+  SEND_SLEEP_COMMAND: {
+    name: 'Send sleep command to selection',
+    sequence: '',
+  },
+
+  SEND_WAKE_UP_COMMAND: {
+    name: 'Send wake up command to selection',
+    sequence: '',
+  },
+
   SHOW_HOTKEY_DIALOG: {
     name: 'Show hotkeys',
     sequence: '?',
@@ -137,7 +177,7 @@ const globalKeyMap = {
 };
 
 for (const number of [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]) {
-  globalKeyMap[`TYPE_${number}`] = {
+  defaultKeyMap[`TYPE_${number}`] = {
     name: `Append ${number} to the pending UAV ID`,
     sequence: String(number),
     group: HIDDEN,
@@ -147,20 +187,25 @@ for (const number of [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]) {
 // We need to replace "mod" with "meta" on macOS and "ctrl" everywhere else
 // until react-hotkeys starts supporting the "mod" modifier from Mousetrap
 const platModKey = isRunningOnMac ? 'meta+' : 'ctrl+';
-const platformize = (key) => key.replace('mod+', platModKey);
-
-function fixModifiersInKeyMap(keyMap) {
-  for (const definition of Object.values(keyMap)) {
-    if (definition.sequence) {
-      definition.sequence = platformize(definition.sequence);
-    } else if (Array.isArray(definition.sequences)) {
-      definition.sequences = definition.sequences.map(platformize);
+export const platformize = (key) => key.replace('mod+', platModKey);
+
+/**
+ * Creates the keymap to pass to react-hotkeys from the default keymap and the
+ * custom bindings of the user. Actions without a hotkey are left out.
+ *
+ * @param {Object} bindings  object mapping action names to the key sequences
+ *        assigned to them by the user; an empty string means that the user
+ *        removed the hotkey of the action
+ */
+export function createKeyMap(bindings = {}) {
+  const keyMap = {};
+
+  for (const [action, definition] of Object.entries(defaultKeyMap)) {
+    const sequence = bindings[action] ?? definition.sequence;
+    if (sequence) {
+      keyMap[action] = { ...definition, sequence: platformize(sequence) };
     }
   }
 
   return keyMap;
 }
-
-fixModifiersInKeyMap(globalKeyMap);
-
-export default globalKeyMap;
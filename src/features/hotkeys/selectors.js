@@ -1,7 +1,75 @@
+import { createSelector } from '@reduxjs/toolkit';
+
+import { createKeyMap, defaultKeyMap, HIDDEN } from './keymap';
+import { normalizeKeySequence } from './sequences';
+
 export function getPendingUAVId(state) {
   return state.hotkeys.pendingUAVId;
 }
 
+/**
+ * Returns the custom hotkey bindings of the user, keyed by action names.
+ */
+export const getCustomHotkeyBindings = (state) => state.hotkeys.bindings || {};
+
+/**
+ * Returns the keymap to pass to react-hotkeys, taking into account the custom
+ * hotkey bindings of the user.
+ */
+export const getKeyMap = createSelector(getCustomHotkeyBindings, createKeyMap);
+
+/**
+ * Returns the list of hotkeys that the user is allowed to rebind, in the order
+ * of the default keymap. Each item contains the name of the action, its
+ * description, its current and default key sequence, and whether the
+ * sequence was customized by the user.
+ */
+export const getEditableHotkeys = createSelector(
+  getCustomHotkeyBindings,
+  (bindings) =>
+    Object.entries(defaultKeyMap)
+      .filter(([, { group }]) => group !== HIDDEN)
+      .map(([action, { name, sequence }]) => ({
+        action,
+        name,
+        sequence: bindings[action] ?? sequence,
+        defaultSequence: sequence,
+        isCustomized: bindings[action] !== undefined,
+      }))
+);
+
+/**
+ * Returns the actions other than the given one that are bound to the given
+ * key sequence with the given custom bindings, along with whether they are
+ * hidden from the user (and hence cannot be reassigned).
+ */
+export function findHotkeyConflicts(bindings, action, sequence) {
+  const normalized = normalizeKeySequence(sequence);
+  if (!normalized) {
+    return [];
+  }
+
+  return Object.entries(defaultKeyMap)
+    .filter(
+      ([other, definition]) =>
+        other !== action &&
+        normalizeKeySequence(bindings[other] ?? definition.sequence) ===
+          normalized
+    )
+    .map(([other, { name, group }]) => ({
+      action: other,
+      name,
+      hidden: group === HIDDEN,
+    }));
+}
+
+/**
+ * Returns the actions other than the given one that are bound to the given
+ * key sequence with the current custom bindings of the user.
+ */
+export const getHotkeyConflicts = (state, action, sequence) =>
+  findHotkeyConflicts(getCustomHotkeyBindings(state), action, sequence);
+
 export function isHotkeyDialogVisible(state) {
   return state.hotkeys.dialogVisible;
 }
@@ -0,0 +1,90 @@
+/**
+ * @file Helper functions for recording and comparing hotkey sequences.
+ */
+
+import { eventHasPlatformModifierKey, isRunningOnMac } from '~/utils/platform';
+
+import { platformize } from './keymap';
+
+/**
+ * Order in which the modifier keys appear in the recorded sequences.
+ */
+const MODIFIERS = ['mod', 'ctrl', 'meta', 'alt', 'shift'];
+
+/**
+ * Names of special keys in the hotkey sequences, indexed by the `key`
+ * property of the corresponding keyboard events.
+ */
+const KEY_NAMES = {
+  ' ': 'space',
+  '+': 'plus',
+  ArrowDown: 'down',
+  ArrowLeft: 'left',
+  ArrowRight: 'right',
+  ArrowUp: 'up',
+  Delete: 'del',
+  Escape: 'esc',
+};
+
+/**
+ * Keys that are modifiers on their own and cannot form a sequence alone.
+ */
+const MODIFIER_KEYS = new Set(['Alt', 'AltGraph', 'Control', 'Meta', 'Shift']);
+
+/**
+ * Converts a keyboard event into a hotkey sequence in the format used by the
+ * keymap, e.g. `mod+alt+t`.
+ *
+ * @param {KeyboardEvent} event  the keyboard event to convert
+ * @returns {string|undefined} the hotkey sequence or undefined if the event
+ *          contains modifier keys only
+ */
+export function getKeySequenceFromEvent(event) {
+  const { key } = event;
+  if (!key || MODIFIER_KEYS.has(key)) {
+    return undefined;
+  }
+
+  const parts = [];
+  if (eventHasPlatformModifierKey(event)) {
+    parts.push('mod');
+  }
+
+  if (event.ctrlKey && isRunningOnMac) {
+    parts.push('ctrl');
+  }
+
+  if (event.metaKey && !isRunningOnMac) {
+    parts.push('meta');
+  }
+
+  if (event.altKey) {
+    parts.push('alt');
+  }
+
+  // Shift is implied by the character itself for non-letter printable keys
+  // (e.g. "?"), so we record it only for letters and special keys
+  if (event.shiftKey && (key.length > 1 || key.toLowerCase() !== key)) {
+    parts.push('shift');
+  }
+
+  parts.push(KEY_NAMES[key] ?? key.toLowerCase());
+  return parts.join('+');
+}
+
+/**
+ * Normalizes a hotkey sequence so two sequences that trigger the same action
+ * compare equal, independently of the platform and the order of modifiers.
+ */
+export function normalizeKeySequence(sequence) {
+  if (!sequence) {
+    return '';
+  }
+
+  const parts = platformize(sequence.toLowerCase()).split('+');
+  const key = parts.pop();
+  const modifiers = parts
+    .map((part) => (part === 'cmd' ? 'meta' : part))
+    .sort((a, b) => MODIFIERS.indexOf(a) - MODIFIERS.indexOf(b));
+  return [...modifiers, key].join('+');
+}
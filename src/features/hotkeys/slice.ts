@@ -1,17 +1,27 @@
 /**
- * @file Slice of the state object that stores the state of the LCD clock panel.
+ * @file Slice of the state object that stores the state of the hotkeys,
+ * including the custom hotkey bindings of the user.
  */
 
 import { createSlice, type PayloadAction } from '@reduxjs/toolkit';
 
 import { noPayload } from '~/utils/redux';
 
+import { defaultKeyMap } from './keymap';
+
 type HotkeysSliceState = {
+  /**
+   * Custom key sequences assigned by the user to the actions in the keymap,
+   * keyed by the names of the actions. An empty string means that the user
+   * removed the hotkey of the action.
+   */
+  bindings: Record<string, string>;
   dialogVisible: boolean;
   pendingUAVId: string;
 };
 
 const initialState: HotkeysSliceState = {
+  bindings: {},
   dialogVisible: false,
   pendingUAVId: '',
 };
@@ -20,6 +30,35 @@ const { actions, reducer } = createSlice({
   name: 'hotkeys',
   initialState,
   reducers: {
+    /**
+     * Replaces all the custom hotkey bindings of the user.
+     */
+    replaceHotkeyBindings(
+      state,
+      action: PayloadAction<Record<string, string>>
+    ) {
+      state.bindings = {};
+      for (const [name, sequence] of Object.entries(action.payload)) {
+        if (name in defaultKeyMap && typeof sequence === 'string') {
+          state.bindings[name] = sequence;
+        }
+      }
+    },
+
+    /**
+     * Restores the default hotkey of the given action.
+     */
+    resetHotkeyBinding(state, action: PayloadAction<string>) {
+      delete state.bindings[action.payload];
+    },
+
+    /**
+     * Restores the default hotkeys of all the actions.
+     */
+    resetAllHotkeyBindings: noPayload<HotkeysSliceState>((state) => {
+      state.bindings = {};
+    }),
+
     setPendingUAVId(state, action: PayloadAction<string>) {
       state.pendingUAVId = action.payload;
     },
@@ -35,14 +74,40 @@ const { actions, reducer } = createSlice({
     closeHotkeyDialog: noPayload<HotkeysSliceState>((state) => {
       state.dialogVisible = false;
     }),
+
+    /**
+     * Assigns key sequences to actions. The payload maps action names to key
+     * sequences; an empty string removes the hotkey of the action. Bindings
+     * that are identical to the defaults are not stored.
+     */
+    updateHotkeyBindings(state, action: PayloadAction<Record<string, string>>) {
+      for (const [name, sequence] of Object.entries(action.payload)) {
+        const definition = (
+          defaultKeyMap as Record<string, { sequence: string }>
+        )[name];
+        if (!definition) {
+          continue;
+        }
+
+        if (sequence === definition.sequence) {
+          delete state.bindings[name];
+        } else {
+          state.bindings[name] = sequence;
+        }
+      }
+    },
   },
 });
 
 export const {
   closeHotkeyDialog,
+  replaceHotkeyBindings,
+  resetAllHotkeyBindings,
+  resetHotkeyBinding,
   showHotkeyDialog,
   setPendingUAVId,
   startPendingUAVIdTimeout,
+  updateHotkeyBindings,
 } = actions;
 
 export default reducer;
@@ -0,0 +1,92 @@
+import formatDate from 'date-fns/format';
+
+import { showError, showSuccess } from '~/features/snackbar/actions';
+import { writeTextToFile } from '~/utils/filesystem';
+import { formatDateForFilename } from '~/utils/formatting';
+import { logLevelNameForLogLevel } from '~/utils/logging';
+
+import { LogExportFormat } from './constants';
+import { CURRENT_LOG_SESSION, getLogStorage } from './storage';
+
+/**
+ * Thunk that reads the items of the current session of the application from
+ * the persistent log, including the ones that were cleared from the log
+ * panel since then.
+ *
+ * @returns {Promise<Object[]>} the items of the current session, with unique
+ *          IDs assigned to them
+ */
+export const loadPersistedLogItems = () => async (dispatch) => {
+  const storage = getLogStorage();
+  if (!storage) {
+    dispatch(showError('Persistent logging is not supported on this platform'));
+    return [];
+  }
+
+  try {
+    const items = await storage.readItems({ session: CURRENT_LOG_SESSION });
+    return items.map((item, index) => ({ ...item, id: index }));
+  } catch (error) {
+    dispatch(showError(`Error while reading the persistent log: ${error}`));
+    return [];
+  }
+};
+
+/**
+ * Formats a single log item as a line of text in the exported log.
+ */
+const formatLogItemAsText = ({
+  auxiliaryId,
+  level,
+  message,
+  module,
+  timestamp,
+}) =>
+  [
+    formatDate(timestamp, 'yyyy-MM-dd HH:mm:ss.SSS'),
+    logLevelNameForLogLevel(level).padEnd(7),
+    module || '-',
+    auxiliaryId ? `[${auxiliaryId}]` : '',
+    message,
+  ]
+    .filter(Boolean)
+    .join(' ');
+
+/**
+ * Thunk that exports the given log items into a plain text or JSON file.
+ *
+ * @param {Object[]} items  the log items to export
+ * @param {string} format  the format of the exported file; one of the
+ *        constants from `LogExportFormat`
+ */
+export const exportLogItems =
+  (items, format = LogExportFormat.TEXT) =>
+  async (dispatch) => {
+    const date = formatDateForFilename();
+    const isJSON = format === LogExportFormat.JSON;
+    const text = isJSON
+      ? JSON.stringify(
+          items.map(({ id, ...item }) => ({
+            ...item,
+            levelName: logLevelNameForLogLevel(item.level),
+            time: new Date(item.timestamp).toISOString(),
+          })),
+          null,
+          2
+        )
+      : items.map(formatLogItemAsText).join('\n') + '\n';
+
+    try {
+      await writeTextToFile(text, `log-${date}.${format}`, {
+        title: 'Export log',
+        filters: [
+          isJSON
+            ? { name: 'JSON files', extensions: ['json'] }
+            : { name: 'Text files', extensions: ['txt', 'log'] },
+        ],
+      });
+      dispatch(showSuccess(`Exported ${items.length} log item(s)`));
+    } catch (error) {
+      dispatch(showError(`Error while exporting log: ${error}`));
+    }
+  };
@@ -0,0 +1,53 @@
+/**
+ * @file Constants related to the application log and its persistent storage.
+ */
+
+/**
+ * Number of milliseconds to wait after a log item was added before writing
+ * the pending items to the persistent log. Items added in the meanwhile are
+ * written in the same batch.
+ */
+export const LOG_FLUSH_INTERVAL = 1000;
+
+/**
+ * Maximum number of items to keep in the persistent log in the browser. Older
+ * items are deleted when the limit is exceeded.
+ */
+export const MAX_PERSISTED_LOG_ITEMS = 100000;
+
+/**
+ * Time ranges that can be used to filter the items in the log panel.
+ */
+export enum LogTimeRange {
+  ALL = 'all',
+  LAST_5_MINUTES = '5m',
+  LAST_15_MINUTES = '15m',
+  LAST_HOUR = '1h',
+  LAST_DAY = '24h',
+}
+
+/**
+ * Number of milliseconds between consecutive updates of the time range filter
+ * of the log panel, so old items drop out of the "last N minutes" views even
+ * if no new items arrive.
+ */
+export const LOG_TIME_RANGE_UPDATE_INTERVAL = 5000;
+
+/**
+ * Length of the time ranges in the log panel, in milliseconds.
+ */
+export const durationsForLogTimeRanges: Record<LogTimeRange, number> = {
+  [LogTimeRange.ALL]: Number.POSITIVE_INFINITY,
+  [LogTimeRange.LAST_5_MINUTES]: 5 * 60 * 1000,
+  [LogTimeRange.LAST_15_MINUTES]: 15 * 60 * 1000,
+  [LogTimeRange.LAST_HOUR]: 60 * 60 * 1000,
+  [LogTimeRange.LAST_DAY]: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Enum containing the file formats that the log can be exported to.
+ */
+export enum LogExportFormat {
+  JSON = 'json',
+  TEXT = 'txt',
+}
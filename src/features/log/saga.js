@@ -0,0 +1,54 @@
+import { actionChannel, call, delay, flush, take } from 'redux-saga/effects';
+
+import { LOG_FLUSH_INTERVAL } from './constants';
+import { addLogItem, addLogItems } from './slice';
+import { CURRENT_LOG_SESSION } from './storage';
+
+/**
+ * Converts the payload of an `addLogItem` action to the representation used
+ * in the persistent log.
+ */
+const convertPayloadToPersistedLogItem = ({
+  auxiliaryId,
+  level,
+  message,
+  module,
+  timestamp,
+}) => ({
+  session: CURRENT_LOG_SESSION,
+  timestamp,
+  level: level ?? 0,
+  module: module ?? '',
+  message: message ?? '',
+  auxiliaryId: auxiliaryId ?? '',
+});
+
+/**
+ * Saga that writes the items added to the log to the given persistent log
+ * storage. Items are written in batches to avoid hammering the storage when
+ * lots of items are added in a short period of time.
+ *
+ * @param {Object} storage  the persistent log storage
+ */
+export default function* logPersistenceSaga(storage) {
+  const channel = yield actionChannel([addLogItem.type, addLogItems.type]);
+
+  while (true) {
+    const first = yield take(channel);
+    yield delay(LOG_FLUSH_INTERVAL);
+    const rest = yield flush(channel);
+
+    const items = [first, ...rest]
+      .flatMap((action) =>
+        action.type === addLogItems.type ? action.payload : [action.payload]
+      )
+      .map(convertPayloadToPersistedLogItem);
+
+    try {
+      yield call([storage, storage.append], items);
+    } catch (error) {
+      // Do not use the application log here; it would create a feedback loop
+      console.warn('Failed to write items to the persistent log:', error);
+    }
+  }
+}
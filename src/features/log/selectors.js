@@ -0,0 +1,51 @@
+import { createSelector } from '@reduxjs/toolkit';
+
+import { LogTimeRange } from './constants';
+import { filterLogItems, getModulesOfLogItems } from './utils';
+
+/**
+ * Returns the items of the log that were added since the log was last cleared.
+ */
+export const getLogItems = (state) => state.log.items;
+
+/**
+ * Returns the filters to apply to the items shown in the log panel.
+ */
+export const getLogFilters = (state) => state.log.filters;
+
+/**
+ * Returns whether any of the filters of the log panel is active.
+ */
+export const areLogFiltersActive = createSelector(
+  getLogFilters,
+  ({ level, module, text, timeRange }) =>
+    Boolean(level || module || text) || timeRange !== LogTimeRange.ALL
+);
+
+/**
+ * Returns whether the log panel shows the items of the current session from
+ * the persistent log instead of the items in memory.
+ */
+export const isShowingPersistedLogItems = (state) =>
+  state.log.showingPersistedItems;
+
+/**
+ * Returns the items of the log that match the filters of the log panel.
+ *
+ * The current time must be provided by the caller because the time range
+ * filter is relative to it; the result is re-calculated whenever it changes.
+ */
+export const getFilteredLogItems = createSelector(
+  getLogItems,
+  getLogFilters,
+  (_state, now) => now,
+  (items, filters, now) => filterLogItems(items, filters, now)
+);
+
+/**
+ * Returns the sorted list of modules that appear in the items of the log.
+ */
+export const getModulesInLog = createSelector(
+  getLogItems,
+  getModulesOfLogItems
+);
@@ -5,46 +5,94 @@
 import isNil from 'lodash-es/isNil';
 import { createSlice, type PayloadAction } from '@reduxjs/toolkit';
 
-import { type LogItem } from './types';
+import { LogTimeRange } from './constants';
+import { type LogFilters, type LogItem } from './types';
 
 type LogSliceState = {
+  filters: LogFilters;
   highestUnseenMessageLevel: number;
   items: LogItem[];
   nextId: number;
   panelVisible: boolean;
+  showingPersistedItems: boolean;
 };
 
 const initialState: LogSliceState = {
+  filters: {
+    level: 0,
+    module: '',
+    text: '',
+    timeRange: LogTimeRange.ALL,
+  },
   highestUnseenMessageLevel: -1,
   items: [],
   nextId: 0,
   panelVisible: false,
+  showingPersistedItems: false,
+};
+
+type NewLogItem = Partial<Omit<LogItem, 'id'>>;
+
+/**
+ * Assigns a timestamp to a new log item if it does not have one yet.
+ */
+const addTimestampToLogItem = (item: NewLogItem): NewLogItem => ({
+  ...item,
+  timestamp: isNil(item.timestamp) ? Date.now() : item.timestamp,
+});
+
+/**
+ * Appends a new item to the log in the given state.
+ */
+const appendLogItem = (state: LogSliceState, item: NewLogItem): void => {
+  const { auxiliaryId, message, module, level, timestamp } = item;
+  const newItem = {
+    id: state.nextId,
+    timestamp: isNil(timestamp) ? Date.now() : timestamp,
+    message: message ?? '',
+    module: module ?? '',
+    level: level ?? 0,
+    auxiliaryId: auxiliaryId ?? '',
+  };
+
+  state.items.push(newItem);
+  state.nextId += 1;
+
+  if (!state.panelVisible && level !== undefined) {
+    state.highestUnseenMessageLevel = Math.max(
+      state.highestUnseenMessageLevel,
+      level
+    );
+  }
 };
 
 const { actions, reducer } = createSlice({
   name: 'log',
   initialState,
   reducers: {
-    addLogItem(state, action: PayloadAction<Partial<Omit<LogItem, 'id'>>>) {
-      const { auxiliaryId, message, module, level, timestamp } = action.payload;
-      const newItem = {
-        id: state.nextId,
-        timestamp: isNil(timestamp) ? Date.now() : timestamp,
-        message: message ?? '',
-        module: module ?? '',
-        level: level ?? 0,
-        auxiliaryId: auxiliaryId ?? '',
-      };
-
-      state.items.push(newItem);
-      state.nextId += 1;
-
-      if (!state.panelVisible && level !== undefined) {
-        state.highestUnseenMessageLevel = Math.max(
-          state.highestUnseenMessageLevel,
-          level
-        );
-      }
+    addLogItem: {
+      // The timestamp is assigned here and not in the reducer so the items
+      // written to the persistent log have the same timestamp as the ones
+      // in the state
+      prepare(item: NewLogItem) {
+        return { payload: addTimestampToLogItem(item) };
+      },
+
+      reducer(state, action: PayloadAction<NewLogItem>) {
+        appendLogItem(state, action.payload);
+      },
+    },
+
+    addLogItems: {
+      prepare(items: NewLogItem[]) {
+        return { payload: items.map(addTimestampToLogItem) };
+      },
+
+      reducer(state, action: PayloadAction<NewLogItem[]>) {
+        for (const item of action.payload) {
+          appendLogItem(state, item);
+        }
+      },
     },
 
     clearLogItems(state) {
@@ -60,6 +108,18 @@ const { actions, reducer } = createSlice({
       }
     },
 
+    resetLogFilters(state) {
+      state.filters = initialState.filters;
+    },
+
+    setShowingPersistedLogItems(state, action: PayloadAction<boolean>) {
+      state.showingPersistedItems = Boolean(action.payload);
+    },
+
+    updateLogFilters(state, action: PayloadAction<Partial<LogFilters>>) {
+      Object.assign(state.filters, action.payload);
+    },
+
     updateLogPanelVisibility(state, action: PayloadAction<boolean>) {
       state.panelVisible = Boolean(action.payload);
 
@@ -72,8 +132,12 @@ const { actions, reducer } = createSlice({
 
 export const {
   addLogItem,
+  addLogItems,
   clearLogItems,
   deleteLogItem,
+  resetLogFilters,
+  setShowingPersistedLogItems,
+  updateLogFilters,
   updateLogPanelVisibility,
 } = actions;
 
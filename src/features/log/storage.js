@@ -0,0 +1,193 @@
+/**
+ * @file Persistent storage of the application log.
+ *
+ * In the desktop version, log items are appended to a rotating log file that
+ * is managed by the main process. In the browser, log items are stored in
+ * IndexedDB, and the oldest items are deleted when the number of stored items
+ * exceeds a limit.
+ */
+
+import { MAX_PERSISTED_LOG_ITEMS } from './constants';
+
+const DATABASE_NAME = 'skybrush-log';
+const DATABASE_VERSION = 1;
+const STORE_NAME = 'items';
+
+/**
+ * Identifier of the current session of the application; used to tell apart
+ * the log items of the current session from the ones of earlier sessions in
+ * the persistent log.
+ */
+export const CURRENT_LOG_SESSION = Date.now();
+
+/**
+ * Converts an IndexedDB request into a promise.
+ */
+const promisifyRequest = (request) =>
+  new Promise((resolve, reject) => {
+    request.addEventListener('success', () => resolve(request.result));
+    request.addEventListener('error', () => reject(request.error));
+  });
+
+/**
+ * Converts an IndexedDB transaction into a promise that resolves when the
+ * transaction is completed.
+ */
+const promisifyTransaction = (transaction) =>
+  new Promise((resolve, reject) => {
+    transaction.addEventListener('complete', () => resolve());
+    transaction.addEventListener('abort', () => reject(transaction.error));
+    transaction.addEventListener('error', () => reject(transaction.error));
+  });
+
+/**
+ * Log storage that appends the items to a rotating log file via the bridge
+ * to the main process of the desktop application, one JSON object per line.
+ */
+class FileLogStorage {
+  constructor(bridge) {
+    this._bridge = bridge;
+  }
+
+  async append(items) {
+    const text = items.map((item) => JSON.stringify(item) + '\n').join('');
+    await this._bridge.append(text);
+  }
+
+  async readItems({ session } = {}) {
+    const text = await this._bridge.read();
+    const result = [];
+
+    for (const line of text.split('\n')) {
+      if (line.length === 0) {
+        continue;
+      }
+
+      let item;
+      try {
+        item = JSON.parse(line);
+      } catch {
+        // Truncated line, probably due to a crash; skip it
+        continue;
+      }
+
+      if (session === undefined || item.session === session) {
+        result.push(item);
+      }
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Log storage that stores the items in IndexedDB in the browser.
+ */
+class IndexedDBLogStorage {
+  constructor(indexedDB) {
+    this._indexedDB = indexedDB;
+    this._database = undefined;
+    this._appendsSinceLastTrim = 0;
+  }
+
+  async append(items) {
+    const database = await this._getDatabase();
+    const transaction = database.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+
+    for (const item of items) {
+      store.add(item);
+    }
+
+    await promisifyTransaction(transaction);
+
+    // Counting the items is not free so we check the limit only after every
+    // 100 batches
+    this._appendsSinceLastTrim++;
+    if (this._appendsSinceLastTrim >= 100) {
+      this._appendsSinceLastTrim = 0;
+      await this._trim();
+    }
+  }
+
+  async readItems({ session } = {}) {
+    const database = await this._getDatabase();
+    const store = database
+      .transaction(STORE_NAME, 'readonly')
+      .objectStore(STORE_NAME);
+    const request =
+      session === undefined
+        ? store.getAll()
+        : store.index('session').getAll(session);
+    return promisifyRequest(request);
+  }
+
+  async _getDatabase() {
+    if (!this._database) {
+      const request = this._indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+      request.addEventListener('upgradeneeded', () => {
+        const store = request.result.createObjectStore(STORE_NAME, {
+          autoIncrement: true,
+        });
+        store.createIndex('session', 'session');
+      });
+      this._database = promisifyRequest(request);
+    }
+
+    return this._database;
+  }
+
+  async _trim() {
+    const database = await this._getDatabase();
+    const transaction = database.transaction(STORE_NAME, 'readwrite');
+    const completed = promisifyTransaction(transaction);
+    const store = transaction.objectStore(STORE_NAME);
+    const count = await promisifyRequest(store.count());
+    const excess = count - MAX_PERSISTED_LOG_ITEMS;
+
+    if (excess > 0) {
+      // Keys are assigned in increasing order so the oldest items come first
+      const keys = await promisifyRequest(store.getAllKeys(null, excess));
+      store.delete(IDBKeyRange.upperBound(keys.at(-1)));
+    }
+
+    await completed;
+  }
+}
+
+/**
+ * Creates the persistent log storage appropriate for the current platform.
+ *
+ * @returns {Object|undefined} an object with an `append()` method that
+ *          appends an array of items to the persistent log and a
+ *          `readItems()` method that reads the items from the persistent log,
+ *          optionally restricted to a single session; undefined if the
+ *          platform does not support persistent logging
+ */
+function createLogStorage() {
+  const bridge = window?.bridge?.logFile;
+  if (bridge) {
+    return new FileLogStorage(bridge);
+  }
+
+  const indexedDB = window?.indexedDB;
+  if (indexedDB) {
+    return new IndexedDBLogStorage(indexedDB);
+  }
+
+  return undefined;
+}
+
+let logStorage;
+
+/**
+ * Returns the shared persistent log storage of the application, creating it
+ * on first use.
+ */
+export function getLogStorage() {
+  if (logStorage === undefined) {
+    logStorage = createLogStorage() ?? null;
+  }
+
+  return logStorage;
+}
@@ -1,3 +1,5 @@
+import { type LogTimeRange } from './constants';
+
 export type LogItem = {
   id: number;
   timestamp: number;
@@ -6,3 +8,29 @@ export type LogItem = {
   level: number;
   auxiliaryId: string;
 };
+
+/**
+ * Log item as stored in the persistent log. Items in the persistent log are
+ * not deleted when the log panel is cleared, and they carry the identifier
+ * of the session of the application that produced them.
+ */
+export type PersistedLogItem = Omit<LogItem, 'id'> & {
+  session: number;
+};
+
+/**
+ * Filters that can be applied to the items shown in the log panel.
+ */
+export type LogFilters = {
+  /** Minimum level of the items to show */
+  level: number;
+
+  /** Module that the items must come from; empty string means any module */
+  module: string;
+
+  /** Text that the message, module or auxiliary ID of the items must contain */
+  text: string;
+
+  /** Time range that the items must fall into */
+  timeRange: LogTimeRange;
+};
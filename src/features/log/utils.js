@@ -0,0 +1,41 @@
+import { durationsForLogTimeRanges, LogTimeRange } from './constants';
+
+/**
+ * Returns the items from the given list of log items that match the given
+ * filters.
+ *
+ * @param {Object[]} items  the log items to filter
+ * @param {Object} filters  the filters to apply
+ * @param {number} now  the current timestamp; time ranges are relative to it
+ * @returns {Object[]} the matching log items
+ */
+export function filterLogItems(items, filters, now = Date.now()) {
+  const { level, module, text, timeRange } = filters;
+  const needle = text ? text.trim().toLowerCase() : '';
+  const minTimestamp =
+    timeRange && timeRange !== LogTimeRange.ALL
+      ? now - durationsForLogTimeRanges[timeRange]
+      : Number.NEGATIVE_INFINITY;
+
+  if (!level && !module && !needle && !Number.isFinite(minTimestamp)) {
+    return items;
+  }
+
+  return items.filter(
+    (item) =>
+      item.level >= level &&
+      (!module || item.module === module) &&
+      item.timestamp >= minTimestamp &&
+      (!needle ||
+        item.message.toLowerCase().includes(needle) ||
+        item.module.toLowerCase().includes(needle) ||
+        String(item.auxiliaryId).toLowerCase().includes(needle))
+  );
+}
+
+/**
+ * Returns the sorted list of distinct modules that appear in the given list
+ * of log items.
+ */
+export const getModulesOfLogItems = (items) =>
+  [...new Set(items.map((item) => item.module).filter(Boolean))].sort();
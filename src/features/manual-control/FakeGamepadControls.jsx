@@ -0,0 +1,114 @@
+import PropTypes from 'prop-types';
+import React, { useState } from 'react';
+
+import Box from '@material-ui/core/Box';
+import Button from '@material-ui/core/Button';
+import Checkbox from '@material-ui/core/Checkbox';
+import FormControlLabel from '@material-ui/core/FormControlLabel';
+import Slider from '@material-ui/core/Slider';
+import Typography from '@material-ui/core/Typography';
+
+import { GamepadAxis, GamepadButton } from './constants';
+import { setFakeGamepadAxis, setFakeGamepadButton } from './gamepads';
+
+const axes = [
+  { index: GamepadAxis.LEFT_Y, label: 'Left stick Y (altitude)' },
+  { index: GamepadAxis.RIGHT_Y, label: 'Right stick Y (forward)' },
+  { index: GamepadAxis.RIGHT_X, label: 'Right stick X (right)' },
+];
+
+const buttons = [
+  { index: GamepadButton.A, label: 'A' },
+  { index: GamepadButton.B, label: 'B' },
+  { index: GamepadButton.X, label: 'X' },
+  { index: GamepadButton.Y, label: 'Y' },
+  { index: GamepadButton.BACK, label: 'Back' },
+  { index: GamepadButton.START, label: 'Start' },
+];
+
+/**
+ * Button that keeps the corresponding button of the fake gamepad pressed for
+ * as long as the user holds the mouse button down on it.
+ */
+const MomentaryButton = ({ index, label }) => {
+  const press = () => setFakeGamepadButton(index, true);
+  const release = () => setFakeGamepadButton(index, false);
+
+  return (
+    <Button
+      size='small'
+      variant='outlined'
+      onMouseDown={press}
+      onMouseLeave={release}
+      onMouseUp={release}
+    >
+      {label}
+    </Button>
+  );
+};
+
+MomentaryButton.propTypes = {
+  index: PropTypes.number,
+  label: PropTypes.string,
+};
+
+/**
+ * Controls that operate the fake gamepad of the test harness so manual control
+ * can be tried without real hardware.
+ */
+const FakeGamepadControls = () => {
+  const [values, setValues] = useState({});
+  const [enabled, setEnabled] = useState(false);
+
+  const setAxis = (index, value) => {
+    setFakeGamepadAxis(index, value);
+    setValues((previous) => ({ ...previous, [index]: value }));
+  };
+
+  const centerSticks = () => {
+    for (const { index } of axes) {
+      setAxis(index, 0);
+    }
+  };
+
+  const toggleEnabled = (event) => {
+    setFakeGamepadButton(GamepadButton.LEFT_BUMPER, event.target.checked);
+    setEnabled(event.target.checked);
+  };
+
+  return (
+    <Box>
+      {axes.map(({ index, label }) => (
+        <Box key={index} display='flex' alignItems='center'>
+          <Typography variant='body2' style={{ width: 180 }}>
+            {label}
+          </Typography>
+          <Slider
+            min={-1}
+            max={1}
+            step={0.05}
+            value={values[index] ?? 0}
+            onChange={(_event, value) => setAxis(index, value)}
+          />
+        </Box>
+      ))}
+      <Box display='flex' alignItems='center' flexWrap='wrap'>
+        <FormControlLabel
+          label="Hold dead man's switch (LB)"
+          control={<Checkbox checked={enabled} onChange={toggleEnabled} />}
+        />
+        <Box flex={1} />
+        <Button size='small' onClick={centerSticks}>
+          Center sticks
+        </Button>
+      </Box>
+      <Box display='flex' style={{ gap: 4 }}>
+        {buttons.map(({ index, label }) => (
+          <MomentaryButton key={index} index={index} label={label} />
+        ))}
+      </Box>
+    </Box>
+  );
+};
+
+export default FakeGamepadControls;
@@ -0,0 +1,268 @@
+import PropTypes from 'prop-types';
+import React, { useState } from 'react';
+import { connect } from 'react-redux';
+import { useInterval } from 'react-use';
+
+import Box from '@material-ui/core/Box';
+import Button from '@material-ui/core/Button';
+import FormControl from '@material-ui/core/FormControl';
+import FormControlLabel from '@material-ui/core/FormControlLabel';
+import InputLabel from '@material-ui/core/InputLabel';
+import MenuItem from '@material-ui/core/MenuItem';
+import Select from '@material-ui/core/Select';
+import Slider from '@material-ui/core/Slider';
+import Switch from '@material-ui/core/Switch';
+import Typography from '@material-ui/core/Typography';
+
+import BackgroundHint from '@skybrush/mui-components/lib/BackgroundHint';
+
+import { setTestHarnessEnabled } from './actions';
+import FakeGamepadControls from './FakeGamepadControls';
+import { getGamepads, isGamepadAPISupported } from './gamepads';
+import {
+  getLastManualControlSetpoint,
+  getManualControlGamepadIndex,
+  getManualControlSettings,
+  getManuallyControlledUAVId,
+  isManualControlDryRun,
+  isManualControlTestHarnessEnabled,
+} from './selectors';
+import {
+  setManualControlDryRun,
+  setManualControlGamepad,
+  startManualControl,
+  stopManualControl,
+  updateManualControlSettings,
+} from './slice';
+import StickPositionOverlay from './StickPositionOverlay';
+
+const GAMEPAD_POLL_INTERVAL = 1000;
+
+const sliders = [
+  { key: 'deadzone', label: 'Deadzone', min: 0, max: 0.5, step: 0.05 },
+  { key: 'expo', label: 'Expo', min: 0, max: 1, step: 0.05 },
+  {
+    key: 'maxHorizontalSpeed',
+    label: 'Max. horizontal speed',
+    min: 0.5,
+    max: 10,
+    step: 0.5,
+    unit: 'm/s',
+  },
+  {
+    key: 'maxVerticalSpeed',
+    label: 'Max. vertical speed',
+    min: 0.1,
+    max: 3,
+    step: 0.1,
+    unit: 'm/s',
+  },
+];
+
+const formatSetpoint = (setpoint) =>
+  setpoint
+    ? `${setpoint.lat.toFixed(7)}°, ${setpoint.lon.toFixed(7)}°` +
+      (typeof setpoint.ahl === 'number'
+        ? `, ${setpoint.ahl.toFixed(1)} m AHL`
+        : '')
+    : '—';
+
+/**
+ * Hook that returns the list of connected gamepads, refreshed periodically
+ * because the Gamepad API does not report new gamepads until they are used.
+ */
+const useGamepads = () => {
+  const [gamepads, setGamepads] = useState(getGamepads);
+  useInterval(() => setGamepads(getGamepads()), GAMEPAD_POLL_INTERVAL);
+  return gamepads;
+};
+
+/**
+ * Panel in the UAV details dialog that lets the user fly a single UAV with a
+ * gamepad.
+ */
+const ManualControlPanel = ({
+  active,
+  dryRun,
+  gamepadIndex,
+  lastSetpoint,
+  onSetDryRun,
+  onSetGamepad,
+  onSetTestHarnessEnabled,
+  onStart,
+  onStop,
+  onUpdateSettings,
+  settings,
+  testHarnessEnabled,
+  uavId,
+}) => {
+  const gamepads = useGamepads();
+  const gamepadAvailable = gamepads.some(
+    (gamepad) => gamepad.index === gamepadIndex
+  );
+
+  if (!isGamepadAPISupported() && !testHarnessEnabled) {
+    return (
+      <BackgroundHint
+        text='Your browser does not support gamepads.'
+        button={
+          <Button onClick={() => onSetTestHarnessEnabled(true)}>
+            Use test harness
+          </Button>
+        }
+      />
+    );
+  }
+
+  return (
+    <Box p={2}>
+      <Box display='flex' alignItems='center'>
+        <FormControl fullWidth variant='filled' disabled={active}>
+          <InputLabel id='manual-control-gamepad-label'>Gamepad</InputLabel>
+          <Select
+            labelId='manual-control-gamepad-label'
+            value={gamepadAvailable ? gamepadIndex : ''}
+            onChange={(event) => onSetGamepad(event.target.value)}
+          >
+            {gamepads.length === 0 && (
+              <MenuItem disabled value=''>
+                Connect a gamepad and press any of its buttons
+              </MenuItem>
+            )}
+            {gamepads.map((gamepad) => (
+              <MenuItem key={gamepad.index} value={gamepad.index}>
+                {gamepad.id}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <Box ml={2}>
+          {active ? (
+            <Button variant='contained' color='secondary' onClick={onStop}>
+              Stop
+            </Button>
+          ) : (
+            <Button
+              variant='contained'
+              color='primary'
+              disabled={!gamepadAvailable}
+              onClick={() => onStart(uavId)}
+            >
+              Start
+            </Button>
+          )}
+        </Box>
+      </Box>
+
+      <Box display='flex' mt={2}>
+        <StickPositionOverlay
+          gamepadIndex={gamepadAvailable ? gamepadIndex : undefined}
+          settings={settings}
+        />
+        <Box flex={1} ml={2}>
+          <Typography variant='body2' color='textSecondary'>
+            Hold LB while using the sticks or buttons. The left stick controls
+            the altitude, the right stick the horizontal movement. START arms,
+            BACK disarms, A takes off, B lands, X holds position and Y returns
+            to home.
+          </Typography>
+        </Box>
+      </Box>
+
+      {sliders.map(({ key, label, unit, ...rest }) => (
+        <Box key={key} display='flex' alignItems='center'>
+          <Typography variant='body2' style={{ width: 180 }}>
+            {label}: {settings[key]}
+            {unit ? ` ${unit}` : ''}
+          </Typography>
+          <Slider
+            {...rest}
+            value={settings[key]}
+            onChange={(_event, value) => onUpdateSettings({ [key]: value })}
+          />
+        </Box>
+      ))}
+
+      <FormControlLabel
+        label='Stick directions relative to the heading of the UAV'
+        control={
+          <Switch
+            checked={settings.headingRelative}
+            onChange={(event) =>
+              onUpdateSettings({ headingRelative: event.target.checked })
+            }
+          />
+        }
+      />
+
+      <FormControlLabel
+        label='Test harness'
+        control={
+          <Switch
+            checked={testHarnessEnabled}
+            onChange={(event) => onSetTestHarnessEnabled(event.target.checked)}
+          />
+        }
+      />
+
+      {testHarnessEnabled && (
+        <>
+          <FakeGamepadControls />
+          <FormControlLabel
+            label='Dry run (do not send anything to the UAV)'
+            control={
+              <Switch
+                checked={dryRun}
+                onChange={(event) => onSetDryRun(event.target.checked)}
+              />
+            }
+          />
+          <Typography variant='body2' color='textSecondary'>
+            Last setpoint: {formatSetpoint(lastSetpoint)}
+          </Typography>
+        </>
+      )}
+    </Box>
+  );
+};
+
+ManualControlPanel.propTypes = {
+  active: PropTypes.bool,
+  dryRun: PropTypes.bool,
+  gamepadIndex: PropTypes.number,
+  lastSetpoint: PropTypes.shape({
+    lat: PropTypes.number,
+    lon: PropTypes.number,
+    ahl: PropTypes.number,
+  }),
+  onSetDryRun: PropTypes.func,
+  onSetGamepad: PropTypes.func,
+  onSetTestHarnessEnabled: PropTypes.func,
+  onStart: PropTypes.func,
+  onStop: PropTypes.func,
+  onUpdateSettings: PropTypes.func,
+  settings: PropTypes.object,
+  testHarnessEnabled: PropTypes.bool,
+  uavId: PropTypes.string,
+};
+
+export default connect(
+  // mapStateToProps
+  (state, { uavId }) => ({
+    active: getManuallyControlledUAVId(state) === uavId,
+    dryRun: isManualControlDryRun(state),
+    gamepadIndex: getManualControlGamepadIndex(state),
+    lastSetpoint: getLastManualControlSetpoint(state),
+    settings: getManualControlSettings(state),
+    testHarnessEnabled: isManualControlTestHarnessEnabled(state),
+  }),
+  // mapDispatchToProps
+  {
+    onSetDryRun: setManualControlDryRun,
+    onSetGamepad: setManualControlGamepad,
+    onSetTestHarnessEnabled: setTestHarnessEnabled,
+    onStart: startManualControl,
+    onStop: stopManualControl,
+    onUpdateSettings: updateManualControlSettings,
+  }
+)(ManualControlPanel);
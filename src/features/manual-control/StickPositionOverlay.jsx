@@ -0,0 +1,155 @@
+import PropTypes from 'prop-types';
+import React, { useState } from 'react';
+import { useRafLoop } from 'react-use';
+
+import Box from '@material-ui/core/Box';
+import { makeStyles } from '@material-ui/core/styles';
+
+import Colors from '~/components/colors';
+
+import { GamepadAxis, GamepadButton } from './constants';
+import { getGamepadByIndex } from './gamepads';
+import { shapeAxisValue } from './input';
+
+const SIZE = 96;
+const HALF_SIZE = SIZE / 2;
+
+const useStyles = makeStyles(
+  (theme) => ({
+    stick: {
+      border: `1px solid ${theme.palette.divider}`,
+      borderRadius: theme.shape.borderRadius,
+    },
+
+    label: {
+      color: theme.palette.text.secondary,
+      fontSize: 'small',
+      textAlign: 'center',
+    },
+  }),
+  { name: 'StickPositionOverlay' }
+);
+
+/**
+ * Reads the parts of the state of the given gamepad that are shown in the
+ * overlay.
+ */
+function readGamepadState(index) {
+  const gamepad = getGamepadByIndex(index);
+  if (!gamepad) {
+    return null;
+  }
+
+  return {
+    axes: [...gamepad.axes],
+    enabled: Boolean(gamepad.buttons[GamepadButton.LEFT_BUMPER]?.pressed),
+  };
+}
+
+const isSameState = (first, second) =>
+  first === second ||
+  (first &&
+    second &&
+    first.enabled === second.enabled &&
+    first.axes.length === second.axes.length &&
+    first.axes.every((value, index) => value === second.axes[index]));
+
+const Stick = ({ enabled, label, settings, x, y }) => {
+  const classes = useStyles();
+  const toPixels = (value) => HALF_SIZE + value * (HALF_SIZE - 6);
+  const deadzoneRadius = settings.deadzone * (HALF_SIZE - 6);
+
+  return (
+    <Box mx={1}>
+      <svg
+        className={classes.stick}
+        width={SIZE}
+        height={SIZE}
+        viewBox={`0 0 ${SIZE} ${SIZE}`}
+      >
+        <circle
+          cx={HALF_SIZE}
+          cy={HALF_SIZE}
+          r={deadzoneRadius}
+          fill='none'
+          stroke='currentColor'
+          strokeDasharray='2 2'
+          opacity={0.5}
+        />
+        <circle
+          cx={toPixels(x)}
+          cy={toPixels(y)}
+          r={4}
+          fill='currentColor'
+          opacity={0.3}
+        />
+        <circle
+          cx={toPixels(shapeAxisValue(x, settings))}
+          cy={toPixels(shapeAxisValue(y, settings))}
+          r={5}
+          fill={enabled ? Colors.success : Colors.off}
+        />
+      </svg>
+      <div className={classes.label}>{label}</div>
+    </Box>
+  );
+};
+
+Stick.propTypes = {
+  enabled: PropTypes.bool,
+  label: PropTypes.string,
+  settings: PropTypes.shape({
+    deadzone: PropTypes.number,
+    expo: PropTypes.number,
+  }),
+  x: PropTypes.number,
+  y: PropTypes.number,
+};
+
+/**
+ * Overlay that shows the current positions of the sticks of the gamepad used
+ * for manual control. Faint dots show the raw stick positions, solid dots show
+ * the positions after applying the deadzone and the expo curve; solid dots are
+ * green while the dead man's switch is held down.
+ */
+const StickPositionOverlay = ({ gamepadIndex, settings }) => {
+  const [state, setState] = useState(() => readGamepadState(gamepadIndex));
+
+  useRafLoop(() => {
+    const newState = readGamepadState(gamepadIndex);
+    setState((oldState) =>
+      isSameState(oldState, newState) ? oldState : newState
+    );
+  });
+
+  if (!state) {
+    return null;
+  }
+
+  const { axes, enabled } = state;
+  return (
+    <Box display='flex' justifyContent='center' py={1}>
+      <Stick
+        enabled={enabled}
+        label='Altitude'
+        settings={settings}
+        x={axes[GamepadAxis.LEFT_X] ?? 0}
+        y={axes[GamepadAxis.LEFT_Y] ?? 0}
+      />
+      <Stick
+        enabled={enabled}
+        label='Horizontal'
+        settings={settings}
+        x={axes[GamepadAxis.RIGHT_X] ?? 0}
+        y={axes[GamepadAxis.RIGHT_Y] ?? 0}
+      />
+    </Box>
+  );
+};
+
+StickPositionOverlay.propTypes = {
+  gamepadIndex: PropTypes.number,
+  settings: PropTypes.object,
+};
+
+export default StickPositionOverlay;
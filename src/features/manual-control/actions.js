@@ -0,0 +1,30 @@
+import { FAKE_GAMEPAD_INDEX, setFakeGamepadEnabled } from './gamepads';
+import { getManualControlGamepadIndex } from './selectors';
+import {
+  setManualControlGamepad,
+  setManualControlTestHarnessEnabled,
+  stopManualControl,
+} from './slice';
+
+/**
+ * Thunk that enables or disables the test harness of manual control, i.e. the
+ * fake gamepad that can be operated from the user interface. Enabling the
+ * test harness selects the fake gamepad; disabling it stops manual control if
+ * the fake gamepad was in use.
+ */
+export const setTestHarnessEnabled = (enabled) => (dispatch, getState) => {
+  const usingFakeGamepad =
+    getManualControlGamepadIndex(getState()) === FAKE_GAMEPAD_INDEX;
+
+  if (!enabled && usingFakeGamepad) {
+    dispatch(stopManualControl());
+    dispatch(setManualControlGamepad(undefined));
+  }
+
+  setFakeGamepadEnabled(enabled);
+  dispatch(setManualControlTestHarnessEnabled(enabled));
+
+  if (enabled) {
+    dispatch(setManualControlGamepad(FAKE_GAMEPAD_INDEX));
+  }
+};
@@ -0,0 +1,45 @@
+/**
+ * Interval between consecutive readings of the gamepad during manual control,
+ * in milliseconds.
+ */
+export const MANUAL_CONTROL_UPDATE_INTERVAL = 200;
+
+/**
+ * Time horizon of the position setpoints sent to the UAV, in seconds. The
+ * setpoint is placed where the UAV would be after this much time if it moved
+ * with the velocity requested by the sticks.
+ */
+export const SETPOINT_LOOKAHEAD = 1;
+
+/**
+ * Indices of the axes of a gamepad with the standard mapping of the Gamepad
+ * API.
+ */
+export const GamepadAxis = {
+  LEFT_X: 0,
+  LEFT_Y: 1,
+  RIGHT_X: 2,
+  RIGHT_Y: 3,
+};
+
+/**
+ * Indices of the buttons of a gamepad with the standard mapping of the
+ * Gamepad API.
+ */
+export const GamepadButton = {
+  A: 0,
+  B: 1,
+  X: 2,
+  Y: 3,
+  LEFT_BUMPER: 4,
+  RIGHT_BUMPER: 5,
+  BACK: 8,
+  START: 9,
+};
+
+/**
+ * Number of axes and buttons of the fake gamepad of the test harness; these
+ * match the standard mapping of the Gamepad API.
+ */
+export const FAKE_GAMEPAD_AXIS_COUNT = 4;
+export const FAKE_GAMEPAD_BUTTON_COUNT = 17;
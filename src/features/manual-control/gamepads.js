@@ -0,0 +1,103 @@
+/**
+ * @file Access to the gamepads connected to the computer via the Gamepad API,
+ * extended with a fake gamepad that can be operated from the user interface
+ * to test manual control without real hardware.
+ *
+ * The state of the gamepads changes several times per second so it is kept
+ * outside the Redux store; only the index of the gamepad being used is stored
+ * there.
+ */
+
+import {
+  FAKE_GAMEPAD_AXIS_COUNT,
+  FAKE_GAMEPAD_BUTTON_COUNT,
+} from './constants';
+
+/**
+ * Index of the fake gamepad; chosen so it never clashes with the indices of
+ * the real gamepads.
+ */
+export const FAKE_GAMEPAD_INDEX = -1;
+
+/**
+ * Creates a fake gamepad object that has the same shape as the objects
+ * returned from the Gamepad API, with a standard mapping.
+ */
+function createFakeGamepad() {
+  return {
+    id: 'Virtual test gamepad',
+    index: FAKE_GAMEPAD_INDEX,
+    connected: true,
+    mapping: 'standard',
+    timestamp: 0,
+    axes: Array.from({ length: FAKE_GAMEPAD_AXIS_COUNT }).fill(0),
+    buttons: Array.from({ length: FAKE_GAMEPAD_BUTTON_COUNT }, () => ({
+      pressed: false,
+      touched: false,
+      value: 0,
+    })),
+  };
+}
+
+let fakeGamepad = null;
+
+/**
+ * Returns whether the browser supports the Gamepad API.
+ */
+export const isGamepadAPISupported = () =>
+  typeof navigator !== 'undefined' &&
+  typeof navigator.getGamepads === 'function';
+
+/**
+ * Enables or disables the fake gamepad of the test harness. The fake gamepad
+ * starts with all sticks centered and all buttons released.
+ */
+export function setFakeGamepadEnabled(enabled) {
+  fakeGamepad = enabled ? createFakeGamepad() : null;
+}
+
+/**
+ * Sets the value of an axis of the fake gamepad, between -1 and 1.
+ */
+export function setFakeGamepadAxis(index, value) {
+  if (fakeGamepad && index >= 0 && index < fakeGamepad.axes.length) {
+    fakeGamepad.axes[index] = Math.min(Math.max(value, -1), 1);
+    fakeGamepad.timestamp = performance.now();
+  }
+}
+
+/**
+ * Presses or releases a button of the fake gamepad.
+ */
+export function setFakeGamepadButton(index, pressed) {
+  const button = fakeGamepad?.buttons[index];
+  if (button) {
+    button.pressed = pressed;
+    button.touched = pressed;
+    button.value = pressed ? 1 : 0;
+    fakeGamepad.timestamp = performance.now();
+  }
+}
+
+/**
+ * Returns the list of connected gamepads, including the fake gamepad if it is
+ * enabled.
+ */
+export function getGamepads() {
+  const result = isGamepadAPISupported()
+    ? [...navigator.getGamepads()].filter((gamepad) => gamepad?.connected)
+    : [];
+
+  if (fakeGamepad) {
+    result.push(fakeGamepad);
+  }
+
+  return result;
+}
+
+/**
+ * Returns the connected gamepad with the given index, or undefined if there is
+ * no such gamepad.
+ */
+export const getGamepadByIndex = (index) =>
+  getGamepads().find((gamepad) => gamepad.index === index);
@@ -0,0 +1,143 @@
+/**
+ * @file Pure functions that convert the state of a gamepad into manual control
+ * inputs and position setpoints for a UAV.
+ *
+ * Sticks follow the "mode 2" layout: the left stick controls the altitude,
+ * the right stick controls the horizontal movement. Commands and setpoints
+ * are accepted only while the left bumper is held down as a dead man's switch.
+ */
+
+import isNil from 'lodash-es/isNil';
+
+import { FlatEarthCoordinateSystem } from '~/utils/geography';
+
+import { GamepadAxis, GamepadButton, SETPOINT_LOOKAHEAD } from './constants';
+import { ManualControlCommand } from './types';
+
+/**
+ * Buttons of the gamepad that trigger the individual commands.
+ */
+const buttonsForCommands = {
+  [ManualControlCommand.ARM]: GamepadButton.START,
+  [ManualControlCommand.DISARM]: GamepadButton.BACK,
+  [ManualControlCommand.HOLD]: GamepadButton.X,
+  [ManualControlCommand.LAND]: GamepadButton.B,
+  [ManualControlCommand.RTH]: GamepadButton.Y,
+  [ManualControlCommand.TAKEOFF]: GamepadButton.A,
+};
+
+const clamp = (value) => Math.min(Math.max(value, -1), 1);
+
+/**
+ * Removes the given fraction of the stick range around the center and
+ * rescales the rest so full deflection still maps to +1 or -1.
+ */
+export function applyDeadzone(value, deadzone) {
+  const magnitude = Math.abs(value);
+  if (!Number.isFinite(value) || magnitude <= deadzone) {
+    return 0;
+  }
+
+  return (Math.sign(value) * (magnitude - deadzone)) / (1 - deadzone);
+}
+
+/**
+ * Applies an exponential response curve to a stick value, blending linearly
+ * between a linear (expo = 0) and a cubic (expo = 1) response.
+ */
+export const applyExpo = (value, expo) =>
+  (1 - expo) * value + expo * value * value * value;
+
+/**
+ * Converts the raw value of a gamepad axis to a control input between -1 and
+ * 1, applying the deadzone and the expo curve from the settings.
+ */
+export const shapeAxisValue = (value, { deadzone, expo }) =>
+  applyExpo(applyDeadzone(clamp(value ?? 0), deadzone), expo);
+
+const isButtonPressed = (gamepad, index) =>
+  Boolean(gamepad.buttons[index]?.pressed);
+
+/**
+ * Reads the manual control inputs from the current state of a gamepad.
+ *
+ * @param {Gamepad} gamepad  the gamepad to read
+ * @param {Object} settings  the manual control settings
+ * @returns {Object} the shaped stick inputs (`forward`, `right` and `up`,
+ *          between -1 and 1), whether the dead man's switch is held
+ *          (`enabled`) and the commands whose buttons are pressed
+ *          (`commands`)
+ */
+export function readControllerInput(gamepad, settings) {
+  const { axes } = gamepad;
+  const enabled = isButtonPressed(gamepad, GamepadButton.LEFT_BUMPER);
+
+  return {
+    // Pushing a stick away from the user yields negative values on the Y axis
+    forward: -shapeAxisValue(axes[GamepadAxis.RIGHT_Y], settings),
+    right: shapeAxisValue(axes[GamepadAxis.RIGHT_X], settings),
+    up: -shapeAxisValue(axes[GamepadAxis.LEFT_Y], settings),
+    enabled,
+    commands: enabled
+      ? Object.keys(buttonsForCommands).filter((command) =>
+          isButtonPressed(gamepad, buttonsForCommands[command])
+        )
+      : [],
+  };
+}
+
+/**
+ * Returns whether all the sticks are centered in the given input.
+ */
+export const isInputIdle = ({ forward, right, up }) =>
+  forward === 0 && right === 0 && up === 0;
+
+/**
+ * Computes the position setpoint to send to the UAV for the given manual
+ * control input. The setpoint is placed where the UAV would be after
+ * `SETPOINT_LOOKAHEAD` seconds if it moved with the velocity requested by
+ * the sticks; centered sticks yield the current position of the UAV.
+ *
+ * @param {Object} options
+ * @param {Object} options.position  the current GPS position of the UAV
+ * @param {number} options.heading  the current heading of the UAV, in degrees
+ * @param {Object} options.input  the manual control input, as returned from
+ *        `readControllerInput()`
+ * @param {Object} options.settings  the manual control settings
+ * @returns {Object|null} the setpoint with keys `lat`, `lon` and `ahl`, or
+ *          null if the position of the UAV is not known
+ */
+export function computeSetpoint({ position, heading, input, settings }) {
+  if (!position || isNil(position.lat) || isNil(position.lon)) {
+    return null;
+  }
+
+  const { headingRelative, maxHorizontalSpeed, maxVerticalSpeed } = settings;
+  let forward = input.forward * maxHorizontalSpeed;
+  let right = input.right * maxHorizontalSpeed;
+
+  // Diagonal stick deflections must not exceed the maximum speed either
+  const speed = Math.hypot(forward, right);
+  if (speed > maxHorizontalSpeed) {
+    forward *= maxHorizontalSpeed / speed;
+    right *= maxHorizontalSpeed / speed;
+  }
+
+  const coordinateSystem = new FlatEarthCoordinateSystem({
+    origin: [position.lon, position.lat],
+    orientation: headingRelative && Number.isFinite(heading) ? heading : 0,
+    type: 'neu',
+  });
+  const [lon, lat] = coordinateSystem.toLonLat([
+    forward * SETPOINT_LOOKAHEAD,
+    right * SETPOINT_LOOKAHEAD,
+  ]);
+
+  return {
+    lat,
+    lon,
+    ahl: isNil(position.ahl)
+      ? undefined
+      : position.ahl + input.up * maxVerticalSpeed * SETPOINT_LOOKAHEAD,
+  };
+}
@@ -0,0 +1,189 @@
+import { delay, put, race, select, take } from 'redux-saga/effects';
+
+import { showError } from '~/features/snackbar/actions';
+import {
+  getCurrentGPSPositionByUavId,
+  getCurrentHeadingByUavId,
+} from '~/features/uavs/selectors';
+import { setSelectedUAVIdInUAVDetailsPanel } from '~/features/uavs/slice';
+import makeLogger from '~/utils/logging';
+import {
+  createUAVOperationThunks,
+  sendManualControlSetpoint,
+} from '~/utils/messaging';
+
+import { MANUAL_CONTROL_UPDATE_INTERVAL } from './constants';
+import { getGamepadByIndex } from './gamepads';
+import { computeSetpoint, isInputIdle, readControllerInput } from './input';
+import {
+  getManualControlGamepadIndex,
+  getManualControlSettings,
+  isManualControlDryRun,
+} from './selectors';
+import {
+  setLastManualControlSetpoint,
+  startManualControl,
+  stopManualControl,
+} from './slice';
+import { ManualControlCommand } from './types';
+
+/**
+ * Names of the UAV operations from `createUAVOperationThunks()` that are
+ * executed for the individual manual control commands.
+ */
+const operationsForCommands = {
+  [ManualControlCommand.ARM]: 'turnMotorsOn',
+  [ManualControlCommand.DISARM]: 'turnMotorsOff',
+  [ManualControlCommand.HOLD]: 'holdPosition',
+  [ManualControlCommand.LAND]: 'land',
+  [ManualControlCommand.RTH]: 'returnToHome',
+  [ManualControlCommand.TAKEOFF]: 'takeOff',
+};
+
+const IDLE_INPUT = { forward: 0, right: 0, up: 0 };
+
+const logger = makeLogger('manual-control');
+
+/**
+ * Creates an object that keeps track of whether the setpoints sent to the
+ * given UAV are failing. Setpoints are sent several times per second, so
+ * failures are logged only once when they start and once when they stop.
+ */
+function createSetpointFailureTracker(uavId) {
+  let failing = false;
+
+  return {
+    onFailure(error) {
+      if (!failing) {
+        failing = true;
+        logger.error(
+          `Manual control setpoints failed for UAV ${uavId}: ${String(error)}`
+        );
+      }
+    },
+
+    onSuccess() {
+      if (failing) {
+        failing = false;
+        logger.info(`Manual control setpoints reach UAV ${uavId} again`);
+      }
+    },
+  };
+}
+
+/**
+ * Computes the setpoint that corresponds to the given controller input from
+ * the current position of the UAV, sends it to the UAV unless this is a dry
+ * run, and stores it in the state.
+ */
+function* sendSetpoint(uavId, input, { dryRun, failures, settings }) {
+  const setpoint = computeSetpoint({
+    position: yield select(getCurrentGPSPositionByUavId, uavId),
+    heading: yield select(getCurrentHeadingByUavId, uavId),
+    input,
+    settings,
+  });
+
+  if (setpoint) {
+    if (!dryRun) {
+      // Not waiting for the response here; the next setpoint supersedes
+      // this one anyway
+      sendManualControlSetpoint(uavId, setpoint).then(
+        failures.onSuccess,
+        failures.onFailure
+      );
+    }
+
+    yield put(setLastManualControlSetpoint(setpoint));
+  }
+}
+
+/**
+ * Saga that reads the gamepad periodically and sends the corresponding
+ * commands and setpoints to the UAV being controlled.
+ */
+function* manualControlLoop(uavId) {
+  const operations = createUAVOperationThunks({
+    getTargetedUAVIds: () => [uavId],
+  });
+  const setpointFailures = createSetpointFailureTracker(uavId);
+  let previousCommands = [];
+  let wasMoving = false;
+
+  try {
+    while (true) {
+      yield delay(MANUAL_CONTROL_UPDATE_INTERVAL);
+
+      const gamepad = getGamepadByIndex(
+        yield select(getManualControlGamepadIndex)
+      );
+      if (!gamepad) {
+        yield put(stopManualControl());
+        yield put(showError('Gamepad disconnected; manual control stopped'));
+        return;
+      }
+
+      const settings = yield select(getManualControlSettings);
+      const dryRun = yield select(isManualControlDryRun);
+      const input = readControllerInput(gamepad, settings);
+
+      // Commands are executed only when their button gets pressed, not for as
+      // long as it is held down
+      for (const command of input.commands) {
+        if (!previousCommands.includes(command) && !dryRun) {
+          yield put(operations[operationsForCommands[command]]());
+        }
+      }
+
+      previousCommands = input.commands;
+
+      // When the sticks are centered or the dead man's switch is released, we
+      // send one more setpoint at the current position to stop the UAV
+      const moving = input.enabled && !isInputIdle(input);
+      if (moving || wasMoving) {
+        yield* sendSetpoint(uavId, moving ? input : IDLE_INPUT, {
+          dryRun,
+          failures: setpointFailures,
+          settings,
+        });
+      }
+
+      wasMoving = moving;
+    }
+  } finally {
+    // Manual control may end while the UAV is still heading towards the
+    // last setpoint, which is ahead of it, so we send one more setpoint at
+    // its current position to stop it
+    if (wasMoving) {
+      yield* sendSetpoint(uavId, IDLE_INPUT, {
+        dryRun: yield select(isManualControlDryRun),
+        failures: setpointFailures,
+        settings: yield select(getManualControlSettings),
+      });
+    }
+  }
+}
+
+/**
+ * Saga that runs the manual control loop while manual control is active.
+ * Manual control stops when the user stops it explicitly or selects another
+ * UAV in the UAV details panel.
+ */
+export default function* manualControlSaga() {
+  while (true) {
+    const { payload: uavId } = yield take(startManualControl.type);
+    const { selectionChanged } = yield race({
+      loop: manualControlLoop(uavId),
+      stopped: take(stopManualControl.type),
+      selectionChanged: take(
+        (action) =>
+          action.type === setSelectedUAVIdInUAVDetailsPanel.type &&
+          action.payload !== uavId
+      ),
+    });
+
+    if (selectionChanged) {
+      yield put(stopManualControl());
+    }
+  }
+}
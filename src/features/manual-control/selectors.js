@@ -0,0 +1,42 @@
+/**
+ * Returns whether a UAV is being controlled manually.
+ */
+export const isManualControlActive = (state) => state.manualControl.active;
+
+/**
+ * Returns the ID of the UAV being controlled manually.
+ */
+export const getManuallyControlledUAVId = (state) =>
+  state.manualControl.active ? state.manualControl.uavId : undefined;
+
+/**
+ * Returns the index of the gamepad selected for manual control.
+ */
+export const getManualControlGamepadIndex = (state) =>
+  state.manualControl.gamepadIndex;
+
+/**
+ * Returns the persistent settings of manual control.
+ */
+export const getManualControlSettings = (state) => state.manualControl.settings;
+
+/**
+ * Returns the last setpoint computed from the gamepad input.
+ */
+export const getLastManualControlSetpoint = (state) =>
+  state.manualControl.lastSetpoint;
+
+/**
+ * Returns whether the fake gamepad of the test harness is enabled.
+ */
+export const isManualControlTestHarnessEnabled = (state) =>
+  state.manualControl.testHarness.enabled;
+
+/**
+ * Returns whether manual control should only compute the setpoints and
+ * commands without sending them to the UAV. This is possible only when the
+ * test harness is enabled.
+ */
+export const isManualControlDryRun = (state) =>
+  state.manualControl.testHarness.enabled &&
+  state.manualControl.testHarness.dryRun;
@@ -0,0 +1,134 @@
+/**
+ * @file Slice of the state object that stores the state of the manual control
+ * of a single UAV with a gamepad.
+ */
+
+import { createSlice, type PayloadAction } from '@reduxjs/toolkit';
+
+import { type StoredUAV } from '~/features/uavs/types';
+import { noPayload } from '~/utils/redux';
+
+import {
+  type ManualControlSetpoint,
+  type ManualControlSettings,
+} from './types';
+
+type ManualControlSliceState = {
+  /** Whether manual control is active */
+  active: boolean;
+
+  /** Index of the gamepad used for manual control */
+  gamepadIndex?: number;
+
+  /** The last setpoint computed from the gamepad input */
+  lastSetpoint?: ManualControlSetpoint;
+
+  /** Persistent settings of manual control */
+  settings: ManualControlSettings;
+
+  testHarness: {
+    /** Whether the fake gamepad of the test harness is enabled */
+    enabled: boolean;
+
+    /** Whether setpoints and commands are computed but not sent to the UAV */
+    dryRun: boolean;
+  };
+
+  /** ID of the UAV being controlled */
+  uavId?: StoredUAV['id'];
+};
+
+const initialState: ManualControlSliceState = {
+  active: false,
+  gamepadIndex: undefined,
+  lastSetpoint: undefined,
+  settings: {
+    deadzone: 0.1,
+    expo: 0.3,
+    headingRelative: false,
+    maxHorizontalSpeed: 1,
+    maxVerticalSpeed: 0.5,
+  },
+  testHarness: {
+    enabled: false,
+    dryRun: true,
+  },
+  uavId: undefined,
+};
+
+const { actions, reducer } = createSlice({
+  name: 'manual-control',
+  initialState,
+  reducers: {
+    /**
+     * Records the last setpoint computed from the gamepad input.
+     */
+    setLastManualControlSetpoint(
+      state,
+      action: PayloadAction<ManualControlSetpoint | undefined>
+    ) {
+      state.lastSetpoint = action.payload;
+    },
+
+    /**
+     * Selects the gamepad to use for manual control.
+     */
+    setManualControlGamepad(state, action: PayloadAction<number | undefined>) {
+      state.gamepadIndex = action.payload;
+    },
+
+    /**
+     * Sets whether setpoints and commands should only be computed during
+     * manual control without sending them to the UAV.
+     */
+    setManualControlDryRun(state, action: PayloadAction<boolean>) {
+      state.testHarness.dryRun = action.payload;
+    },
+
+    /**
+     * Sets whether the fake gamepad of the test harness is enabled.
+     */
+    setManualControlTestHarnessEnabled(state, action: PayloadAction<boolean>) {
+      state.testHarness.enabled = action.payload;
+    },
+
+    /**
+     * Starts the manual control of the UAV with the given ID.
+     */
+    startManualControl(state, action: PayloadAction<StoredUAV['id']>) {
+      state.active = true;
+      state.uavId = action.payload;
+      state.lastSetpoint = undefined;
+    },
+
+    /**
+     * Stops the manual control of the current UAV.
+     */
+    stopManualControl: noPayload<ManualControlSliceState>((state) => {
+      state.active = false;
+      state.uavId = undefined;
+    }),
+
+    /**
+     * Updates the persistent settings of manual control.
+     */
+    updateManualControlSettings(
+      state,
+      action: PayloadAction<Partial<ManualControlSettings>>
+    ) {
+      Object.assign(state.settings, action.payload);
+    },
+  },
+});
+
+export const {
+  setLastManualControlSetpoint,
+  setManualControlDryRun,
+  setManualControlGamepad,
+  setManualControlTestHarnessEnabled,
+  startManualControl,
+  stopManualControl,
+  updateManualControlSettings,
+} = actions;
+
+export default reducer;
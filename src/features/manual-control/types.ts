@@ -0,0 +1,38 @@
+/**
+ * Commands that can be triggered with the buttons of the gamepad during
+ * manual control.
+ */
+export enum ManualControlCommand {
+  ARM = 'arm',
+  DISARM = 'disarm',
+  HOLD = 'hold',
+  LAND = 'land',
+  RTH = 'rth',
+  TAKEOFF = 'takeoff',
+}
+
+export type ManualControlSettings = {
+  /** Fraction of the stick range around the center that is ignored */
+  deadzone: number;
+
+  /**
+   * Amount of exponential response of the sticks between 0 (linear) and 1
+   * (cubic); higher values give finer control around the center
+   */
+  expo: number;
+
+  /** Whether the forward direction follows the heading of the UAV or north */
+  headingRelative: boolean;
+
+  /** Horizontal speed at full stick deflection, in m/s */
+  maxHorizontalSpeed: number;
+
+  /** Vertical speed at full stick deflection, in m/s */
+  maxVerticalSpeed: number;
+};
+
+export type ManualControlSetpoint = {
+  lat: number;
+  lon: number;
+  ahl?: number;
+};
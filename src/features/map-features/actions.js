@@ -1,10 +1,18 @@
 import isEqualWith from 'lodash-es/isEqualWith';
 import reject from 'lodash-es/reject';
+import { batch } from 'react-redux';
 import turfDifference from '@turf/difference';
 
+import { Colors } from '~/components/colors';
 import { setSelection } from '~/features/map/selection';
+import { getGeofencePolygonId } from '~/features/mission/selectors';
 import { getNearestFeatureIdForTooltip } from '~/features/session/selectors';
 import { setFeatureIdForTooltip } from '~/features/session/slice';
+import {
+  getConvexHullOfShowInWorldCoordinates,
+  getFirstPointsOfTrajectoriesInWorldCoordinates,
+} from '~/features/show/selectors';
+import { showError, showSuccess } from '~/features/snackbar/actions';
 import { openUAVDetailsDialog } from '~/features/uavs/details';
 import {
   featureIdToGlobalId,
@@ -15,13 +23,28 @@ import {
   isUavId,
 } from '~/model/identifiers';
 import { getSelection } from '~/selectors/selection';
+import { writeBlobToFile, writeTextToFile } from '~/utils/filesystem';
+import { formatDateForFilename } from '~/utils/formatting';
+import { convexHull, createGeometryFromPoints } from '~/utils/math';
+import { convertStyleToSimpleStyle } from '~/utils/simplestyle';
 
+import {
+  convertFeatureToGeoJSON,
+  propertiesForFeatureFileFormats,
+  readFeaturesFromFile,
+  writeFeaturesToBlob,
+} from './formats';
 import {
   getFeatureById,
   getFeaturesInOrder,
   getProposedIdForNewFeature,
   getSelectedFeatureIds,
 } from './selectors';
+import {
+  shouldFillFeature,
+  suggestedColorForFeature,
+  suggestedLabelForFeature,
+} from './selectors-style-suggestions';
 import {
   addFeatureById,
   removeFeaturesByIds,
@@ -119,6 +142,185 @@ export const cutFeature = (minuendId, subtrahendId) => (dispatch, getState) => {
   dispatch(setSelection([featureIdToGlobalId(subtrahendId)]));
 };
 
+/**
+ * Returns a copy of the given feature with its effective label, color and
+ * fill state set, based on the style suggestions for the feature.
+ */
+const withSuggestedStyle = (state, feature) => ({
+  ...feature,
+  label: suggestedLabelForFeature(state, feature.id),
+  color: suggestedColorForFeature(state, feature.id),
+  filled: shouldFillFeature(state, feature.id),
+});
+
+/**
+ * Action factory that returns a thunk that exports the selected features, or
+ * all the features if no feature is selected, into a file with the given
+ * format.
+ *
+ * @param {string} format  the file format to use; one of the constants from
+ *        the `FeatureFileFormat` enum
+ */
+export const exportFeatures = (format) => async (dispatch, getState) => {
+  const state = getState();
+  const selectedFeatureIds = new Set(getSelectedFeatureIds(state));
+  const allFeatures = getFeaturesInOrder(state);
+  const features =
+    selectedFeatureIds.size > 0
+      ? allFeatures.filter((feature) => selectedFeatureIds.has(feature.id))
+      : allFeatures;
+
+  if (features.length === 0) {
+    dispatch(showError('There are no features to export'));
+    return;
+  }
+
+  const { name, extension } = propertiesForFeatureFileFormats[format];
+
+  const date = formatDateForFilename();
+
+  try {
+    const blob = await writeFeaturesToBlob(
+      features.map((feature) => withSuggestedStyle(state, feature)),
+      format
+    );
+    await writeBlobToFile(blob, `features-${date}.${extension}`, {
+      title: 'Export features',
+      filters: [{ name: `${name} files`, extensions: [extension] }],
+    });
+  } catch (error) {
+    dispatch(showError(`Error while exporting features: ${error}`));
+  }
+};
+
+/**
+ * Creates a GeoJSON feature for an area derived from the loaded show (e.g.,
+ * the convex hull of the show), or returns undefined if the area is empty.
+ */
+const createGeoJSONFeatureForShowArea = ({ id, label, color, points }) => {
+  const geometry = createGeometryFromPoints(points);
+  return geometry
+    ? {
+        type: 'Feature',
+        id,
+        geometry,
+        properties: {
+          ...convertStyleToSimpleStyle({
+            color,
+            isPoint: geometry.type === 'Point',
+            title: label,
+          }),
+          name: label,
+          role: id,
+        },
+      }
+    : undefined;
+};
+
+/**
+ * Action factory that returns a thunk that exports the flight area into a
+ * GeoJSON file, with MapBox SimpleStyle properties describing the style of
+ * each area. The flight area consists of the features drawn by the user, the
+ * active geofence polygon, and the convex hull and the takeoff area of the
+ * loaded show.
+ */
+export const exportFlightArea = () => async (dispatch, getState) => {
+  const state = getState();
+  const geofencePolygonId = getGeofencePolygonId(state);
+
+  const features = getFeaturesInOrder(state)
+    .filter(
+      (feature) => feature.owner === 'user' || feature.id === geofencePolygonId
+    )
+    .map((feature) => {
+      const geoJSON = convertFeatureToGeoJSON(
+        withSuggestedStyle(state, feature)
+      );
+      if (geoJSON && feature.id === geofencePolygonId) {
+        geoJSON.properties.role = 'geofence';
+      }
+
+      return geoJSON;
+    });
+
+  const takeoffPoints = getFirstPointsOfTrajectoriesInWorldCoordinates(state)
+    .filter(Boolean)
+    .map(({ lon, lat }) => [lon, lat]);
+
+  features.push(
+    createGeoJSONFeatureForShowArea({
+      id: 'convexHull',
+      label: 'Convex hull of show',
+      color: Colors.convexHull,
+      points: getConvexHullOfShowInWorldCoordinates(state).map(
+        ({ lon, lat }) => [lon, lat]
+      ),
+    }),
+    createGeoJSONFeatureForShowArea({
+      id: 'takeoffArea',
+      label: 'Takeoff area',
+      color: Colors.markers.takeoff,
+      points: convexHull(takeoffPoints),
+    })
+  );
+
+  const featureCollection = {
+    type: 'FeatureCollection',
+    features: features.filter(Boolean),
+  };
+
+  if (featureCollection.features.length === 0) {
+    dispatch(showError('There is no flight area to export'));
+    return;
+  }
+
+  const date = formatDateForFilename();
+
+  try {
+    await writeTextToFile(
+      JSON.stringify(featureCollection, null, 2),
+      `flight-area-${date}.geojson`,
+      {
+        title: 'Export flight area',
+        filters: [{ name: 'GeoJSON files', extensions: ['geojson'] }],
+      }
+    );
+  } catch (error) {
+    dispatch(showError(`Error while exporting flight area: ${error}`));
+  }
+};
+
+/**
+ * Action factory that returns a thunk that imports the features from the
+ * given file and adds them to the map. The format of the file is determined
+ * from its extension.
+ *
+ * @param {File} file  the file to import
+ */
+export const importFeaturesFromFile = (file) => async (dispatch) => {
+  try {
+    const features = await readFeaturesFromFile(file);
+
+    batch(() => {
+      for (const feature of features) {
+        dispatch(
+          addFeatureWithName({ ...feature, owner: 'user' }, feature.label)
+        );
+      }
+    });
+
+    const count = features.length;
+    dispatch(
+      showSuccess(
+        // TODO: Use the `pluralize` package?
+        `Successfully imported ${count} feature${count === 1 ? '' : 's'}`
+      )
+    );
+  } catch (error) {
+    dispatch(showError(`Error while importing features: ${error}`));
+  }
+};
+
 /**
  * Action factory that returns a thunk that removes the selected features from
  * the map.
@@ -0,0 +1,596 @@
+/**
+ * @file Functions for importing map features from and exporting map features
+ * to standard geospatial file formats (GeoJSON, GPX, KML, KMZ and shapefiles).
+ */
+
+import createColor from 'color';
+import JSZip from 'jszip';
+import isNil from 'lodash-es/isNil';
+import unary from 'lodash-es/unary';
+import OLFeature from 'ol/Feature';
+import GeoJSON from 'ol/format/GeoJSON';
+import GPX from 'ol/format/GPX';
+import KML from 'ol/format/KML';
+import { Circle, LineString, MultiPoint, Point, Polygon } from 'ol/geom';
+import { fromCircle } from 'ol/geom/Polygon';
+import { Fill, Stroke, Style } from 'ol/style';
+import readShapeFile from 'shpjs';
+
+import { FeatureType } from '~/model/features';
+import { createFeaturesFromOpenLayers } from '~/model/openlayers';
+import { readFileAsArrayBuffer, readFileAsText } from '~/utils/files';
+import { mapViewCoordinateFromLonLat } from '~/utils/geography';
+import { closePolygon, euclideanDistance2D } from '~/utils/math';
+import { convertStyleToSimpleStyle } from '~/utils/simplestyle';
+
+/**
+ * Enum containing the file formats that map features can be imported from or
+ * exported to.
+ */
+export const FeatureFileFormat = {
+  GEOJSON: 'geojson',
+  GPX: 'gpx',
+  KML: 'kml',
+  KMZ: 'kmz',
+  SHAPEFILE: 'shapefile',
+};
+
+/**
+ * Properties of the supported file formats: human-readable name, extension
+ * and MIME type when exporting, and whether the format can be exported at all.
+ */
+export const propertiesForFeatureFileFormats = {
+  [FeatureFileFormat.GEOJSON]: {
+    name: 'GeoJSON',
+    extension: 'geojson',
+    mimeType: 'application/geo+json',
+    canExport: true,
+  },
+  [FeatureFileFormat.GPX]: {
+    name: 'GPX',
+    extension: 'gpx',
+    mimeType: 'application/gpx+xml',
+    canExport: true,
+  },
+  [FeatureFileFormat.KML]: {
+    name: 'KML',
+    extension: 'kml',
+    mimeType: 'application/vnd.google-earth.kml+xml',
+    canExport: true,
+  },
+  [FeatureFileFormat.KMZ]: {
+    name: 'KMZ',
+    extension: 'kmz',
+    mimeType: 'application/vnd.google-earth.kmz',
+    canExport: true,
+  },
+  [FeatureFileFormat.SHAPEFILE]: {
+    name: 'Shapefile',
+    extension: 'zip',
+    mimeType: 'application/zip',
+    canExport: false,
+  },
+};
+
+/**
+ * File name extensions and MIME types accepted by the feature import button.
+ */
+export const FEATURE_IMPORT_FILTER = [
+  '.geojson',
+  '.json',
+  '.gpx',
+  '.kml',
+  '.kmz',
+  '.zip',
+  'application/zip',
+];
+
+/**
+ * Number of vertices used when circles have to be approximated with polygons
+ * in formats that do not support circles.
+ */
+const CIRCLE_VERTEX_COUNT = 64;
+
+/**
+ * Options of OpenLayers format readers and writers that convert between the
+ * projection of the file (always WGS84) and the projection of the map view.
+ */
+const PROJECTION_OPTIONS = {
+  dataProjection: 'EPSG:4326',
+  featureProjection: 'EPSG:3857',
+};
+
+/**
+ * Names of feature properties in imported files that hold the name of the
+ * feature.
+ */
+const NAME_PROPERTIES = ['name', 'title', 'label'];
+
+/**
+ * Names of feature properties in imported files that are used to derive the
+ * style of the feature and that are hence not stored as attributes.
+ */
+const STYLE_PROPERTIES = new Set([
+  'color',
+  'fill',
+  'fill-opacity',
+  'marker-color',
+  'marker-size',
+  'marker-symbol',
+  'stroke',
+  'stroke-opacity',
+  'stroke-width',
+  'styleUrl',
+]);
+
+/**
+ * Determines the format of a file to import based on its name.
+ */
+export function getFeatureFileFormatFromFileName(fileName) {
+  const extension = fileName.split('.').pop().toLowerCase();
+  switch (extension) {
+    case 'geojson':
+    case 'json':
+      return FeatureFileFormat.GEOJSON;
+
+    case 'gpx':
+      return FeatureFileFormat.GPX;
+
+    case 'kml':
+      return FeatureFileFormat.KML;
+
+    case 'kmz':
+      return FeatureFileFormat.KMZ;
+
+    case 'zip':
+      return FeatureFileFormat.SHAPEFILE;
+
+    default:
+      return undefined;
+  }
+}
+
+/* ************************************************************************ */
+
+/**
+ * Converts an arbitrary color value (CSS string or RGBA array) into a hex
+ * color string, returning undefined if the color cannot be parsed.
+ */
+function toHexColor(value) {
+  if (isNil(value)) {
+    return undefined;
+  }
+
+  try {
+    return Array.isArray(value)
+      ? createColor.rgb(value.slice(0, 3)).hex()
+      : createColor(value).hex();
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Returns the alpha channel of an arbitrary color value.
+ */
+function getAlphaOfColor(value) {
+  if (Array.isArray(value)) {
+    return value.length > 3 ? value[3] : 1;
+  }
+
+  try {
+    return createColor(value).alpha();
+  } catch {
+    return 1;
+  }
+}
+
+/**
+ * Extracts the color of an imported OpenLayers feature and whether it should
+ * be filled, based on its style (KML) or its simplestyle properties (GeoJSON).
+ */
+function getStyleOfImportedFeature(olFeature) {
+  const properties = olFeature.getProperties();
+
+  // simplestyle-spec properties, typically found in GeoJSON files
+  const simpleStyleColor =
+    properties.stroke ?? properties['marker-color'] ?? properties.fill;
+  if (simpleStyleColor !== undefined) {
+    return {
+      color: toHexColor(simpleStyleColor),
+      filled:
+        properties.fill === undefined
+          ? undefined
+          : Number(properties['fill-opacity'] ?? 0.6) > 0,
+    };
+  }
+
+  if (properties.color !== undefined) {
+    return { color: toHexColor(properties.color) };
+  }
+
+  // Styles parsed from KML files
+  const styleFunction = olFeature.getStyleFunction();
+  const styles = [styleFunction?.(olFeature, 1) ?? []].flat();
+  for (const style of styles) {
+    const strokeColor = style?.getStroke?.()?.getColor();
+    const fillColor = style?.getFill?.()?.getColor();
+    const imageColor = style?.getImage?.()?.getColor?.();
+    const color = strokeColor ?? imageColor ?? fillColor;
+
+    if (color !== undefined && color !== null) {
+      return {
+        color: toHexColor(color),
+        filled: isNil(fillColor) ? undefined : getAlphaOfColor(fillColor) > 0,
+      };
+    }
+  }
+
+  return {};
+}
+
+/**
+ * Returns the name of an imported OpenLayers feature, if it has one.
+ */
+function getNameOfImportedFeature(olFeature) {
+  for (const key of NAME_PROPERTIES) {
+    const value = olFeature.get(key);
+    if (typeof value === 'string' && value.length > 0) {
+      return value;
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Returns the properties of an imported OpenLayers feature that should be
+ * stored as attributes of the feature, i.e. the ones that are not used for
+ * the name or the style of the feature.
+ */
+function getAttributesOfImportedFeature(olFeature) {
+  const geometryName = olFeature.getGeometryName();
+  const attributes = {};
+
+  for (const [key, value] of Object.entries(olFeature.getProperties())) {
+    if (
+      key !== geometryName &&
+      !NAME_PROPERTIES.includes(key) &&
+      !STYLE_PROPERTIES.has(key) &&
+      ['boolean', 'number', 'string'].includes(typeof value)
+    ) {
+      attributes[key] = value;
+    }
+  }
+
+  return attributes;
+}
+
+/**
+ * Removes the Z and M coordinates from a geometry (and all its subgeometries)
+ * because features in the state store are two-dimensional.
+ */
+function flattenGeometry(geometry) {
+  if (geometry.getType() === 'GeometryCollection') {
+    geometry.setGeometries(geometry.getGeometries().map(flattenGeometry));
+  } else if (geometry.getLayout && geometry.getLayout() !== 'XY') {
+    const dropExtraDimensions = (coordinates) =>
+      typeof coordinates[0] === 'number'
+        ? coordinates.slice(0, 2)
+        : coordinates.map(dropExtraDimensions);
+    geometry.setCoordinates(
+      dropExtraDimensions(geometry.getCoordinates()),
+      'XY'
+    );
+  }
+
+  return geometry;
+}
+
+/**
+ * Converts a list of OpenLayers features read from a file into features that
+ * can be stored in the state store.
+ *
+ * @param {ol.Feature[]} olFeatures  the features read from the file
+ * @param {string} defaultName  the name to use for features without a name
+ */
+function convertImportedOpenLayersFeatures(olFeatures, defaultName) {
+  const result = [];
+
+  for (const olFeature of olFeatures) {
+    const geometry = olFeature.getGeometry();
+    if (!geometry) {
+      continue;
+    }
+
+    flattenGeometry(geometry);
+
+    const name = getNameOfImportedFeature(olFeature) ?? defaultName;
+    const { color, filled } = getStyleOfImportedFeature(olFeature);
+    const attributes = getAttributesOfImportedFeature(olFeature);
+    const features = createFeaturesFromOpenLayers(olFeature);
+
+    for (const [index, feature] of features.entries()) {
+      const suffix = index === 0 ? '' : ` (${index})`;
+      result.push({
+        ...feature,
+        label: name + suffix,
+        ...(color && { color }),
+        ...(filled !== undefined && { filled }),
+        ...(Object.keys(attributes).length > 0 && { attributes }),
+      });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Extracts the main KML document from the contents of a KMZ file.
+ */
+async function readKMLFromKMZ(data) {
+  const zip = await JSZip.loadAsync(data);
+  const kmlFiles = zip.file(/\.kml$/i);
+  const mainFile =
+    kmlFiles.find((file) => file.name.toLowerCase() === 'doc.kml') ??
+    kmlFiles[0];
+
+  if (!mainFile) {
+    throw new Error('KMZ file does not contain a KML document');
+  }
+
+  return mainFile.async('text');
+}
+
+/**
+ * Reads the map features from the given file. The format of the file is
+ * determined from its extension.
+ *
+ * @param {File} file  the file to read
+ * @returns {Promise<Object[]>} the features in the file, in a form that can be
+ *          added to the state store
+ */
+export async function readFeaturesFromFile(file) {
+  const format = getFeatureFileFormatFromFileName(file.name);
+  const baseName = file.name.replace(/\.[^.]*$/, '');
+
+  switch (format) {
+    case FeatureFileFormat.GEOJSON: {
+      const olFeatures = new GeoJSON(PROJECTION_OPTIONS).readFeatures(
+        await readFileAsText(file)
+      );
+      return convertImportedOpenLayersFeatures(olFeatures, baseName);
+    }
+
+    case FeatureFileFormat.GPX: {
+      const olFeatures = new GPX().readFeatures(
+        await readFileAsText(file),
+        PROJECTION_OPTIONS
+      );
+      return convertImportedOpenLayersFeatures(olFeatures, baseName);
+    }
+
+    case FeatureFileFormat.KML:
+    case FeatureFileFormat.KMZ: {
+      const text =
+        format === FeatureFileFormat.KMZ
+          ? await readKMLFromKMZ(await readFileAsArrayBuffer(file))
+          : await readFileAsText(file);
+      const olFeatures = new KML({
+        extractStyles: true,
+        showPointNames: false,
+      }).readFeatures(text, PROJECTION_OPTIONS);
+      return convertImportedOpenLayersFeatures(olFeatures, baseName);
+    }
+
+    case FeatureFileFormat.SHAPEFILE: {
+      const data = await readFileAsArrayBuffer(file);
+      // Force the result to be an array, even if it's just a single element
+      const featureCollections = [await readShapeFile(data)].flat();
+      const geoJSON = new GeoJSON({ featureProjection: 'EPSG:3857' });
+
+      return featureCollections.flatMap((featureCollection) =>
+        convertImportedOpenLayersFeatures(
+          geoJSON.readFeatures(featureCollection),
+          featureCollection.fileName ?? baseName
+        )
+      );
+    }
+
+    default:
+      throw new Error(`Unsupported file format: ${file.name}`);
+  }
+}
+
+/* ************************************************************************ */
+
+/**
+ * Converts a feature from the state store into an OpenLayers geometry in the
+ * projection of the map view.
+ *
+ * @param {Object} feature  the feature to convert
+ * @param {Object} options  additional options
+ * @param {boolean} options.linearize  whether to convert polygons and circles
+ *        into closed line strings, for formats that support only points and
+ *        lines
+ */
+function createOpenLayersGeometryFromFeature(feature, { linearize = false }) {
+  const coordinates = feature.points.map(unary(mapViewCoordinateFromLonLat));
+
+  switch (feature.type) {
+    case FeatureType.CIRCLE: {
+      if (coordinates.length < 2) {
+        return [];
+      }
+
+      const radius = euclideanDistance2D(coordinates[0], coordinates[1]);
+      const polygon = fromCircle(
+        new Circle(coordinates[0], radius),
+        CIRCLE_VERTEX_COUNT
+      );
+      return [
+        linearize
+          ? new LineString(polygon.getLinearRing(0).getCoordinates())
+          : polygon,
+      ];
+    }
+
+    case FeatureType.POINTS:
+      return coordinates.map((coordinate) => new Point(coordinate));
+
+    case FeatureType.LINE_STRING:
+      return [new LineString(coordinates)];
+
+    case FeatureType.POLYGON: {
+      const rings = [
+        coordinates,
+        ...(feature.holes ?? []).map((hole) =>
+          hole.map(unary(mapViewCoordinateFromLonLat))
+        ),
+      ];
+
+      for (const ring of rings) {
+        closePolygon(ring);
+      }
+
+      if (linearize) {
+        return rings.map((ring) => new LineString(ring));
+      }
+
+      return [new Polygon(rings)];
+    }
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Creates an OpenLayers style object for exporting the given feature into
+ * formats that support styles (KML).
+ */
+function createStyleForExportedFeature({ color, filled }) {
+  const parsedColor = createColor(color ?? '#555555');
+  return new Style({
+    stroke: new Stroke({ color: parsedColor.rgb().array(), width: 2 }),
+    fill: filled
+      ? new Fill({ color: [...parsedColor.rgb().array(), 0.5] })
+      : undefined,
+  });
+}
+
+/**
+ * Converts features from the state store into OpenLayers features for
+ * exporting them.
+ */
+function createOpenLayersFeaturesForExport(features, { linearize = false }) {
+  const result = [];
+
+  for (const feature of features) {
+    const geometries = createOpenLayersGeometryFromFeature(feature, {
+      linearize,
+    });
+
+    for (const geometry of geometries) {
+      const olFeature = new OLFeature({
+        ...feature.attributes,
+        geometry,
+        name: feature.label ?? feature.id,
+      });
+      olFeature.setStyle(createStyleForExportedFeature(feature));
+      result.push(olFeature);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Converts a feature from the state store into a GeoJSON feature object, in
+ * WGS84 coordinates. The style of the feature is described with MapBox
+ * SimpleStyle properties.
+ *
+ * @param {Object} feature  the feature to convert; it is expected to have its
+ *        effective label, color and fill state set
+ * @returns {Object|undefined} the GeoJSON feature, or undefined if the
+ *          feature has no geometry that can be represented in GeoJSON
+ */
+export function convertFeatureToGeoJSON(feature) {
+  const [geometry] = createOpenLayersGeometryFromFeature(feature, {});
+  if (!geometry) {
+    return undefined;
+  }
+
+  const olGeometry =
+    feature.type === FeatureType.POINTS && feature.points.length > 1
+      ? new MultiPoint(feature.points.map(unary(mapViewCoordinateFromLonLat)))
+      : geometry;
+
+  return {
+    type: 'Feature',
+    id: feature.id,
+    geometry: new GeoJSON(PROJECTION_OPTIONS).writeGeometryObject(olGeometry),
+    properties: {
+      ...feature.attributes,
+      ...convertStyleToSimpleStyle({
+        color: feature.color,
+        filled: feature.filled,
+        isPoint: feature.type === FeatureType.POINTS,
+        title: feature.label ?? feature.id,
+      }),
+      name: feature.label ?? feature.id,
+    },
+  };
+}
+
+/**
+ * Writes the given features from the state store into a blob in the given
+ * file format.
+ *
+ * @param {Object[]} features  the features to export; each feature is
+ *        expected to have its effective label, color and fill state set
+ * @param {string} format  the file format to use
+ * @returns {Promise<Blob>} the exported file contents
+ */
+export async function writeFeaturesToBlob(features, format) {
+  const { mimeType } = propertiesForFeatureFileFormats[format] ?? {};
+
+  switch (format) {
+    case FeatureFileFormat.GEOJSON: {
+      const featureCollection = {
+        type: 'FeatureCollection',
+        features: features.map(convertFeatureToGeoJSON).filter(Boolean),
+      };
+      return new Blob([JSON.stringify(featureCollection, null, 2)], {
+        type: mimeType,
+      });
+    }
+
+    case FeatureFileFormat.GPX: {
+      const text = new GPX().writeFeatures(
+        createOpenLayersFeaturesForExport(features, { linearize: true }),
+        PROJECTION_OPTIONS
+      );
+      return new Blob([text], { type: mimeType });
+    }
+
+    case FeatureFileFormat.KML:
+    case FeatureFileFormat.KMZ: {
+      const text = new KML().writeFeatures(
+        createOpenLayersFeaturesForExport(features, {}),
+        PROJECTION_OPTIONS
+      );
+
+      if (format === FeatureFileFormat.KML) {
+        return new Blob([text], { type: mimeType });
+      }
+
+      const zip = new JSZip();
+      zip.file('doc.kml', text);
+      return zip.generateAsync({ type: 'blob', mimeType });
+    }
+
+    default:
+      throw new Error(`Features cannot be exported in this format: ${format}`);
+  }
+}
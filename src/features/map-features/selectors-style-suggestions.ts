@@ -47,6 +47,7 @@ export const suggestedLabelForFeature: AppSelector<string, [Identifier]> =
       feature?.label ?? (
         feature?.id === geofencePolygonId ? 'Geofence' :
         feature?.attributes?.['isExclusionZone'] ? 'Exclusion zone' :
+        feature?.attributes?.['isRallyPoint'] ? 'Rally point' :
         feature?.type ? getNameOfFeatureType(feature?.type) :
         'Feature'
       )
@@ -63,7 +64,8 @@ export const suggestedColorForFeature: AppSelector<string, [Identifier]> =
     (feature, geofencePolygonId) =>
       feature?.color ??
       (feature?.id === geofencePolygonId ||
-      feature?.attributes?.['isExclusionZone']
+      feature?.attributes?.['isExclusionZone'] ||
+      feature?.attributes?.['isRallyPoint']
         ? Colors.geofence
         : Colors.main)
   );
@@ -5,6 +5,7 @@
 
 import { createSlice, type PayloadAction } from '@reduxjs/toolkit';
 
+import { restoreUndoableState } from '~/features/history/slice';
 import { type Feature } from '~/model/features';
 import {
   addItemToBack,
@@ -312,6 +313,12 @@ const { actions, reducer } = createSlice({
       }
     },
   },
+
+  extraReducers(builder) {
+    builder.addCase(restoreUndoableState, (_state, action) => {
+      return action.payload.features;
+    });
+  },
 });
 
 export const {
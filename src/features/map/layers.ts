@@ -287,6 +287,17 @@ const { reducer, actions } = createSlice({
       },
     },
 
+    /**
+     * Replaces the entire layer configuration of the map with the given
+     * collection of layers.
+     *
+     * @param layers - The new collection of layers
+     */
+    replaceLayers(_state, { payload }: PayloadAction<MapLayersSliceState>) {
+      const { byId, order } = payload;
+      return { byId, order };
+    },
+
     /**
      * Toggles the visibility of a layer with the given ID.
      *
@@ -310,6 +321,7 @@ export const {
   changeLayerType,
   removeLayer,
   renameLayer,
+  replaceLayers,
   selectMapSource,
   setLayerParameterById,
   setLayerParametersById,
@@ -14,6 +14,7 @@ import { TooltipWithContainerFromContext as Tooltip } from '~/containerContext';
 import { isConnected as isConnectedToServer } from '~/features/servers/selectors';
 
 import { clearMission, invokeMissionPlanner } from './actions';
+import { isBuiltinMissionType } from './builtin-planners';
 import {
   getGeofencePolygon,
   getMissionPlannerDialogSelectedType,
@@ -33,12 +34,12 @@ import MissionPlannerMainPanel from './MissionPlannerMainPanel';
 
 /**
  * Presentation component for the dialog that allows the user to plan a mission
- * by invoking a mission planning service on the server.
+ * by invoking a mission planning service on the server or a built-in planner.
  */
 const MissionPlannerDialog = ({
   applyGeofence,
-  isConnectedToServer,
   isGeofenceOwnedByUser,
+  isSelectedPlannerAvailable,
   onApplyGeofenceChanged,
   onClearMission,
   onClose,
@@ -100,7 +101,7 @@ const MissionPlannerDialog = ({
   }, [handleParametersChange, onSelectedTypeChanged, setCanInvokePlanner]);
 
   const invokePlanner = () => {
-    if (onInvokePlanner && canInvokePlanner && isConnectedToServer) {
+    if (onInvokePlanner && canInvokePlanner && isSelectedPlannerAvailable) {
       onClearMission();
       onInvokePlanner();
     }
@@ -109,10 +110,10 @@ const MissionPlannerDialog = ({
   return (
     <DraggableDialog
       fullWidth
-      // Mount the children of the dialog if we are connected to the server,
+      // Mount the children of the dialog if the selected planner is available,
       // even while it is closed, so the mission parameters can be set up in the
       // store for resuming without having to open the dialog.
-      keepMounted={isConnectedToServer}
+      keepMounted={isSelectedPlannerAvailable}
       open={open}
       maxWidth='sm'
       title='Plan mission'
@@ -149,7 +150,7 @@ const MissionPlannerDialog = ({
 
         <Button onClick={onClose}>Close</Button>
         <Button
-          disabled={!isConnectedToServer || !canInvokePlanner}
+          disabled={!isSelectedPlannerAvailable || !canInvokePlanner}
           color='primary'
           onClick={invokePlanner}
         >
@@ -162,8 +163,8 @@ const MissionPlannerDialog = ({
 
 MissionPlannerDialog.propTypes = {
   applyGeofence: PropTypes.bool,
-  isConnectedToServer: PropTypes.bool,
   isGeofenceOwnedByUser: PropTypes.bool,
+  isSelectedPlannerAvailable: PropTypes.bool,
   open: PropTypes.bool,
   onApplyGeofenceChanged: PropTypes.func,
   onClearMission: PropTypes.func,
@@ -182,8 +183,11 @@ export default connect(
     applyGeofence: shouldMissionPlannerDialogApplyGeofence(state),
     parametersFromUser: getMissionPlannerDialogUserParameters(state),
     open: isMissionPlannerDialogOpen(state),
-    isConnectedToServer: isConnectedToServer(state),
     isGeofenceOwnedByUser: getGeofencePolygon(state)?.owner === 'user',
+    // Built-in planners run in the client so they work without a server
+    isSelectedPlannerAvailable:
+      isConnectedToServer(state) ||
+      isBuiltinMissionType(getMissionPlannerDialogSelectedType(state)),
     selectedType: getMissionPlannerDialogSelectedType(state),
   }),
 
@@ -13,6 +13,11 @@ import DialogHeaderListItem from '~/components/DialogHeaderListItem';
 import MultiPagePanel, { Page } from '~/components/MultiPagePanel';
 import { useMessageHub } from '~/hooks';
 
+import {
+  builtinMissionTypes,
+  getBuiltinMissionTypeSchemas,
+  isBuiltinMissionType,
+} from './builtin-planners';
 import MissionTypeSelector from './MissionTypeSelector';
 import MissionParameterEditor from './MissionParameterEditor';
 
@@ -25,26 +30,37 @@ const MissionPlannerMainPanel = ({
   selectedTypeInfo,
 }) => {
   const messageHub = useMessageHub();
-  const missionPlannerInfoCache = useMemo(
-    () => ({
-      getTypes: memoizee(
-        () => messageHub.query.getMissionTypes({ features: ['plan'] }),
-        { promise: true }
-      ),
+  const missionPlannerInfoCache = useMemo(() => {
+    // Only the list fetched from the server is cached so the types of the
+    // server show up when the connection is established later
+    const getServerTypes = memoizee(
+      () => messageHub.query.getMissionTypes({ features: ['plan'] }),
+      { promise: true }
+    );
+
+    return {
+      getTypes: async () => [
+        ...builtinMissionTypes,
+        ...(messageHub.canSend() ? await getServerTypes() : []),
+      ],
       getSchema: memoizee(
-        (type) => messageHub.query.getMissionTypeSchemas(type),
+        async (type) =>
+          isBuiltinMissionType(type)
+            ? getBuiltinMissionTypeSchemas(type)
+            : messageHub.query.getMissionTypeSchemas(type),
         { promise: true }
       ),
-    }),
-    [messageHub]
-  );
+    };
+  }, [messageHub]);
 
   // Handle mission type changes in the state outside of `MissionTypeSelector`,
   // e.g. when importing a mission.
   useEffect(() => {
+    // The types of the server are not known while we are offline, so we
+    // must not clear a selected type that is not built-in in that case
     if (
-      messageHub.canSend() &&
       selectedType &&
+      (messageHub.canSend() || isBuiltinMissionType(selectedType)) &&
       (!selectedTypeInfo || selectedTypeInfo.id !== selectedType)
     ) {
       missionPlannerInfoCache
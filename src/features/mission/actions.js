@@ -1,6 +1,5 @@
 /* global VERSION */
 
-import formatDate from 'date-fns/format';
 import { produce } from 'immer';
 import isNil from 'lodash-es/isNil';
 import pickBy from 'lodash-es/pickBy';
@@ -68,6 +67,7 @@ import {
 } from '~/model/missions';
 import { readFileAsText } from '~/utils/files';
 import { readTextFromFile, writeTextToFile } from '~/utils/filesystem';
+import { formatDateForFilename } from '~/utils/formatting';
 import {
   bufferPolygon,
   lonLatFromMapViewCoordinate,
@@ -80,7 +80,17 @@ import {
 } from '~/utils/math';
 import { chooseUniqueId } from '~/utils/naming';
 
+import { isBuiltinMissionType, planBuiltinMission } from './builtin-planners';
 import { JOB_TYPE } from './constants';
+import {
+  convertMissionToQGCPlan,
+  convertMissionToWPL,
+  getMissionFileFormat,
+  MissionFileFormat,
+  parseQGCPlan,
+  parseWPL,
+  propertiesForMissionFileFormats,
+} from './formats';
 import {
   contextVolatilities,
   ContextVolatility,
@@ -690,7 +700,8 @@ const processReceivedMissionItem = (item) => {
 
 /**
  * Thunk that prepares a mission by assigning context based parameters, invokes
- * the planner on the server and sets up a mission according to the response.
+ * the planner on the server (or the built-in planner for built-in mission
+ * types) and sets up a mission according to the response.
  */
 export const invokeMissionPlanner =
   ({ resume = false } = {}) =>
@@ -761,10 +772,12 @@ export const invokeMissionPlanner =
     let name = null;
     let items = null;
     try {
-      ({ name, items } = await messageHub.execute.planMission({
-        id: missionType,
-        parameters,
-      }));
+      ({ name, items } = isBuiltinMissionType(missionType)
+        ? planBuiltinMission(missionType, parameters)
+        : await messageHub.execute.planMission({
+            id: missionType,
+            parameters,
+          }));
       if (!Array.isArray(items)) {
         throw new TypeError('Expected an array of mission items');
       }
@@ -995,31 +1008,94 @@ export const restoreLastClearedMission = () => (dispatch, getState) => {
 
 /**
  * Thunk that stores the current mission into a file.
+ *
+ * @param {string} format  the file format to use; one of the constants from
+ *        the `MissionFileFormat` enum. Defaults to the native mission format
+ *        of Skybrush.
  */
-export const exportMission = () => (dispatch, getState) => {
-  const state = getState();
-  // The ISO 8601 extended format cannot be used because colons are usually not
-  // allowed in filenames, and the ISO 8601 basic format is less human-readable
-  const date = formatDate(new Date(), 'yyyy-MM-dd_HH-mm-ss');
-  const missionData = getMissionDataForStorage(state);
-  const metaData = { exportedAt: date, skybrushVersion: VERSION };
-  writeTextToFile(
-    JSON.stringify({ meta: metaData, mission: missionData }, null, 2),
-    `mission-export-${date}.json`,
-    { title: 'Export mission data' }
-  );
-  dispatch(showNotification({ topic: 'export-suggestion' }));
-  dispatch(showSuccess('Successfully exported mission'));
-};
+export const exportMission =
+  (format = MissionFileFormat.SKYBRUSH) =>
+  (dispatch, getState) => {
+    const state = getState();
+    const date = formatDateForFilename();
+    const missionData = getMissionDataForStorage(state);
+
+    if (format !== MissionFileFormat.SKYBRUSH) {
+      const { items, homePositions } = missionData;
+      const { name, extension } = propertiesForMissionFileFormats[format];
+      const convert =
+        format === MissionFileFormat.QGC_PLAN
+          ? convertMissionToQGCPlan
+          : convertMissionToWPL;
+      const { text, skipped } = convert({
+        items,
+        homePosition: homePositions.find((position) => !isNil(position)),
+      });
+
+      writeTextToFile(text, `mission-export-${date}.${extension}`, {
+        title: 'Export mission data',
+        filters: [{ name, extensions: [extension] }],
+      });
+
+      dispatch(
+        skipped > 0
+          ? showNotification({
+              message: `Exported mission; ${skipped} mission item(s) could not be represented in the selected format`,
+              semantics: MessageSemantics.WARNING,
+            })
+          : showSuccess('Successfully exported mission')
+      );
+      return;
+    }
+
+    const metaData = { exportedAt: date, skybrushVersion: VERSION };
+    writeTextToFile(
+      JSON.stringify({ meta: metaData, mission: missionData }, null, 2),
+      `mission-export-${date}.json`,
+      { title: 'Export mission data' }
+    );
+    dispatch(showNotification({ topic: 'export-suggestion' }));
+    dispatch(showSuccess('Successfully exported mission'));
+  };
 
 /**
  * Thunk that loads a mission from a file, replacing the current mission.
+ * Besides the native mission format of Skybrush, QGroundControl plan files and
+ * MAVLink waypoint files are also accepted.
  */
 export const importMission = (file) => async (dispatch, _getState) => {
   try {
-    const data = JSON.parse(await readFileAsText(file));
-    dispatch(restoreMission(data.mission));
-    dispatch(showSuccess('Successfully imported mission'));
+    const text = await readFileAsText(file);
+    const format = getMissionFileFormat(file.name, text);
+
+    if (format === MissionFileFormat.SKYBRUSH) {
+      const data = JSON.parse(text);
+      dispatch(restoreMission(data.mission));
+      dispatch(showSuccess('Successfully imported mission'));
+      return;
+    }
+
+    const { items, homePosition, skipped } =
+      format === MissionFileFormat.QGC_PLAN
+        ? parseQGCPlan(text)
+        : parseWPL(text);
+
+    dispatch(
+      restoreMission({
+        name: file.name.replace(/\.[^.]*$/, ''),
+        items,
+        homePositions: homePosition ? [homePosition] : [],
+        progress: {},
+      })
+    );
+    dispatch(
+      skipped > 0
+        ? showNotification({
+            message: `Imported mission; ${skipped} command(s) were not recognized and were skipped`,
+            semantics: MessageSemantics.WARNING,
+          })
+        : showSuccess('Successfully imported mission')
+    );
   } catch (error) {
     dispatch(showError(`Error while importing mission: ${error}`));
   }
@@ -0,0 +1,271 @@
+/**
+ * @file Mission planners that run in the client without the help of the
+ * server, listed alongside the planners offered by the server in the mission
+ * planner dialog.
+ *
+ * Built-in planners accept parameters in the same format as the planners of
+ * the server, hence they can rely on the same UI context hints to receive
+ * the selected polygon.
+ */
+
+import { toLonLatFromScaledJSON } from '~/utils/geography';
+
+import { ParameterUIContext } from './parameter-context';
+import {
+  computeCameraFootprint,
+  computeSurveySpacing,
+  createSurveyMissionItems,
+  planInsetLoops,
+  planLawnmowerPasses,
+  planSpiralPath,
+  SurveyPattern,
+} from './survey';
+
+const BUILTIN_MISSION_TYPE_PREFIX = 'builtin:';
+
+const surveyTypeId = (pattern) =>
+  `${BUILTIN_MISSION_TYPE_PREFIX}survey-${pattern}`;
+
+/**
+ * Descriptions of the built-in mission types, in the same format as the
+ * mission types returned from the server.
+ */
+export const builtinMissionTypes = [
+  {
+    id: surveyTypeId(SurveyPattern.LAWNMOWER),
+    name: 'Survey (lawnmower)',
+    description:
+      'Parallel back-and-forth passes over a polygon. Planned offline.',
+  },
+  {
+    id: surveyTypeId(SurveyPattern.SPIRAL),
+    name: 'Survey (spiral)',
+    description:
+      'A continuous spiral from the boundary of a polygon inwards. Planned offline.',
+  },
+  {
+    id: surveyTypeId(SurveyPattern.PERIMETER),
+    name: 'Survey (perimeter)',
+    description: 'Loops along the boundary of a polygon. Planned offline.',
+  },
+];
+
+const patternsForMissionTypes = {
+  [surveyTypeId(SurveyPattern.LAWNMOWER)]: SurveyPattern.LAWNMOWER,
+  [surveyTypeId(SurveyPattern.SPIRAL)]: SurveyPattern.SPIRAL,
+  [surveyTypeId(SurveyPattern.PERIMETER)]: SurveyPattern.PERIMETER,
+};
+
+/**
+ * Returns whether the mission type with the given ID is planned in the client.
+ */
+export const isBuiltinMissionType = (id) =>
+  typeof id === 'string' && id.startsWith(BUILTIN_MISSION_TYPE_PREFIX);
+
+const commonSurveyProperties = {
+  area: {
+    title: 'Area to survey',
+    type: 'object',
+    'ui:contextHint': ParameterUIContext.SELECTED_POLYGON_FEATURE,
+  },
+  altitude: {
+    title: 'Altitude above home [m]',
+    type: 'number',
+    minimum: 2,
+    default: 50,
+  },
+  speed: {
+    title: 'Speed [m/s]',
+    type: 'number',
+    exclusiveMinimum: 0,
+    default: 5,
+  },
+  focalLength: {
+    title: 'Focal length [mm]',
+    type: 'number',
+    exclusiveMinimum: 0,
+    default: 8.8,
+    'ui:group': 'camera',
+  },
+  sensorWidth: {
+    title: 'Sensor width [mm]',
+    type: 'number',
+    exclusiveMinimum: 0,
+    default: 13.2,
+    'ui:group': 'camera',
+  },
+  sensorHeight: {
+    title: 'Sensor height [mm]',
+    type: 'number',
+    exclusiveMinimum: 0,
+    default: 8.8,
+    'ui:group': 'camera',
+  },
+  frontOverlap: {
+    title: 'Front overlap [%]',
+    type: 'number',
+    minimum: 0,
+    maximum: 95,
+    default: 75,
+    'ui:group': 'camera',
+  },
+  sideOverlap: {
+    title: 'Side overlap [%]',
+    type: 'number',
+    minimum: 0,
+    maximum: 95,
+    default: 65,
+    'ui:group': 'camera',
+  },
+  payloadName: {
+    title: 'Camera payload name',
+    type: 'string',
+    default: 'camera',
+    'ui:group': 'camera',
+  },
+};
+
+const patternSpecificProperties = {
+  [SurveyPattern.LAWNMOWER]: {
+    angle: {
+      title: 'Direction of passes [°]',
+      description: '0° is north, 90° is east',
+      type: 'number',
+      minimum: 0,
+      maximum: 180,
+      default: 0,
+    },
+    turnaroundDistance: {
+      title: 'Turnaround distance [m]',
+      description: 'Distance flown beyond both ends of each pass',
+      type: 'number',
+      minimum: 0,
+      default: 10,
+    },
+  },
+  [SurveyPattern.SPIRAL]: {},
+  [SurveyPattern.PERIMETER]: {
+    loops: {
+      title: 'Number of loops',
+      type: 'integer',
+      minimum: 1,
+      maximum: 20,
+      default: 1,
+    },
+  },
+};
+
+/**
+ * Returns the parameter schemas of a built-in mission type, in the same
+ * format as the schemas returned from the server.
+ */
+export function getBuiltinMissionTypeSchemas(id) {
+  const pattern = patternsForMissionTypes[id];
+  if (!pattern) {
+    return {};
+  }
+
+  const properties = {
+    ...commonSurveyProperties,
+    ...patternSpecificProperties[pattern],
+  };
+
+  return {
+    plan: {
+      type: 'object',
+      properties,
+      required: Object.keys(properties),
+      'ui:groups': {
+        default: { title: 'Survey' },
+        camera: { title: 'Camera' },
+      },
+    },
+  };
+}
+
+/**
+ * Plans a mission with a built-in planner.
+ *
+ * @param {string} id  the ID of the built-in mission type
+ * @param {Object} parameters  the parameters of the planner, including the
+ *        ones filled from the UI context
+ * @returns {Object} the name and the items of the planned mission
+ * @throws {Error} if the parameters do not allow planning a mission
+ */
+export function planBuiltinMission(id, parameters) {
+  const pattern = patternsForMissionTypes[id];
+  if (!pattern) {
+    throw new Error(`Unknown built-in mission type: ${id}`);
+  }
+
+  const { area, altitude, frontOverlap, sideOverlap, speed } = parameters;
+  if (!area || !Array.isArray(area.points) || area.points.length < 3) {
+    throw new Error('The area to survey must be a polygon');
+  }
+
+  const boundary = area.points.map(toLonLatFromScaledJSON);
+  const holes = (area.holes ?? []).map((hole) =>
+    hole.map(toLonLatFromScaledJSON)
+  );
+
+  const footprint = computeCameraFootprint(parameters);
+  const { lineSpacing, triggerDistance } = computeSurveySpacing({
+    footprint,
+    frontOverlap,
+    sideOverlap,
+  });
+  if (!(lineSpacing > 0) || !(triggerDistance > 0)) {
+    throw new Error('The camera settings yield no distance between photos');
+  }
+
+  let passes;
+  let loops;
+
+  switch (pattern) {
+    case SurveyPattern.LAWNMOWER:
+      passes = planLawnmowerPasses({
+        boundary,
+        holes,
+        angle: parameters.angle,
+        lineSpacing,
+        turnaroundDistance: parameters.turnaroundDistance,
+      });
+      break;
+
+    case SurveyPattern.SPIRAL: {
+      const path = planSpiralPath({ boundary, holes, lineSpacing });
+      loops = path.length > 0 ? [path] : [];
+      break;
+    }
+
+    case SurveyPattern.PERIMETER:
+      loops = planInsetLoops({
+        boundary,
+        holes,
+        lineSpacing,
+        maxLoops: parameters.loops,
+      });
+      break;
+
+    default:
+      break;
+  }
+
+  if ((passes ?? loops).length === 0) {
+    throw new Error('The area to survey is too small for the camera settings');
+  }
+
+  const name = builtinMissionTypes.find((type) => type.id === id).name;
+
+  return {
+    name,
+    items: createSurveyMissionItems({
+      passes,
+      loops,
+      altitude,
+      speed,
+      triggerDistance,
+      payloadName: parameters.payloadName,
+    }),
+  };
+}
@@ -2,3 +2,9 @@
  * Type of the upload job corresponding to mission item uploads.
  */
 export const JOB_TYPE = 'missionItemUpload';
+
+/**
+ * Interval between consecutive samples of a drone show trajectory when
+ * checking it against the exclusion zones, in seconds.
+ */
+export const SHOW_TRAJECTORY_SAMPLING_INTERVAL = 0.5;
@@ -0,0 +1,394 @@
+/**
+ * @file Validation of waypoint mission routes and drone show trajectories
+ * against the exclusion zones defined by the user.
+ *
+ * The geometric calculations are performed in a planar coordinate system in
+ * meters. The minimum altitude of an exclusion zone is the top of the obstacle
+ * (UAVs must fly above it) and the maximum altitude is the bottom of the
+ * obstacle (UAVs must fly below it). A zone therefore forbids the airspace
+ * above its polygon that is both below its minimum altitude and above its
+ * maximum altitude; a missing limit does not constrain the airspace on its
+ * side, and a zone whose maximum altitude is not below its minimum altitude
+ * forbids nothing. A zone without altitude limits forbids the entire airspace
+ * above its polygon.
+ */
+
+import isNil from 'lodash-es/isNil';
+
+import { AltitudeReference } from '~/model/geography';
+import { MissionItemType } from '~/model/missions';
+
+import { SHOW_TRAJECTORY_SAMPLING_INTERVAL } from './constants';
+
+const EARTH_RADIUS = 6_371_000;
+
+/**
+ * Creates a function that projects longitude-latitude pairs to a local planar
+ * coordinate system centered at the given reference point. The projection is
+ * accurate enough for the size of the areas that a mission typically covers.
+ */
+export function createLocalProjection([lon0, lat0]) {
+  const scaleX = EARTH_RADIUS * Math.cos((lat0 * Math.PI) / 180);
+  const scaleY = EARTH_RADIUS;
+  return ([lon, lat]) => [
+    (((lon - lon0) * Math.PI) / 180) * scaleX,
+    (((lat - lat0) * Math.PI) / 180) * scaleY,
+  ];
+}
+
+/**
+ * Converts an exclusion zone feature into the representation used by the
+ * validator functions in this module.
+ *
+ * @param {Object} feature  the polygon feature marked as an exclusion zone
+ * @param {function} project  function that projects the longitude-latitude
+ *        pairs of the polygon into the planar coordinate system of the check
+ */
+export function createExclusionZone(feature, project) {
+  const { attributes, id, label, points } = feature;
+  const polygon = points.map((point) => project(point));
+  const xs = polygon.map((point) => point[0]);
+  const ys = polygon.map((point) => point[1]);
+
+  return {
+    id,
+    label,
+    polygon,
+    minAltitude: attributes?.minAltitude,
+    maxAltitude: attributes?.maxAltitude,
+    bounds: [
+      [Math.min(...xs), Math.min(...ys)],
+      [Math.max(...xs), Math.max(...ys)],
+    ],
+  };
+}
+
+/**
+ * Returns whether the given point is inside the given polygon, using the
+ * even-odd rule.
+ */
+function isPointInPolygon([x, y], polygon) {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+/**
+ * Returns the orientation of the triangle formed by the given three points:
+ * positive for counter-clockwise, negative for clockwise and zero for
+ * collinear points.
+ */
+const orientation = (a, b, c) =>
+  (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+
+/**
+ * Returns whether the point `q` lies on the segment `p`-`r`, given that the
+ * three points are collinear.
+ */
+const isOnSegment = (p, q, r) =>
+  Math.min(p[0], r[0]) <= q[0] &&
+  q[0] <= Math.max(p[0], r[0]) &&
+  Math.min(p[1], r[1]) <= q[1] &&
+  q[1] <= Math.max(p[1], r[1]);
+
+/**
+ * Returns whether the segments `p1`-`p2` and `q1`-`q2` intersect.
+ */
+function doSegmentsIntersect(p1, p2, q1, q2) {
+  const o1 = orientation(p1, p2, q1);
+  const o2 = orientation(p1, p2, q2);
+  const o3 = orientation(q1, q2, p1);
+  const o4 = orientation(q1, q2, p2);
+
+  if (o1 * o2 < 0 && o3 * o4 < 0) {
+    return true;
+  }
+
+  return (
+    (o1 === 0 && isOnSegment(p1, q1, p2)) ||
+    (o2 === 0 && isOnSegment(p1, q2, p2)) ||
+    (o3 === 0 && isOnSegment(q1, p1, q2)) ||
+    (o4 === 0 && isOnSegment(q1, p2, q2))
+  );
+}
+
+/**
+ * Returns whether the horizontal projection of the segment `start`-`end`
+ * touches the given polygon.
+ */
+function doesSegmentTouchPolygon(start, end, polygon) {
+  if (isPointInPolygon(start, polygon) || isPointInPolygon(end, polygon)) {
+    return true;
+  }
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    if (doSegmentsIntersect(start, end, polygon[j], polygon[i])) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Returns the parts of the segment between the altitudes `z0` and `z1` that
+ * lie in the forbidden altitude range of the given zone, as an array of
+ * ratio intervals along the segment. Unknown altitudes are treated as
+ * forbidden to err on the safe side.
+ */
+function getForbiddenIntervalsOfSegment(z0, z1, { minAltitude, maxAltitude }) {
+  if (isNil(z0) || isNil(z1) || (isNil(minAltitude) && isNil(maxAltitude))) {
+    return [[0, 1]];
+  }
+
+  // The forbidden range is the open interval between the bottom and the top
+  // of the obstacle
+  const bottom = maxAltitude ?? Number.NEGATIVE_INFINITY;
+  const top = minAltitude ?? Number.POSITIVE_INFINITY;
+  if (bottom >= top) {
+    return [];
+  }
+
+  if (z0 === z1) {
+    return z0 > bottom && z0 < top ? [[0, 1]] : [];
+  }
+
+  // Ratios at which the linearly interpolated altitude reaches the bottom and
+  // the top of the obstacle
+  const ratioAt = (value) => (value - z0) / (z1 - z0);
+  const clamp = (ratio) => Math.min(Math.max(ratio, 0), 1);
+  const [from, to] = [ratioAt(bottom), ratioAt(top)]
+    .map(clamp)
+    .sort((a, b) => a - b);
+
+  return from < to ? [[from, to]] : [];
+}
+
+const interpolate = (start, end, ratio) => [
+  start[0] + (end[0] - start[0]) * ratio,
+  start[1] + (end[1] - start[1]) * ratio,
+];
+
+/**
+ * Returns whether the segment between the given two points violates the given
+ * exclusion zone.
+ *
+ * @param {number[]} start  the start of the segment as an XYZ triplet; the
+ *        altitude may be undefined if it is not known
+ * @param {number[]} end  the end of the segment as an XYZ triplet
+ * @param {Object} zone  the exclusion zone, as returned from
+ *        `createExclusionZone()`
+ */
+export function doesSegmentViolateExclusionZone(start, end, zone) {
+  const [[minX, minY], [maxX, maxY]] = zone.bounds;
+  if (
+    Math.max(start[0], end[0]) < minX ||
+    Math.min(start[0], end[0]) > maxX ||
+    Math.max(start[1], end[1]) < minY ||
+    Math.min(start[1], end[1]) > maxY
+  ) {
+    return false;
+  }
+
+  return getForbiddenIntervalsOfSegment(start[2], end[2], zone).some(
+    ([from, to]) =>
+      doesSegmentTouchPolygon(
+        interpolate(start, end, from),
+        interpolate(start, end, to),
+        zone.polygon
+      )
+  );
+}
+
+/**
+ * Converts an altitude of a waypoint mission to an altitude above ground
+ * level, assuming flat terrain at the level of the home position.
+ */
+function toAGL(altitude, homePosition) {
+  if (!altitude) {
+    return undefined;
+  }
+
+  const { value, reference } = altitude;
+  switch (reference) {
+    case AltitudeReference.GROUND:
+    case AltitudeReference.HOME:
+      return value;
+
+    case AltitudeReference.MSL:
+      return isNil(homePosition?.amsl) ? undefined : value - homePosition.amsl;
+
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Checks the route of a waypoint mission against the given exclusion zones.
+ *
+ * @param {Object} options
+ * @param {Object[]} options.items  the mission items, in order
+ * @param {Object} options.homePosition  the home position of the mission
+ * @param {Object[]} options.zones  the exclusion zone features
+ * @returns {Object[]} the violations, each consisting of the index of the
+ *          mission item whose route leg crosses an exclusion zone and the ID
+ *          of the zone (`index` and `zoneId`)
+ */
+export function validateWaypointMissionAgainstExclusionZones({
+  items,
+  homePosition,
+  zones,
+}) {
+  const violations = [];
+  if (zones.length === 0) {
+    return violations;
+  }
+
+  const home = homePosition ? [homePosition.lon, homePosition.lat] : undefined;
+  const firstWaypoint = items.find(
+    (item) => item.type === MissionItemType.GO_TO
+  )?.parameters;
+  const reference =
+    home ?? (firstWaypoint ? [firstWaypoint.lon, firstWaypoint.lat] : null);
+  if (!reference) {
+    return violations;
+  }
+
+  const project = createLocalProjection(reference);
+  const projectedZones = zones.map((zone) =>
+    createExclusionZone(zone, project)
+  );
+
+  let position = home ? project(home) : undefined;
+  let altitude = home ? 0 : undefined;
+
+  const moveTo = (index, target, targetAltitude) => {
+    const end = [target[0], target[1], targetAltitude];
+    const start = position ? [position[0], position[1], altitude] : end;
+
+    for (const zone of projectedZones) {
+      if (doesSegmentViolateExclusionZone(start, end, zone)) {
+        violations.push({ index, zoneId: zone.id });
+      }
+    }
+
+    position = target;
+    altitude = targetAltitude;
+  };
+
+  for (const [index, item] of items.entries()) {
+    const { type, parameters } = item;
+
+    switch (type) {
+      case MissionItemType.TAKEOFF:
+      case MissionItemType.CHANGE_ALTITUDE:
+        if (position && parameters?.alt) {
+          moveTo(index, position, toAGL(parameters.alt, homePosition));
+        }
+
+        break;
+
+      case MissionItemType.GO_TO:
+        moveTo(
+          index,
+          project([parameters.lon, parameters.lat]),
+          parameters.alt ? toAGL(parameters.alt, homePosition) : altitude
+        );
+        break;
+
+      case MissionItemType.RETURN_TO_HOME:
+        if (home) {
+          moveTo(index, project(home), altitude);
+        }
+
+        break;
+
+      case MissionItemType.LAND:
+        if (position) {
+          moveTo(index, position, 0);
+        }
+
+        break;
+
+      default:
+      // The remaining mission item types do not involve movement
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Checks the trajectories of a drone show against the given exclusion zones
+ * by sampling the trajectories at regular intervals.
+ *
+ * @param {Object} options
+ * @param {Object[]} options.trajectories  the trajectories of the drones,
+ *        indexed by mission indices; may contain undefined for drones without
+ *        a trajectory
+ * @param {function} options.getPositionAt  function that returns the position
+ *        of a drone along a trajectory at the given time, in show coordinates
+ * @param {function} options.getDuration  function that returns the duration
+ *        of a trajectory
+ * @param {Object[]} options.zones  the exclusion zone features
+ * @param {function} options.project  function that projects the
+ *        longitude-latitude pairs of the zones into show coordinates
+ * @returns {Object[]} the violations, each consisting of the mission index of
+ *          the drone, the ID of the zone and the time when the drone first
+ *          enters the zone (`index`, `zoneId` and `time`)
+ */
+export function validateTrajectoriesAgainstExclusionZones({
+  trajectories,
+  getPositionAt,
+  getDuration,
+  zones,
+  project,
+}) {
+  const violations = [];
+  if (zones.length === 0) {
+    return violations;
+  }
+
+  const projectedZones = zones.map((zone) =>
+    createExclusionZone(zone, project)
+  );
+
+  for (const [index, trajectory] of trajectories.entries()) {
+    if (!trajectory) {
+      continue;
+    }
+
+    const duration = getDuration(trajectory);
+    const remainingZones = new Set(projectedZones);
+    let previous = getPositionAt(trajectory, 0);
+    let previousTime = 0;
+
+    while (previousTime < duration && remainingZones.size > 0) {
+      const time = Math.min(
+        previousTime + SHOW_TRAJECTORY_SAMPLING_INTERVAL,
+        duration
+      );
+      const current = getPositionAt(trajectory, time);
+
+      for (const zone of remainingZones) {
+        if (doesSegmentViolateExclusionZone(previous, current, zone)) {
+          violations.push({ index, zoneId: zone.id, time: previousTime });
+          remainingZones.delete(zone);
+        }
+      }
+
+      previous = current;
+      previousTime = time;
+    }
+  }
+
+  return violations;
+}
@@ -0,0 +1,809 @@
+/**
+ * @file Functions for converting waypoint missions to and from the mission
+ * file formats of third-party ground control stations: QGroundControl plan
+ * files (`.plan`) and plain MAVLink waypoint files (`QGC WPL 110`).
+ */
+
+import isNil from 'lodash-es/isNil';
+
+import { AltitudeReference, HeadingMode } from '~/model/geography';
+import { MissionItemType, PayloadAction } from '~/model/missions';
+import { chooseUniqueId } from '~/utils/naming';
+
+/**
+ * Enum containing the file formats that waypoint missions can be imported
+ * from or exported to.
+ */
+export const MissionFileFormat = {
+  MAVLINK_WPL: 'wpl',
+  QGC_PLAN: 'plan',
+  SKYBRUSH: 'skybrush',
+};
+
+/**
+ * Properties of the supported mission file formats: human-readable name and
+ * the file name extension to use when exporting.
+ */
+export const propertiesForMissionFileFormats = {
+  [MissionFileFormat.MAVLINK_WPL]: {
+    name: 'MAVLink waypoint file',
+    extension: 'waypoints',
+  },
+  [MissionFileFormat.QGC_PLAN]: {
+    name: 'QGroundControl plan',
+    extension: 'plan',
+  },
+  [MissionFileFormat.SKYBRUSH]: {
+    name: 'Skybrush mission',
+    extension: 'json',
+  },
+};
+
+/**
+ * File name extensions accepted by the mission import button.
+ */
+export const MISSION_IMPORT_FILTER = ['.json', '.plan', '.waypoints', '.txt'];
+
+/**
+ * Determines the format of a mission file to import based on its name and
+ * its contents.
+ */
+export function getMissionFileFormat(fileName, text) {
+  const extension = fileName.split('.').pop().toLowerCase();
+
+  if (extension === 'plan') {
+    return MissionFileFormat.QGC_PLAN;
+  }
+
+  if (text.trimStart().startsWith('QGC WPL')) {
+    return MissionFileFormat.MAVLINK_WPL;
+  }
+
+  return MissionFileFormat.SKYBRUSH;
+}
+
+/* ************************************************************************ */
+
+/**
+ * MAVLink commands that are used in exported and imported mission files.
+ */
+const MavCommand = {
+  NAV_WAYPOINT: 16,
+  NAV_RETURN_TO_LAUNCH: 20,
+  NAV_LAND: 21,
+  NAV_TAKEOFF: 22,
+  NAV_CONTINUE_AND_CHANGE_ALT: 30,
+  CONDITION_YAW: 115,
+  DO_CHANGE_SPEED: 178,
+  DO_SET_RELAY: 181,
+  DO_DIGICAM_CONTROL: 203,
+  DO_SET_CAM_TRIGG_DIST: 206,
+  IMAGE_START_CAPTURE: 2000,
+  IMAGE_STOP_CAPTURE: 2001,
+  NAV_FENCE_POLYGON_VERTEX_INCLUSION: 5001,
+  NAV_FENCE_POLYGON_VERTEX_EXCLUSION: 5002,
+  NAV_RALLY_POINT: 5100,
+};
+
+/**
+ * MAVLink coordinate frames that are used in exported and imported mission
+ * files.
+ */
+const MavFrame = {
+  GLOBAL: 0,
+  MISSION: 2,
+  GLOBAL_RELATIVE_ALT: 3,
+  GLOBAL_INT: 5,
+  GLOBAL_RELATIVE_ALT_INT: 6,
+  GLOBAL_TERRAIN_ALT: 10,
+  GLOBAL_TERRAIN_ALT_INT: 11,
+};
+
+/**
+ * Speed types of the MAVLink `DO_CHANGE_SPEED` command.
+ */
+const SpeedType = {
+  AIRSPEED: 0,
+  GROUND_SPEED: 1,
+  CLIMB_SPEED: 2,
+  DESCENT_SPEED: 3,
+};
+
+const frameForAltitudeReference = {
+  [AltitudeReference.GROUND]: MavFrame.GLOBAL_TERRAIN_ALT,
+  [AltitudeReference.HOME]: MavFrame.GLOBAL_RELATIVE_ALT,
+  [AltitudeReference.MSL]: MavFrame.GLOBAL,
+};
+
+const altitudeReferenceForFrame = {
+  [MavFrame.GLOBAL]: AltitudeReference.MSL,
+  [MavFrame.GLOBAL_INT]: AltitudeReference.MSL,
+  [MavFrame.GLOBAL_RELATIVE_ALT]: AltitudeReference.HOME,
+  [MavFrame.GLOBAL_RELATIVE_ALT_INT]: AltitudeReference.HOME,
+  [MavFrame.GLOBAL_TERRAIN_ALT]: AltitudeReference.GROUND,
+  [MavFrame.GLOBAL_TERRAIN_ALT_INT]: AltitudeReference.GROUND,
+};
+
+/**
+ * Creates a single MAVLink mission command in a format-independent
+ * representation, with all seven parameters present.
+ */
+const command = (
+  cmd,
+  { frame = MavFrame.MISSION, params = [], lat = 0, lon = 0, alt = 0 } = {}
+) => ({
+  command: cmd,
+  frame,
+  params: [0, 1, 2, 3].map((index) => params[index] ?? 0),
+  lat,
+  lon,
+  alt,
+});
+
+/**
+ * Parses the relay index from the name of a payload, returning zero if the
+ * name does not contain an index.
+ */
+const getRelayIndexFromPayloadName = (name) =>
+  Number(/(\d+)$/.exec(name)?.[1] ?? 0);
+
+/**
+ * Converts the geofence configuration of an "update geofence" mission item
+ * into MAVLink fence and rally point commands.
+ */
+function convertGeofenceToCommands({ polygons = [], rallyPoints = [] }) {
+  const result = [];
+
+  for (const { isInclusion, points } of polygons) {
+    const cmd = isInclusion
+      ? MavCommand.NAV_FENCE_POLYGON_VERTEX_INCLUSION
+      : MavCommand.NAV_FENCE_POLYGON_VERTEX_EXCLUSION;
+    for (const [lon, lat] of points) {
+      result.push(
+        command(cmd, {
+          frame: MavFrame.GLOBAL,
+          params: [points.length],
+          lat,
+          lon,
+        })
+      );
+    }
+  }
+
+  for (const [lon, lat] of rallyPoints) {
+    result.push(
+      command(MavCommand.NAV_RALLY_POINT, {
+        frame: MavFrame.GLOBAL_RELATIVE_ALT,
+        lat,
+        lon,
+      })
+    );
+  }
+
+  return result;
+}
+
+/**
+ * Converts the parameters of a "set payload" mission item into a MAVLink
+ * mission command, or returns undefined if the payload action has no MAVLink
+ * counterpart.
+ */
+function convertPayloadActionToCommand({ name, action, value }) {
+  switch (action) {
+    case PayloadAction.TURN_ON:
+    case PayloadAction.TURN_OFF:
+      return command(MavCommand.DO_SET_RELAY, {
+        params: [
+          getRelayIndexFromPayloadName(name),
+          action === PayloadAction.TURN_ON ? 1 : 0,
+        ],
+      });
+
+    case PayloadAction.TRIGGER:
+      return command(MavCommand.DO_DIGICAM_CONTROL, {
+        // The "shoot" parameter is the fifth one, which is stored in the
+        // latitude field of the command
+        lat: 1,
+      });
+
+    case PayloadAction.TRIGGER_AT_DISTANCE:
+      return command(MavCommand.DO_SET_CAM_TRIGG_DIST, {
+        params: [value ?? 0],
+      });
+
+    case PayloadAction.TRIGGER_AT_INTERVAL:
+      return command(MavCommand.IMAGE_START_CAPTURE, {
+        params: [0, value ?? 0],
+      });
+
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Converts a MAVLink payload-related mission command into the parameters of a
+ * "set payload" mission item, or returns undefined if the command is not
+ * related to payloads.
+ */
+function convertCommandToPayloadParameters({ command: type, params }) {
+  switch (type) {
+    case MavCommand.DO_SET_RELAY:
+      return {
+        name: `relay${params[0]}`,
+        action: params[1] ? PayloadAction.TURN_ON : PayloadAction.TURN_OFF,
+      };
+
+    case MavCommand.DO_DIGICAM_CONTROL:
+      return { name: 'camera', action: PayloadAction.TRIGGER };
+
+    case MavCommand.DO_SET_CAM_TRIGG_DIST:
+      return {
+        name: 'camera',
+        ...(params[0] > 0
+          ? { action: PayloadAction.TRIGGER_AT_DISTANCE, value: params[0] }
+          : { action: PayloadAction.TURN_OFF }),
+      };
+
+    case MavCommand.IMAGE_START_CAPTURE:
+      return {
+        name: 'camera',
+        ...(params[1] > 0
+          ? { action: PayloadAction.TRIGGER_AT_INTERVAL, value: params[1] }
+          : { action: PayloadAction.TRIGGER }),
+      };
+
+    case MavCommand.IMAGE_STOP_CAPTURE:
+      return { name: 'camera', action: PayloadAction.TURN_OFF };
+
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Converts a list of mission items into a list of MAVLink mission commands.
+ *
+ * Mission item types that have no MAVLink counterpart are skipped; the number
+ * of skipped items is returned along with the commands.
+ *
+ * @param {Object[]} items  the mission items to convert
+ * @param {Object} options  additional options
+ * @param {boolean} options.includeGeofence  whether to convert "update
+ *        geofence" items into fence commands, or skip them silently because
+ *        the geofence is stored elsewhere in the target format
+ * @returns {{ commands: Object[], skipped: number }}
+ */
+function convertMissionItemsToCommands(items, { includeGeofence = true } = {}) {
+  const commands = [];
+  let skipped = 0;
+
+  // Altitude of the last waypoint; used for waypoints with no altitude
+  let lastAltitude = { value: 0, reference: AltitudeReference.HOME };
+
+  const addSpeedCommands = ({ velocityXY, velocityZ }) => {
+    if (!isNil(velocityXY)) {
+      commands.push(
+        command(MavCommand.DO_CHANGE_SPEED, {
+          params: [SpeedType.GROUND_SPEED, velocityXY, -1],
+        })
+      );
+    }
+
+    if (!isNil(velocityZ)) {
+      commands.push(
+        command(MavCommand.DO_CHANGE_SPEED, {
+          params: [SpeedType.CLIMB_SPEED, velocityZ, -1],
+        })
+      );
+    }
+  };
+
+  for (const { type, parameters } of items) {
+    switch (type) {
+      case MissionItemType.TAKEOFF:
+        lastAltitude = parameters.alt;
+        commands.push(
+          command(MavCommand.NAV_TAKEOFF, {
+            frame: frameForAltitudeReference[lastAltitude.reference],
+            alt: lastAltitude.value,
+          })
+        );
+        break;
+
+      case MissionItemType.GO_TO:
+        addSpeedCommands(parameters);
+        lastAltitude = parameters.alt ?? lastAltitude;
+        commands.push(
+          command(MavCommand.NAV_WAYPOINT, {
+            frame: frameForAltitudeReference[lastAltitude.reference],
+            lat: parameters.lat,
+            lon: parameters.lon,
+            alt: lastAltitude.value,
+          })
+        );
+        break;
+
+      case MissionItemType.CHANGE_ALTITUDE: {
+        const climb = parameters.alt.value >= lastAltitude.value;
+        lastAltitude = parameters.alt;
+        commands.push(
+          command(MavCommand.NAV_CONTINUE_AND_CHANGE_ALT, {
+            frame: frameForAltitudeReference[lastAltitude.reference],
+            params: [climb ? 1 : 2],
+            alt: lastAltitude.value,
+          })
+        );
+        break;
+      }
+
+      case MissionItemType.CHANGE_HEADING: {
+        const { heading, rate } = parameters;
+        if (heading.mode === HeadingMode.ABSOLUTE) {
+          commands.push(
+            command(MavCommand.CONDITION_YAW, {
+              params: [heading.value, rate ?? 0, 0, 0],
+            })
+          );
+        } else {
+          skipped++;
+        }
+
+        break;
+      }
+
+      case MissionItemType.CHANGE_SPEED:
+        addSpeedCommands(parameters);
+        break;
+
+      // Navigation commands must use a global frame even if they have no
+      // coordinates; some ground stations reject them otherwise
+      case MissionItemType.LAND:
+        commands.push(
+          command(MavCommand.NAV_LAND, { frame: MavFrame.GLOBAL_RELATIVE_ALT })
+        );
+        break;
+
+      case MissionItemType.RETURN_TO_HOME:
+        commands.push(
+          command(MavCommand.NAV_RETURN_TO_LAUNCH, {
+            frame: MavFrame.GLOBAL_RELATIVE_ALT,
+          })
+        );
+        break;
+
+      case MissionItemType.SET_PAYLOAD: {
+        const payloadCommand = convertPayloadActionToCommand(parameters);
+        if (payloadCommand) {
+          commands.push(payloadCommand);
+        } else {
+          skipped++;
+        }
+
+        break;
+      }
+
+      case MissionItemType.UPDATE_GEOFENCE:
+        if (includeGeofence) {
+          commands.push(...convertGeofenceToCommands(parameters.geofence));
+        }
+
+        break;
+
+      default:
+        skipped++;
+    }
+  }
+
+  return { commands, skipped };
+}
+
+/**
+ * Converts the parameters of a MAVLink `DO_CHANGE_SPEED` command into the
+ * parameters of a "change speed" mission item, or returns undefined if the
+ * command does not set a new speed.
+ */
+function convertChangeSpeedParameters([speedType, speed]) {
+  if (!(speed > 0)) {
+    return undefined;
+  }
+
+  return speedType === SpeedType.CLIMB_SPEED ||
+    speedType === SpeedType.DESCENT_SPEED
+    ? { velocityZ: speed }
+    : { velocityXY: speed };
+}
+
+/**
+ * Converts a list of MAVLink mission commands into a list of mission items.
+ *
+ * Consecutive fence and rally point commands are merged into a single "update
+ * geofence" mission item. Commands that have no counterpart among the mission
+ * item types are skipped; the number of skipped commands is returned along
+ * with the mission items.
+ *
+ * @returns {{ items: Object[], skipped: number }}
+ */
+function convertCommandsToMissionItems(commands) {
+  const items = [];
+  const usedIds = [];
+  let skipped = 0;
+  let pendingGeofence;
+
+  const addItem = (type, parameters) => {
+    const id = chooseUniqueId('missionItem', usedIds);
+    usedIds.push(id);
+    items.push({ id, type, parameters });
+  };
+
+  const flushGeofence = () => {
+    if (pendingGeofence) {
+      addItem(MissionItemType.UPDATE_GEOFENCE, {
+        coordinateSystem: 'geodetic',
+        geofence: pendingGeofence,
+      });
+      pendingGeofence = undefined;
+    }
+  };
+
+  const altitudeFromCommand = ({ frame, alt }) => ({
+    value: alt,
+    reference: altitudeReferenceForFrame[frame] ?? AltitudeReference.HOME,
+  });
+
+  // Number of vertices left in the fence polygon being parsed
+  let remainingVertices = 0;
+
+  for (const cmd of commands) {
+    const { command: type, params, lat, lon } = cmd;
+
+    switch (type) {
+      case MavCommand.NAV_FENCE_POLYGON_VERTEX_INCLUSION:
+      case MavCommand.NAV_FENCE_POLYGON_VERTEX_EXCLUSION: {
+        pendingGeofence ??= { polygons: [] };
+
+        if (remainingVertices <= 0) {
+          remainingVertices = params[0];
+          pendingGeofence.polygons.push({
+            isInclusion: type === MavCommand.NAV_FENCE_POLYGON_VERTEX_INCLUSION,
+            points: [],
+          });
+        }
+
+        pendingGeofence.polygons.at(-1).points.push([lon, lat]);
+        remainingVertices--;
+        continue;
+      }
+
+      case MavCommand.NAV_RALLY_POINT:
+        pendingGeofence ??= { polygons: [] };
+        pendingGeofence.rallyPoints ??= [];
+        pendingGeofence.rallyPoints.push([lon, lat]);
+        continue;
+
+      default:
+        remainingVertices = 0;
+        flushGeofence();
+    }
+
+    switch (type) {
+      case MavCommand.NAV_TAKEOFF:
+        addItem(MissionItemType.TAKEOFF, { alt: altitudeFromCommand(cmd) });
+        break;
+
+      case MavCommand.NAV_WAYPOINT:
+        addItem(MissionItemType.GO_TO, {
+          lat,
+          lon,
+          alt: altitudeFromCommand(cmd),
+        });
+        break;
+
+      case MavCommand.NAV_CONTINUE_AND_CHANGE_ALT:
+        addItem(MissionItemType.CHANGE_ALTITUDE, {
+          alt: altitudeFromCommand(cmd),
+        });
+        break;
+
+      case MavCommand.CONDITION_YAW:
+        if (params[3]) {
+          // Relative yaw changes are not supported
+          skipped++;
+        } else {
+          addItem(MissionItemType.CHANGE_HEADING, {
+            heading: { mode: HeadingMode.ABSOLUTE, value: params[0] },
+            ...(params[1] > 0 && { rate: params[1] }),
+          });
+        }
+
+        break;
+
+      case MavCommand.DO_CHANGE_SPEED: {
+        const speed = convertChangeSpeedParameters(params);
+        if (speed) {
+          addItem(MissionItemType.CHANGE_SPEED, speed);
+        } else {
+          skipped++;
+        }
+
+        break;
+      }
+
+      case MavCommand.NAV_LAND:
+        addItem(MissionItemType.LAND, {});
+        break;
+
+      case MavCommand.NAV_RETURN_TO_LAUNCH:
+        addItem(MissionItemType.RETURN_TO_HOME, {});
+        break;
+
+      default: {
+        const payload = convertCommandToPayloadParameters(cmd);
+        if (payload) {
+          addItem(MissionItemType.SET_PAYLOAD, payload);
+        } else {
+          skipped++;
+        }
+      }
+    }
+  }
+
+  flushGeofence();
+
+  return { items, skipped };
+}
+
+/* ************************************************************************ */
+
+const QGC_PLAN_FILE_VERSION = 1;
+
+/**
+ * Converts a QGroundControl geofence section into a geofence configuration,
+ * or returns undefined if the section defines no polygons or circles.
+ */
+function convertQGCGeoFenceToGeofence(geoFence, rallyPoints) {
+  const polygons = (geoFence?.polygons ?? []).map(({ inclusion, polygon }) => ({
+    isInclusion: Boolean(inclusion),
+    points: polygon.map(([lat, lon]) => [lon, lat]),
+  }));
+  const inclusionCircle = (geoFence?.circles ?? []).find(
+    ({ inclusion }) => inclusion
+  );
+  const points = (rallyPoints?.points ?? []).map(([lat, lon]) => [lon, lat]);
+
+  if (polygons.length === 0 && !inclusionCircle && points.length === 0) {
+    return undefined;
+  }
+
+  return {
+    polygons,
+    ...(inclusionCircle && { maxDistance: inclusionCircle.circle.radius }),
+    ...(points.length > 0 && { rallyPoints: points }),
+  };
+}
+
+/**
+ * Converts a waypoint mission into the contents of a QGroundControl plan
+ * file.
+ *
+ * The geofence of the first "update geofence" mission item is stored in the
+ * geofence and rally point sections of the plan because QGroundControl does
+ * not support fence commands in the mission itself. The maximum distance of
+ * the geofence is represented by an inclusion circle around the home
+ * position.
+ *
+ * @param {Object} mission  the mission to convert
+ * @param {Object[]} mission.items  the mission items
+ * @param {Object} mission.homePosition  the planned home position of the
+ *        mission, with keys `lat`, `lon` and optionally `amsl`
+ * @returns {{ text: string, skipped: number }} the contents of the plan file
+ *          and the number of mission items that could not be converted
+ */
+export function convertMissionToQGCPlan({ items, homePosition }) {
+  const { commands, skipped } = convertMissionItemsToCommands(items, {
+    includeGeofence: false,
+  });
+  const geofence = items.find(
+    ({ type }) => type === MissionItemType.UPDATE_GEOFENCE
+  )?.parameters?.geofence;
+  const { lat: homeLat = 0, lon: homeLon = 0, amsl = 0 } = homePosition ?? {};
+
+  const plan = {
+    fileType: 'Plan',
+    groundStation: 'Skybrush Live',
+    version: QGC_PLAN_FILE_VERSION,
+    mission: {
+      cruiseSpeed: 15,
+      firmwareType: 3,
+      hoverSpeed: 5,
+      items: commands.map(
+        ({ command, frame, params, lat, lon, alt }, index) => ({
+          autoContinue: true,
+          command,
+          doJumpId: index + 1,
+          frame,
+          params: [...params, lat, lon, alt],
+          type: 'SimpleItem',
+        })
+      ),
+      plannedHomePosition: [homeLat, homeLon, amsl ?? 0],
+      vehicleType: 2,
+      version: 2,
+    },
+    geoFence: {
+      circles:
+        homePosition && !isNil(geofence?.maxDistance)
+          ? [
+              {
+                circle: {
+                  center: [homeLat, homeLon],
+                  radius: geofence.maxDistance,
+                },
+                inclusion: true,
+                version: 1,
+              },
+            ]
+          : [],
+      polygons: (geofence?.polygons ?? []).map(({ isInclusion, points }) => ({
+        inclusion: isInclusion,
+        polygon: points.map(([lon, lat]) => [lat, lon]),
+        version: 1,
+      })),
+      version: 2,
+    },
+    rallyPoints: {
+      points: (geofence?.rallyPoints ?? []).map(([lon, lat]) => [lat, lon, 0]),
+      version: 2,
+    },
+  };
+
+  return { text: JSON.stringify(plan, null, 2), skipped };
+}
+
+/**
+ * Parses the contents of a QGroundControl plan file into a waypoint mission.
+ *
+ * @param {string} text  the contents of the plan file
+ * @returns {{ items: Object[], homePosition?: Object, skipped: number }} the
+ *          parsed mission and the number of commands that could not be
+ *          converted into mission items
+ */
+export function parseQGCPlan(text) {
+  const plan = JSON.parse(text);
+
+  if (plan?.fileType !== 'Plan' || !plan.mission) {
+    throw new Error('File is not a QGroundControl plan file');
+  }
+
+  const commands = [];
+  let skipped = 0;
+
+  for (const item of plan.mission.items ?? []) {
+    if (item.type === 'SimpleItem') {
+      const [p1, p2, p3, p4, lat, lon, alt] = item.params.map(
+        (value) => value ?? 0
+      );
+      commands.push({
+        command: item.command,
+        frame: item.frame,
+        params: [p1, p2, p3, p4],
+        lat,
+        lon,
+        alt,
+      });
+    } else {
+      // Complex items (surveys, corridor scans etc.) are not supported
+      skipped++;
+    }
+  }
+
+  const result = convertCommandsToMissionItems(commands);
+  const geofence = convertQGCGeoFenceToGeofence(
+    plan.geoFence,
+    plan.rallyPoints
+  );
+
+  if (geofence) {
+    const id = chooseUniqueId(
+      'missionItem',
+      result.items.map((item) => item.id)
+    );
+    result.items.unshift({
+      id,
+      type: MissionItemType.UPDATE_GEOFENCE,
+      parameters: { coordinateSystem: 'geodetic', geofence },
+    });
+  }
+
+  const [lat, lon, amsl] = plan.mission.plannedHomePosition ?? [];
+
+  return {
+    items: result.items,
+    homePosition:
+      Number.isFinite(lat) && Number.isFinite(lon)
+        ? { lat, lon, ...(Number.isFinite(amsl) && { amsl }) }
+        : undefined,
+    skipped: skipped + result.skipped,
+  };
+}
+
+/* ************************************************************************ */
+
+const WPL_HEADER = 'QGC WPL 110';
+
+/**
+ * Converts a waypoint mission into the contents of a MAVLink waypoint file
+ * in the `QGC WPL 110` format. The first line after the header contains the
+ * home position as required by the format.
+ *
+ * @param {Object} mission  the mission to convert
+ * @param {Object[]} mission.items  the mission items
+ * @param {Object} mission.homePosition  the planned home position of the
+ *        mission, with keys `lat`, `lon` and optionally `amsl`
+ * @returns {{ text: string, skipped: number }} the contents of the waypoint
+ *          file and the number of mission items that could not be converted
+ */
+export function convertMissionToWPL({ items, homePosition }) {
+  const { commands, skipped } = convertMissionItemsToCommands(items);
+  const { lat = 0, lon = 0, amsl = 0 } = homePosition ?? {};
+
+  const lines = [
+    WPL_HEADER,
+    [0, 1, MavFrame.GLOBAL, MavCommand.NAV_WAYPOINT, 0, 0, 0, 0]
+      .concat([lat, lon, amsl ?? 0, 1])
+      .join('\t'),
+    ...commands.map(({ command, frame, params, lat, lon, alt }, index) =>
+      [index + 1, 0, frame, command, ...params, lat, lon, alt, 1].join('\t')
+    ),
+  ];
+
+  return { text: lines.join('\n') + '\n', skipped };
+}
+
+/**
+ * Parses the contents of a MAVLink waypoint file in the `QGC WPL 110` format
+ * into a waypoint mission.
+ *
+ * @param {string} text  the contents of the waypoint file
+ * @returns {{ items: Object[], homePosition?: Object, skipped: number }} the
+ *          parsed mission and the number of commands that could not be
+ *          converted into mission items
+ */
+export function parseWPL(text) {
+  const [header, ...lines] = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+  if (!header?.startsWith('QGC WPL')) {
+    throw new Error('File is not a MAVLink waypoint file');
+  }
+
+  let homePosition;
+  const commands = [];
+
+  for (const line of lines) {
+    const fields = line.split(/\s+/).map(Number);
+    if (fields.length < 12 || fields.some((value) => Number.isNaN(value))) {
+      throw new Error(`Invalid line in waypoint file: ${line}`);
+    }
+
+    const [index, , frame, cmd, p1, p2, p3, p4, lat, lon, alt] = fields;
+
+    if (index === 0) {
+      // The first item is the home position by convention
+      homePosition = { lat, lon, amsl: alt };
+    } else {
+      commands.push({
+        command: cmd,
+        frame,
+        params: [p1, p2, p3, p4],
+        lat,
+        lon,
+        alt,
+      });
+    }
+  }
+
+  return { ...convertCommandsToMissionItems(commands), homePosition };
+}
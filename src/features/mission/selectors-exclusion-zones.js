@@ -0,0 +1,101 @@
+/**
+ * @file Selectors that validate missions and shows against the exclusion
+ *       zones. These need to be separated from the rest in order to avoid
+ *       circular imports between the mission and the show selectors.
+ */
+
+import { createSelector } from '@reduxjs/toolkit';
+
+import { Status } from '~/components/semantics';
+import {
+  getOutdoorShowToWorldCoordinateSystemTransformationObject,
+  getTrajectories,
+  isShowOutdoor,
+} from '~/features/show/selectors';
+import {
+  getPositionOfTrajectoryAt,
+  getTrajectoryDuration,
+} from '~/features/show/trajectory';
+
+import {
+  validateTrajectoriesAgainstExclusionZones,
+  validateWaypointMissionAgainstExclusionZones,
+} from './exclusion-zones';
+import {
+  getExclusionZonePolygons,
+  getGPSBasedHomePositionsInMission,
+  getMissionItemsInOrder,
+} from './selectors';
+
+/**
+ * Returns the legs of the current waypoint mission that cross an exclusion
+ * zone, as an array of objects containing the index of the mission item that
+ * ends the leg and the ID of the exclusion zone.
+ */
+export const getExclusionZoneViolationsOfWaypointMission = createSelector(
+  getMissionItemsInOrder,
+  getGPSBasedHomePositionsInMission,
+  getExclusionZonePolygons,
+  (items, homePositions, zones) =>
+    validateWaypointMissionAgainstExclusionZones({
+      items,
+      homePosition: homePositions.find(Boolean),
+      zones,
+    })
+);
+
+/**
+ * Returns an object mapping the IDs of the mission items to the IDs of the
+ * exclusion zones that the leg of the waypoint mission ending at the given
+ * mission item crosses.
+ */
+export const getExclusionZoneViolationsByMissionItemId = createSelector(
+  getMissionItemsInOrder,
+  getExclusionZoneViolationsOfWaypointMission,
+  (items, violations) => {
+    const result = {};
+
+    for (const { index, zoneId } of violations) {
+      const { id } = items[index];
+      result[id] ||= [];
+      result[id].push(zoneId);
+    }
+
+    return result;
+  }
+);
+
+/**
+ * Returns the drones of the current show whose trajectory enters an exclusion
+ * zone, as an array of objects containing the mission index of the drone, the
+ * ID of the exclusion zone and the time when the drone enters it.
+ *
+ * Returns an empty array for indoor shows and for shows without a coordinate
+ * system as the exclusion zones cannot be placed in the show then.
+ */
+export const getExclusionZoneViolationsOfShow = createSelector(
+  getTrajectories,
+  getOutdoorShowToWorldCoordinateSystemTransformationObject,
+  getExclusionZonePolygons,
+  (trajectories, transform, zones) =>
+    transform
+      ? validateTrajectoriesAgainstExclusionZones({
+          trajectories,
+          getPositionAt: getPositionOfTrajectoryAt,
+          getDuration: getTrajectoryDuration,
+          zones,
+          project: (point) => transform.fromLonLat(point),
+        })
+      : []
+);
+
+/**
+ * Returns the status of the validation of the show trajectories against the
+ * exclusion zones.
+ */
+export const getExclusionZoneStatusOfShow = (state) =>
+  !isShowOutdoor(state) || getExclusionZonePolygons(state).length === 0
+    ? Status.SKIPPED
+    : getExclusionZoneViolationsOfShow(state).length > 0
+      ? Status.ERROR
+      : Status.SUCCESS;
@@ -12,6 +12,7 @@ import {
 } from '~/features/map-features/selectors';
 import { type FeatureWithProperties } from '~/features/map-features/types';
 import { GeofenceAction, isValidGeofenceAction } from '~/features/safety/model';
+import { FeatureType } from '~/model/features';
 import {
   type Altitude,
   AltitudeReference,
@@ -406,6 +407,19 @@ export const getExclusionZonePolygons: AppSelector<FeatureWithProperties[]> =
     featuresInOrder.filter((f) => f.attributes?.['isExclusionZone'])
   );
 
+/**
+ * Returns the coordinates of all the rally points defined by the user, i.e.
+ * the points of all the point features that are marked as rally points.
+ */
+export const getRallyPointsInWorldCoordinates: AppSelector<Coordinate2D[]> =
+  createSelector(getFeaturesInOrder, (featuresInOrder) =>
+    featuresInOrder
+      .filter(
+        (f) => f.type === FeatureType.POINTS && f.attributes?.['isRallyPoint']
+      )
+      .flatMap((f) => f.points)
+  );
+
 export const getItemIndexRangeForSelectedMissionItems: AppSelector<
   [number, number]
 > = createSelector(
@@ -9,6 +9,7 @@
 import isNil from 'lodash-es/isNil';
 import { createSlice, type PayloadAction } from '@reduxjs/toolkit';
 
+import { restoreUndoableState } from '~/features/history/slice';
 import { removeFeaturesByIds } from '~/features/map-features/slice';
 import { type FeatureProperties } from '~/features/map-features/types';
 import { GeofenceAction } from '~/features/safety/model';
@@ -672,6 +673,12 @@ const { actions, reducer } = createSlice({
         state.geofencePolygonId = undefined;
       }
     });
+
+    builder.addCase(restoreUndoableState, (state, action) => {
+      const { geofencePolygonId, missionItems } = action.payload;
+      state.geofencePolygonId = geofencePolygonId;
+      state.items = missionItems;
+    });
   },
 });
 
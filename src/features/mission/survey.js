@@ -0,0 +1,430 @@
+/**
+ * @file Pure functions that generate survey flight patterns over a polygon
+ * and convert them into waypoint mission items, without any help from the
+ * server.
+ *
+ * The geometry is computed in a local flat Earth coordinate system centered on
+ * the surveyed area, which is accurate enough for areas that are a few
+ * kilometers wide at most.
+ */
+
+import turfBuffer from '@turf/buffer';
+import maxBy from 'lodash-es/maxBy';
+import * as TurfHelpers from '@turf/helpers';
+
+import { AltitudeReference } from '~/model/geography';
+import { MissionItemType, PayloadAction } from '~/model/missions';
+import { FlatEarthCoordinateSystem } from '~/utils/geography';
+import { closePolygon, getCentroid } from '~/utils/math';
+import { chooseUniqueId } from '~/utils/naming';
+
+/**
+ * Supported survey patterns.
+ */
+export const SurveyPattern = {
+  LAWNMOWER: 'lawnmower',
+  PERIMETER: 'perimeter',
+  SPIRAL: 'spiral',
+};
+
+/**
+ * Upper limit on the number of rings of a spiral pattern, to keep the size of
+ * the mission reasonable when the spacing is tiny compared to the area.
+ */
+const MAX_RING_COUNT = 100;
+
+/**
+ * Passes and segments shorter than this are ignored, in meters.
+ */
+const MIN_SEGMENT_LENGTH = 0.5;
+
+/**
+ * Computes the size of the area covered by a single photo of a downward
+ * looking camera, assuming that the width of the sensor is perpendicular to
+ * the direction of flight.
+ *
+ * @param {Object} options
+ * @param {number} options.altitude  altitude above the ground, in meters
+ * @param {number} options.focalLength  focal length of the lens, in mm
+ * @param {number} options.sensorWidth  width of the sensor, in mm
+ * @param {number} options.sensorHeight  height of the sensor, in mm
+ * @returns {Object} the width and height of the footprint, in meters
+ */
+export const computeCameraFootprint = ({
+  altitude,
+  focalLength,
+  sensorWidth,
+  sensorHeight,
+}) => ({
+  width: (altitude * sensorWidth) / focalLength,
+  height: (altitude * sensorHeight) / focalLength,
+});
+
+/**
+ * Computes the distance between adjacent survey lines and the distance
+ * between consecutive photos from the camera footprint and the desired
+ * overlaps.
+ *
+ * @param {Object} options
+ * @param {Object} options.footprint  the camera footprint, as returned from
+ *        `computeCameraFootprint()`
+ * @param {number} options.frontOverlap  overlap between consecutive photos
+ *        along the direction of flight, in percent
+ * @param {number} options.sideOverlap  overlap between photos taken on
+ *        adjacent survey lines, in percent
+ * @returns {Object} the line spacing (`lineSpacing`) and the trigger distance
+ *          (`triggerDistance`), in meters
+ */
+export const computeSurveySpacing = ({
+  footprint,
+  frontOverlap,
+  sideOverlap,
+}) => ({
+  lineSpacing: footprint.width * (1 - sideOverlap / 100),
+  triggerDistance: footprint.height * (1 - frontOverlap / 100),
+});
+
+/**
+ * Returns the X coordinates where the horizontal line at the given Y
+ * coordinate crosses the edges of the given rings, in increasing order.
+ */
+function getScanlineIntersections(rings, y) {
+  const result = [];
+
+  for (const ring of rings) {
+    for (let i = 0; i < ring.length; i++) {
+      const p = ring[i];
+      const q = ring[(i + 1) % ring.length];
+      if ((p[1] <= y && y < q[1]) || (q[1] <= y && y < p[1])) {
+        result.push(p[0] + ((y - p[1]) * (q[0] - p[0])) / (q[1] - p[1]));
+      }
+    }
+  }
+
+  return result.sort((a, b) => a - b);
+}
+
+/**
+ * Plans the passes of a lawnmower (boustrophedon) pattern over a polygon.
+ *
+ * The passes are parallel to the given direction and are flown in alternating
+ * directions. Each pass covers one stretch of a survey line that lies inside
+ * the polygon and outside its holes. Passes are extended on both ends by the
+ * turnaround distance so the drone can turn outside the surveyed area and
+ * enter the next pass at full speed on a straight line.
+ *
+ * @param {Object} options
+ * @param {Array} options.boundary  the boundary of the polygon, as
+ *        longitude-latitude pairs
+ * @param {Array} options.holes  the holes of the polygon, as arrays of
+ *        longitude-latitude pairs
+ * @param {number} options.angle  direction of the passes, in degrees, zero
+ *        being north and 90 degrees being east
+ * @param {number} options.lineSpacing  distance between adjacent passes, in
+ *        meters
+ * @param {number} options.turnaroundDistance  distance to fly beyond both ends
+ *        of each pass, in meters
+ * @returns {Object[]} the passes in the order they should be flown; each pass
+ *          has a `start` and an `end` point and optional `leadIn` and
+ *          `leadOut` points, all as longitude-latitude pairs
+ */
+export function planLawnmowerPasses({
+  boundary,
+  holes = [],
+  angle = 0,
+  lineSpacing,
+  turnaroundDistance = 0,
+}) {
+  const coordinateSystem = new FlatEarthCoordinateSystem({
+    origin: getCentroid(boundary),
+    orientation: angle,
+  });
+
+  // In the local coordinate system, the passes are parallel to the X axis
+  const rings = [boundary, ...holes].map((ring) =>
+    ring.map((point) => coordinateSystem.fromLonLat(point))
+  );
+  const ys = rings[0].map((point) => point[1]);
+  const minY = Math.min(...ys);
+  const maxY = Math.max(...ys);
+  const lineCount = Math.max(1, Math.ceil((maxY - minY) / lineSpacing));
+  const firstY = (minY + maxY - (lineCount - 1) * lineSpacing) / 2;
+
+  const toLonLat = (x, y) => coordinateSystem.toLonLat([x, y]);
+  const passes = [];
+  let forward = true;
+
+  for (let line = 0; line < lineCount; line++) {
+    const y = firstY + line * lineSpacing;
+    const xs = getScanlineIntersections(rings, y);
+    const segments = [];
+
+    for (let i = 0; i + 1 < xs.length; i += 2) {
+      if (xs[i + 1] - xs[i] >= MIN_SEGMENT_LENGTH) {
+        segments.push([xs[i], xs[i + 1]]);
+      }
+    }
+
+    if (segments.length === 0) {
+      continue;
+    }
+
+    if (!forward) {
+      segments.reverse();
+    }
+
+    for (const [from, to] of segments) {
+      const [startX, endX] = forward ? [from, to] : [to, from];
+      const direction = forward ? 1 : -1;
+
+      passes.push({
+        start: toLonLat(startX, y),
+        end: toLonLat(endX, y),
+        ...(turnaroundDistance > 0 && {
+          leadIn: toLonLat(startX - direction * turnaroundDistance, y),
+          leadOut: toLonLat(endX + direction * turnaroundDistance, y),
+        }),
+      });
+    }
+
+    // Every second line is flown backwards
+    forward = !forward;
+  }
+
+  return passes;
+}
+
+/**
+ * Returns the area of a closed ring with the shoelace formula, in the units of
+ * its coordinates. Good enough to compare the sizes of nearby rings.
+ */
+function getRingArea(ring) {
+  let area = 0;
+  for (let i = 1; i < ring.length; i++) {
+    area += ring[i - 1][0] * ring[i][1] - ring[i][0] * ring[i - 1][1];
+  }
+
+  return Math.abs(area) / 2;
+}
+
+/**
+ * Shrinks a polygon by the given distance and returns the outer ring of the
+ * result, or null if nothing remains of the polygon. When the polygon falls
+ * apart into multiple pieces, the largest piece is kept.
+ */
+function insetPolygon(boundary, holes, distance) {
+  const rings = [boundary, ...holes].map((ring) => {
+    const closed = [...ring];
+    closePolygon(closed);
+    return closed;
+  });
+
+  const buffered = turfBuffer(
+    TurfHelpers.polygon(rings),
+    -distance / 1000 /* Turf.js needs kilometers */
+  );
+  const geometry = buffered?.geometry;
+  if (!geometry || !Array.isArray(geometry.coordinates)) {
+    return null;
+  }
+
+  const polygons =
+    geometry.type === 'MultiPolygon'
+      ? geometry.coordinates
+      : [geometry.coordinates];
+  const outerRings = polygons
+    .map((polygon) => polygon[0])
+    .filter((ring) => Array.isArray(ring) && ring.length >= 4);
+
+  if (outerRings.length === 0) {
+    return null;
+  }
+
+  const ring = maxBy(outerRings, getRingArea);
+
+  // Drop the closing vertex; loops are closed explicitly when flown
+  return ring.slice(0, -1);
+}
+
+/**
+ * Plans concentric loops inside a polygon. The first loop runs at half the
+ * line spacing from the boundary, each further loop at another line spacing
+ * inwards, until nothing remains of the polygon or the maximum number of
+ * loops is reached.
+ *
+ * Each loop starts at its vertex closest to the end of the previous loop so
+ * the transitions between loops are short. Holes are taken into account when
+ * shrinking the polygon but the loops themselves follow the outer boundary
+ * only.
+ *
+ * @param {Object} options
+ * @param {Array} options.boundary  the boundary of the polygon, as
+ *        longitude-latitude pairs
+ * @param {Array} options.holes  the holes of the polygon, as arrays of
+ *        longitude-latitude pairs
+ * @param {number} options.lineSpacing  distance between adjacent loops, in
+ *        meters
+ * @param {number} options.maxLoops  maximum number of loops to plan
+ * @returns {Array[]} the loops from the outermost to the innermost one, each
+ *          loop being an array of longitude-latitude pairs where the first
+ *          point is also repeated at the end
+ */
+export function planInsetLoops({
+  boundary,
+  holes = [],
+  lineSpacing,
+  maxLoops = MAX_RING_COUNT,
+}) {
+  const coordinateSystem = new FlatEarthCoordinateSystem({
+    origin: getCentroid(boundary),
+  });
+  const loops = [];
+  let previousEnd = null;
+
+  for (let index = 0; index < Math.min(maxLoops, MAX_RING_COUNT); index++) {
+    const ring = insetPolygon(
+      boundary,
+      holes,
+      lineSpacing / 2 + index * lineSpacing
+    );
+    if (!ring || ring.length < 3) {
+      break;
+    }
+
+    let startIndex = 0;
+    if (previousEnd) {
+      const [px, py] = coordinateSystem.fromLonLat(previousEnd);
+      let bestDistance = Number.POSITIVE_INFINITY;
+      for (const [i, point] of ring.entries()) {
+        const [x, y] = coordinateSystem.fromLonLat(point);
+        const distance = Math.hypot(x - px, y - py);
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          startIndex = i;
+        }
+      }
+    }
+
+    const loop = [...ring.slice(startIndex), ...ring.slice(0, startIndex)];
+    loop.push(loop[0]);
+    loops.push(loop);
+    previousEnd = loop[0];
+  }
+
+  return loops;
+}
+
+/**
+ * Plans a spiral inside a polygon by joining the concentric loops of
+ * `planInsetLoops()` into a single path. Each loop is left just before it
+ * would close and the path continues on the next loop inwards, so the spiral
+ * is flown from the boundary towards the center without flying any part of
+ * it twice.
+ *
+ * @param {Object} options
+ * @param {Array} options.boundary  the boundary of the polygon, as
+ *        longitude-latitude pairs
+ * @param {Array} options.holes  the holes of the polygon, as arrays of
+ *        longitude-latitude pairs
+ * @param {number} options.lineSpacing  distance between adjacent turns of
+ *        the spiral, in meters
+ * @returns {Array} the spiral as an array of longitude-latitude pairs; empty
+ *          if the polygon is too small to fit a single turn
+ */
+export function planSpiralPath({ boundary, holes = [], lineSpacing }) {
+  const loops = planInsetLoops({ boundary, holes, lineSpacing });
+  return loops.flatMap((loop, index) =>
+    index < loops.length - 1 ? loop.slice(0, -1) : loop
+  );
+}
+
+/**
+ * Creates a mission item factory that assigns unique IDs to the items it
+ * creates.
+ */
+function createMissionItemFactory() {
+  const usedIds = [];
+  return (type, parameters) => {
+    const id = chooseUniqueId('missionItem', usedIds);
+    usedIds.push(id);
+    return { id, type, parameters };
+  };
+}
+
+/**
+ * Converts survey passes or loops into waypoint mission items.
+ *
+ * The mission takes off, flies the passes at the given altitude and speed and
+ * returns to home. The camera is triggered at regular distances while flying
+ * a pass; triggering is stopped during the turnarounds of lawnmower patterns
+ * so no photos are taken outside the surveyed area.
+ *
+ * @param {Object} options
+ * @param {Object[]} options.passes  straight passes to fly, as returned from
+ *        `planLawnmowerPasses()`
+ * @param {Array[]} options.loops  loops to fly, as returned from
+ *        `planInsetLoops()`, or a single path as returned from
+ *        `planSpiralPath()`; used when no passes are given
+ * @param {number} options.altitude  altitude of the survey above the home
+ *        position, in meters
+ * @param {number} options.speed  horizontal speed during the survey, in m/s
+ * @param {number} options.triggerDistance  distance between consecutive
+ *        photos, in meters
+ * @param {string} options.payloadName  name of the camera payload
+ * @returns {Object[]} the mission items
+ */
+export function createSurveyMissionItems({
+  passes,
+  loops,
+  altitude,
+  speed,
+  triggerDistance,
+  payloadName = 'camera',
+}) {
+  const createItem = createMissionItemFactory();
+  const alt = { reference: AltitudeReference.HOME, value: altitude };
+  const goTo = ([lon, lat]) =>
+    createItem(MissionItemType.GO_TO, { lat, lon, alt });
+  const setTrigger = (value) =>
+    createItem(MissionItemType.SET_PAYLOAD, {
+      name: payloadName,
+      action: PayloadAction.TRIGGER_AT_DISTANCE,
+      value,
+    });
+
+  const items = [
+    createItem(MissionItemType.TAKEOFF, { alt }),
+    createItem(MissionItemType.CHANGE_SPEED, { velocityXY: speed }),
+  ];
+
+  if (Array.isArray(passes) && passes.length > 0) {
+    for (const { start, end, leadIn, leadOut } of passes) {
+      if (leadIn) {
+        items.push(goTo(leadIn));
+      }
+
+      // Setting the trigger distance to zero stops triggering
+      items.push(
+        goTo(start),
+        setTrigger(triggerDistance),
+        goTo(end),
+        setTrigger(0)
+      );
+
+      if (leadOut) {
+        items.push(goTo(leadOut));
+      }
+    }
+  } else if (Array.isArray(loops) && loops.length > 0) {
+    items.push(goTo(loops[0][0]), setTrigger(triggerDistance));
+    for (const [index, loop] of loops.entries()) {
+      items.push(...(index === 0 ? loop.slice(1) : loop).map(goTo));
+    }
+
+    items.push(setTrigger(0));
+  }
+
+  items.push(createItem(MissionItemType.RETURN_TO_HOME, {}));
+
+  return items;
+}
@@ -23,6 +23,7 @@ import {
   getGPSBasedHomePositionsInMission,
   getMissionItemsInOrder,
   getMissionName,
+  getRallyPointsInWorldCoordinates,
 } from './selectors';
 
 /**
@@ -131,7 +132,9 @@ const getGeofenceSpecificationForWaypointMission = (state) => {
           })),
         ]
       : [],
-    rallyPoints: [],
+    rallyPoints: getRallyPointsInWorldCoordinates(state).map(
+      toScaledJSONFromLonLat
+    ),
     maxAltitude: getUserDefinedHeightLimit(state),
     maxDistance: getUserDefinedDistanceLimit(state),
   };
@@ -0,0 +1,223 @@
+import { batch } from 'react-redux';
+
+import { clearBeaconList } from '~/features/beacons/slice';
+import { clearClockList } from '~/features/clocks/slice';
+import { clearConnectionList } from '~/features/connections/slice';
+import { clearDockList } from '~/features/docks/slice';
+import { getRoundedClockSkewInMilliseconds } from '~/features/servers/selectors';
+import { isSimulationActive } from '~/features/simulation/selectors';
+import { showError, showSuccess } from '~/features/snackbar/actions';
+import messageHub from '~/message-hub';
+import { readFileAsText } from '~/utils/files';
+import { writeTextToFile } from '~/utils/filesystem';
+import { formatDateForFilename } from '~/utils/formatting';
+
+import { parseRecording, serializeRecording } from './format';
+import player from './player';
+import recorder from './recorder';
+import {
+  getCurrentServerTime,
+  isRecording,
+  isReplayActive,
+  isReplayFinished,
+  isReplayPlaying,
+} from './selectors';
+import {
+  recordingStarted,
+  recordingStopped,
+  replayLoaded,
+  replayUnloaded,
+  setReplayPlaying,
+  setReplayPosition,
+} from './slice';
+
+/**
+ * Asks the server about the current state of the connections, clocks and
+ * UAVs and stores the responses in the recording as if they were
+ * notifications. This ensures that the replay of the session starts from a
+ * complete state even if the recording was started in the middle of a
+ * session.
+ */
+async function recordInitialSnapshot() {
+  const snapshots = [
+    ['CONN-LIST', 'CONN-INF'],
+    ['CLK-LIST', 'CLK-INF'],
+    ['UAV-LIST', 'UAV-INF'],
+  ];
+
+  for (const [listType, infoType] of snapshots) {
+    // eslint-disable-next-line no-await-in-loop
+    const listResponse = await messageHub.sendMessage(listType);
+    const ids = listResponse.body.ids || [];
+
+    if (ids.length > 0) {
+      // eslint-disable-next-line no-await-in-loop
+      const response = await messageHub.sendMessage({ type: infoType, ids });
+      recorder.recordMessageBody({ ...response.body, type: infoType });
+    }
+  }
+}
+
+/**
+ * Removes everything that was created by the replayed messages from the
+ * store.
+ */
+const clearReplayedObjects = () => (dispatch) => {
+  batch(() => {
+    dispatch(clearBeaconList());
+    dispatch(clearClockList());
+    dispatch(clearConnectionList());
+    dispatch(clearDockList());
+  });
+};
+
+/**
+ * Thunk that starts recording the notifications received from the server.
+ */
+export const startRecording = () => async (dispatch, getState) => {
+  if (isRecording(getState()) || isReplayActive(getState())) {
+    return;
+  }
+
+  recorder.start(getRoundedClockSkewInMilliseconds(getState()) || 0);
+  dispatch(recordingStarted(recorder.startedAt));
+
+  if (messageHub.canSend()) {
+    try {
+      await recordInitialSnapshot();
+    } catch (error) {
+      console.warn('Failed to record initial state of the session:', error);
+    }
+  }
+};
+
+/**
+ * Thunk that stops the current recording.
+ */
+export const stopRecording = () => (dispatch) => {
+  recorder.stop();
+  dispatch(recordingStopped());
+};
+
+/**
+ * Thunk that saves the current or last recording into a file.
+ */
+export const saveRecording = () => async (dispatch) => {
+  if (recorder.isEmpty) {
+    dispatch(showError('There are no recorded messages to save'));
+    return;
+  }
+
+  const recording = recorder.toRecording();
+
+  const date = formatDateForFilename(recording.startedAt);
+
+  try {
+    await writeTextToFile(
+      serializeRecording(recording),
+      `recording-${date}.json`,
+      {
+        title: 'Save recorded session',
+        filters: [{ name: 'Recorded sessions', extensions: ['json'] }],
+      }
+    );
+  } catch (error) {
+    dispatch(showError(`Error while saving recording: ${error}`));
+  }
+};
+
+/**
+ * Thunk that loads a recorded session from a file and switches the
+ * application to replay mode. The application disconnects from the server
+ * while the replay mode is active.
+ */
+export const loadRecordingFromFile = (file) => async (dispatch, getState) => {
+  if (isSimulationActive(getState())) {
+    dispatch(showError('Stop the simulation of the show first'));
+    return;
+  }
+
+  let recording;
+
+  try {
+    recording = parseRecording(await readFileAsText(file));
+  } catch (error) {
+    dispatch(showError(`Error while loading recording: ${error.message}`));
+    return;
+  }
+
+  if (isRecording(getState())) {
+    dispatch(stopRecording());
+  }
+
+  batch(() => {
+    dispatch(setReplayPlaying(false));
+    dispatch(clearReplayedObjects());
+    player.load(recording);
+    dispatch(
+      replayLoaded({
+        fileName: file.name,
+        startedAt: recording.startedAt,
+        duration: recording.duration,
+      })
+    );
+  });
+
+  dispatch(
+    showSuccess(
+      `Loaded recorded session with ${recording.messages.length} messages`
+    )
+  );
+};
+
+/**
+ * Thunk that closes the loaded recording and leaves replay mode, allowing the
+ * application to reconnect to the server.
+ */
+export const closeRecording = () => (dispatch) => {
+  batch(() => {
+    dispatch(setReplayPlaying(false));
+    player.unload();
+    dispatch(clearReplayedObjects());
+    dispatch(replayUnloaded());
+  });
+};
+
+/**
+ * Thunk that moves the replay to the given position.
+ *
+ * @param {number} position  the new position, in milliseconds
+ */
+export const seekReplay = (position) => (dispatch, getState) => {
+  if (!isReplayActive(getState())) {
+    return;
+  }
+
+  batch(() => {
+    dispatch(clearReplayedObjects());
+    player.seek(position, getCurrentServerTime(getState()));
+    dispatch(setReplayPosition(player.position));
+  });
+};
+
+/**
+ * Thunk that starts or pauses the replay, rewinding to the start if the
+ * replay has reached the end of the recording.
+ */
+export const toggleReplayPlayback = () => (dispatch, getState) => {
+  const state = getState();
+
+  if (!isReplayActive(state)) {
+    return;
+  }
+
+  if (isReplayPlaying(state)) {
+    dispatch(setReplayPlaying(false));
+  } else {
+    if (isReplayFinished(state)) {
+      dispatch(seekReplay(0));
+    }
+
+    dispatch(setReplayPlaying(true));
+  }
+};
@@ -0,0 +1,63 @@
+/**
+ * @file Constants related to the recording and the replay of telemetry
+ * sessions.
+ */
+
+/**
+ * Identifier of the file format that we use for storing recorded sessions.
+ */
+export const RECORDING_FORMAT = 'skybrush-live-recording';
+
+/**
+ * Current version of the file format that we use for storing recorded
+ * sessions.
+ */
+export const RECORDING_FORMAT_VERSION = 1;
+
+/**
+ * Types of the notifications received by the message hub that are stored in
+ * a recording.
+ */
+export const RECORDED_MESSAGE_TYPES = [
+  'BCN-INF',
+  'CLK-INF',
+  'CONN-DEL',
+  'CONN-INF',
+  'DEV-INF',
+  'DOCK-INF',
+  'OBJ-DEL',
+  'SYS-MSG',
+  'UAV-INF',
+] as const;
+
+/**
+ * Types of the recorded notifications that carry state information and that
+ * hence need to be fed to the message hub when seeking in a recording. Other
+ * notifications (e.g., SYS-MSG) are skipped while seeking.
+ */
+export const STATEFUL_MESSAGE_TYPES = new Set<string>([
+  'BCN-INF',
+  'CLK-INF',
+  'CONN-DEL',
+  'CONN-INF',
+  'DEV-INF',
+  'DOCK-INF',
+  'OBJ-DEL',
+]);
+
+/**
+ * Playback speed multipliers that the user can choose from during replay.
+ */
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4, 8, 16] as const;
+
+/**
+ * Number of milliseconds between consecutive steps of the replay engine.
+ */
+export const REPLAY_TICK_INTERVAL = 100;
+
+/**
+ * Number of milliseconds between consecutive refreshes of the replayed UAVs
+ * while the replay is paused. It must be well below the time after which UAVs
+ * are considered inactive.
+ */
+export const REPLAY_REFRESH_INTERVAL = 1000;
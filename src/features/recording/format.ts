@@ -0,0 +1,127 @@
+/**
+ * @file Functions for reading and writing recorded telemetry sessions.
+ */
+
+import { RECORDING_FORMAT, RECORDING_FORMAT_VERSION } from './constants';
+
+/**
+ * Body of a single notification that was received by the message hub.
+ */
+export type RecordedMessageBody = {
+  [key: string]: unknown;
+  type: string;
+};
+
+/**
+ * A single recorded message; the first element is the number of milliseconds
+ * elapsed since the start of the recording, the second element is the body of
+ * the notification.
+ */
+export type RecordedMessage = [number, RecordedMessageBody];
+
+export type Recording = {
+  /** Timestamp when the recording was started, in milliseconds */
+  startedAt: number;
+
+  /**
+   * Estimated clock skew between the client and the server when the recording
+   * was started, in milliseconds. Positive numbers mean that the server was
+   * ahead of the client.
+   */
+  clockSkew: number;
+
+  /** Length of the recording, in milliseconds */
+  duration: number;
+
+  /** The recorded messages, ordered by their relative timestamps */
+  messages: RecordedMessage[];
+};
+
+const isRecordedMessage = (item: unknown): item is RecordedMessage =>
+  Array.isArray(item) &&
+  item.length === 2 &&
+  typeof item[0] === 'number' &&
+  Number.isFinite(item[0]) &&
+  typeof item[1] === 'object' &&
+  item[1] !== null &&
+  typeof (item[1] as Record<string, unknown>)['type'] === 'string';
+
+/**
+ * Parses a recorded session from its serialized representation.
+ *
+ * @param text - The contents of the recording file
+ * @returns The parsed recording
+ * @throws Error if the text does not contain a valid recording
+ */
+export function parseRecording(text: string): Recording {
+  let data: unknown;
+
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Recording is not a valid JSON file');
+  }
+
+  if (typeof data !== 'object' || data === null) {
+    throw new Error('Recording must be a JSON object');
+  }
+
+  const { format, version, startedAt, messages } = data as Record<
+    string,
+    unknown
+  >;
+
+  if (format !== RECORDING_FORMAT) {
+    throw new Error('File does not contain a recorded session');
+  }
+
+  if (typeof version !== 'number' || version > RECORDING_FORMAT_VERSION) {
+    throw new Error(`Unsupported recording format version: ${String(version)}`);
+  }
+
+  if (typeof startedAt !== 'number' || !Array.isArray(messages)) {
+    throw new TypeError('Recording is corrupted');
+  }
+
+  const validMessages = messages.filter(isRecordedMessage);
+  validMessages.sort((a, b) => a[0] - b[0]);
+
+  const { clockSkew, duration } = data as Record<string, unknown>;
+  const lastTimestamp = validMessages.at(-1)?.[0] ?? 0;
+
+  return {
+    startedAt,
+    // Recordings made before the clock skew was stored are assumed to have
+    // been made with a synchronized clock
+    clockSkew:
+      typeof clockSkew === 'number' && Number.isFinite(clockSkew)
+        ? clockSkew
+        : 0,
+    duration:
+      typeof duration === 'number' && duration >= lastTimestamp
+        ? duration
+        : lastTimestamp,
+    messages: validMessages,
+  };
+}
+
+/**
+ * Converts a recorded session into a string that can be written into a file.
+ *
+ * @param recording - The recording to serialize
+ * @returns The serialized representation of the recording
+ */
+export const serializeRecording = ({
+  startedAt,
+  clockSkew,
+  duration,
+  messages,
+}: Recording): string =>
+  JSON.stringify({
+    format: RECORDING_FORMAT,
+    version: RECORDING_FORMAT_VERSION,
+    startedAt,
+    clockSkew,
+    duration,
+    messages,
+  });
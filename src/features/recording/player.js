@@ -0,0 +1,263 @@
+/**
+ * @file Player that feeds the messages of a recorded session back into the
+ * message hub, as if they were received from a live server.
+ */
+
+import flock from '~/flock';
+import messageHub from '~/message-hub';
+
+import { STATEFUL_MESSAGE_TYPES } from './constants';
+
+/**
+ * Shifts the timestamps in the body of a recorded UAV-INF message by the given
+ * number of milliseconds. This is needed because the age of each UAV is
+ * derived from the timestamp of its last status update, and UAVs with old
+ * timestamps would be considered gone immediately.
+ */
+function shiftTimestampsInUAVStatusInfo(status, shift) {
+  const result = {};
+
+  for (const [uavId, uavStatus] of Object.entries(status || {})) {
+    result[uavId] =
+      uavStatus && typeof uavStatus.timestamp === 'number'
+        ? { ...uavStatus, timestamp: uavStatus.timestamp + shift }
+        : uavStatus;
+  }
+
+  return result;
+}
+
+/**
+ * Player object that replays a recorded session into a message hub and
+ * keeps track of the current position within the recording.
+ *
+ * Each method that feeds messages to the message hub expects the current time
+ * according to the clock of the server, in milliseconds. The timestamps of the
+ * UAV status updates are shifted such that the age of each UAV, as seen by the
+ * client, is the same as it was at the current position of the recording.
+ */
+export class ReplayPlayer {
+  /**
+   * Constructor.
+   *
+   * @param {MessageHub} hub  the message hub to feed the recorded messages to
+   * @param {Flock} flock  the flock that the message hub updates; it will be
+   *        cleared when the player is rewound
+   */
+  constructor(hub, flock) {
+    this._hub = hub;
+    this._flock = flock;
+
+    this._recording = undefined;
+    this._cursor = 0;
+    this._position = 0;
+    this._lastStatus = {};
+  }
+
+  /**
+   * Returns the length of the loaded recording, in milliseconds.
+   */
+  get duration() {
+    return this._recording ? this._recording.duration : 0;
+  }
+
+  /**
+   * Returns whether the player has a loaded recording.
+   */
+  get loaded() {
+    return this._recording !== undefined;
+  }
+
+  /**
+   * Returns the current position of the player within the recording, in
+   * milliseconds.
+   */
+  get position() {
+    return this._position;
+  }
+
+  /**
+   * Advances the player to the given position, feeding all the messages
+   * between the current and the new position to the message hub.
+   *
+   * @param {number} position  the new position, in milliseconds; it must not
+   *        be earlier than the current position
+   * @param {number} now  the current time on the clock of the server
+   */
+  advanceTo(position, now) {
+    if (!this._recording) {
+      return;
+    }
+
+    const { messages } = this._recording;
+
+    while (
+      this._cursor < messages.length &&
+      messages[this._cursor][0] <= position
+    ) {
+      const [timestamp, body] = messages[this._cursor];
+
+      if (body.type === 'UAV-INF') {
+        this._storeStatus(body.status);
+      }
+
+      this._deliver(body, this._getShift(timestamp, now));
+      this._cursor++;
+    }
+
+    this._position = Math.min(Math.max(position, 0), this.duration);
+  }
+
+  /**
+   * Loads a new recording into the player and rewinds it to the start.
+   *
+   * @param {Recording} recording  the recording to load
+   */
+  load(recording) {
+    this._recording = recording;
+    this._rewind();
+  }
+
+  /**
+   * Feeds the last known status of each UAV that is still in the flock to the
+   * message hub again, with timestamps adjusted to the current time. This
+   * must be called regularly while the replay is paused; otherwise the UAVs
+   * would be considered gone after a while, and then forgotten.
+   *
+   * @param {number} now  the current time on the clock of the server
+   */
+  refresh(now) {
+    if (!this._recording) {
+      return;
+    }
+
+    const status = {};
+
+    for (const [uavId, uavStatus] of Object.entries(this._lastStatus)) {
+      if (this._flock.getUAVById(uavId)) {
+        status[uavId] = uavStatus;
+      }
+    }
+
+    if (Object.keys(status).length > 0) {
+      this._deliver(
+        { type: 'UAV-INF', status },
+        this._getShift(this._position, now)
+      );
+    }
+  }
+
+  /**
+   * Moves the player to the given position, restoring the state of the flock
+   * and the other objects managed by the message hub as they were at that
+   * moment.
+   *
+   * Stateful messages before the given position are fed to the message hub
+   * again, with the UAV status updates merged into a single message. Other
+   * messages (e.g., SYS-MSG notifications) are skipped.
+   *
+   * @param {number} position  the new position, in milliseconds
+   * @param {number} now  the current time on the clock of the server
+   */
+  seek(position, now) {
+    this._rewind();
+
+    if (!this._recording) {
+      return;
+    }
+
+    const { messages } = this._recording;
+
+    while (
+      this._cursor < messages.length &&
+      messages[this._cursor][0] <= position
+    ) {
+      const [timestamp, body] = messages[this._cursor];
+
+      if (body.type === 'UAV-INF') {
+        this._storeStatus(body.status);
+      } else if (STATEFUL_MESSAGE_TYPES.has(body.type)) {
+        this._deliver(body, this._getShift(timestamp, now));
+      }
+
+      this._cursor++;
+    }
+
+    this._position = Math.min(Math.max(position, 0), this.duration);
+
+    const status = this._lastStatus;
+    if (Object.keys(status).length > 0) {
+      this._deliver(
+        { type: 'UAV-INF', status },
+        this._getShift(this._position, now)
+      );
+    }
+  }
+
+  /**
+   * Unloads the current recording from the player.
+   */
+  unload() {
+    this._recording = undefined;
+    this._rewind();
+  }
+
+  /**
+   * Feeds the given message body to the message hub, shifting the timestamps
+   * in the message by the given amount.
+   */
+  _deliver(body, shift) {
+    const shiftedBody =
+      body.type === 'UAV-INF' && shift !== 0
+        ? {
+            ...body,
+            status: shiftTimestampsInUAVStatusInfo(body.status, shift),
+          }
+        : body;
+    this._hub.processIncomingMessage({ body: shiftedBody });
+  }
+
+  /**
+   * Returns the number of milliseconds to add to the timestamps of the
+   * messages recorded at the given position of the recording so they appear
+   * to have been received now.
+   *
+   * The timestamps in the recorded messages are on the clock of the server
+   * that the session was recorded from, while the position of the recording
+   * is measured on the clock of the client, hence the clock skew at the time
+   * of the recording is also taken into account.
+   */
+  _getShift(position, now) {
+    const { clockSkew, startedAt } = this._recording;
+    return now - (startedAt + clockSkew) - position;
+  }
+
+  /**
+   * Rewinds the player to the start of the recording and removes all the
+   * UAVs from the flock.
+   */
+  _rewind() {
+    this._cursor = 0;
+    this._position = 0;
+    this._lastStatus = {};
+    this._flock.removeUAVsByIds(this._flock.getAllUAVIds());
+  }
+
+  /**
+   * Merges the given (unshifted) UAV status information into the last known
+   * status of each UAV.
+   */
+  _storeStatus(status) {
+    for (const [uavId, uavStatus] of Object.entries(status || {})) {
+      this._lastStatus[uavId] = { ...this._lastStatus[uavId], ...uavStatus };
+    }
+  }
+}
+
+/**
+ * The single application-wide replay player that feeds recorded sessions into
+ * the application-wide message hub.
+ */
+const player = new ReplayPlayer(messageHub, flock);
+
+export default player;
@@ -0,0 +1,133 @@
+/**
+ * @file Recorder that stores the notifications received by the message hub
+ * during a session so they can be replayed later.
+ */
+
+import messageHub from '~/message-hub';
+
+import { RECORDED_MESSAGE_TYPES } from './constants';
+
+/**
+ * Recorder object that subscribes to the notifications of a message hub and
+ * stores them, along with the time when they were received.
+ */
+export class SessionRecorder {
+  /**
+   * Constructor.
+   *
+   * @param {MessageHub} hub  the message hub whose notifications should be
+   *        recorded
+   */
+  constructor(hub) {
+    this._hub = hub;
+    this._messages = [];
+    this._clockSkew = 0;
+    this._startedAt = undefined;
+    this._stoppedAt = undefined;
+
+    this._handlers = Object.fromEntries(
+      RECORDED_MESSAGE_TYPES.map((type) => [type, this._onMessage])
+    );
+  }
+
+  /**
+   * Returns whether the recorder is currently recording messages.
+   */
+  get active() {
+    return this._startedAt !== undefined && this._stoppedAt === undefined;
+  }
+
+  /**
+   * Returns whether the recorder has stored any messages since the last time
+   * it was started.
+   */
+  get isEmpty() {
+    return this._messages.length === 0;
+  }
+
+  /**
+   * Returns the number of messages recorded since the last time the recorder
+   * was started.
+   */
+  get messageCount() {
+    return this._messages.length;
+  }
+
+  /**
+   * Returns the timestamp when the recorder was started the last time.
+   */
+  get startedAt() {
+    return this._startedAt;
+  }
+
+  /**
+   * Stores the body of a notification in the recording as if it was received
+   * right now. Does nothing if the recorder is not active.
+   *
+   * @param {Object} body  the body of the notification to store
+   */
+  recordMessageBody(body) {
+    if (this.active && body && typeof body.type === 'string') {
+      this._messages.push([Date.now() - this._startedAt, body]);
+    }
+  }
+
+  /**
+   * Starts a new recording, throwing away the messages of the previous one.
+   *
+   * @param {number} clockSkew  the estimated clock skew between the client and
+   *        the server, in milliseconds; it is needed to interpret the
+   *        timestamps in the recorded messages during replay
+   */
+  start(clockSkew = 0) {
+    if (this.active) {
+      return;
+    }
+
+    this._messages = [];
+    this._clockSkew = clockSkew;
+    this._startedAt = Date.now();
+    this._stoppedAt = undefined;
+
+    this._hub.registerNotificationHandlers(this._handlers);
+  }
+
+  /**
+   * Stops the current recording. The recorded messages are kept until the
+   * next recording is started.
+   */
+  stop() {
+    if (!this.active) {
+      return;
+    }
+
+    this._hub.unregisterNotificationHandlers(this._handlers);
+    this._stoppedAt = Date.now();
+  }
+
+  /**
+   * Returns the recorded session in a form that can be serialized into a
+   * file.
+   */
+  toRecording() {
+    const endedAt = this._stoppedAt ?? Date.now();
+    return {
+      startedAt: this._startedAt ?? endedAt,
+      clockSkew: this._clockSkew,
+      duration: this._startedAt === undefined ? 0 : endedAt - this._startedAt,
+      messages: [...this._messages],
+    };
+  }
+
+  _onMessage = (message) => {
+    this.recordMessageBody(message.body);
+  };
+}
+
+/**
+ * The single application-wide session recorder that records the
+ * notifications of the application-wide message hub.
+ */
+const recorder = new SessionRecorder(messageHub);
+
+export default recorder;
@@ -0,0 +1,72 @@
+import { delay, put, race, select, take } from 'redux-saga/effects';
+
+import { REPLAY_REFRESH_INTERVAL, REPLAY_TICK_INTERVAL } from './constants';
+import player from './player';
+import {
+  getCurrentServerTime,
+  getReplaySpeed,
+  isReplayActive,
+  isReplayPlaying,
+} from './selectors';
+import {
+  replayLoaded,
+  replayUnloaded,
+  setReplayPlaying,
+  setReplayPosition,
+} from './slice';
+
+/**
+ * Saga that advances the replay player while the replay of a recorded session
+ * is running, and refreshes the replayed UAVs periodically while it is paused
+ * so they do not disappear from the UAV list.
+ */
+export default function* replaySaga() {
+  while (true) {
+    const active = yield select(isReplayActive);
+
+    if (!active) {
+      yield take(replayLoaded.type);
+      continue;
+    }
+
+    let lastTickAt = Date.now();
+    let lastRefreshAt = lastTickAt;
+
+    while (true) {
+      const { stopped } = yield race({
+        tick: delay(REPLAY_TICK_INTERVAL),
+        stopped: take(replayUnloaded.type),
+      });
+
+      if (stopped || !player.loaded) {
+        break;
+      }
+
+      const now = Date.now();
+      const serverTime = yield select(getCurrentServerTime);
+      const playing = yield select(isReplayPlaying);
+
+      if (playing) {
+        const speed = yield select(getReplaySpeed);
+        const position = Math.min(
+          player.position + (now - lastTickAt) * speed,
+          player.duration
+        );
+
+        player.advanceTo(position, serverTime);
+        yield put(setReplayPosition(position));
+
+        if (position >= player.duration) {
+          yield put(setReplayPlaying(false));
+        }
+
+        lastRefreshAt = now;
+      } else if (now - lastRefreshAt >= REPLAY_REFRESH_INTERVAL) {
+        player.refresh(serverTime);
+        lastRefreshAt = now;
+      }
+
+      lastTickAt = now;
+    }
+  }
+}
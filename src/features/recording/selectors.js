@@ -0,0 +1,62 @@
+import { getRoundedClockSkewInMilliseconds } from '~/features/servers/selectors';
+
+/**
+ * Returns whether the telemetry recorder is currently active.
+ */
+export const isRecording = (state) => state.recording.recording.active;
+
+/**
+ * Returns the timestamp when the current or last recording was started.
+ */
+export const getRecordingStartTime = (state) =>
+  state.recording.recording.startedAt;
+
+/**
+ * Returns whether a recorded session is loaded, i.e. whether the application
+ * is in replay mode.
+ */
+export const isReplayActive = (state) => state.recording.replay.loaded;
+
+/**
+ * Returns whether the replay of the loaded session is currently running.
+ */
+export const isReplayPlaying = (state) => state.recording.replay.playing;
+
+/**
+ * Returns the length of the loaded session, in milliseconds.
+ */
+export const getReplayDuration = (state) => state.recording.replay.duration;
+
+/**
+ * Returns the name of the file that the loaded session was read from.
+ */
+export const getReplayFileName = (state) => state.recording.replay.fileName;
+
+/**
+ * Returns the current position of the replay, in milliseconds.
+ */
+export const getReplayPosition = (state) => state.recording.replay.position;
+
+/**
+ * Returns the playback speed multiplier of the replay.
+ */
+export const getReplaySpeed = (state) => state.recording.replay.speed;
+
+/**
+ * Returns the timestamp when the loaded session was recorded.
+ */
+export const getReplayStartTime = (state) => state.recording.replay.startedAt;
+
+/**
+ * Returns whether the replay has reached the end of the loaded session.
+ */
+export const isReplayFinished = (state) =>
+  getReplayPosition(state) >= getReplayDuration(state);
+
+/**
+ * Returns the current time according to the clock of the server, in
+ * milliseconds. The timestamps of replayed UAV status updates are expressed
+ * on this clock because the UAV aging logic uses it as well.
+ */
+export const getCurrentServerTime = (state) =>
+  Date.now() + (getRoundedClockSkewInMilliseconds(state) || 0);
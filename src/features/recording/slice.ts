@@ -0,0 +1,128 @@
+/**
+ * @file Slice of the state object that stores the state of the telemetry
+ * recorder and the replay of recorded sessions.
+ *
+ * The recorded messages themselves are not stored here; they are kept by the
+ * recorder and the replay player objects outside the Redux store.
+ */
+
+import { createSlice, type PayloadAction } from '@reduxjs/toolkit';
+
+type RecordingSliceState = {
+  recording: {
+    /** Whether the recorder is currently active */
+    active: boolean;
+
+    /** Timestamp when the current or last recording was started */
+    startedAt?: number;
+  };
+
+  replay: {
+    /**
+     * Whether a recorded session is loaded. The application is in replay mode
+     * (and disconnected from the server) while this is true.
+     */
+    loaded: boolean;
+
+    /** Name of the file that the recorded session was loaded from */
+    fileName?: string;
+
+    /** Timestamp when the loaded session was recorded */
+    startedAt?: number;
+
+    /** Length of the loaded session, in milliseconds */
+    duration: number;
+
+    /** Whether the replay is currently running */
+    playing: boolean;
+
+    /** Current position of the replay, in milliseconds */
+    position: number;
+
+    /** Playback speed multiplier */
+    speed: number;
+  };
+};
+
+const initialState: RecordingSliceState = {
+  recording: {
+    active: false,
+    startedAt: undefined,
+  },
+  replay: {
+    loaded: false,
+    fileName: undefined,
+    startedAt: undefined,
+    duration: 0,
+    playing: false,
+    position: 0,
+    speed: 1,
+  },
+};
+
+const { actions, reducer } = createSlice({
+  name: 'recording',
+  initialState,
+  reducers: {
+    recordingStarted(state, action: PayloadAction<number>) {
+      state.recording.active = true;
+      state.recording.startedAt = action.payload;
+    },
+
+    recordingStopped(state) {
+      state.recording.active = false;
+    },
+
+    replayLoaded(
+      state,
+      action: PayloadAction<{
+        fileName?: string;
+        startedAt: number;
+        duration: number;
+      }>
+    ) {
+      const { fileName, startedAt, duration } = action.payload;
+      state.replay = {
+        ...initialState.replay,
+        loaded: true,
+        fileName,
+        startedAt,
+        duration,
+        speed: state.replay.speed,
+      };
+    },
+
+    replayUnloaded(state) {
+      state.replay = { ...initialState.replay, speed: state.replay.speed };
+    },
+
+    setReplayPlaying(state, action: PayloadAction<boolean>) {
+      state.replay.playing = state.replay.loaded && Boolean(action.payload);
+    },
+
+    setReplayPosition(state, action: PayloadAction<number>) {
+      state.replay.position = Math.min(
+        Math.max(action.payload, 0),
+        state.replay.duration
+      );
+    },
+
+    setReplaySpeed(state, action: PayloadAction<number>) {
+      if (action.payload > 0) {
+        state.replay.speed = action.payload;
+      }
+    },
+  },
+});
+
+export const {
+  recordingStarted,
+  recordingStopped,
+  replayLoaded,
+  replayUnloaded,
+  setReplayPlaying,
+  setReplayPosition,
+  setReplaySpeed,
+} = actions;
+
+export default reducer;
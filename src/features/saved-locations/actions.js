@@ -13,6 +13,7 @@ export const {
   addSavedLocation,
   createNewSavedLocation,
   deleteSavedLocation,
+  replaceSavedLocations,
   updateSavedLocation,
 } = actions;
 
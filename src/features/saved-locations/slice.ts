@@ -47,6 +47,14 @@ const { actions, reducer } = createSlice({
       deleteItemById(state, action.payload);
     },
 
+    replaceSavedLocations(
+      _state,
+      action: PayloadAction<SavedLocationsSliceState>
+    ) {
+      const { byId, order } = action.payload;
+      return { byId, order };
+    },
+
     updateSavedLocation(state, action: PayloadAction<SavedLocation>) {
       replaceItemOrAddToFront(state, action.payload);
     },
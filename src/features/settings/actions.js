@@ -1,10 +1,25 @@
 import isNil from 'lodash-es/isNil';
-import { UAVFilter } from '~/model/filtering';
+import kebabCase from 'lodash-es/kebabCase';
 
+import { showPromptDialog } from '~/features/prompt/actions';
+import { showError, showSuccess } from '~/features/snackbar/actions';
+import i18n from '~/i18n';
+import { UAVFilter } from '~/model/filtering';
+import { readFileAsText } from '~/utils/files';
+import { writeTextToFile } from '~/utils/filesystem';
+import { formatDateForFilename } from '~/utils/formatting';
+
+import {
+  createSettingsProfile,
+  getActionsToRestoreSettingsProfile,
+  parseSettingsProfile,
+  SETTINGS_PROFILE_FILE_FILTERS,
+} from './profiles';
 import { getUAVListSortPreference } from './selectors';
 import { updateAppSettings } from './slice';
 
 import { actions as dialogActions } from './dialog';
+import { actions as profileImportDialogActions } from './profile-import-dialog';
 
 export const {
   closeAppSettingsDialog,
@@ -13,6 +28,12 @@ export const {
   toggleAppSettingsDialog,
 } = dialogActions;
 
+export const {
+  closeSettingsProfileImportDialog,
+  showSettingsProfileImportDialog,
+  toggleSettingsProfileSection,
+} = profileImportDialogActions;
+
 export function setSingleUAVListFilter(filter) {
   return (dispatch) => {
     dispatch(
@@ -115,3 +136,110 @@ export function updateUAVVoltageThreshold(name, value) {
     );
   };
 }
+
+/**
+ * Thunk that asks the user for the name of a new settings profile and then
+ * exports the current settings of the application into a profile file.
+ */
+export function exportSettingsProfile() {
+  return async (dispatch, getState) => {
+    const response = await dispatch(
+      showPromptDialog({
+        title: i18n.t('settings.profiles.exportTitle'),
+        submitButtonLabel: i18n.t('general.action.export'),
+        initialValues: { name: '' },
+        schema: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              title: i18n.t('settings.profiles.name'),
+            },
+          },
+          required: ['name'],
+        },
+      })
+    );
+
+    if (!response) {
+      return;
+    }
+
+    const name = String(response.name || '').trim();
+    const profile = createSettingsProfile(getState(), name);
+    const date = formatDateForFilename();
+    const slug = kebabCase(name);
+
+    try {
+      const saved = await writeTextToFile(
+        JSON.stringify(profile, null, 2),
+        `settings-${slug ? slug + '-' : ''}${date}.json`,
+        {
+          title: i18n.t('settings.profiles.exportTitle'),
+          filters: SETTINGS_PROFILE_FILE_FILTERS,
+        }
+      );
+      if (saved) {
+        dispatch(showSuccess(i18n.t('settings.profiles.exportSuccess')));
+      }
+    } catch (error) {
+      dispatch(
+        showError(
+          i18n.t('settings.profiles.exportError', { error: String(error) })
+        )
+      );
+    }
+  };
+}
+
+/**
+ * Thunk that loads a settings profile from the given file and shows the
+ * dialog where the user can select which sections of the profile to import.
+ */
+export function loadSettingsProfileFromFile(file) {
+  return async (dispatch) => {
+    try {
+      const text = await readFileAsText(file);
+      dispatch(showSettingsProfileImportDialog(parseSettingsProfile(text)));
+    } catch (error) {
+      dispatch(
+        showError(
+          i18n.t('settings.profiles.importError', {
+            error: error instanceof Error ? error.message : String(error),
+          })
+        )
+      );
+    }
+  };
+}
+
+/**
+ * Thunk that imports the sections of the settings profile that the user
+ * selected in the settings profile import dialog, and then closes the
+ * dialog.
+ */
+export function importSelectedSettingsProfileSections() {
+  return (dispatch, getState) => {
+    const { profile, selectedSections } =
+      getState().dialogs.settingsProfileImport;
+
+    if (profile) {
+      for (const action of getActionsToRestoreSettingsProfile(
+        profile,
+        selectedSections
+      )) {
+        dispatch(action);
+      }
+
+      dispatch(
+        showSuccess(
+          i18n.t('settings.profiles.importSuccess', {
+            count: selectedSections.length,
+          })
+        )
+      );
+    }
+
+    dispatch(closeSettingsProfileImportDialog());
+  };
+}
@@ -0,0 +1,82 @@
+/**
+ * @file Redux slice for handling the part of the state object that
+ * stores the state of the dialog that allows the user to select which
+ * sections of a settings profile to import.
+ */
+
+import { createSlice, type PayloadAction } from '@reduxjs/toolkit';
+
+import { noPayload } from '~/utils/redux';
+
+export type ParsedSettingsProfile = {
+  name: string;
+  createdAt?: string;
+  sections: string[];
+  state: Record<string, unknown>;
+};
+
+type SettingsProfileImportDialogSliceState = {
+  open: boolean;
+  profile?: ParsedSettingsProfile;
+  selectedSections: string[];
+};
+
+/**
+ * The default state for the settings profile import dialog.
+ */
+const initialState: SettingsProfileImportDialogSliceState = {
+  open: false,
+  profile: undefined,
+  selectedSections: [],
+};
+
+/**
+ * The reducer that handles actions related to the settings profile import
+ * dialog.
+ */
+const { reducer, actions } = createSlice({
+  name: 'settings-profile-import',
+  initialState,
+  reducers: {
+    /**
+     * Action that will close the settings profile import dialog and forget
+     * the profile being imported.
+     */
+    closeSettingsProfileImportDialog:
+      noPayload<SettingsProfileImportDialogSliceState>((state) => {
+        state.open = false;
+        state.profile = undefined;
+        state.selectedSections = [];
+      }),
+
+    /**
+     * Action that shows the settings profile import dialog for the given
+     * parsed profile, with all the sections of the profile selected.
+     */
+    showSettingsProfileImportDialog(
+      state,
+      action: PayloadAction<ParsedSettingsProfile>
+    ) {
+      state.open = true;
+      state.profile = action.payload;
+      state.selectedSections = [...action.payload.sections];
+    },
+
+    /**
+     * Action that toggles whether the section with the given ID should be
+     * imported from the profile.
+     */
+    toggleSettingsProfileSection(state, action: PayloadAction<string>) {
+      const id = action.payload;
+      const index = state.selectedSections.indexOf(id);
+
+      if (index >= 0) {
+        state.selectedSections.splice(index, 1);
+      } else if (state.profile?.sections.includes(id)) {
+        state.selectedSections.push(id);
+      }
+    },
+  },
+});
+
+export { reducer as default, actions };
@@ -0,0 +1,227 @@
+/**
+ * @file Definitions of the sections of the application settings that can be
+ * exported into and imported from settings profiles.
+ *
+ * A settings profile is a JSON file that contains a subset of the persisted
+ * state of the application, tagged with the version of the persisted state so
+ * the migrations of the state store can upgrade profiles exported by older
+ * versions of the application.
+ */
+
+import get from 'lodash-es/get';
+import set from 'lodash-es/set';
+
+import { replaceHotkeyBindings } from '~/features/hotkeys/slice';
+import { replaceLayers } from '~/features/map/layers';
+import { setPreflightCheckListItems } from '~/features/preflight/slice';
+import {
+  updateGeofenceSettings,
+  updateSafetySettings,
+} from '~/features/safety/slice';
+import { replaceSavedLocations } from '~/features/saved-locations/actions';
+import { updateServerSettings } from '~/features/servers/actions';
+import { tt } from '~/i18n';
+import { migrateState, STATE_VERSION } from '~/store/migrations';
+
+import { updateAppSettings } from './slice';
+
+/**
+ * Identifier of the file format of settings profiles.
+ */
+export const SETTINGS_PROFILE_FORMAT = 'skybrush-live-settings-profile';
+
+/**
+ * File filters to use in the save dialog of settings profiles.
+ */
+export const SETTINGS_PROFILE_FILE_FILTERS = [
+  { name: 'Settings profiles', extensions: ['json'] },
+];
+
+/**
+ * File extensions accepted when importing settings profiles.
+ */
+export const SETTINGS_PROFILE_IMPORT_FILTER = ['.json'];
+
+/**
+ * Returns whether the given value looks like an ordered collection.
+ */
+const isCollection = (value) =>
+  Boolean(value) &&
+  typeof value.byId === 'object' &&
+  Array.isArray(value.order);
+
+/**
+ * Sections of a settings profile. Each section lists the paths in the state
+ * store that it contains and the actions that restore them from the (already
+ * migrated) partial state object stored in the profile.
+ */
+export const settingsProfileSections = [
+  {
+    id: 'display',
+    label: tt('settings.profiles.sections.display'),
+    paths: ['settings.display', 'settings.threeD'],
+    restore: ({ settings }) => [
+      settings.display && updateAppSettings('display', settings.display),
+      settings.threeD && updateAppSettings('threeD', settings.threeD),
+    ],
+  },
+  {
+    id: 'uavs',
+    label: tt('settings.profiles.sections.uavs'),
+    paths: ['settings.uavs'],
+    restore: ({ settings }) => [updateAppSettings('uavs', settings.uavs)],
+  },
+  {
+    id: 'safety',
+    label: tt('settings.profiles.sections.safety'),
+    paths: ['safety.settings', 'safety.geofence'],
+    restore: ({ safety }) => [
+      safety.settings && updateSafetySettings(safety.settings),
+      safety.geofence && updateGeofenceSettings(safety.geofence),
+    ],
+  },
+  {
+    id: 'savedLocations',
+    label: tt('settings.profiles.sections.savedLocations'),
+    paths: ['savedLocations'],
+    restore: ({ savedLocations }) => [
+      isCollection(savedLocations) && replaceSavedLocations(savedLocations),
+    ],
+  },
+  {
+    id: 'layers',
+    label: tt('settings.profiles.sections.layers'),
+    paths: ['map.layers'],
+    restore: ({ map }) => [
+      isCollection(map.layers) && replaceLayers(map.layers),
+    ],
+  },
+  {
+    id: 'hotkeys',
+    label: tt('settings.profiles.sections.hotkeys'),
+    paths: ['hotkeys.bindings'],
+    restore: ({ hotkeys }) => [replaceHotkeyBindings(hotkeys.bindings)],
+  },
+  {
+    id: 'preflight',
+    label: tt('settings.profiles.sections.preflight'),
+    paths: ['preflight.groups', 'preflight.items'],
+    restore: ({ preflight: { groups, items } }) => [
+      isCollection(groups) &&
+        isCollection(items) &&
+        setPreflightCheckListItems({ groups, items }),
+    ],
+  },
+  {
+    id: 'server',
+    label: tt('settings.profiles.sections.server'),
+    paths: [
+      'dialogs.serverSettings.protocol',
+      'dialogs.serverSettings.hostName',
+      'dialogs.serverSettings.port',
+      'dialogs.serverSettings.isSecure',
+    ],
+    restore: ({ dialogs }) => [updateServerSettings(dialogs.serverSettings)],
+  },
+];
+
+const sectionsById = Object.fromEntries(
+  settingsProfileSections.map((section) => [section.id, section])
+);
+
+/**
+ * Returns whether the given partial state object contains at least one of the
+ * paths of the given section.
+ */
+const isSectionPresentInState = (section, state) =>
+  section.paths.some((path) => get(state, path) !== undefined);
+
+/**
+ * Creates a settings profile from the given state of the application.
+ *
+ * @param {Object} state  the state of the application
+ * @param {string} name  the name of the profile
+ * @returns {Object} the profile, ready to be serialized into JSON
+ */
+export function createSettingsProfile(state, name) {
+  const data = {};
+
+  for (const { paths } of settingsProfileSections) {
+    for (const path of paths) {
+      const value = get(state, path);
+      if (value !== undefined) {
+        set(data, path, value);
+      }
+    }
+  }
+
+  return {
+    format: SETTINGS_PROFILE_FORMAT,
+    version: STATE_VERSION,
+    name,
+    createdAt: new Date().toISOString(),
+    state: data,
+  };
+}
+
+/**
+ * Parses a settings profile from its JSON representation, validates it and
+ * upgrades its contents to the current version of the persisted state.
+ *
+ * @param {string} text  the JSON representation of the profile
+ * @returns {Object} the profile with the upgraded state and the IDs of the
+ *          sections found in the profile
+ * @throws {Error} if the profile is invalid or was created by a newer version
+ *         of the application
+ */
+export function parseSettingsProfile(text) {
+  let profile;
+
+  try {
+    profile = JSON.parse(text);
+  } catch {
+    throw new Error('File is not a valid JSON file');
+  }
+
+  if (
+    !profile ||
+    typeof profile !== 'object' ||
+    profile.format !== SETTINGS_PROFILE_FORMAT
+  ) {
+    throw new Error('File is not a settings profile');
+  }
+
+  if (!profile.state || typeof profile.state !== 'object') {
+    throw new Error('Settings profile contains no settings');
+  }
+
+  const state = migrateState(profile.state, profile.version);
+  const sections = settingsProfileSections
+    .filter((section) => isSectionPresentInState(section, state))
+    .map((section) => section.id);
+
+  return {
+    name: typeof profile.name === 'string' ? profile.name : '',
+    createdAt:
+      typeof profile.createdAt === 'string' ? profile.createdAt : undefined,
+    sections,
+    state,
+  };
+}
+
+/**
+ * Returns the actions that restore the given sections of the application
+ * settings from the state stored in a parsed settings profile.
+ *
+ * @param {Object} profile  the parsed settings profile
+ * @param {string[]} sectionIds  the IDs of the sections to restore
+ * @returns {Object[]} the actions to dispatch
+ */
+export function getActionsToRestoreSettingsProfile(profile, sectionIds) {
+  const { state } = profile;
+  return sectionIds
+    .map((id) => sectionsById[id])
+    .filter((section) => section && isSectionPresentInState(section, state))
+    .flatMap((section) => section.restore(state))
+    .filter(Boolean);
+}
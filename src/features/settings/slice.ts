@@ -7,6 +7,7 @@ import config from 'config';
 
 import { createSlice, type Draft, type PayloadAction } from '@reduxjs/toolkit';
 
+import { DEFAULT_CALLOUT_EVENTS } from '~/features/callouts/constants';
 import {
   DEFAULT_BATTERY_CELL_COUNT,
   LIPO_FULL_CHARGE_VOLTAGE,
@@ -64,6 +65,13 @@ const initialState: SettingsSliceState = {
     showTrajectoriesOfSelection: true,
   },
 
+  callouts: {
+    enabled: false,
+    events: DEFAULT_CALLOUT_EVENTS,
+    rate: 1,
+    volume: 1,
+  },
+
   localServer: {
     cliArguments: '',
     enabled: false,
@@ -1,3 +1,4 @@
+import { type CalloutEvent } from '~/features/callouts/types';
 import { type UAVFilter } from '~/model/filtering';
 import {
   type AltitudeSummaryType,
@@ -8,7 +9,9 @@ import {
 import { type UAVSortKey } from '~/model/sorting';
 
 export enum AppSettingsDialogTab {
+  ALERTS = 'alerts',
   API_KEYS = 'apiKeys',
+  CALLOUTS = 'callouts',
   DISPLAY = 'display',
   PREFLIGHT = 'preflight',
   SERVER = 'server',
@@ -116,6 +119,20 @@ export type SettingsState = {
     showTrajectoriesOfSelection: boolean;
   };
 
+  callouts: {
+    /** Whether spoken voice callouts are enabled */
+    enabled: boolean;
+
+    /** The events that should be announced with voice callouts */
+    events: CalloutEvent[];
+
+    /** Speaking rate of the callouts; 1 is the normal rate */
+    rate: number;
+
+    /** Volume of the callouts, between 0 and 1 */
+    volume: number;
+  };
+
   localServer: {
     /** Additional command line arguments to pass to the server */
     cliArguments: string;
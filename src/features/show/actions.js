@@ -35,8 +35,15 @@ import {
 import { toRadians } from '~/utils/math';
 import { createAsyncAction } from '~/utils/redux';
 
-import { JOB_TYPE } from './constants';
+import {
+  DEFAULT_SCENERY_TRANSFORM,
+  DEFAULT_TERRAIN_SIZE,
+  JOB_TYPE,
+  MAX_SCENERY_FILE_SIZE,
+  SceneryModelFormat,
+} from './constants';
 import { StartMethod } from './enums';
+import { removeSceneryFile, storeSceneryFile } from './scenery-files';
 import {
   getAbsolutePathOfShowFile,
   getConvexHullOfShow,
@@ -48,6 +55,8 @@ import {
   getOutdoorShowToWorldCoordinateSystemTransformationObject,
   getOutdoorShowOrientation,
   getCommonTakeoffHeading,
+  getSceneryModel,
+  getSceneryTerrain,
   getShowClockReference,
   hasScheduledStartTime,
 } from './selectors';
@@ -61,6 +70,8 @@ import {
   setOutdoorShowOrientation,
   setOutdoorShowTakeoffHeadingSpecification,
   setRoomCorners,
+  setSceneryModel,
+  setSceneryTerrain,
   setStartMethod,
   signOffOnManualPreflightChecksAt,
   signOffOnOnboardPreflightChecksAt,
@@ -436,6 +447,135 @@ export const setSecondCornerOfRoom = (newCorner) => (dispatch, getState) => {
   dispatch(setRoomCorners([corners[0], newCorner]));
 };
 
+/**
+ * Returns the format of a venue model file based on its name, or undefined if
+ * the format is not supported.
+ */
+const getSceneryModelFormatFromFileName = (name) => {
+  const extension = name.split('.').pop().toLowerCase();
+  switch (extension) {
+    case 'glb':
+    case 'gltf':
+      return SceneryModelFormat.GLTF;
+
+    case 'obj':
+      return SceneryModelFormat.OBJ;
+
+    default:
+      return undefined;
+  }
+};
+
+const showSceneryImportError = (message) =>
+  showNotification({ message, semantics: MessageSemantics.ERROR });
+
+/**
+ * Stores an imported scenery file in the scenery file store and returns its
+ * ID, or undefined if the file could not be stored.
+ */
+const storeImportedSceneryFile = async (file, dispatch) => {
+  try {
+    return await storeSceneryFile(file);
+  } catch (error) {
+    console.error(error);
+    dispatch(showSceneryImportError('The imported file could not be stored.'));
+    return undefined;
+  }
+};
+
+/**
+ * Thunk that removes the venue model from the 3D view and deletes its file.
+ */
+export const removeSceneryModel = () => (dispatch, getState) => {
+  const model = getSceneryModel(getState());
+  if (model) {
+    dispatch(setSceneryModel(undefined));
+    removeSceneryFile(model.fileId);
+  }
+};
+
+/**
+ * Thunk that removes the terrain from the 3D view and deletes its file.
+ */
+export const removeSceneryTerrain = () => (dispatch, getState) => {
+  const terrain = getSceneryTerrain(getState());
+  if (terrain) {
+    dispatch(setSceneryTerrain(undefined));
+    removeSceneryFile(terrain.fileId);
+  }
+};
+
+/**
+ * Thunk that imports a venue model from a glTF, GLB or OBJ file and shows it in
+ * the 3D view, replacing the previous venue model if there was one.
+ *
+ * glTF files must be self-contained; external buffers and textures are not
+ * supported.
+ */
+export const importSceneryModel = (file) => async (dispatch) => {
+  const format = getSceneryModelFormatFromFileName(file.name);
+  if (!format) {
+    dispatch(
+      showSceneryImportError('Venue models must be glTF, GLB or OBJ files.')
+    );
+    return;
+  }
+
+  if (file.size > MAX_SCENERY_FILE_SIZE) {
+    dispatch(showSceneryImportError('The venue model file is too large.'));
+    return;
+  }
+
+  const fileId = await storeImportedSceneryFile(file, dispatch);
+  if (!fileId) {
+    return;
+  }
+
+  dispatch(removeSceneryModel());
+  dispatch(
+    setSceneryModel({
+      ...DEFAULT_SCENERY_TRANSFORM,
+      fileId,
+      format,
+      name: file.name,
+      visible: true,
+    })
+  );
+};
+
+/**
+ * Thunk that imports a terrain from a grayscale heightmap image and shows it
+ * in the 3D view, replacing the previous terrain if there was one.
+ */
+export const importSceneryTerrain = (file) => async (dispatch) => {
+  if (!file.type.startsWith('image/')) {
+    dispatch(showSceneryImportError('Heightmaps must be image files.'));
+    return;
+  }
+
+  if (file.size > MAX_SCENERY_FILE_SIZE) {
+    dispatch(showSceneryImportError('The heightmap file is too large.'));
+    return;
+  }
+
+  const fileId = await storeImportedSceneryFile(file, dispatch);
+  if (!fileId) {
+    return;
+  }
+
+  dispatch(removeSceneryTerrain());
+  dispatch(
+    setSceneryTerrain({
+      ...DEFAULT_SCENERY_TRANSFORM,
+      fileId,
+      heightScale: DEFAULT_TERRAIN_SIZE.heightScale,
+      name: file.name,
+      size: [DEFAULT_TERRAIN_SIZE.width, DEFAULT_TERRAIN_SIZE.depth],
+      visible: true,
+    })
+  );
+};
+
 export const setOutdoorShowAltitudeReferenceType =
   (type) => (dispatch, getState) => {
     dispatch(
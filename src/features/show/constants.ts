@@ -60,6 +60,74 @@ export const DEFAULT_ROOM_SIZE = {
   height: 6,
 } as const;
 
+/**
+ * File formats supported for venue models imported into the 3D view.
+ */
+export enum SceneryModelFormat {
+  GLTF = 'gltf',
+  OBJ = 'obj',
+}
+
+/**
+ * Placement of an imported scenery item in show coordinates. The rotation is
+ * around the vertical axis, in degrees.
+ */
+export type SceneryTransform = {
+  offset: [number, number, number];
+  rotation: number;
+  scale: number;
+};
+
+/**
+ * Venue model (buildings, stage structures etc.) imported into the 3D view.
+ */
+export type SceneryModel = SceneryTransform & {
+  /** ID of the model file in the scenery file store */
+  fileId: string;
+  format: SceneryModelFormat;
+  name: string;
+  visible: boolean;
+};
+
+/**
+ * Terrain imported into the 3D view from a grayscale heightmap image where
+ * black is the lowest and white is the highest point.
+ */
+export type SceneryTerrain = SceneryTransform & {
+  /** ID of the heightmap image in the scenery file store */
+  fileId: string;
+  name: string;
+  visible: boolean;
+  /** Width (along X) and depth (along Y) of the terrain, in meters */
+  size: [number, number];
+  /** Height difference between the black and white pixels, in meters */
+  heightScale: number;
+};
+
+/**
+ * Default placement of a newly imported scenery item.
+ */
+export const DEFAULT_SCENERY_TRANSFORM: SceneryTransform = {
+  offset: [0, 0, 0],
+  rotation: 0,
+  scale: 1,
+};
+
+/**
+ * Default size of a newly imported terrain, in meters.
+ */
+export const DEFAULT_TERRAIN_SIZE = {
+  width: 200,
+  depth: 200,
+  heightScale: 20,
+} as const;
+
+/**
+ * Maximum size of a scenery file that can be imported, in bytes. Imported files
+ * are kept in the storage of the browser, hence the limit.
+ */
+export const MAX_SCENERY_FILE_SIZE = 32 * 1024 * 1024;
+
 /**
  * Type of the upload job corresponding to show uploads.
  */
@@ -72,6 +140,19 @@ export const SHOW_UPLOAD_JOB = Object.freeze({
   type: JOB_TYPE,
 });
 
+/**
+ * Type of the upload job that verifies the show data stored on the drones.
+ */
+export const VERIFICATION_JOB_TYPE = 'showVerification';
+
+/**
+ * Singleton job that represents the verification of the show data stored on
+ * the drones against the current show.
+ */
+export const SHOW_VERIFICATION_JOB = Object.freeze({
+  type: VERIFICATION_JOB_TYPE,
+});
+
 /**
  * Maximum number of drones that we support in a single show.
  */
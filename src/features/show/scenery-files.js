@@ -0,0 +1,52 @@
+/**
+ * @file Storage of the files of the venue models and terrains imported into
+ * the 3D view.
+ *
+ * Scenery files may be tens of megabytes large, so they are kept in a
+ * separate IndexedDB store instead of the Redux state that gets persisted
+ * after every change. The Redux state refers to the files by their IDs.
+ */
+
+import localForage from 'localforage';
+import { nanoid } from 'nanoid';
+
+const store = localForage.createInstance({
+  name: 'flockwave-client',
+  storeName: 'scenery-files',
+});
+
+/**
+ * Stores the given scenery file.
+ *
+ * @param {Blob} file  the file to store
+ * @returns {Promise<string>} the ID of the stored file
+ */
+export async function storeSceneryFile(file) {
+  const id = nanoid();
+  await store.setItem(id, file);
+  return id;
+}
+
+/**
+ * Loads the scenery file with the given ID.
+ *
+ * @param {string} id  the ID of the file
+ * @returns {Promise<Blob|null>} the contents of the file or null if there is
+ *          no such file
+ */
+export const loadSceneryFile = (id) => store.getItem(id);
+
+/**
+ * Removes the scenery file with the given ID. Failures are logged but not
+ * reported to the caller because a stale file does no harm apart from taking
+ * up space.
+ *
+ * @param {string} id  the ID of the file
+ */
+export async function removeSceneryFile(id) {
+  try {
+    await store.removeItem(id);
+  } catch (error) {
+    console.warn(`Failed to remove scenery file ${id}`, error);
+  }
+}
@@ -1,5 +1,7 @@
 import type { RootState } from '~/store/reducers';
 
+import type { SceneryModel, SceneryTerrain } from './constants';
+
 type ShowValidationResult =
   | 'loadingFailed'
   | 'notLoaded'
@@ -20,6 +22,11 @@ export const hasLoadedShowFile: (state: RootState) => boolean;
 export const hasScheduledStartTime: (state: RootState) => boolean;
 export const hasShowChangedExternallySinceLoaded: (state: RootState) => boolean;
 export const hasShowOrigin: (state: RootState) => boolean;
+export const getSceneryModel: (state: RootState) => SceneryModel | undefined;
+export const getSceneryTerrain: (
+  state: RootState
+) => SceneryTerrain | undefined;
+export const getSecondsUntilShowStart: (state: RootState) => number | undefined;
 export const getShowStartTimeAsString: (state: RootState) => string;
 export const isLoadingShowFile: (state: RootState) => boolean;
 export const isShowAuthorizedToStart: (state: RootState) => boolean;
@@ -13,11 +13,18 @@ import { createSelector } from '@reduxjs/toolkit';
 import createCachedSelector from 're-reselect';
 import turfContains from '@turf/boolean-contains';
 
+import { getClockById } from '~/features/clocks/selectors';
 import { CommonClockId } from '~/features/clocks/types';
+import {
+  getTickCountOnClockAt,
+  isClockAffectedByClockSkew,
+} from '~/features/clocks/utils';
 import {
   getGeofencePolygonInWorldCoordinates,
+  getRallyPointsInWorldCoordinates,
   selectMissionIndex,
 } from '~/features/mission/selectors';
+import { getRoundedClockSkewInMilliseconds } from '~/features/servers/selectors';
 import { formatDuration, formatDurationHMS } from '~/utils/formatting';
 import { FlatEarthCoordinateSystem } from '~/utils/geography';
 import {
@@ -38,10 +45,12 @@ import {
 import {
   getConvexHullOfTrajectory,
   getFirstPointOfTrajectory,
+  getHorizontalDistanceOfTrajectory,
   getLastPointOfTrajectory,
   getMaximumHeightOfTrajectory,
   getMaximumHorizontalDistanceFromTakeoffPositionInTrajectory,
   getPointsOfTrajectory,
+  getTotalClimbOfTrajectory,
   getTrajectoryDuration,
   isValidTrajectory,
 } from './trajectory';
@@ -388,6 +397,17 @@ export const getRoomCorners = createSelector(
 export const isRoomVisible = (state) =>
   isShowIndoor(state) && state.show.environment.indoor?.room?.visible;
 
+/**
+ * Returns the venue model to show in the 3D view, if any.
+ */
+export const getSceneryModel = (state) => state.show.environment.scenery?.model;
+
+/**
+ * Returns the terrain to show in the 3D view, if any.
+ */
+export const getSceneryTerrain = (state) =>
+  state.show.environment.scenery?.terrain;
+
 /**
  * Selector that returns an object that can be used to transform GPS coordinates
  * from/to the show coordinate system.
@@ -570,6 +590,22 @@ export const getGeofencePolygonInShowCoordinates = createSelector(
       : undefined
 );
 
+/**
+ * Returns the coordinates of the rally points defined by the user, in the
+ * flat Earth coordinate system of the show.
+ *
+ * Returns an empty array if the show is indoors or there is no show
+ * coordinate system defined yet.
+ */
+export const getRallyPointsInShowCoordinates = createSelector(
+  getRallyPointsInWorldCoordinates,
+  getOutdoorShowToWorldCoordinateSystemTransformationObject,
+  (points, transform) =>
+    transform && transform.fromLonLat
+      ? points.map((c) => transform.fromLonLat(c))
+      : EMPTY_ARRAY
+);
+
 /**
  * Returns an array holding the last points of all the trajectories.
  * These are in the flat Earth coordinate system of the show so they are not
@@ -582,6 +618,27 @@ export const getLastPointsOfTrajectories = createSelector(
   (trajectories) => trajectories.map(getLastPointOfTrajectory)
 );
 
+/**
+ * Returns an array holding the flight statistics of all the trajectories:
+ * the time spent in the air (`airborneTime`, in seconds), the horizontal
+ * distance travelled (`distance`) and the total ascent (`climb`). The array
+ * contains undefined for all the drones that have no trajectories.
+ */
+export const getFlightStatisticsOfTrajectories = createSelector(
+  getTrajectories,
+  (trajectories) =>
+    trajectories.map((trajectory) =>
+      trajectory
+        ? {
+            airborneTime:
+              getTrajectoryDuration(trajectory) - (trajectory.takeoffTime || 0),
+            distance: getHorizontalDistanceOfTrajectory(trajectory),
+            climb: getTotalClimbOfTrajectory(trajectory),
+          }
+        : undefined
+    )
+);
+
 /**
  * Returns an array holding the last points of all the trajectories, in
  * world coordinates.
@@ -687,6 +744,38 @@ export const getShowStartTime = (state) => {
   return isNil(time) || Number.isNaN(time) ? null : time;
 };
 
+/**
+ * Returns the number of seconds left until the scheduled start time of the
+ * show, or undefined if no start time was scheduled or the clock that the start
+ * time refers to is not known. Negative numbers mean that the scheduled start
+ * time has already passed.
+ *
+ * The result depends on the current time so it is not memoized.
+ */
+export const getSecondsUntilShowStart = (state) => {
+  const time = getShowStartTime(state);
+  if (isNil(time)) {
+    return undefined;
+  }
+
+  const clockId = getShowClockReference(state);
+  const clockSkew = getRoundedClockSkewInMilliseconds(state) || 0;
+
+  if (isNil(clockId)) {
+    return time - (Date.now() + clockSkew) / 1000;
+  }
+
+  const clock = getClockById(state, clockId);
+  if (!clock) {
+    return undefined;
+  }
+
+  const timestamp =
+    Date.now() + (isClockAffectedByClockSkew(clock) ? clockSkew : 0);
+  const ticks = getTickCountOnClockAt(clock, timestamp);
+  return time - ticks / (clock.ticksPerSecond || 1);
+};
+
 /**
  * Returns the scheduled start time of the show as a string. Returns undefined
  * if no start time is set.
@@ -13,6 +13,7 @@ import {
 } from '@skybrush/show-format';
 
 import { type Clock } from '~/features/clocks/types';
+import { restoreUndoableState } from '~/features/history/slice';
 import type UAV from '~/model/uav';
 import { type Coordinate2D, type Coordinate3D } from '~/utils/math';
 import { noPayload } from '~/utils/redux';
@@ -22,6 +23,8 @@ import {
   DEFAULT_ALTITUDE_REFERENCE,
   DEFAULT_ROOM_SIZE,
   DEFAULT_TAKEOFF_HEADING,
+  type SceneryModel,
+  type SceneryTerrain,
   type TakeoffHeadingSpecification,
 } from './constants';
 import {
@@ -62,6 +65,10 @@ type ShowSliceState = {
       };
       takeoffHeading: TakeoffHeadingSpecification;
     };
+    scenery: {
+      model?: SceneryModel;
+      terrain?: SceneryTerrain;
+    };
     type: EnvironmentType;
   };
 
@@ -176,6 +183,10 @@ const initialState: ShowSliceState = {
         ...DEFAULT_TAKEOFF_HEADING,
       },
     },
+    scenery: {
+      model: undefined,
+      terrain: undefined,
+    },
     type: EnvironmentType.OUTDOOR,
   },
 
@@ -451,6 +462,25 @@ const { actions, reducer } = createSlice({
       set(state, 'environment.indoor.room.visible', Boolean(action.payload));
     },
 
+    /**
+     * Sets the venue model shown in the 3D view, or removes it if the payload
+     * is undefined.
+     */
+    setSceneryModel(state, action: PayloadAction<SceneryModel | undefined>) {
+      set(state, 'environment.scenery.model', action.payload);
+    },
+
+    /**
+     * Sets the terrain shown in the 3D view, or removes it if the payload is
+     * undefined.
+     */
+    setSceneryTerrain(
+      state,
+      action: PayloadAction<SceneryTerrain | undefined>
+    ) {
+      set(state, 'environment.scenery.terrain', action.payload);
+    },
+
     setShowAuthorization(state, action: PayloadAction<boolean>) {
       // We only accept 'true' for authorization to be on the safe side, not
       // just any truthy value
@@ -533,6 +563,50 @@ const { actions, reducer } = createSlice({
       // Nothing to do, this action simply triggers a saga that will do the
       // hard work.
     },
+
+    /**
+     * Updates some properties (e.g., the placement) of the venue model shown
+     * in the 3D view. No-op if there is no venue model.
+     */
+    updateSceneryModel(
+      state,
+      action: PayloadAction<Partial<Omit<SceneryModel, 'fileId' | 'format'>>>
+    ) {
+      // Scenery may be missing from the environment restored from older
+      // versions of the persisted state
+      const model = state.environment.scenery?.model;
+      if (model) {
+        Object.assign(model, action.payload);
+      }
+    },
+
+    /**
+     * Updates some properties (e.g., the placement) of the terrain shown in
+     * the 3D view. No-op if there is no terrain.
+     */
+    updateSceneryTerrain(
+      state,
+      action: PayloadAction<Partial<Omit<SceneryTerrain, 'fileId'>>>
+    ) {
+      const terrain = state.environment.scenery?.terrain;
+      if (terrain) {
+        Object.assign(terrain, action.payload);
+      }
+    },
+  },
+
+  extraReducers(builder) {
+    builder.addCase(restoreUndoableState, (state, action) => {
+      const {
+        indoorShowOrientation,
+        outdoorShowOrientation,
+        outdoorShowOrigin,
+      } = action.payload;
+      const { indoor, outdoor } = state.environment;
+      indoor.coordinateSystem.orientation = indoorShowOrientation;
+      outdoor.coordinateSystem.orientation = outdoorShowOrientation;
+      outdoor.coordinateSystem.origin = outdoorShowOrigin;
+    });
   },
 });
 
@@ -568,6 +642,8 @@ export const {
   setOutdoorShowTakeoffHeadingSpecification,
   setRoomCorners,
   setRoomVisibility,
+  setSceneryModel,
+  setSceneryTerrain,
   setShowAuthorization,
   setShowSettingsSynchronizationStatus,
   setStartMethod,
@@ -576,6 +652,8 @@ export const {
   signOffOnManualPreflightChecksAt,
   signOffOnOnboardPreflightChecksAt,
   synchronizeShowSettings,
+  updateSceneryModel,
+  updateSceneryTerrain,
 } = actions;
 
 export default reducer;
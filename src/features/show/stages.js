@@ -5,7 +5,7 @@
 
 import isEmpty from 'lodash-es/isEmpty';
 
-import { JOB_TYPE } from './constants';
+import { JOB_TYPE, VERIFICATION_JOB_TYPE } from './constants';
 import {
   areManualPreflightChecksSignedOff,
   areOnboardPreflightChecksSignedOff,
@@ -33,6 +33,7 @@ import {
   hasActiveGeofencePolygon,
   hasNonemptyMappingSlot,
 } from '~/features/mission/selectors';
+import { getExclusionZoneStatusOfShow } from '~/features/mission/selectors-exclusion-zones';
 import { getGeofenceStatus } from '~/features/mission/selectors-geofence-extra';
 import {
   areAllPreflightChecksTicked,
@@ -101,6 +102,11 @@ const stages = {
     requires: ['selectShowFile', 'setupEnvironment'],
   },
 
+  checkExclusionZones: {
+    evaluate: getExclusionZoneStatusOfShow,
+    requires: ['selectShowFile', 'setupEnvironment'],
+  },
+
   uploadShow: {
     evaluate(state) {
       const result = getLastUploadResultByJobType(state, JOB_TYPE);
@@ -115,6 +121,20 @@ const stages = {
     requires: ['selectShowFile', 'setupEnvironment', hasNonemptyMappingSlot],
   },
 
+  verifyShow: {
+    evaluate(state) {
+      const result = getLastUploadResultByJobType(state, VERIFICATION_JOB_TYPE);
+      return result === 'error'
+        ? Status.ERROR
+        : result === 'cancelled'
+          ? Status.SKIPPED
+          : result === 'success'
+            ? Status.SUCCESS
+            : Status.OFF;
+    },
+    requires: ['uploadShow'],
+  },
+
   waitForOnboardPreflightChecks: {
     evaluate: (state) =>
       areOnboardPreflightChecksSignedOff(state)
@@ -173,7 +193,9 @@ const stageOrder = [
   'setupEnvironment',
   'setupTakeoffArea',
   'setupGeofence',
+  'checkExclusionZones',
   'uploadShow',
+  'verifyShow',
   'waitForOnboardPreflightChecks',
   'performManualPreflightChecks',
   'setupStartTime',
@@ -17,6 +17,23 @@ export function getFirstPointOfTrajectory(trajectory) {
   return isValidTrajectory(trajectory) ? trajectory.points[0][1] : undefined;
 }
 
+/**
+ * Returns the total horizontal distance travelled along a single drone
+ * trajectory, in the units of the show coordinate system. The distance is
+ * measured between the keyframes, hence it slightly underestimates the length
+ * of curved segments. Returns 0 for empty trajectories.
+ */
+export function getHorizontalDistanceOfTrajectory(trajectory) {
+  const points = getPointsOfTrajectory(trajectory);
+  let distance = 0;
+
+  for (let i = 1; i < points.length; i++) {
+    distance += euclideanDistance2D(points[i - 1], points[i]);
+  }
+
+  return distance;
+}
+
 /**
  * Returns the last point of a single drone trajectory.
  */
@@ -101,6 +118,96 @@ export function getPointsOfTrajectory(
   return points.map((point) => point[1]);
 }
 
+/**
+ * Returns the position of a drone at the given time along a single drone
+ * trajectory, in the coordinate system of the show.
+ *
+ * Time is measured in seconds from the start of the show, hence the takeoff
+ * time of the trajectory is taken into account. The drone is assumed to stay
+ * at the first point of the trajectory before the trajectory starts and at the
+ * last point after the trajectory ends.
+ */
+export function getPositionOfTrajectoryAt(trajectory, time) {
+  if (!isValidTrajectory(trajectory)) {
+    return undefined;
+  }
+
+  const { points, takeoffTime } = trajectory;
+  const relativeTime = time - (takeoffTime || 0);
+
+  if (relativeTime <= points[0][0]) {
+    return points[0][1];
+  }
+
+  // Find the first keyframe that is not earlier than the given time with
+  // binary search
+  let low = 1;
+  let high = points.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (points[mid][0] < relativeTime) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+
+  if (low >= points.length) {
+    return points[points.length - 1][1];
+  }
+
+  const [startTime, start] = points[low - 1];
+  const [endTime, end, controlPoints] = points[low];
+  const ratio =
+    endTime > startTime
+      ? (relativeTime - startTime) / (endTime - startTime)
+      : 1;
+
+  // Segments are Bézier curves where the control points are attached to the
+  // keyframe that ends the segment; we evaluate them with De Casteljau's
+  // algorithm
+  let curve = [
+    start,
+    ...(Array.isArray(controlPoints) ? controlPoints : []),
+    end,
+  ];
+  while (curve.length > 1) {
+    const next = [];
+    for (let i = 1; i < curve.length; i++) {
+      const previous = curve[i - 1];
+      const current = curve[i];
+      next.push([
+        previous[0] + (current[0] - previous[0]) * ratio,
+        previous[1] + (current[1] - previous[1]) * ratio,
+        previous[2] + (current[2] - previous[2]) * ratio,
+      ]);
+    }
+
+    curve = next;
+  }
+
+  return curve[0];
+}
+
+/**
+ * Returns the total ascent along a single drone trajectory, i.e. the sum of
+ * all the altitude gains between consecutive keyframes, ignoring descents.
+ * Returns 0 for empty trajectories.
+ */
+export function getTotalClimbOfTrajectory(trajectory) {
+  const points = getPointsOfTrajectory(trajectory);
+  let climb = 0;
+
+  for (let i = 1; i < points.length; i++) {
+    const gain = points[i][2] - points[i - 1][2];
+    if (gain > 0) {
+      climb += gain;
+    }
+  }
+
+  return climb;
+}
+
 /**
  * Returns the duration of a single drone trajectory.
  */
@@ -112,7 +219,7 @@ export function getTrajectoryDuration(trajectory) {
   const { points, takeoffTime } = trajectory;
 
   if (points.length > 0) {
-    const lastPoint = points[points.length - 1];
+    const lastPoint = points.at(-1);
     if (Array.isArray(lastPoint) && lastPoint.length > 1) {
       return lastPoint[0] + (takeoffTime || 0);
     }
@@ -20,6 +20,7 @@ import {
   getGeofencePolygonInShowCoordinates,
   getMeanSeaLevelReferenceOfShowCoordinatesOrNull,
   getOutdoorShowCoordinateSystem,
+  getRallyPointsInShowCoordinates,
   getShowMetadata,
   isShowOutdoor,
 } from './selectors';
@@ -43,7 +44,7 @@ const getGeofenceSpecificationForShow = (state) => {
           },
         ]
       : [],
-    rallyPoints: [],
+    rallyPoints: getRallyPointsInShowCoordinates(state),
     maxAltitude: getUserDefinedHeightLimit(state),
     maxDistance: getUserDefinedDistanceLimit(state),
   };
@@ -0,0 +1,98 @@
+/**
+ * @file Upload job that verifies whether the show data stored on the drones
+ * matches the show that is currently loaded.
+ */
+
+import { CANCEL } from 'redux-saga';
+
+import { JobScope } from '~/features/upload/jobs';
+import messageHub from '~/message-hub';
+import { sha256Hex } from '~/utils/hashing';
+
+import { VERIFICATION_JOB_TYPE } from './constants';
+import { createShowConfigurationForUav } from './upload';
+
+/**
+ * Converts an arbitrary JSON-serializable value into a canonical JSON string,
+ * i.e. one where the keys of objects are sorted and there is no whitespace
+ * between tokens, so the same value always yields the same string no matter
+ * how it was constructed.
+ */
+function toCanonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value
+      .map((item) => (item === undefined ? 'null' : toCanonicalJSON(item)))
+      .join(',')}]`;
+  }
+
+  if (
+    value &&
+    typeof value === 'object' &&
+    typeof value.toJSON !== 'function'
+  ) {
+    const entries = Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${toCanonicalJSON(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * Computes the hash of a show specification that the drones are expected to
+ * report for the same show data. This defines the contract of the proposed
+ * `__show_hash` command; see `getDroneShowHash()` for its status on the
+ * server side.
+ *
+ * @param {Object} show  the show specification, as uploaded to the drone
+ * @returns {Promise<string>} the SHA-256 hash of the canonical JSON
+ *          representation of the show, as a lowercase hexadecimal string
+ */
+export async function hashShowSpecification(show) {
+  return sha256Hex(toCanonicalJSON(show));
+}
+
+/**
+ * Asks a single drone for the hash of its stored show and compares it with the
+ * hash of the show specification that would be uploaded to it. Returns a
+ * promise that resolves if the two match and rejects otherwise. Drones that
+ * do not support show verification are reported as such and not as a
+ * mismatch. The promise is extended with a cancellation callback for
+ * Redux-saga.
+ *
+ * @param uavId    the ID of the UAV whose show data is to be verified
+ * @param data     the show specification, as selected from the state store
+ */
+async function runSingleShowVerification({ uavId, data }) {
+  const cancelToken = messageHub.createCancelToken();
+  const promise = (async () => {
+    const [expected, actual] = await Promise.all([
+      hashShowSpecification(data),
+      messageHub.query.getDroneShowHash(uavId, { cancelToken }),
+    ]);
+
+    if (!actual) {
+      throw new Error(`UAV ${uavId} has no show data`);
+    }
+
+    if (actual !== expected) {
+      throw new Error(
+        `Show data on UAV ${uavId} does not match the loaded show`
+      );
+    }
+  })();
+  promise[CANCEL] = () => cancelToken.cancel({ allowFailure: true });
+  return promise;
+}
+
+const spec = {
+  executor: runSingleShowVerification,
+  selector: createShowConfigurationForUav,
+  scope: JobScope.MISSION,
+  title: 'Verify show data',
+  type: VERIFICATION_JOB_TYPE,
+};
+
+export default spec;
@@ -8,12 +8,14 @@ import Assignment from '@material-ui/icons/Assignment';
 import Flight from '@material-ui/icons/Flight';
 import Gamepad from '@material-ui/icons/Gamepad';
 import Grain from '@material-ui/icons/Grain';
+import History from '@material-ui/icons/History';
 import Layers from '@material-ui/icons/Layers';
 import Map from '@material-ui/icons/Map';
 import Place from '@material-ui/icons/Place';
 import FormatListBulleted from '@material-ui/icons/FormatListBulleted';
 // import Storage from '@material-ui/icons/Storage';
 import ThreeDRotation from '@material-ui/icons/ThreeDRotation';
+import Timer from '@material-ui/icons/Timer';
 import WbSunny from '@material-ui/icons/WbSunny';
 
 import PropTypes from 'prop-types';
@@ -161,6 +163,14 @@ const Sidebar = ({
           label={t('view.lcd-clock-panel')}
           component='lcd-clock-panel'
         />
+        {hasShowControl && (
+          <Module
+            id='countdown'
+            icon={<Timer />}
+            label={t('view.countdown-panel')}
+            component='countdown-panel'
+          />
+        )}
         {/*
         <Module
           id="datasets"
@@ -182,6 +192,12 @@ const Sidebar = ({
           label={t('view.field-notes')}
           component='field-notes'
         />
+        <Module
+          id='recording'
+          icon={<History />}
+          label={t('view.recording-panel')}
+          component='recording-panel'
+        />
         <Module
           id='log'
           badge={<LogStatusBadge />}
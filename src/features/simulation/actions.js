@@ -0,0 +1,143 @@
+import get from 'lodash-es/get';
+import { batch } from 'react-redux';
+
+import { getMissionMapping } from '~/features/mission/selectors';
+import { isReplayActive } from '~/features/recording/selectors';
+import {
+  getDroneSwarmSpecification,
+  getMeanSeaLevelReferenceOfShowCoordinatesOrNull,
+  getOutdoorShowToWorldCoordinateSystemTransformation,
+  getShowDuration,
+  getTrajectories,
+  hasLoadedShowFile,
+  isShowOutdoor,
+} from '~/features/show/selectors';
+import { showError } from '~/features/snackbar/actions';
+
+import { SIMULATED_UAV_ID_PREFIX } from './constants';
+import {
+  getSimulationPosition,
+  isSimulationActive,
+  isSimulationFinished,
+  isSimulationPlaying,
+} from './selectors';
+import simulator from './simulator';
+import {
+  setSimulationPlaying,
+  setSimulationPosition,
+  simulationStarted,
+  simulationStopped,
+} from './slice';
+
+/**
+ * Thunk that updates the simulated UAVs to reflect the current position of
+ * the simulation. The transformation from show coordinates to world
+ * coordinates is looked up from the state every time so the simulated UAVs
+ * follow any changes in the origin or the orientation of the show.
+ */
+export const updateSimulatedUAVs = () => (_dispatch, getState) => {
+  const state = getState();
+
+  if (!isSimulationActive(state)) {
+    return;
+  }
+
+  const outdoor = isShowOutdoor(state);
+  simulator.update(getSimulationPosition(state) / 1000, {
+    transform: outdoor
+      ? getOutdoorShowToWorldCoordinateSystemTransformation(state)
+      : undefined,
+    amslReference: getMeanSeaLevelReferenceOfShowCoordinatesOrNull(state),
+  });
+};
+
+/**
+ * Thunk that starts the offline simulation of the loaded show. The
+ * application disconnects from the server while the simulation is active.
+ */
+export const startSimulation = () => (dispatch, getState) => {
+  const state = getState();
+
+  if (isSimulationActive(state) || isReplayActive(state)) {
+    return;
+  }
+
+  if (!hasLoadedShowFile(state)) {
+    dispatch(showError('Load a show file first to simulate it'));
+    return;
+  }
+
+  if (
+    isShowOutdoor(state) &&
+    !getOutdoorShowToWorldCoordinateSystemTransformation(state)
+  ) {
+    dispatch(showError('Set the origin of the show first to simulate it'));
+    return;
+  }
+
+  const swarm = getDroneSwarmSpecification(state);
+  const trajectories = getTrajectories(state);
+  const mapping = getMissionMapping(state);
+  const duration = getShowDuration(state);
+
+  const drones = swarm.map((drone, index) => ({
+    uavId: mapping[index] ?? `${SIMULATED_UAV_ID_PREFIX}${index + 1}`,
+    trajectory: trajectories[index],
+    lights: get(drone, 'settings.lights'),
+  }));
+
+  batch(() => {
+    simulator.load({ drones, duration });
+    dispatch(simulationStarted({ duration: duration * 1000 }));
+    dispatch(updateSimulatedUAVs());
+  });
+};
+
+/**
+ * Thunk that stops the offline simulation of the loaded show and removes the
+ * simulated UAVs, allowing the application to reconnect to the server.
+ */
+export const stopSimulation = () => (dispatch) => {
+  batch(() => {
+    simulator.unload();
+    dispatch(simulationStopped());
+  });
+};
+
+/**
+ * Thunk that moves the simulation to the given position.
+ *
+ * @param {number} position  the new position, in milliseconds
+ */
+export const seekSimulation = (position) => (dispatch, getState) => {
+  if (!isSimulationActive(getState())) {
+    return;
+  }
+
+  batch(() => {
+    dispatch(setSimulationPosition(position));
+    dispatch(updateSimulatedUAVs());
+  });
+};
+
+/**
+ * Thunk that starts or pauses the simulation, rewinding to the start of the
+ * show if the simulation has reached the end of the show.
+ */
+export const toggleSimulationPlayback = () => (dispatch, getState) => {
+  const state = getState();
+
+  if (!isSimulationActive(state)) {
+    return;
+  }
+
+  if (isSimulationPlaying(state)) {
+    dispatch(setSimulationPlaying(false));
+  } else {
+    if (isSimulationFinished(state)) {
+      dispatch(seekSimulation(0));
+    }
+
+    dispatch(setSimulationPlaying(true));
+  }
+};
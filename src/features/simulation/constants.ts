@@ -0,0 +1,25 @@
+/**
+ * @file Constants related to the offline simulation of drone shows.
+ */
+
+/**
+ * Number of frames per second in the timing of compiled light programs.
+ */
+export const LIGHT_PROGRAM_FPS = 50;
+
+/**
+ * Prefix of the identifiers of simulated UAVs that are assigned to show slots
+ * without a UAV in the mission mapping.
+ */
+export const SIMULATED_UAV_ID_PREFIX = 'sim';
+
+/**
+ * Playback speed multipliers that the user can choose from during the
+ * simulation.
+ */
+export const SIMULATION_SPEEDS = [0.25, 0.5, 1, 2, 4, 8, 16] as const;
+
+/**
+ * Number of milliseconds between consecutive steps of the simulation.
+ */
+export const SIMULATION_TICK_INTERVAL = 100;
@@ -0,0 +1,291 @@
+/**
+ * @file Functions to evaluate the compiled light programs of a drone show
+ * without uploading them to a drone.
+ */
+
+import { Base64 } from 'js-base64';
+
+import { LIGHT_PROGRAM_FPS } from './constants';
+
+/**
+ * Opcodes of the light program bytecode. Only the ones that we can evaluate
+ * without a live drone are listed here.
+ */
+const Opcode = {
+  END: 0,
+  NOP: 1,
+  SLEEP: 2,
+  WAIT_UNTIL: 3,
+  SET_COLOR: 4,
+  SET_GRAY: 5,
+  SET_BLACK: 6,
+  SET_WHITE: 7,
+  FADE_TO_COLOR: 8,
+  FADE_TO_GRAY: 9,
+  FADE_TO_BLACK: 10,
+  FADE_TO_WHITE: 11,
+  LOOP_BEGIN: 12,
+  LOOP_END: 13,
+  RESET_CLOCK: 14,
+  JUMP: 18,
+};
+
+const BLACK = [0, 0, 0];
+const WHITE = [255, 255, 255];
+
+/**
+ * Upper limit on the number of segments that a single light program may
+ * produce. Protects us from light programs with infinite loops.
+ */
+const MAX_SEGMENTS = 100000;
+
+/**
+ * Upper limit on the number of instructions that we execute while decoding a
+ * single light program. Protects us from light programs with loops or jumps
+ * that never advance the clock and hence never reach the end of the show.
+ */
+const MAX_INSTRUCTIONS = 10 * MAX_SEGMENTS;
+
+/**
+ * Returns the target color of the given "set color" or "fade to color" opcode,
+ * reading the color from the light program if needed. Returns undefined if
+ * the opcode is not a "set color" or "fade to color" opcode.
+ */
+function readTargetColor(opcode, readByte) {
+  switch (opcode) {
+    case Opcode.SET_COLOR:
+    case Opcode.FADE_TO_COLOR:
+      return [readByte(), readByte(), readByte()];
+
+    case Opcode.SET_GRAY:
+    case Opcode.FADE_TO_GRAY: {
+      const value = readByte();
+      return [value, value, value];
+    }
+
+    case Opcode.SET_BLACK:
+    case Opcode.FADE_TO_BLACK:
+      return BLACK;
+
+    case Opcode.SET_WHITE:
+    case Opcode.FADE_TO_WHITE:
+      return WHITE;
+
+    default:
+      return undefined;
+  }
+}
+
+const FADE_OPCODES = new Set([
+  Opcode.FADE_TO_COLOR,
+  Opcode.FADE_TO_GRAY,
+  Opcode.FADE_TO_BLACK,
+  Opcode.FADE_TO_WHITE,
+]);
+
+/**
+ * Decodes the light program of a single drone into a list of segments, each
+ * segment being an object with a start time, an end time (both in seconds),
+ * the color at the start and the color at the end of the segment.
+ *
+ * Unknown opcodes terminate the decoding; the last color then stays active
+ * until the end of the show.
+ *
+ * @param {Uint8Array} bytecode  the compiled light program
+ * @param {number} maxDuration   the time after which the decoding stops, in
+ *        seconds; needed for light programs containing infinite loops
+ * @throws {Error} if the light program does not reach the given time within
+ *         a reasonable number of instructions
+ */
+function decodeLightProgram(bytecode, maxDuration) {
+  const segments = [];
+  const loopStack = [];
+  const maxFrame = maxDuration * LIGHT_PROGRAM_FPS;
+
+  let offset = 0;
+  let frame = 0;
+  let color = BLACK;
+  let instructionCount = 0;
+
+  const readByte = () => {
+    if (offset >= bytecode.length) {
+      throw new Error('Unexpected end of light program');
+    }
+
+    return bytecode[offset++];
+  };
+
+  const readVarUint = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+
+    do {
+      byte = readByte();
+      result += (byte & 0x7f) * 2 ** shift;
+      shift += 7;
+    } while (byte & 0x80);
+
+    return result;
+  };
+
+  const addSegment = (duration, target, fade) => {
+    const start = frame;
+    frame += duration;
+    segments.push({
+      start: start / LIGHT_PROGRAM_FPS,
+      end: frame / LIGHT_PROGRAM_FPS,
+      from: fade ? color : target,
+      to: target,
+    });
+    color = target;
+  };
+
+  const step = () => {
+    const opcode = readByte();
+    const target = readTargetColor(opcode, readByte);
+
+    if (target) {
+      addSegment(readVarUint(), target, FADE_OPCODES.has(opcode));
+      return;
+    }
+
+    switch (opcode) {
+      case Opcode.END:
+        offset = bytecode.length;
+        break;
+
+      case Opcode.NOP:
+      case Opcode.RESET_CLOCK:
+        break;
+
+      case Opcode.SLEEP:
+        addSegment(readVarUint(), color, false);
+        break;
+
+      case Opcode.WAIT_UNTIL: {
+        const until = readVarUint();
+        if (until > frame) {
+          addSegment(until - frame, color, false);
+        }
+
+        break;
+      }
+
+      case Opcode.LOOP_BEGIN: {
+        // Zero iterations means an infinite loop
+        const iterations = readByte();
+        loopStack.push({ start: offset, remaining: iterations || Infinity });
+        break;
+      }
+
+      case Opcode.LOOP_END: {
+        const loop = loopStack.at(-1);
+        if (loop) {
+          loop.remaining--;
+          if (loop.remaining > 0) {
+            offset = loop.start;
+          } else {
+            loopStack.pop();
+          }
+        }
+
+        break;
+      }
+
+      case Opcode.JUMP:
+        offset = readVarUint();
+        break;
+
+      default:
+        offset = bytecode.length;
+    }
+  };
+
+  try {
+    while (offset < bytecode.length && instructionCount < MAX_INSTRUCTIONS) {
+      if (frame > maxFrame || segments.length >= MAX_SEGMENTS) {
+        break;
+      }
+
+      instructionCount++;
+      step();
+    }
+  } catch (error) {
+    console.warn(`Failed to decode light program: ${String(error)}`);
+  }
+
+  if (instructionCount >= MAX_INSTRUCTIONS) {
+    throw new Error('Light program does not advance the clock');
+  }
+
+  return { segments, lastColor: color };
+}
+
+/**
+ * Creates a function that can be called with a timestamp (in seconds, relative
+ * to the start of the show) and that returns the color of the light of the
+ * drone at that time, as an RGB triplet.
+ *
+ * @param {Object}  program      the light program of the drone from the show
+ *        specification
+ * @param {number}  maxDuration  the duration of the show, in seconds
+ */
+export function createLightProgramEvaluator(program, maxDuration) {
+  if (
+    typeof program !== 'object' ||
+    program === null ||
+    typeof program.data !== 'string'
+  ) {
+    return undefined;
+  }
+
+  let segments;
+  let lastColor;
+
+  try {
+    ({ segments, lastColor } = decodeLightProgram(
+      Base64.toUint8Array(program.data),
+      maxDuration
+    ));
+  } catch (error) {
+    console.warn(`Rejected light program: ${String(error)}`);
+    return undefined;
+  }
+
+  return (time) => {
+    // Find the last segment that starts not later than the given time
+    let low = 0;
+    let high = segments.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (segments[mid].start <= time) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    const segment = segments[low - 1];
+    if (!segment) {
+      return segments.length > 0 ? segments[0].from : lastColor;
+    }
+
+    const { start, end, from, to } = segment;
+    if (time >= end || end <= start) {
+      return to;
+    }
+
+    const ratio = (time - start) / (end - start);
+    return [0, 1, 2].map((index) =>
+      Math.round(from[index] + (to[index] - from[index]) * ratio)
+    );
+  };
+}
+
+/**
+ * Converts an RGB triplet into the RGB565 format used in UAV-INF messages.
+ */
+export function convertRGBToRGB565([red, green, blue]) {
+  return ((red & 0xf8) << 8) | ((green & 0xfc) << 3) | (blue >> 3);
+}
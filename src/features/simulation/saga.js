@@ -0,0 +1,86 @@
+import { delay, put, race, select, take } from 'redux-saga/effects';
+
+import {
+  _clearLoadedShow,
+  loadingPromiseFulfilled,
+} from '~/features/show/slice';
+
+import { stopSimulation, updateSimulatedUAVs } from './actions';
+import { SIMULATION_TICK_INTERVAL } from './constants';
+import {
+  getSimulationDuration,
+  getSimulationPosition,
+  getSimulationSpeed,
+  isSimulationActive,
+  isSimulationPlaying,
+} from './selectors';
+import {
+  setSimulationPlaying,
+  setSimulationPosition,
+  simulationStarted,
+  simulationStopped,
+} from './slice';
+
+/**
+ * Saga that advances the offline simulation of the loaded show while it is
+ * running, and refreshes the simulated UAVs periodically while it is paused
+ * so they do not disappear from the UAV list and follow any changes in the
+ * placement of the show.
+ *
+ * The simulation is stopped when the show is unloaded or a new show is
+ * loaded.
+ */
+export default function* simulationSaga() {
+  const SHOW_CHANGED_ACTIONS = [
+    _clearLoadedShow.type,
+    loadingPromiseFulfilled.type,
+  ];
+
+  while (true) {
+    const active = yield select(isSimulationActive);
+
+    if (!active) {
+      yield take(simulationStarted.type);
+      continue;
+    }
+
+    let lastTickAt = Date.now();
+
+    while (true) {
+      const { showChanged, stopped } = yield race({
+        tick: delay(SIMULATION_TICK_INTERVAL),
+        showChanged: take(SHOW_CHANGED_ACTIONS),
+        stopped: take(simulationStopped.type),
+      });
+
+      if (showChanged) {
+        yield put(stopSimulation());
+      }
+
+      if (showChanged || stopped) {
+        break;
+      }
+
+      const now = Date.now();
+      const playing = yield select(isSimulationPlaying);
+
+      if (playing) {
+        const speed = yield select(getSimulationSpeed);
+        const duration = yield select(getSimulationDuration);
+        const position = Math.min(
+          (yield select(getSimulationPosition)) + (now - lastTickAt) * speed,
+          duration
+        );
+
+        yield put(setSimulationPosition(position));
+
+        if (position >= duration) {
+          yield put(setSimulationPlaying(false));
+        }
+      }
+
+      lastTickAt = now;
+      yield put(updateSimulatedUAVs());
+    }
+  }
+}
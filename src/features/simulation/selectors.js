@@ -0,0 +1,31 @@
+/**
+ * Returns whether the offline simulation of the loaded show is active.
+ */
+export const isSimulationActive = (state) => state.simulation.active;
+
+/**
+ * Returns whether the offline simulation of the loaded show is currently
+ * running.
+ */
+export const isSimulationPlaying = (state) => state.simulation.playing;
+
+/**
+ * Returns the duration of the simulated show, in milliseconds.
+ */
+export const getSimulationDuration = (state) => state.simulation.duration;
+
+/**
+ * Returns the current position of the simulation, in milliseconds.
+ */
+export const getSimulationPosition = (state) => state.simulation.position;
+
+/**
+ * Returns the playback speed multiplier of the simulation.
+ */
+export const getSimulationSpeed = (state) => state.simulation.speed;
+
+/**
+ * Returns whether the simulation has reached the end of the show.
+ */
+export const isSimulationFinished = (state) =>
+  getSimulationPosition(state) >= getSimulationDuration(state);
@@ -0,0 +1,149 @@
+/**
+ * @file Simulator that moves virtual UAVs along the trajectories of the loaded
+ * show by feeding synthetic status updates into the message hub, as if they
+ * were received from a live server.
+ */
+
+import isNil from 'lodash-es/isNil';
+
+import { getPositionOfTrajectoryAt } from '~/features/show/trajectory';
+import flock from '~/flock';
+import messageHub from '~/message-hub';
+
+import { convertRGBToRGB565, createLightProgramEvaluator } from './lights';
+
+/**
+ * Simulator object that evaluates the trajectories and light programs of a
+ * drone show at a given time and updates the corresponding virtual UAVs.
+ */
+export class ShowSimulator {
+  /**
+   * Constructor.
+   *
+   * @param {MessageHub} hub  the message hub to feed the simulated status
+   *        updates to
+   * @param {Flock} flock  the flock that the message hub updates; the
+   *        simulated UAVs are removed from it when the simulator is unloaded
+   */
+  constructor(hub, flock) {
+    this._hub = hub;
+    this._flock = flock;
+
+    this._drones = [];
+  }
+
+  /**
+   * Returns whether the simulator has a loaded show.
+   */
+  get loaded() {
+    return this._drones.length > 0;
+  }
+
+  /**
+   * Returns the identifiers of the simulated UAVs.
+   */
+  get uavIds() {
+    return this._drones.map((drone) => drone.uavId);
+  }
+
+  /**
+   * Loads the drones of a show into the simulator.
+   *
+   * All the UAVs in the flock are removed first, including the ones that were
+   * received from the server, so live and simulated UAVs never appear in the
+   * UAV list at the same time. The live UAVs reappear when the client
+   * reconnects to the server after the simulation.
+   *
+   * @param {Object}   show               the show to simulate
+   * @param {Object[]} show.drones        array with one item for each drone
+   *        in the show, containing the ID of the simulated UAV (`uavId`), its
+   *        trajectory (`trajectory`) and its light program (`lights`)
+   * @param {number}   show.duration      the duration of the show, in seconds
+   */
+  load({ drones, duration }) {
+    this.unload();
+    this._flock.removeUAVsByIds(this._flock.getAllUAVIds());
+
+    this._drones = drones
+      .filter((drone) => drone.trajectory)
+      .map(({ uavId, trajectory, lights }) => ({
+        uavId,
+        trajectory,
+        getColorAt: createLightProgramEvaluator(lights, duration),
+      }));
+  }
+
+  /**
+   * Unloads the current show from the simulator and removes the simulated
+   * UAVs from the flock.
+   */
+  unload() {
+    const uavIds = this.uavIds;
+
+    this._drones = [];
+
+    if (uavIds.length > 0) {
+      this._flock.removeUAVsByIds(uavIds);
+    }
+  }
+
+  /**
+   * Updates the simulated UAVs to reflect the state of the show at the given
+   * time.
+   *
+   * @param {number}    time  the time since the start of the show, in seconds
+   * @param {Object}    options  additional options
+   * @param {function}  options.transform  function that maps show coordinates
+   *        to world coordinates for outdoor shows; when it is missing, the
+   *        show coordinates are reported as local coordinates
+   * @param {number?}   options.amslReference  the altitude above mean sea
+   *        level that the Z coordinates of the show are relative to, or null
+   *        if the show is controlled based on altitudes above home level
+   */
+  update(time, { transform, amslReference } = {}) {
+    if (!this.loaded) {
+      return;
+    }
+
+    const timestamp = Date.now();
+    const status = {};
+
+    for (const { uavId, trajectory, getColorAt } of this._drones) {
+      const point = getPositionOfTrajectoryAt(trajectory, time);
+      if (!point) {
+        continue;
+      }
+
+      const uavStatus = { timestamp };
+
+      if (transform) {
+        const { lat, lon, ahl } = transform(point);
+        uavStatus.position = [
+          Math.round(lat * 1e7),
+          Math.round(lon * 1e7),
+          isNil(amslReference) ? null : Math.round((amslReference + ahl) * 1e3),
+          Math.round(ahl * 1e3),
+          null,
+        ];
+      } else {
+        uavStatus.positionXYZ = point.map((value) => Math.round(value * 1e3));
+      }
+
+      if (getColorAt) {
+        uavStatus.light = convertRGBToRGB565(getColorAt(time));
+      }
+
+      status[uavId] = uavStatus;
+    }
+
+    this._hub.processIncomingMessage({ body: { type: 'UAV-INF', status } });
+  }
+}
+
+/**
+ * The single application-wide show simulator that feeds the simulated UAVs
+ * into the application-wide message hub.
+ */
+const simulator = new ShowSimulator(messageHub, flock);
+
+export default simulator;
@@ -0,0 +1,81 @@
+/**
+ * @file Slice of the state object that stores the state of the offline
+ * simulation of the loaded drone show.
+ *
+ * The trajectories and light programs being simulated are not stored here;
+ * they are kept by the simulator object outside the Redux store.
+ */
+
+import { createSlice, type PayloadAction } from '@reduxjs/toolkit';
+
+type SimulationSliceState = {
+  /**
+   * Whether the simulation is active. The application is disconnected from
+   * the server while this is true.
+   */
+  active: boolean;
+
+  /** Duration of the simulated show, in milliseconds */
+  duration: number;
+
+  /** Whether the simulation is currently running */
+  playing: boolean;
+
+  /** Current position of the simulation, in milliseconds */
+  position: number;
+
+  /** Playback speed multiplier */
+  speed: number;
+};
+
+const initialState: SimulationSliceState = {
+  active: false,
+  duration: 0,
+  playing: false,
+  position: 0,
+  speed: 1,
+};
+
+const { actions, reducer } = createSlice({
+  name: 'simulation',
+  initialState,
+  reducers: {
+    simulationStarted(state, action: PayloadAction<{ duration: number }>) {
+      state.active = true;
+      state.duration = action.payload.duration;
+      state.playing = false;
+      state.position = 0;
+    },
+
+    simulationStopped(state) {
+      state.active = false;
+      state.duration = 0;
+      state.playing = false;
+      state.position = 0;
+    },
+
+    setSimulationPlaying(state, action: PayloadAction<boolean>) {
+      state.playing = state.active && Boolean(action.payload);
+    },
+
+    setSimulationPosition(state, action: PayloadAction<number>) {
+      state.position = Math.min(Math.max(action.payload, 0), state.duration);
+    },
+
+    setSimulationSpeed(state, action: PayloadAction<number>) {
+      if (action.payload > 0) {
+        state.speed = action.payload;
+      }
+    },
+  },
+});
+
+export const {
+  setSimulationPlaying,
+  setSimulationPosition,
+  setSimulationSpeed,
+  simulationStarted,
+  simulationStopped,
+} = actions;
+
+export default reducer;
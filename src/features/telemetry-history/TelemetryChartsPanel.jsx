@@ -0,0 +1,165 @@
+import loadable from '@loadable/component';
+import PropTypes from 'prop-types';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { connect } from 'react-redux';
+import { useInterval } from 'react-use';
+
+import Box from '@material-ui/core/Box';
+import Button from '@material-ui/core/Button';
+import Typography from '@material-ui/core/Typography';
+import { makeStyles, useTheme } from '@material-ui/core/styles';
+
+import Pause from '@material-ui/icons/Pause';
+import PlayArrow from '@material-ui/icons/PlayArrow';
+import SaveAlt from '@material-ui/icons/SaveAlt';
+
+import { isThemeDark } from '@skybrush/app-theme-material-ui';
+import BackgroundHint from '@skybrush/mui-components/lib/BackgroundHint';
+
+import { createTimeSeriesChartOptions } from '~/utils/charts';
+import { formatDuration } from '~/utils/formatting';
+
+import { exportTelemetryHistory } from './actions';
+import { createTelemetryChartData, telemetryCharts } from './charts';
+import { TELEMETRY_CHART_REFRESH_INTERVAL } from './constants';
+import { getTelemetryHistory } from './history';
+
+/* ************************************************************************ */
+
+const LineChart = loadable(
+  () => import(/* webpackChunkName: "charts" */ '~/components/LineChart'),
+  {
+    resolveComponent: ({ default: Line }) => Line,
+  }
+);
+
+const useStyles = makeStyles(
+  (theme) => ({
+    chart: {
+      height: 120,
+      marginBottom: theme.spacing(1),
+    },
+  }),
+  {
+    name: 'TelemetryChartsPanel',
+  }
+);
+
+/* ************************************************************************ */
+
+const TelemetryChart = ({ chart, isDark, samples }) => {
+  const classes = useStyles();
+  const data = useMemo(
+    () => createTelemetryChartData(chart, samples),
+    [chart, samples]
+  );
+  const options = useMemo(
+    () => createTimeSeriesChartOptions({ isDark, unit: chart.unit }),
+    [chart, isDark]
+  );
+
+  if (data.datasets.length === 0) {
+    return null;
+  }
+
+  return (
+    <>
+      <Typography variant='subtitle2'>
+        {chart.unit ? `${chart.title} [${chart.unit}]` : chart.title}
+      </Typography>
+      <Box className={classes.chart}>
+        <LineChart data={data} options={options} />
+      </Box>
+    </>
+  );
+};
+
+TelemetryChart.propTypes = {
+  chart: PropTypes.shape({
+    title: PropTypes.string,
+    unit: PropTypes.string,
+  }),
+  isDark: PropTypes.bool,
+  samples: PropTypes.arrayOf(PropTypes.object),
+};
+
+/* ************************************************************************ */
+
+/**
+ * Panel in the UAV details dialog that plots the recent telemetry history of
+ * a UAV. The charts can be paused to inspect the history while it keeps being
+ * recorded in the background.
+ */
+const TelemetryChartsPanel = ({ onExport, uavId }) => {
+  const theme = useTheme();
+  const isDark = isThemeDark(theme);
+  const [paused, setPaused] = useState(false);
+  const [samples, setSamples] = useState(() => getTelemetryHistory(uavId));
+
+  const refresh = useCallback(
+    () => setSamples(getTelemetryHistory(uavId)),
+    [uavId]
+  );
+
+  useEffect(refresh, [refresh]);
+  useInterval(refresh, paused ? null : TELEMETRY_CHART_REFRESH_INTERVAL);
+
+  const duration =
+    samples.length > 1
+      ? (samples.at(-1).timestamp - samples[0].timestamp) / 1000
+      : 0;
+
+  return (
+    <Box display='flex' flexDirection='column' height='100%'>
+      <Box display='flex' alignItems='center' px={2} py={1}>
+        <Typography variant='body2' color='textSecondary'>
+          {samples.length > 0
+            ? `${samples.length} samples, ${formatDuration(duration)}`
+            : 'Waiting for telemetry...'}
+        </Typography>
+        <Box flex={1} />
+        <Button
+          startIcon={paused ? <PlayArrow /> : <Pause />}
+          onClick={() => setPaused(!paused)}
+        >
+          {paused ? 'Resume' : 'Pause'}
+        </Button>
+        <Button
+          startIcon={<SaveAlt />}
+          disabled={samples.length === 0}
+          onClick={() => onExport(uavId)}
+        >
+          Export CSV
+        </Button>
+      </Box>
+      {samples.length > 0 ? (
+        <Box flex={1} overflow='auto' px={2}>
+          {telemetryCharts.map((chart) => (
+            <TelemetryChart
+              key={chart.id}
+              chart={chart}
+              isDark={isDark}
+              samples={samples}
+            />
+          ))}
+        </Box>
+      ) : (
+        <BackgroundHint text='No telemetry has been recorded for this UAV yet' />
+      )}
+    </Box>
+  );
+};
+
+TelemetryChartsPanel.propTypes = {
+  onExport: PropTypes.func,
+  uavId: PropTypes.string,
+};
+
+export default connect(
+  // mapStateToProps
+  null,
+  // mapDispatchToProps
+  {
+    onExport: exportTelemetryHistory,
+  }
+)(TelemetryChartsPanel);
@@ -0,0 +1,35 @@
+import { showError } from '~/features/snackbar/actions';
+import { writeTextToFile } from '~/utils/filesystem';
+import { formatDateForFilename } from '~/utils/formatting';
+
+import { convertTelemetryHistoryToCSV } from './charts';
+import { getTelemetryHistory } from './history';
+
+/**
+ * Thunk that saves the recorded telemetry history of the given UAV into a
+ * CSV file.
+ */
+export function exportTelemetryHistory(uavId) {
+  return async (dispatch) => {
+    const samples = getTelemetryHistory(uavId);
+    if (samples.length === 0) {
+      dispatch(showError('No telemetry has been recorded for this UAV yet'));
+      return;
+    }
+
+    const date = formatDateForFilename();
+
+    try {
+      await writeTextToFile(
+        convertTelemetryHistoryToCSV(samples),
+        `telemetry-${uavId}-${date}.csv`,
+        {
+          title: 'Export telemetry',
+          filters: [{ name: 'CSV', extensions: ['csv'] }],
+        }
+      );
+    } catch (error) {
+      dispatch(showError(`Error while exporting telemetry: ${String(error)}`));
+    }
+  };
+}
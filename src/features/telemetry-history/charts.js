@@ -0,0 +1,143 @@
+/**
+ * @file Definitions of the telemetry charts shown in the UAV details panel and
+ * the functions that convert the telemetry history into chart data and CSV.
+ */
+
+import Colors from '~/components/colors';
+import { convertRowsToCSV } from '~/utils/csv';
+
+import { TELEMETRY_GAP_THRESHOLD } from './constants';
+
+const DATASET_COLORS = [Colors.main, Colors.warning, Colors.success];
+
+/**
+ * The charts to show; each chart plots one or more keys of the telemetry
+ * samples that share the same unit.
+ */
+export const telemetryCharts = [
+  {
+    id: 'altitude',
+    title: 'Altitude',
+    unit: 'm',
+    series: [
+      { key: 'amsl', label: 'AMSL' },
+      { key: 'ahl', label: 'AHL' },
+      { key: 'agl', label: 'AGL' },
+    ],
+  },
+  {
+    id: 'speed',
+    title: 'Speed',
+    unit: 'm/s',
+    series: [
+      { key: 'horizontalSpeed', label: 'Horizontal' },
+      { key: 'verticalSpeed', label: 'Vertical' },
+    ],
+  },
+  {
+    id: 'voltage',
+    title: 'Battery voltage',
+    unit: 'V',
+    series: [{ key: 'voltage', label: 'Voltage' }],
+  },
+  {
+    id: 'percentage',
+    title: 'Battery charge',
+    unit: '%',
+    series: [{ key: 'percentage', label: 'Charge' }],
+  },
+  {
+    id: 'rssi',
+    title: 'RSSI',
+    unit: '%',
+    series: [{ key: 'rssi', label: 'RSSI' }],
+  },
+  {
+    id: 'satellites',
+    title: 'GPS satellites',
+    unit: '',
+    series: [{ key: 'numSatellites', label: 'Satellites' }],
+  },
+  {
+    id: 'accuracy',
+    title: 'GPS accuracy',
+    unit: 'm',
+    series: [
+      { key: 'horizontalAccuracy', label: 'Horizontal' },
+      { key: 'verticalAccuracy', label: 'Vertical' },
+    ],
+  },
+  {
+    id: 'heading',
+    title: 'Heading',
+    unit: '°',
+    series: [{ key: 'heading', label: 'Heading' }],
+  },
+];
+
+/**
+ * Converts the telemetry history into the data points of a single series.
+ * Samples without a value for the series and periods without telemetry are
+ * represented by null values so they show up as gaps in the chart.
+ */
+function createSeriesData(samples, key, start) {
+  const data = [];
+  let previousTimestamp;
+
+  for (const sample of samples) {
+    const { timestamp } = sample;
+
+    if (
+      previousTimestamp !== undefined &&
+      timestamp - previousTimestamp > TELEMETRY_GAP_THRESHOLD
+    ) {
+      const gapTimestamp = (previousTimestamp + timestamp) / 2;
+      data.push({ x: (gapTimestamp - start) / 1000, y: null });
+    }
+
+    data.push({ x: (timestamp - start) / 1000, y: sample[key] ?? null });
+    previousTimestamp = timestamp;
+  }
+
+  return data;
+}
+
+/**
+ * Converts the telemetry history into the data of a single chart. The X axis
+ * is the time elapsed since the first sample, in seconds. Series without any
+ * recorded value are omitted.
+ */
+export function createTelemetryChartData(chart, samples) {
+  const start = samples.length > 0 ? samples[0].timestamp : 0;
+
+  return {
+    datasets: chart.series
+      .map(({ key, label }, index) => ({
+        label,
+        data: createSeriesData(samples, key, start),
+        borderColor: DATASET_COLORS[index % DATASET_COLORS.length],
+        borderWidth: 1.5,
+        pointRadius: 0,
+        spanGaps: false,
+      }))
+      .filter(({ data }) => data.some(({ y }) => y !== null)),
+  };
+}
+
+/**
+ * Converts the telemetry history into the contents of a CSV file with one
+ * row per sample and one column per recorded value.
+ */
+export function convertTelemetryHistoryToCSV(samples) {
+  const keys = telemetryCharts.flatMap(({ series }) =>
+    series.map(({ key }) => key)
+  );
+
+  return convertRowsToCSV(
+    samples.map((sample) => [
+      new Date(sample.timestamp).toISOString(),
+      ...keys.map((key) => sample[key]),
+    ]),
+    { header: ['time', ...keys] }
+  );
+}
@@ -0,0 +1,23 @@
+/**
+ * Interval between consecutive telemetry samples of the UAV selected in the
+ * UAV details panel, in milliseconds.
+ */
+export const TELEMETRY_SAMPLE_INTERVAL = 1000;
+
+/**
+ * Time between consecutive telemetry samples above which the charts show a
+ * gap instead of connecting the samples, in milliseconds.
+ */
+export const TELEMETRY_GAP_THRESHOLD = 2.5 * TELEMETRY_SAMPLE_INTERVAL;
+
+/**
+ * Maximum number of telemetry samples to keep; older samples are discarded.
+ * With the default sampling interval, this is 15 minutes of history.
+ */
+export const MAX_TELEMETRY_SAMPLES = 900;
+
+/**
+ * Interval between consecutive refreshes of the telemetry charts, in
+ * milliseconds.
+ */
+export const TELEMETRY_CHART_REFRESH_INTERVAL = 1000;
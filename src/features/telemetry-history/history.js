@@ -0,0 +1,78 @@
+/**
+ * @file Rolling in-memory history of the telemetry of a single UAV.
+ *
+ * Telemetry samples arrive every second and would only bloat the persisted
+ * Redux store, so the history is kept in this module instead. Only the
+ * history of one UAV is kept at a time; recording a sample for another UAV
+ * clears the history.
+ */
+
+import isNil from 'lodash-es/isNil';
+
+import { MAX_TELEMETRY_SAMPLES } from './constants';
+
+let recordedUAVId = null;
+let samples = [];
+
+const orUndefined = (value) => (isNil(value) ? undefined : value);
+
+/**
+ * Extracts the values to record from the state of a UAV in the Redux store.
+ *
+ * @param {Object} uav  the state of the UAV
+ * @param {number} timestamp  the timestamp of the sample, in milliseconds
+ * @returns {Object} the telemetry sample
+ */
+export function createTelemetrySample(uav, timestamp) {
+  const { battery, gpsFix, heading, position, rssi, velocity } = uav;
+  const [north, east, down] = Array.isArray(velocity) ? velocity : [];
+
+  return {
+    timestamp,
+    amsl: orUndefined(position?.amsl),
+    ahl: orUndefined(position?.ahl),
+    agl: orUndefined(position?.agl),
+    horizontalSpeed:
+      isNil(north) || isNil(east) ? undefined : Math.hypot(north, east),
+    verticalSpeed: isNil(down) ? undefined : -down,
+    voltage: orUndefined(battery?.voltage),
+    percentage: orUndefined(battery?.percentage),
+    rssi: Array.isArray(rssi) ? orUndefined(rssi[0]) : undefined,
+    numSatellites: orUndefined(gpsFix?.numSatellites),
+    horizontalAccuracy: orUndefined(gpsFix?.horizontalAccuracy),
+    verticalAccuracy: orUndefined(gpsFix?.verticalAccuracy),
+    heading: orUndefined(heading),
+  };
+}
+
+/**
+ * Records a telemetry sample for the given UAV, discarding the oldest sample
+ * if the history is full.
+ */
+export function recordTelemetrySample(uavId, sample) {
+  if (uavId !== recordedUAVId) {
+    recordedUAVId = uavId;
+    samples = [];
+  }
+
+  // The array is replaced instead of being mutated so snapshots returned from
+  // getTelemetryHistory() stay intact
+  samples =
+    samples.length >= MAX_TELEMETRY_SAMPLES
+      ? [...samples.slice(samples.length - MAX_TELEMETRY_SAMPLES + 1), sample]
+      : [...samples, sample];
+}
+
+/**
+ * Returns the recorded telemetry samples of the given UAV, from the oldest to
+ * the newest. Returns an empty array if the history belongs to another UAV.
+ */
+export const getTelemetryHistory = (uavId) =>
+  uavId === recordedUAVId ? samples : [];
+
+/**
+ * Clears the recorded telemetry history.
+ */
+export function clearTelemetryHistory() {
+  samples = [];
+}
@@ -0,0 +1,33 @@
+import { delay, select } from 'redux-saga/effects';
+
+import {
+  getSelectedUAVIdInUAVDetailsPanel,
+  getUAVById,
+} from '~/features/uavs/selectors';
+
+import { TELEMETRY_SAMPLE_INTERVAL } from './constants';
+import { createTelemetrySample, recordTelemetrySample } from './history';
+
+/**
+ * Saga that periodically records the telemetry of the UAV selected in the UAV
+ * details panel so its recent history can be plotted.
+ *
+ * A new sample is recorded only when the UAV has sent a status update since
+ * the previous sample; missing updates therefore leave gaps in the history
+ * that the charts draw as breaks in the lines instead of flat lines.
+ */
+export default function* telemetryHistorySaga() {
+  let lastUpdated;
+
+  while (true) {
+    yield delay(TELEMETRY_SAMPLE_INTERVAL);
+
+    const uavId = yield select(getSelectedUAVIdInUAVDetailsPanel);
+    const uav = uavId ? yield select(getUAVById, uavId) : undefined;
+
+    if (uav && uav.lastUpdated !== lastUpdated) {
+      lastUpdated = uav.lastUpdated;
+      recordTelemetrySample(uavId, createTelemetrySample(uav, Date.now()));
+    }
+  }
+}
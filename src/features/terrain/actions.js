@@ -0,0 +1,24 @@
+import { showError, showSuccess } from '~/features/snackbar/actions';
+import { readFileAsArrayBuffer, readFileAsText } from '~/utils/files';
+
+import { parseASCIIGrid, parseGeoTIFF } from './dem';
+import { setElevationModel } from './slice';
+
+/**
+ * Thunk that loads a digital elevation model from a GeoTIFF or ESRI ASCII
+ * grid file.
+ *
+ * @param {File} file  the file to load
+ */
+export const loadElevationModelFromFile = (file) => async (dispatch) => {
+  try {
+    const model = /\.asc$/i.test(file.name)
+      ? parseASCIIGrid(await readFileAsText(file))
+      : await parseGeoTIFF(await readFileAsArrayBuffer(file));
+
+    dispatch(setElevationModel({ name: file.name, model }));
+    dispatch(showSuccess(`Loaded elevation model from ${file.name}`));
+  } catch (error) {
+    dispatch(showError(`Error while loading elevation model: ${error}`));
+  }
+};
@@ -0,0 +1,26 @@
+/**
+ * @file Constants related to the terrain-aware altitude profile of waypoint
+ * missions.
+ */
+
+/**
+ * Default minimum clearance between the planned altitude of the mission and
+ * the terrain, in meters.
+ */
+export const DEFAULT_MINIMUM_TERRAIN_CLEARANCE = 30;
+
+/**
+ * Maximum number of terrain samples taken along a single leg of the route.
+ */
+export const PROFILE_MAX_SAMPLE_COUNT = 200;
+
+/**
+ * Minimum distance between consecutive terrain samples along a leg of the
+ * route, in meters.
+ */
+export const PROFILE_MIN_SAMPLE_SPACING = 10;
+
+/**
+ * File name extensions accepted when loading a digital elevation model.
+ */
+export const ELEVATION_MODEL_FILTER = ['.tif', '.tiff', '.asc'];
@@ -0,0 +1,604 @@
+/**
+ * @file Functions for loading digital elevation models (DEMs) from local
+ * files and sampling them.
+ *
+ * Elevation models are represented as plain objects with the following keys:
+ *
+ * - `width` and `height`: the number of columns and rows in the grid
+ * - `west` and `north`: the longitude and latitude of the center of the
+ *   north-western cell of the grid
+ * - `cellWidth` and `cellHeight`: the size of a single cell in degrees
+ * - `noData`: the value that marks cells without elevation data, or undefined
+ * - `elevations`: a `Float32Array` with the elevations of the cells above mean
+ *   sea level in row-major order, starting from the north-western corner
+ *
+ * Only elevation models in geographic (WGS84) coordinates are supported.
+ */
+
+/**
+ * Reads an elevation model from an ESRI ASCII grid file.
+ *
+ * @param {string} text  the contents of the file
+ * @returns {Object} the parsed elevation model
+ */
+export function parseASCIIGrid(text) {
+  const header = {};
+  const tokens = text.trim().split(/\s+/);
+  let index = 0;
+
+  // Header lines consist of a keyword and a value; the first numeric token
+  // in a keyword position marks the start of the data
+  while (index < tokens.length && Number.isNaN(Number(tokens[index]))) {
+    header[tokens[index].toLowerCase()] = Number(tokens[index + 1]);
+    index += 2;
+  }
+
+  const { ncols: width, nrows: height, cellsize: cellSize } = header;
+  if (!(width > 0 && height > 0 && cellSize > 0)) {
+    throw new Error('Invalid ASCII grid header');
+  }
+
+  const centered = header.xllcenter !== undefined;
+  const cornerKeys = centered
+    ? ['xllcenter', 'yllcenter']
+    : ['xllcorner', 'yllcorner'];
+  const hasCorner = cornerKeys.every((key) => Number.isFinite(header[key]));
+
+  if (!hasCorner) {
+    throw new Error('ASCII grid has no lower left corner');
+  }
+
+  const west = centered ? header.xllcenter : header.xllcorner + cellSize / 2;
+  const south = centered ? header.yllcenter : header.yllcorner + cellSize / 2;
+
+  if (tokens.length - index < width * height) {
+    throw new Error('ASCII grid contains fewer values than expected');
+  }
+
+  const elevations = new Float32Array(width * height);
+  for (let i = 0; i < elevations.length; i++) {
+    elevations[i] = Number(tokens[index + i]);
+  }
+
+  return {
+    width,
+    height,
+    west,
+    north: south + (height - 1) * cellSize,
+    cellWidth: cellSize,
+    cellHeight: cellSize,
+    noData:
+      header.nodata_value === undefined
+        ? undefined
+        : Math.fround(header.nodata_value),
+    elevations,
+  };
+}
+
+/* ************************************************************************ */
+
+/**
+ * TIFF tags that are needed to read elevation models from GeoTIFF files.
+ */
+const Tag = {
+  IMAGE_WIDTH: 256,
+  IMAGE_LENGTH: 257,
+  BITS_PER_SAMPLE: 258,
+  COMPRESSION: 259,
+  STRIP_OFFSETS: 273,
+  SAMPLES_PER_PIXEL: 277,
+  ROWS_PER_STRIP: 278,
+  STRIP_BYTE_COUNTS: 279,
+  PREDICTOR: 317,
+  TILE_WIDTH: 322,
+  TILE_LENGTH: 323,
+  TILE_OFFSETS: 324,
+  TILE_BYTE_COUNTS: 325,
+  SAMPLE_FORMAT: 339,
+  MODEL_PIXEL_SCALE: 33_550,
+  MODEL_TIEPOINT: 33_922,
+  GEO_KEY_DIRECTORY: 34_735,
+  GDAL_NODATA: 42_113,
+};
+
+const Compression = {
+  NONE: 1,
+  LZW: 5,
+  DEFLATE: 8,
+  ADOBE_DEFLATE: 32_946,
+};
+
+const SampleFormat = {
+  UNSIGNED_INT: 1,
+  SIGNED_INT: 2,
+  FLOAT: 3,
+};
+
+const GT_MODEL_TYPE_GEO_KEY = 1024;
+const GT_RASTER_TYPE_GEO_KEY = 1025;
+const MODEL_TYPE_GEOGRAPHIC = 2;
+const RASTER_PIXEL_IS_POINT = 2;
+
+/**
+ * Sizes of the TIFF field types in bytes.
+ */
+const FIELD_TYPE_SIZES = {
+  1: 1, // BYTE
+  2: 1, // ASCII
+  3: 2, // SHORT
+  4: 4, // LONG
+  5: 8, // RATIONAL
+  6: 1, // SBYTE
+  7: 1, // UNDEFINED
+  8: 2, // SSHORT
+  9: 4, // SLONG
+  10: 8, // SRATIONAL
+  11: 4, // FLOAT
+  12: 8, // DOUBLE
+};
+
+/**
+ * Reads the value of a single TIFF directory entry, given its field type, the
+ * number of values and the offset of the first value.
+ */
+function readFieldValues(view, { type, count, offset }, littleEndian) {
+  const values = [];
+
+  for (let i = 0; i < count; i++) {
+    const position = offset + i * FIELD_TYPE_SIZES[type];
+    switch (type) {
+      case 1:
+      case 2:
+      case 7:
+        values.push(view.getUint8(position));
+        break;
+      case 3:
+        values.push(view.getUint16(position, littleEndian));
+        break;
+      case 4:
+        values.push(view.getUint32(position, littleEndian));
+        break;
+      case 6:
+        values.push(view.getInt8(position));
+        break;
+      case 8:
+        values.push(view.getInt16(position, littleEndian));
+        break;
+      case 9:
+        values.push(view.getInt32(position, littleEndian));
+        break;
+      case 11:
+        values.push(view.getFloat32(position, littleEndian));
+        break;
+      case 12:
+        values.push(view.getFloat64(position, littleEndian));
+        break;
+      default:
+        values.push(
+          view.getUint32(position, littleEndian) /
+            view.getUint32(position + 4, littleEndian)
+        );
+    }
+  }
+
+  return type === 2
+    ? String.fromCodePoint(...values).replace(/\0+$/, '')
+    : values;
+}
+
+/**
+ * Reads the first image file directory of a TIFF file into a map from tag
+ * numbers to values.
+ */
+function readImageFileDirectory(view) {
+  const byteOrder = view.getUint16(0);
+  if (byteOrder !== 0x49_49 && byteOrder !== 0x4d_4d) {
+    throw new Error('File is not a TIFF file');
+  }
+
+  const littleEndian = byteOrder === 0x49_49;
+  if (view.getUint16(2, littleEndian) !== 42) {
+    throw new Error('BigTIFF files are not supported');
+  }
+
+  const ifdOffset = view.getUint32(4, littleEndian);
+  const numberOfEntries = view.getUint16(ifdOffset, littleEndian);
+  const tags = new Map();
+
+  for (let i = 0; i < numberOfEntries; i++) {
+    const entryOffset = ifdOffset + 2 + i * 12;
+    const tag = view.getUint16(entryOffset, littleEndian);
+    const type = view.getUint16(entryOffset + 2, littleEndian);
+    const count = view.getUint32(entryOffset + 4, littleEndian);
+    const size = (FIELD_TYPE_SIZES[type] ?? 1) * count;
+    const valueOffset =
+      size > 4
+        ? view.getUint32(entryOffset + 8, littleEndian)
+        : entryOffset + 8;
+
+    if (FIELD_TYPE_SIZES[type]) {
+      tags.set(
+        tag,
+        readFieldValues(
+          view,
+          { type, count, offset: valueOffset },
+          littleEndian
+        )
+      );
+    }
+  }
+
+  return { tags, littleEndian };
+}
+
+/**
+ * Decompresses a chunk of data compressed with the LZW variant used in TIFF
+ * files.
+ */
+function decompressLZW(input) {
+  const output = [];
+  let dictionary = [];
+  let codeLength = 9;
+  let bitPosition = 0;
+  let previous;
+
+  const CLEAR_CODE = 256;
+  const EOI_CODE = 257;
+
+  const resetDictionary = () => {
+    dictionary = [];
+    for (let i = 0; i < 256; i++) {
+      dictionary.push([i]);
+    }
+
+    dictionary.push([], []);
+    codeLength = 9;
+    previous = undefined;
+  };
+
+  const readCode = () => {
+    let code = 0;
+    for (let i = 0; i < codeLength; i++) {
+      const byte = input[(bitPosition + i) >> 3];
+      const bit = (byte >> (7 - ((bitPosition + i) & 7))) & 1;
+      code = (code << 1) | bit;
+    }
+
+    bitPosition += codeLength;
+    return code;
+  };
+
+  resetDictionary();
+
+  while (bitPosition + codeLength <= input.length * 8) {
+    const code = readCode();
+
+    if (code === EOI_CODE) {
+      break;
+    }
+
+    if (code === CLEAR_CODE) {
+      resetDictionary();
+      continue;
+    }
+
+    let entry;
+    if (code < dictionary.length) {
+      entry = dictionary[code];
+      if (previous) {
+        dictionary.push([...previous, entry[0]]);
+      }
+    } else if (previous) {
+      entry = [...previous, previous[0]];
+      dictionary.push(entry);
+    } else {
+      throw new Error('Invalid LZW data');
+    }
+
+    output.push(...entry);
+    previous = entry;
+
+    // TIFF LZW switches to longer codes one code earlier than standard LZW
+    if (dictionary.length + 1 >= 1 << codeLength && codeLength < 12) {
+      codeLength++;
+    }
+  }
+
+  return new Uint8Array(output);
+}
+
+/**
+ * Decompresses a chunk of data compressed with zlib (deflate) compression.
+ */
+async function decompressDeflate(input) {
+  const stream = new Blob([input])
+    .stream()
+    .pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Reads the properties of the image stored in a TIFF file that determine how
+ * the samples should be decoded, and checks whether we support them.
+ */
+function readImageProperties(tags) {
+  const get = (tag) => tags.get(tag)?.[0];
+
+  const properties = {
+    width: get(Tag.IMAGE_WIDTH),
+    height: get(Tag.IMAGE_LENGTH),
+    bitsPerSample: get(Tag.BITS_PER_SAMPLE) ?? 1,
+    sampleFormat: get(Tag.SAMPLE_FORMAT) ?? SampleFormat.UNSIGNED_INT,
+    compression: get(Tag.COMPRESSION) ?? Compression.NONE,
+    predictor: get(Tag.PREDICTOR) ?? 1,
+  };
+  const { bitsPerSample, compression, predictor, sampleFormat } = properties;
+
+  if ((get(Tag.SAMPLES_PER_PIXEL) ?? 1) !== 1) {
+    throw new Error('Only single-band elevation models are supported');
+  }
+
+  if (![8, 16, 32, 64].includes(bitsPerSample)) {
+    throw new Error(`Unsupported sample size: ${bitsPerSample} bits`);
+  }
+
+  if (!Object.values(Compression).includes(compression)) {
+    throw new Error(`Unsupported TIFF compression: ${compression}`);
+  }
+
+  if (
+    predictor !== 1 &&
+    !(predictor === 2 && sampleFormat !== SampleFormat.FLOAT)
+  ) {
+    throw new Error(`Unsupported TIFF predictor: ${predictor}`);
+  }
+
+  return properties;
+}
+
+/**
+ * Reads the georeferencing information of a GeoTIFF file and returns the
+ * longitude and latitude of the center of the north-western cell and the size
+ * of a single cell in degrees.
+ */
+function readGeoreference(tags) {
+  const scale = tags.get(Tag.MODEL_PIXEL_SCALE);
+  const tiepoint = tags.get(Tag.MODEL_TIEPOINT);
+  if (!scale || !tiepoint) {
+    throw new Error('TIFF file contains no georeferencing information');
+  }
+
+  const geoKeys = new Map();
+  const geoKeyDirectory = tags.get(Tag.GEO_KEY_DIRECTORY) ?? [];
+  for (let i = 4; i + 3 < geoKeyDirectory.length; i += 4) {
+    if (geoKeyDirectory[i + 1] === 0) {
+      geoKeys.set(geoKeyDirectory[i], geoKeyDirectory[i + 3]);
+    }
+  }
+
+  if (geoKeys.get(GT_MODEL_TYPE_GEO_KEY) !== MODEL_TYPE_GEOGRAPHIC) {
+    throw new Error(
+      'Only elevation models in geographic (WGS84) coordinates are supported'
+    );
+  }
+
+  const [cellWidth, cellHeight] = scale;
+  const [i0, j0, , x0, y0] = tiepoint;
+  const pixelIsPoint =
+    geoKeys.get(GT_RASTER_TYPE_GEO_KEY) === RASTER_PIXEL_IS_POINT;
+  const offset = pixelIsPoint ? 0 : 0.5;
+
+  return {
+    west: x0 + (offset - i0) * cellWidth,
+    north: y0 - (offset - j0) * cellHeight,
+    cellWidth,
+    cellHeight,
+  };
+}
+
+/**
+ * Creates a function that reads a single sample of the given format from a
+ * data view at a given position.
+ */
+function createSampleReader({ bitsPerSample, sampleFormat }, littleEndian) {
+  const bytesPerSample = bitsPerSample / 8;
+
+  switch (sampleFormat) {
+    case SampleFormat.FLOAT:
+      return bytesPerSample === 8
+        ? (view, position) => view.getFloat64(position, littleEndian)
+        : (view, position) => view.getFloat32(position, littleEndian);
+
+    case SampleFormat.SIGNED_INT:
+      return bytesPerSample === 1
+        ? (view, position) => view.getInt8(position)
+        : bytesPerSample === 2
+          ? (view, position) => view.getInt16(position, littleEndian)
+          : (view, position) => view.getInt32(position, littleEndian);
+
+    default:
+      return bytesPerSample === 1
+        ? (view, position) => view.getUint8(position)
+        : bytesPerSample === 2
+          ? (view, position) => view.getUint16(position, littleEndian)
+          : (view, position) => view.getUint32(position, littleEndian);
+  }
+}
+
+/**
+ * Creates a function that wraps the sum of two integer samples around like
+ * the integer type of the samples would. Used to undo horizontal
+ * differencing.
+ */
+function createSampleAccumulator({ bitsPerSample, sampleFormat }) {
+  const range = 2 ** bitsPerSample;
+  const signed = sampleFormat === SampleFormat.SIGNED_INT;
+
+  return (previous, value) => {
+    const sum = (((previous + value) % range) + range) % range;
+    return signed && sum >= range / 2 ? sum - range : sum;
+  };
+}
+
+/**
+ * Decompresses a single strip or tile of a TIFF file.
+ */
+async function decompressChunk(data, compression) {
+  switch (compression) {
+    case Compression.NONE:
+      return data;
+
+    case Compression.LZW:
+      return decompressLZW(data);
+
+    default:
+      return decompressDeflate(data);
+  }
+}
+
+/**
+ * Reads an elevation model from a GeoTIFF file.
+ *
+ * Only single-band files with geographic (WGS84) coordinates are supported,
+ * stored in strips or tiles, either uncompressed or with LZW or deflate
+ * compression.
+ *
+ * @param {ArrayBuffer} buffer  the contents of the file
+ * @returns {Promise<Object>} the parsed elevation model
+ */
+export async function parseGeoTIFF(buffer) {
+  const view = new DataView(buffer);
+  const { tags, littleEndian } = readImageFileDirectory(view);
+  const get = (tag) => tags.get(tag)?.[0];
+
+  const properties = readImageProperties(tags);
+  const { width, height, bitsPerSample, compression, predictor } = properties;
+  const georeference = readGeoreference(tags);
+
+  // Layout of the image data
+  const tiled = tags.has(Tag.TILE_OFFSETS);
+  const chunkWidth = tiled ? get(Tag.TILE_WIDTH) : width;
+  const chunkHeight = tiled
+    ? get(Tag.TILE_LENGTH)
+    : Math.min(get(Tag.ROWS_PER_STRIP) ?? height, height);
+  const chunkOffsets = tags.get(tiled ? Tag.TILE_OFFSETS : Tag.STRIP_OFFSETS);
+  const chunkByteCounts = tags.get(
+    tiled ? Tag.TILE_BYTE_COUNTS : Tag.STRIP_BYTE_COUNTS
+  );
+  const chunksPerRow = Math.ceil(width / chunkWidth);
+  const bytesPerSample = bitsPerSample / 8;
+
+  const readSample = createSampleReader(properties, littleEndian);
+  const accumulate =
+    predictor === 2 ? createSampleAccumulator(properties) : undefined;
+
+  const chunks = await Promise.all(
+    chunkOffsets.map((chunkOffset, chunkIndex) =>
+      decompressChunk(
+        new Uint8Array(buffer, chunkOffset, chunkByteCounts[chunkIndex]),
+        compression
+      )
+    )
+  );
+  const elevations = new Float32Array(width * height);
+
+  for (const [chunkIndex, data] of chunks.entries()) {
+    const chunkView = new DataView(data.buffer, data.byteOffset);
+    const sampleCount = Math.floor(data.byteLength / bytesPerSample);
+    const startColumn = (chunkIndex % chunksPerRow) * chunkWidth;
+    const startRow = Math.floor(chunkIndex / chunksPerRow) * chunkHeight;
+    const columns = Math.min(chunkWidth, width - startColumn);
+    const rows = Math.min(chunkHeight, height - startRow);
+
+    for (let row = 0; row < rows; row++) {
+      const rowOffset = row * chunkWidth;
+      const maxColumns = Math.min(columns, sampleCount - rowOffset);
+      let value = 0;
+
+      for (let column = 0; column < maxColumns; column++) {
+        const sample = readSample(
+          chunkView,
+          (rowOffset + column) * bytesPerSample
+        );
+
+        // Horizontal differencing stores the difference from the previous
+        // sample in the same row
+        value = accumulate && column > 0 ? accumulate(value, sample) : sample;
+        elevations[(startRow + row) * width + startColumn + column] = value;
+      }
+    }
+  }
+
+  const noData = tags.get(Tag.GDAL_NODATA);
+
+  return {
+    width,
+    height,
+    ...georeference,
+    noData: noData ? Math.fround(Number(noData)) : undefined,
+    elevations,
+  };
+}
+
+/* ************************************************************************ */
+
+/**
+ * Returns the elevation of the given point from an elevation model, using
+ * bilinear interpolation between the cells around the point.
+ *
+ * @param {Object} model  the elevation model
+ * @param {number} lon  the longitude of the point
+ * @param {number} lat  the latitude of the point
+ * @returns {number|undefined} the elevation of the point above mean sea
+ *          level, or undefined if the point is outside the model or there
+ *          is no elevation data around the point
+ */
+export function getElevationAt(model, lon, lat) {
+  const { width, height, west, north, cellWidth, cellHeight, noData } = model;
+  const x = (lon - west) / cellWidth;
+  const y = (north - lat) / cellHeight;
+
+  if (x < 0 || y < 0 || x > width - 1 || y > height - 1) {
+    return undefined;
+  }
+
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const x1 = Math.min(x0 + 1, width - 1);
+  const y1 = Math.min(y0 + 1, height - 1);
+  const dx = x - x0;
+  const dy = y - y0;
+
+  const corners = [
+    [model.elevations[y0 * width + x0], (1 - dx) * (1 - dy)],
+    [model.elevations[y0 * width + x1], dx * (1 - dy)],
+    [model.elevations[y1 * width + x0], (1 - dx) * dy],
+    [model.elevations[y1 * width + x1], dx * dy],
+  ];
+
+  let sum = 0;
+  let totalWeight = 0;
+
+  for (const [value, weight] of corners) {
+    if (value !== noData && Number.isFinite(value) && weight > 0) {
+      sum += value * weight;
+      totalWeight += weight;
+    }
+  }
+
+  return totalWeight > 0 ? sum / totalWeight : undefined;
+}
+
+/**
+ * Returns the bounding box of an elevation model as an object with keys
+ * `west`, `south`, `east` and `north`.
+ */
+export function getBoundsOfElevationModel(model) {
+  const { width, height, west, north, cellWidth, cellHeight } = model;
+  return {
+    west,
+    south: north - (height - 1) * cellHeight,
+    east: west + (width - 1) * cellWidth,
+    north,
+  };
+}
@@ -0,0 +1,223 @@
+/**
+ * @file Calculation of the altitude profile of a waypoint mission relative
+ * to the terrain below the route.
+ */
+
+import isNil from 'lodash-es/isNil';
+
+import { AltitudeReference } from '~/model/geography';
+import { MissionItemType } from '~/model/missions';
+import { turfDistanceInMeters } from '~/utils/geography';
+
+import {
+  PROFILE_MAX_SAMPLE_COUNT,
+  PROFILE_MIN_SAMPLE_SPACING,
+} from './constants';
+
+/**
+ * Converts an altitude of the mission into an altitude above mean sea level.
+ *
+ * @param {Object} altitude  the altitude, with keys `value` and `reference`
+ * @param {Object} context  additional information needed for the conversion
+ * @param {number} context.terrain  the terrain elevation at the current
+ *        position, above mean sea level
+ * @param {number} context.home  the altitude of the home position above mean
+ *        sea level
+ * @returns {number|undefined} the altitude above mean sea level or undefined
+ *          if it cannot be determined
+ */
+function toAMSL({ value, reference }, { terrain, home }) {
+  switch (reference) {
+    case AltitudeReference.MSL:
+      return value;
+
+    case AltitudeReference.HOME:
+      return isNil(home) ? undefined : home + value;
+
+    case AltitudeReference.GROUND:
+      return isNil(terrain) ? undefined : terrain + value;
+
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Calculates the altitude profile of a waypoint mission: the planned
+ * altitude and the terrain elevation as a function of the horizontal distance
+ * travelled along the route.
+ *
+ * Altitudes are interpolated linearly between waypoints. Vertical movements
+ * (takeoff, altitude changes, landing) appear as steps at the same distance.
+ *
+ * @param {Object} options
+ * @param {Object[]} options.items  the mission items, in order
+ * @param {Object} options.homePosition  the home position of the mission
+ * @param {function} options.getElevationAt  function that returns the
+ *        terrain elevation above mean sea level at a given longitude and
+ *        latitude, or undefined if it is not known
+ * @param {number} options.minimumClearance  the minimum allowed clearance
+ *        between the planned altitude and the terrain, in meters
+ * @returns {Object} the profile, consisting of an array of samples
+ *          (`samples`) with keys `distance`, `altitude` and `terrain`, and
+ *          an array of warnings (`warnings`) with the index of the mission
+ *          item whose route violates the minimum clearance and the smallest
+ *          clearance along that route
+ */
+export function calculateAltitudeProfile({
+  items,
+  homePosition,
+  getElevationAt,
+  minimumClearance,
+}) {
+  const samples = [];
+  const warnings = [];
+
+  let position = homePosition
+    ? [homePosition.lon, homePosition.lat]
+    : undefined;
+  let distance = 0;
+  let altitude; // in AMSL
+  let altitudeSpec;
+
+  const terrainAt = (point) =>
+    point ? getElevationAt(point[0], point[1]) : undefined;
+  const home =
+    homePosition?.amsl ??
+    (homePosition
+      ? terrainAt([homePosition.lon, homePosition.lat])
+      : undefined);
+
+  const addSample = (itemIndex, altitudeAtSample, terrain) => {
+    samples.push({
+      distance,
+      altitude: altitudeAtSample ?? null,
+      terrain: terrain ?? null,
+    });
+
+    if (!isNil(altitudeAtSample) && !isNil(terrain)) {
+      const clearance = altitudeAtSample - terrain;
+      if (clearance < minimumClearance) {
+        const warning = warnings.at(-1);
+        if (warning?.index === itemIndex) {
+          warning.clearance = Math.min(warning.clearance, clearance);
+        } else {
+          warnings.push({ index: itemIndex, clearance });
+        }
+      }
+    }
+  };
+
+  const moveVertically = (itemIndex, newAltitudeSpec) => {
+    const terrain = terrainAt(position);
+    altitudeSpec = newAltitudeSpec;
+    altitude = toAMSL(newAltitudeSpec, { terrain, home });
+    addSample(itemIndex, altitude, terrain);
+  };
+
+  const moveHorizontally = (itemIndex, target, newAltitudeSpec) => {
+    if (!position) {
+      // No known starting point; start the profile here
+      position = target;
+      moveVertically(itemIndex, newAltitudeSpec ?? altitudeSpec);
+      return;
+    }
+
+    const length = turfDistanceInMeters(position, target);
+    const sampleCount = Math.max(
+      1,
+      Math.min(
+        PROFILE_MAX_SAMPLE_COUNT,
+        Math.ceil(length / PROFILE_MIN_SAMPLE_SPACING)
+      )
+    );
+
+    const start = position;
+    const startAltitude = altitude;
+    const startSpec = altitudeSpec;
+    const endSpec = newAltitudeSpec ?? altitudeSpec;
+    const startDistance = distance;
+
+    // When the reference is the ground, the altitude follows the terrain;
+    // otherwise it is interpolated linearly between the endpoints
+    const followsTerrain = endSpec?.reference === AltitudeReference.GROUND;
+    const endAltitude = endSpec
+      ? toAMSL(endSpec, { terrain: terrainAt(target), home })
+      : undefined;
+
+    for (let i = 1; i <= sampleCount; i++) {
+      const ratio = i / sampleCount;
+      const point = [
+        start[0] + (target[0] - start[0]) * ratio,
+        start[1] + (target[1] - start[1]) * ratio,
+      ];
+      const terrain = terrainAt(point);
+
+      let sampleAltitude;
+      if (followsTerrain) {
+        const startAGL =
+          startSpec?.reference === AltitudeReference.GROUND
+            ? startSpec.value
+            : endSpec.value;
+        const agl = startAGL + (endSpec.value - startAGL) * ratio;
+        sampleAltitude = isNil(terrain) ? undefined : terrain + agl;
+      } else if (!isNil(startAltitude) && !isNil(endAltitude)) {
+        sampleAltitude = startAltitude + (endAltitude - startAltitude) * ratio;
+      } else {
+        sampleAltitude = endAltitude;
+      }
+
+      distance = startDistance + length * ratio;
+      addSample(itemIndex, sampleAltitude, terrain);
+    }
+
+    position = target;
+    altitudeSpec = endSpec;
+    altitude = samples.at(-1).altitude ?? undefined;
+  };
+
+  for (const [index, item] of items.entries()) {
+    const { type, parameters } = item;
+
+    switch (type) {
+      case MissionItemType.TAKEOFF:
+      case MissionItemType.CHANGE_ALTITUDE:
+        if (parameters?.alt) {
+          moveVertically(index, parameters.alt);
+        }
+
+        break;
+
+      case MissionItemType.GO_TO:
+        moveHorizontally(
+          index,
+          [parameters.lon, parameters.lat],
+          parameters.alt
+        );
+        break;
+
+      case MissionItemType.RETURN_TO_HOME:
+        if (homePosition) {
+          moveHorizontally(index, [homePosition.lon, homePosition.lat]);
+        }
+
+        break;
+
+      case MissionItemType.LAND: {
+        const terrain = terrainAt(position);
+        altitude = terrain;
+        samples.push({
+          distance,
+          altitude: terrain ?? null,
+          terrain: terrain ?? null,
+        });
+        break;
+      }
+
+      default:
+      // The remaining mission item types do not involve movement
+    }
+  }
+
+  return { samples, warnings };
+}
@@ -0,0 +1,60 @@
+import { createSelector } from '@reduxjs/toolkit';
+
+import {
+  getGPSBasedHomePositionsInMission,
+  getMissionItemsInOrder,
+} from '~/features/mission/selectors';
+
+import { getElevationAt } from './dem';
+import { calculateAltitudeProfile } from './profile';
+
+/**
+ * Returns the loaded digital elevation model, or undefined if no model is
+ * loaded.
+ */
+export const getElevationModel = (state) => state.terrain.elevationModel?.model;
+
+/**
+ * Returns the name of the file that the loaded digital elevation model was
+ * read from.
+ */
+export const getElevationModelName = (state) =>
+  state.terrain.elevationModel?.name;
+
+/**
+ * Returns whether a digital elevation model is loaded.
+ */
+export const hasElevationModel = (state) =>
+  Boolean(state.terrain.elevationModel);
+
+/**
+ * Returns the minimum allowed clearance between the planned altitude of the
+ * mission and the terrain, in meters.
+ */
+export const getMinimumTerrainClearance = (state) =>
+  state.terrain.minimumClearance;
+
+/**
+ * Returns whether the altitude profile is shown in the mission editor.
+ */
+export const isAltitudeProfileVisible = (state) => state.terrain.profileVisible;
+
+/**
+ * Returns the altitude profile of the current waypoint mission, with the
+ * terrain elevations sampled from the loaded elevation model.
+ */
+export const getAltitudeProfileOfMission = createSelector(
+  getMissionItemsInOrder,
+  getGPSBasedHomePositionsInMission,
+  getElevationModel,
+  getMinimumTerrainClearance,
+  (items, homePositions, model, minimumClearance) =>
+    calculateAltitudeProfile({
+      items,
+      homePosition: homePositions.find(Boolean),
+      getElevationAt: model
+        ? (lon, lat) => getElevationAt(model, lon, lat)
+        : () => undefined,
+      minimumClearance,
+    })
+);
@@ -0,0 +1,80 @@
+/**
+ * @file Slice of the state object that stores the digital elevation model
+ * loaded by the user and the settings of the terrain-aware altitude profile
+ * of waypoint missions.
+ */
+
+import { createSlice, type PayloadAction } from '@reduxjs/toolkit';
+
+import { DEFAULT_MINIMUM_TERRAIN_CLEARANCE } from './constants';
+
+/**
+ * Digital elevation model in geographic coordinates; see `dem.js` for the
+ * description of the fields.
+ */
+export type ElevationModel = {
+  width: number;
+  height: number;
+  west: number;
+  north: number;
+  cellWidth: number;
+  cellHeight: number;
+  noData?: number;
+  elevations: Float32Array;
+};
+
+type TerrainSliceState = {
+  /** The loaded elevation model and the name of the file it came from */
+  elevationModel?: {
+    name: string;
+    model: ElevationModel;
+  };
+
+  /** Minimum allowed clearance above the terrain, in meters */
+  minimumClearance: number;
+
+  /** Whether the altitude profile is shown in the mission editor */
+  profileVisible: boolean;
+};
+
+const initialState: TerrainSliceState = {
+  elevationModel: undefined,
+  minimumClearance: DEFAULT_MINIMUM_TERRAIN_CLEARANCE,
+  profileVisible: false,
+};
+
+const { actions, reducer } = createSlice({
+  name: 'terrain',
+  initialState,
+  reducers: {
+    clearElevationModel(state) {
+      state.elevationModel = undefined;
+    },
+
+    setElevationModel(
+      state,
+      action: PayloadAction<{ name: string; model: ElevationModel }>
+    ) {
+      state.elevationModel = action.payload;
+    },
+
+    setMinimumTerrainClearance(state, action: PayloadAction<number>) {
+      if (Number.isFinite(action.payload) && action.payload >= 0) {
+        state.minimumClearance = action.payload;
+      }
+    },
+
+    setAltitudeProfileVisible(state, action: PayloadAction<boolean>) {
+      state.profileVisible = Boolean(action.payload);
+    },
+  },
+});
+
+export const {
+  clearElevationModel,
+  setAltitudeProfileVisible,
+  setElevationModel,
+  setMinimumTerrainClearance,
+} = actions;
+
+export default reducer;
@@ -1,6 +1,10 @@
 import isNil from 'lodash-es/isNil';
 import { createSelector } from '@reduxjs/toolkit';
 
+import {
+  getCollisionSegments,
+  getCollisionSegmentsInWorldCoordinates,
+} from '~/features/collision-analysis/selectors';
 import {
   getGPSBasedHomePositionsInMission,
   getGPSBasedLandingPositionsInMission,
@@ -64,6 +68,24 @@ export const getLandingPositionsInMissionForThreeDView = createSelector(
   (landingPositions, transformation) => landingPositions.map(transformation)
 );
 
+/**
+ * Returns the parts of the trajectories that belong to the conflicts found by
+ * the collision analysis, in the coordinate system used by the 3D view.
+ */
+export const getCollisionSegmentsForThreeDView = createSelector(
+  isShowIndoor,
+  getCollisionSegments,
+  getCollisionSegmentsInWorldCoordinates,
+  getGPSToThreeJSTransformation,
+  (indoor, segments, segmentsInWorldCoordinates, transformation) =>
+    indoor
+      ? segments
+      : segmentsInWorldCoordinates.map(({ points, ...rest }) => ({
+          ...rest,
+          points: points.map(transformation).filter(Boolean),
+        }))
+);
+
 /**
  * Selector that returns the radius that should be used for the drones in the
  * 3D view.
@@ -11,6 +11,8 @@ import SidebarBadge from '@skybrush/mui-components/lib/SidebarBadge';
 import Tooltip from '@skybrush/mui-components/lib/Tooltip';
 
 import { BatteryFormatter } from '~/components/battery';
+import { showBatteryForecastDialog } from '~/features/battery-forecast/dialog';
+import { getLowBatteryForecastItems } from '~/features/battery-forecast/selectors';
 import { isConnected } from '~/features/servers/selectors';
 import { getBatteryFormatter } from '~/features/settings/selectors';
 
@@ -29,20 +31,39 @@ const INITIAL_STATE = {
   min: null,
 };
 
-const BatteryStatusHeaderButton = ({ formatter, isConnected, t }) => {
+const BatteryStatusHeaderButton = ({
+  formatter,
+  isConnected,
+  lowForecastCount,
+  onClick,
+  t,
+}) => {
   const [{ avg, min }, setSummary] = useState(INITIAL_STATE);
   const batteryStatus = avg
     ? formatter.getBatteryStatus(avg.voltage, avg.percentage)
     : null;
-  const badgeStatus = avg
+  const currentBadgeStatus = avg
     ? formatter.getSemanticBatteryStatus(avg.voltage, avg.percentage)
     : null;
+
+  // Drones that would land with a low battery are flagged even if the current
+  // battery levels are fine
+  const badgeStatus =
+    lowForecastCount > 0 &&
+    (!currentBadgeStatus || currentBadgeStatus === Status.OFF)
+      ? Status.WARNING
+      : currentBadgeStatus;
   const badgeVisible = badgeStatus && badgeStatus !== Status.OFF;
 
   return (
-    <Tooltip content={t('batteryStatusHeaderButton')}>
+    <Tooltip
+      content={
+        lowForecastCount > 0
+          ? t('batteryForecast.lowForecastTooltip', { count: lowForecastCount })
+          : t('batteryStatusHeaderButton')
+      }
+    >
       <GenericHeaderButton
-        disabled={!isConnected}
         label={
           isConnected && avg
             ? formatter.getBatteryLabel(avg.voltage, avg.percentage)
@@ -54,6 +75,7 @@ const BatteryStatusHeaderButton = ({ formatter, isConnected, t }) => {
             : null
         }
         style={buttonStyle}
+        onClick={onClick}
       >
         {batteryStatus ? (
           formatter.getLargeBatteryIcon(avg.percentage, batteryStatus)
@@ -75,6 +97,8 @@ const BatteryStatusHeaderButton = ({ formatter, isConnected, t }) => {
 BatteryStatusHeaderButton.propTypes = {
   formatter: PropTypes.instanceOf(BatteryFormatter).isRequired,
   isConnected: PropTypes.bool,
+  lowForecastCount: PropTypes.number,
+  onClick: PropTypes.func,
   t: PropTypes.func,
 };
 
@@ -83,7 +107,10 @@ export default connect(
   (state) => ({
     formatter: getBatteryFormatter(state),
     isConnected: isConnected(state),
+    lowForecastCount: getLowBatteryForecastItems(state).length,
   }),
   // mapDispatchToProps
-  {}
+  {
+    onClick: showBatteryForecastDialog,
+  }
 )(withTranslation()(BatteryStatusHeaderButton));
@@ -12,6 +12,7 @@ import ListItemSecondaryAction from '@material-ui/core/ListItemSecondaryAction';
 import ListItemText from '@material-ui/core/ListItemText';
 import { makeStyles } from '@material-ui/core/styles';
 import Typography from '@material-ui/core/Typography';
+import Assessment from '@material-ui/icons/Assessment';
 import Error from '@material-ui/icons/Error';
 import GetApp from '@material-ui/icons/GetApp';
 import Save from '@material-ui/icons/Save';
@@ -21,6 +22,9 @@ import LargeProgressIndicator from '@skybrush/mui-components/lib/LargeProgressIn
 import StatusLight from '@skybrush/mui-components/lib/StatusLight';
 
 import { listOf } from '~/components/helpers/lists';
+import { TooltipWithContainerFromContext as Tooltip } from '~/containerContext';
+import { getMostSevereAnomalySeverity } from '~/features/flight-log-analysis/analysis';
+import { openFlightLogAnalysisDialog } from '~/features/flight-log-analysis/dialog';
 import { showNotification } from '~/features/snackbar/actions';
 import { MessageSemantics } from '~/features/snackbar/types';
 import {
@@ -28,12 +32,13 @@ import {
   initiateLogDownload,
   LogDownloadStatus,
   retrieveDownloadedLog,
+  retrieveFlightLogAnalysis,
   setLogDownloadError,
   setLogDownloadProgress,
   storeDownloadedLog,
 } from '~/features/uavs/log-download';
 import useMessageHub from '~/hooks/useMessageHub';
-import { describeFlightLogKind } from '~/model/enums';
+import { describeFlightLogKind, Severity } from '~/model/enums';
 import { convertFlightLogToBlob } from '~/model/flight-logs';
 import { writeBlobToFile } from '~/utils/filesystem';
 import { formatUnixTimestamp } from '~/utils/formatting';
@@ -49,6 +54,10 @@ const useStyles = makeStyles(
       // as the secondary text
       padding: theme.spacing(1, 0),
     },
+
+    withTwoSecondaryActions: {
+      paddingRight: 96,
+    },
   }),
   {
     name: 'UAVLogListItem',
@@ -69,6 +78,7 @@ const UAVLogListItem = ({ id, kind, size, timestamp, uavId }) => {
 
   const downloadState = useSelector(getLogDownloadState(uavId, id));
   const log = useSelector(retrieveDownloadedLog(uavId, id));
+  const analysis = useSelector(retrieveFlightLogAnalysis(uavId, id));
 
   const download = useCallback(() => {
     dispatch(initiateLogDownload(uavId, id));
@@ -78,13 +88,32 @@ const UAVLogListItem = ({ id, kind, size, timestamp, uavId }) => {
           dispatch(setLogDownloadProgress(uavId, id, progress));
         },
       })
-      .then((log) => {
-        dispatch(storeDownloadedLog(uavId, id, log));
+      .then(async (log) => {
+        const analysis = await dispatch(storeDownloadedLog(uavId, id, log));
+        const numAnomalies = analysis?.anomalies.length ?? 0;
         dispatch(
           showNotification({
-            message: `Log ${id} of UAV ${uavId} downloaded successfully.`,
-            semantics: MessageSemantics.SUCCESS,
-            buttons: [{ label: 'Save', action: () => saveLogToFile(log) }],
+            message:
+              numAnomalies > 0
+                ? `Log ${id} of UAV ${uavId} downloaded; found ${numAnomalies} anomalies.`
+                : `Log ${id} of UAV ${uavId} downloaded successfully.`,
+            semantics:
+              numAnomalies > 0
+                ? MessageSemantics.WARNING
+                : MessageSemantics.SUCCESS,
+            buttons: [
+              { label: 'Save', action: () => saveLogToFile(log) },
+              ...(analysis?.supported
+                ? [
+                    {
+                      label: 'Analyze',
+                      action() {
+                        dispatch(openFlightLogAnalysisDialog(uavId, id));
+                      },
+                    },
+                  ]
+                : []),
+            ],
             timeout: 20000,
           })
         );
@@ -106,6 +135,10 @@ const UAVLogListItem = ({ id, kind, size, timestamp, uavId }) => {
     saveLogToFile(log);
   }, [log]);
 
+  const analyze = useCallback(() => {
+    dispatch(openFlightLogAnalysisDialog(uavId, id));
+  }, [dispatch, id, uavId]);
+
   /* Display */
 
   const primaryParts = [];
@@ -126,6 +159,17 @@ const UAVLogListItem = ({ id, kind, size, timestamp, uavId }) => {
     if (!isNil(size)) {
       secondaryParts.push(prettyBytes(size));
     }
+
+    if (analysis?.supported) {
+      const numAnomalies = analysis.anomalies.length;
+      secondaryParts.push(
+        numAnomalies === 0
+          ? 'No anomalies'
+          : numAnomalies === 1
+            ? '1 anomaly'
+            : `${numAnomalies} anomalies`
+      );
+    }
   }
 
   const secondaryComponent =
@@ -141,16 +185,29 @@ const UAVLogListItem = ({ id, kind, size, timestamp, uavId }) => {
 
   const isLoading = downloadState?.status === LogDownloadStatus.LOADING;
   const onClick = isLoading ? undefined : log ? save : download;
+  const anomalySeverity = getMostSevereAnomalySeverity(analysis);
 
   return (
-    <ListItem button onClick={onClick}>
+    <ListItem
+      button
+      classes={
+        analysis
+          ? { secondaryAction: classes.withTwoSecondaryActions }
+          : undefined
+      }
+      onClick={onClick}
+    >
       <StatusLight
         status={
-          {
-            [LogDownloadStatus.LOADING]: 'next',
-            [LogDownloadStatus.ERROR]: 'error',
-            [LogDownloadStatus.SUCCESS]: 'success',
-          }[downloadState?.status] ?? 'off'
+          anomalySeverity === Severity.ERROR
+            ? 'error'
+            : anomalySeverity === Severity.WARNING
+              ? 'warning'
+              : ({
+                  [LogDownloadStatus.LOADING]: 'next',
+                  [LogDownloadStatus.ERROR]: 'error',
+                  [LogDownloadStatus.SUCCESS]: 'success',
+                }[downloadState?.status] ?? 'off')
         }
       />
       <ListItemText
@@ -163,6 +220,13 @@ const UAVLogListItem = ({ id, kind, size, timestamp, uavId }) => {
         secondary={secondaryComponent}
       />
       <ListItemSecondaryAction>
+        {analysis && (
+          <Tooltip content='Show analysis'>
+            <IconButton onClick={analyze}>
+              <Assessment />
+            </IconButton>
+          </Tooltip>
+        )}
         <IconButton edge='end' disabled={isLoading} onClick={onClick}>
           {downloadState?.status === LogDownloadStatus.SUCCESS ? (
             <Save />
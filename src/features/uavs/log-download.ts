@@ -8,27 +8,42 @@ import {
   type PayloadAction,
 } from '@reduxjs/toolkit';
 
+import type { analyzeFlightLog } from '~/features/flight-log-analysis/analysis';
+import { analyzeFlightLogInWorker } from '~/features/flight-log-analysis/worker';
+import { type FlightLogKind } from '~/model/enums';
 import type UAV from '~/model/uav';
 import { type AppDispatch, type AppSelector } from '~/store/reducers';
+import { sha256Hex } from '~/utils/hashing';
+
+export type FlightLog = {
+  id: string;
+  kind: FlightLogKind;
+  timestamp?: number;
+  body: string;
+};
+
+export type FlightLogAnalysis = ReturnType<typeof analyzeFlightLog>;
 
 // Poor man's content-addressable store for keeping the downloaded logs
 // NOTE: This is a very one-off solution, no effort has been made to generalize
 //       it. If we need a reusable version it should be cleaned up and moved to
 //       `~/utils`. (Or, rather, a proper CAS package should be included.)
 const logContents = new (class {
-  #data: Record<string, string> = {};
-  #encoder = new TextEncoder();
-  write = async (item: string) => {
-    // prettier-ignore
-    const hash = (
-      Array.from(new Uint8Array(
-        await window.crypto.subtle.digest('SHA-1', this.#encoder.encode(item))
-      ), (byte) => byte.toString(16).padStart(2, '0')).join('')
-    );
+  #data: Record<string, FlightLog> = {};
+  #analyses: Record<string, FlightLogAnalysis> = {};
+  write = async (item: FlightLog) => {
+    const hash = await sha256Hex(JSON.stringify(item));
     this.#data[hash] = item;
     return hash;
   };
   read = (hash: string) => this.#data[hash];
+  // Analyses are derived from the contents, so they can share the same key
+  writeAnalysis = (hash: string, analysis: FlightLogAnalysis): void => {
+    this.#analyses[hash] = analysis;
+  };
+
+  readAnalysis = (hash: string): FlightLogAnalysis | undefined =>
+    this.#analyses[hash];
 })();
 
 export enum LogDownloadStatus {
@@ -49,6 +64,7 @@ type LogDownloadState =
   | {
       status: LogDownloadStatus.SUCCESS;
       value: string;
+      analyzed?: boolean;
     };
 
 type LogId = string;
@@ -115,6 +131,23 @@ const { actions, reducer } = createSlice({
         };
       },
     },
+
+    setLogAnalyzed: {
+      prepare: (uavId: UAV['id'], logId: LogId) => ({
+        payload: { uavId, logId },
+      }),
+      reducer(
+        state,
+        {
+          payload: { uavId, logId },
+        }: PayloadAction<{ uavId: UAV['id']; logId: LogId }>
+      ) {
+        const download = state[uavId]?.[logId];
+        if (download?.status === LogDownloadStatus.SUCCESS) {
+          download.analyzed = true;
+        }
+      },
+    },
   },
 });
 
@@ -122,20 +155,45 @@ const { actions, reducer } = createSlice({
 
 export const {
   setLogDownloadError,
+  setLogAnalyzed,
   setLogDownloadProgress,
   setLogDownloadValue,
 } = actions;
 
 export const initiateLogDownload =
-  (uavId: UAV['id'], logId: LogId) => (dispatch: AppDispatch) => {
+  (uavId: UAV['id'], logId: LogId) =>
+  (dispatch: AppDispatch): void => {
     dispatch(setLogDownloadProgress(uavId, logId));
   };
 
+/**
+ * Stores a downloaded log and marks its download as finished, then analyzes
+ * the log unless it has been analyzed before. The analysis runs in a web
+ * worker because decoding large dataflash logs would block the UI for
+ * seconds; the returned promise resolves to the analysis when it is ready.
+ */
 export const storeDownloadedLog =
-  (uavId: UAV['id'], logId: LogId, log: string) =>
-  async (dispatch: AppDispatch) => {
+  (uavId: UAV['id'], logId: LogId, log: FlightLog) =>
+  async (dispatch: AppDispatch): Promise<FlightLogAnalysis | undefined> => {
     const value = await logContents.write(log);
     dispatch(setLogDownloadValue(uavId, logId, value));
+
+    if (!logContents.readAnalysis(value)) {
+      try {
+        logContents.writeAnalysis(
+          value,
+          (await analyzeFlightLogInWorker(log)) as FlightLogAnalysis
+        );
+
+        // Let the selectors pick up the analysis that was not available yet
+        // when the download was marked as finished
+        dispatch(setLogAnalyzed(uavId, logId));
+      } catch (error) {
+        console.warn(`Failed to analyze log ${logId} of UAV ${uavId}:`, error);
+      }
+    }
+
+    return logContents.readAnalysis(value);
   };
 
 /* Selectors */
@@ -148,13 +206,23 @@ export const getLogDownloadState =
 export const retrieveDownloadedLog = (
   uavId: UAV['id'],
   logId: LogId
-): AppSelector<string | undefined> =>
+): AppSelector<FlightLog | undefined> =>
   createSelector(getLogDownloadState(uavId, logId), (state) => {
     if (state?.status === LogDownloadStatus.SUCCESS) {
       return logContents.read(state.value);
     }
   });
 
+export const retrieveFlightLogAnalysis = (
+  uavId: UAV['id'],
+  logId: LogId
+): AppSelector<FlightLogAnalysis | undefined> =>
+  createSelector(getLogDownloadState(uavId, logId), (state) => {
+    if (state?.status === LogDownloadStatus.SUCCESS) {
+      return logContents.readAnalysis(state.value);
+    }
+  });
+
 /* Reducer */
 
 export default reducer;
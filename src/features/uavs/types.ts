@@ -59,6 +59,8 @@ export enum UAVDetailsDialogTab {
 }
 
 export enum UAVDetailsPanelTab {
+  CHARTS = 'charts',
+  CONTROL = 'control',
   LOGS = 'logs',
   MESSAGES = 'messages',
   PREFLIGHT = 'preflight',
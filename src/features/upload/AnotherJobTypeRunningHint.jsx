@@ -6,10 +6,12 @@ import Button from '@material-ui/core/Button';
 
 import Clear from '@material-ui/icons/Clear';
 import LocalShipping from '@material-ui/icons/LocalShipping';
+import Queue from '@material-ui/icons/Queue';
 import Visibility from '@material-ui/icons/Visibility';
 
 import BackgroundHint from '@skybrush/mui-components/lib/BackgroundHint';
 
+import { enqueueUploadJobFromUploadDialog } from './actions';
 import { getCurrentUploadJob, getSelectedJobInUploadDialog } from './selectors';
 import { cancelUpload, openUploadDialogForJob } from './slice';
 
@@ -22,7 +24,7 @@ const AnotherJobTypeRunningHint = () => {
     <BackgroundHint
       icon={<LocalShipping />}
       header='Another task is in progress'
-      text='Wait for the other task to finish or cancel it to start a new upload'
+      text='Wait for the other task to finish, cancel it to start a new upload, or queue the new upload to start when the other task has finished'
       button={
         <>
           <Button
@@ -49,6 +51,15 @@ const AnotherJobTypeRunningHint = () => {
           >
             View progress
           </Button>
+          <Box display='inline-block' mx={1} />
+          <Button
+            startIcon={<Queue />}
+            onClick={() => {
+              dispatch(enqueueUploadJobFromUploadDialog());
+            }}
+          >
+            Run afterwards
+          </Button>
         </>
       }
     />
@@ -22,6 +22,7 @@ import {
   getUploadDialogState,
 } from './selectors';
 import { closeUploadDialog } from './slice';
+import UploadJobQueue from './UploadJobQueue';
 import UploadPanel from './UploadPanel';
 
 const UploadDialog = ({
@@ -54,9 +55,14 @@ const UploadDialog = ({
           onStartUpload={canStartUpload ? onStartUpload : null}
         />
       ) : (
-        <Box height={240}>
-          <AnotherJobTypeRunningHint type={runningJobType} />
-        </Box>
+        <>
+          <Box height={240}>
+            <AnotherJobTypeRunningHint type={runningJobType} />
+          </Box>
+          <Box px={3}>
+            <UploadJobQueue />
+          </Box>
+        </>
       )}
     </DraggableDialog>
   );
@@ -0,0 +1,88 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+import { withTranslation } from 'react-i18next';
+import { connect } from 'react-redux';
+
+import IconButton from '@material-ui/core/IconButton';
+import List from '@material-ui/core/List';
+import ListItem from '@material-ui/core/ListItem';
+import ListItemSecondaryAction from '@material-ui/core/ListItemSecondaryAction';
+import ListItemText from '@material-ui/core/ListItemText';
+import ListSubheader from '@material-ui/core/ListSubheader';
+import Clear from '@material-ui/icons/Clear';
+import PlayArrow from '@material-ui/icons/PlayArrow';
+
+import { TooltipWithContainerFromContext as Tooltip } from '~/containerContext';
+
+import { startQueuedUploadJob } from './actions';
+import { getDialogTitleForJobType } from './jobs';
+import { getQueuedUploadJobs, isUploadInProgress } from './selectors';
+import { removeUploadJobFromQueue } from './slice';
+
+/**
+ * Presentation component that shows the upload jobs waiting in the job queue
+ * to be started after the current job.
+ */
+const UploadJobQueue = ({ jobs, onRemoveJob, onStartJob, running, t }) =>
+  jobs.length > 0 ? (
+    <List
+      dense
+      subheader={
+        <ListSubheader disableGutters disableSticky>
+          {running
+            ? t('uploadJobQueue.startsAfterCurrentJob')
+            : t('uploadJobQueue.waitingJobs')}
+        </ListSubheader>
+      }
+    >
+      {jobs.map((job, index) => (
+        <ListItem key={job.id} disableGutters>
+          <ListItemText
+            primary={`${index + 1}. ${getDialogTitleForJobType(job.type)}`}
+            secondary={t('uploadJobQueue.numberOfTargets', {
+              count: job.targets.length,
+            })}
+          />
+          <ListItemSecondaryAction>
+            {!running && index === 0 && (
+              <Tooltip content={t('uploadJobQueue.startNow')}>
+                <IconButton size='small' onClick={() => onStartJob(job.id)}>
+                  <PlayArrow />
+                </IconButton>
+              </Tooltip>
+            )}
+            <Tooltip content={t('uploadJobQueue.remove')}>
+              <IconButton
+                size='small'
+                edge='end'
+                onClick={() => onRemoveJob(job.id)}
+              >
+                <Clear />
+              </IconButton>
+            </Tooltip>
+          </ListItemSecondaryAction>
+        </ListItem>
+      ))}
+    </List>
+  ) : null;
+
+UploadJobQueue.propTypes = {
+  jobs: PropTypes.arrayOf(PropTypes.object),
+  onRemoveJob: PropTypes.func,
+  onStartJob: PropTypes.func,
+  running: PropTypes.bool,
+  t: PropTypes.func,
+};
+
+export default connect(
+  // mapStateToProps
+  (state) => ({
+    jobs: getQueuedUploadJobs(state),
+    running: isUploadInProgress(state),
+  }),
+  // mapDispatchToProps
+  {
+    onRemoveJob: removeUploadJobFromQueue,
+    onStartJob: startQueuedUploadJob,
+  }
+)(withTranslation()(UploadJobQueue));
@@ -13,15 +13,19 @@ import FormControlLabel from '@material-ui/core/FormControlLabel';
 import IconButton from '@material-ui/core/IconButton';
 import { makeStyles } from '@material-ui/core/styles';
 import Clear from '@material-ui/icons/Clear';
+import GetApp from '@material-ui/icons/GetApp';
 import NavigateBack from '@material-ui/icons/NavigateBefore';
 
 import LabeledStatusLight from '@skybrush/mui-components/lib/LabeledStatusLight';
 
 import { Status } from '~/components/semantics';
+import { TooltipWithContainerFromContext as Tooltip } from '~/containerContext';
+import { saveUploadReportForJobType } from '~/features/upload/actions';
 import {
   getLastUploadResultByJobType,
   getUploadDialogState,
   hasQueuedItems,
+  hasUploadReportForJobType,
   isUploadInProgress,
   shouldRetryFailedUploadsAutomatically,
   shouldFlashLightsOfFailedUploads,
@@ -34,6 +38,7 @@ import {
   setFlashFailed,
 } from '~/features/upload/slice';
 import StartUploadButton from '~/features/upload/StartUploadButton';
+import UploadJobQueue from '~/features/upload/UploadJobQueue';
 import UploadProgressBar from '~/features/upload/UploadProgressBar';
 import UploadStatusLegend from '~/features/upload/UploadStatusLegend';
 import UploadStatusLights from '~/features/upload/UploadStatusLights';
@@ -105,9 +110,12 @@ const UploadPanel = ({
   autoRetry,
   flashFailed,
   hasQueuedItems,
+  hasReport,
+  jobType,
   lastUploadResult,
   onCancelUpload,
   onDismissLastUploadResult,
+  onSaveReport,
   onStartUpload,
   onStepBack,
   onToggleAutoRetry,
@@ -140,6 +148,7 @@ const UploadPanel = ({
             label={t('uploadPanel.flashLightsWhereFailed')}
           />
         </Box>
+        <UploadJobQueue />
       </DialogContent>
       <DialogActions className={classes.actions}>
         {onStepBack && (
@@ -147,6 +156,17 @@ const UploadPanel = ({
             <NavigateBack />
           </IconButton>
         )}
+        {hasReport && !running && (
+          <Tooltip content={t('uploadPanel.saveReport')}>
+            <IconButton
+              size='small'
+              edge='start'
+              onClick={() => onSaveReport(jobType)}
+            >
+              <GetApp />
+            </IconButton>
+          </Tooltip>
+        )}
         <Fade in={lastUploadResult && showLastUploadResult}>
           <Box
             className={classes.uploadResultIndicator}
@@ -182,9 +202,12 @@ UploadPanel.propTypes = {
   autoRetry: PropTypes.bool,
   flashFailed: PropTypes.bool,
   hasQueuedItems: PropTypes.bool,
+  hasReport: PropTypes.bool,
+  jobType: PropTypes.string,
   lastUploadResult: PropTypes.oneOf(['success', 'error', 'cancelled']),
   onCancelUpload: PropTypes.func,
   onDismissLastUploadResult: PropTypes.func,
+  onSaveReport: PropTypes.func,
   onStartUpload: PropTypes.func,
   onStepBack: PropTypes.func,
   onToggleAutoRetry: PropTypes.func,
@@ -205,6 +228,7 @@ export default connect(
     autoRetry: shouldRetryFailedUploadsAutomatically(state),
     flashFailed: shouldFlashLightsOfFailedUploads(state),
     hasQueuedItems: hasQueuedItems(state),
+    hasReport: hasUploadReportForJobType(state, ownProps.jobType),
     lastUploadResult: getLastUploadResultByJobType(state, ownProps.jobType),
     running: isUploadInProgress(state),
   }),
@@ -214,6 +238,7 @@ export default connect(
     onCancelUpload: cancelUpload,
     onClose: closeUploadDialog,
     onDismissLastUploadResult: dismissLastUploadResult,
+    onSaveReport: saveUploadReportForJobType,
     onToggleAutoRetry: () => (dispatch, getState) => {
       const state = getState();
       const autoRetry = shouldRetryFailedUploadsAutomatically(state);
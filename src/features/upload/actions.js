@@ -1,17 +1,24 @@
 import delay from 'delay';
 import isNil from 'lodash-es/isNil';
 import { getUAVIdsParticipatingInMissionSortedByMissionIndex } from '~/features/mission/selectors';
+import { showError } from '~/features/snackbar/actions';
 import {
   getSingleSelectedUAVIdAsArray,
   getUAVIdList,
 } from '~/features/uavs/selectors';
+import { writeTextToFile } from '~/utils/filesystem';
+import { formatDateForFilename } from '~/utils/formatting';
+
 import { getScopeForJobType, JobScope } from './jobs';
+import { convertUploadReportToCSV } from './report';
 
 import {
   areItemsInUploadBacklog,
   getObjectIdsCompatibleWithSelectedJobInUploadDialog,
   getFailedUploadItems,
   getItemsInUploadBacklog,
+  getLastUploadJobByJobType,
+  getQueuedUploadJobs,
   getSelectedJobInUploadDialog,
   getSuccessfulUploadItems,
   getUploadDialogState,
@@ -20,7 +27,9 @@ import {
 } from './selectors';
 import {
   closeUploadDialog,
+  enqueueUploadJob,
   putUavsInWaitingQueue,
+  removeUploadJobFromQueue,
   removeUavsFromWaitingQueue,
   setupNextUploadJob,
   startUpload,
@@ -120,6 +129,26 @@ export function toggleUavsInWaitingQueue(uavIds) {
   };
 }
 
+/**
+ * Returns the IDs of the UAVs that an upload job of the given type should
+ * target by default, based on the scope of the job type.
+ */
+function getDefaultTargetsForJobType(state, type) {
+  switch (getScopeForJobType(type)) {
+    case JobScope.COMPATIBLE:
+      return getObjectIdsCompatibleWithSelectedJobInUploadDialog(state);
+
+    case JobScope.MISSION:
+      return getUAVIdsParticipatingInMissionSortedByMissionIndex(state);
+
+    case JobScope.SINGLE:
+      return getSingleSelectedUAVIdAsArray(state);
+
+    default:
+      return getUAVIdList(state);
+  }
+}
+
 /**
  * Function that starts an upload job with the given type, using a selector
  * function to derive the set of UAV IDs to put in the upload queue when there
@@ -133,36 +162,9 @@ export function startUploadJobFromUploadDialog() {
     // and create the payload depending on the job type and the current state
     const state = getState();
     const { type, payload } = getSelectedJobInUploadDialog(state);
-    const scope = getScopeForJobType(type);
-    let selector;
-
-    switch (scope) {
-      case JobScope.ALL:
-        selector = getUAVIdList;
-        break;
-
-      case JobScope.COMPATIBLE:
-        selector = getObjectIdsCompatibleWithSelectedJobInUploadDialog;
-        break;
-
-      case JobScope.MISSION:
-        selector = getUAVIdsParticipatingInMissionSortedByMissionIndex;
-        break;
-
-      case JobScope.SINGLE:
-        selector = getSingleSelectedUAVIdAsArray;
-        break;
-
-      default:
-        selector = getUAVIdList;
-        break;
-    }
-
     const targets = areItemsInUploadBacklog(state)
       ? getItemsInUploadBacklog(state)
-      : selector
-      ? selector(state)
-      : null;
+      : getDefaultTargetsForJobType(state, type);
 
     // Set up the next upload job and start it if at least one target was
     // selected
@@ -172,3 +174,67 @@ export function startUploadJobFromUploadDialog() {
     }
   };
 }
+
+/**
+ * Thunk that places the job selected in the upload dialog in the job queue so
+ * it is started automatically when the jobs before it have finished
+ * successfully. The targets of the job are determined when the job is
+ * placed in the queue.
+ */
+export function enqueueUploadJobFromUploadDialog() {
+  return (dispatch, getState) => {
+    const state = getState();
+    const { type, payload } = getSelectedJobInUploadDialog(state);
+    const targets = getDefaultTargetsForJobType(state, type);
+
+    if (type && targets && targets.length > 0) {
+      dispatch(enqueueUploadJob({ type, payload, targets: [...targets] }));
+    }
+  };
+}
+
+/**
+ * Thunk that removes the job with the given ID from the job queue and starts
+ * it immediately, assuming that no other upload job is running.
+ */
+export function startQueuedUploadJob(id) {
+  return (dispatch, getState) => {
+    const state = getState();
+    const job = getQueuedUploadJobs(state).find((item) => item.id === id);
+
+    if (job && !isUploadInProgress(state)) {
+      const { type, payload, targets } = job;
+      dispatch(removeUploadJobFromQueue(id));
+      dispatch(setupNextUploadJob({ type, payload, targets }));
+      dispatch(startUpload());
+    }
+  };
+}
+
+/**
+ * Thunk that saves the per-UAV report of the last upload job with the given
+ * type into a CSV file.
+ */
+export function saveUploadReportForJobType(type) {
+  return async (dispatch, getState) => {
+    const report = getLastUploadJobByJobType(getState(), type)?.report;
+    if (!report) {
+      return;
+    }
+
+    const date = formatDateForFilename();
+
+    try {
+      await writeTextToFile(
+        convertUploadReportToCSV(report),
+        `upload-report-${type}-${date}.csv`,
+        {
+          title: 'Save upload report',
+          filters: [{ name: 'CSV', extensions: ['csv'] }],
+        }
+      );
+    } catch (error) {
+      dispatch(showError(`Error while saving upload report: ${String(error)}`));
+    }
+  };
+}
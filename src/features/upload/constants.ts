@@ -0,0 +1,16 @@
+/**
+ * Maximum number of attempts to make for a single UAV in an upload job when
+ * failed uploads are retried automatically.
+ */
+export const MAX_UPLOAD_ATTEMPTS = 5;
+
+/**
+ * Number of milliseconds to wait before retrying a failed upload for the
+ * first time. The delay is doubled after each failed attempt.
+ */
+export const UPLOAD_RETRY_BASE_DELAY = 2000;
+
+/**
+ * Maximum number of milliseconds to wait before retrying a failed upload.
+ */
+export const UPLOAD_RETRY_MAX_DELAY = 30000;
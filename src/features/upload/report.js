@@ -0,0 +1,68 @@
+/**
+ * @file Functions related to the per-UAV reports of upload jobs.
+ */
+
+import { convertRowsToCSV } from '~/utils/csv';
+import { sha256Hex } from '~/utils/hashing';
+
+/**
+ * Computes a hash of the data that is uploaded to a single UAV in an upload
+ * job so the reports can show whether the same data was uploaded to the UAVs.
+ *
+ * @param {*} payload  the payload of the upload job
+ * @param {*} data  the data that the selector of the job extracted for the UAV
+ * @returns {Promise<string|undefined>} the SHA-256 hash of the data as a
+ *          hexadecimal string, or undefined if the data could not be hashed
+ */
+export async function hashUploadData(payload, data) {
+  if (!window.crypto?.subtle) {
+    return undefined;
+  }
+
+  try {
+    return await sha256Hex(JSON.stringify({ payload, data }));
+  } catch (error) {
+    console.warn('Failed to hash upload data:', error);
+    return undefined;
+  }
+}
+
+/**
+ * Converts the per-UAV report of an upload job into the contents of a CSV
+ * file, sorted by UAV IDs.
+ *
+ * @param {Object} report  the report to convert, keyed by UAV IDs
+ * @returns {string} the contents of the CSV file
+ */
+export function convertUploadReportToCSV(report) {
+  const uavIds = Object.keys(report).sort((a, b) =>
+    a.localeCompare(b, undefined, { numeric: true })
+  );
+
+  return convertRowsToCSV(
+    uavIds.map((uavId) => {
+      const { attempts, duration, error, finishedAt, hash, status } =
+        report[uavId];
+      return [
+        uavId,
+        status,
+        error,
+        attempts,
+        (duration / 1000).toFixed(1),
+        hash,
+        new Date(finishedAt).toISOString(),
+      ];
+    }),
+    {
+      header: [
+        'UAV',
+        'Status',
+        'Error',
+        'Attempts',
+        'Duration (s)',
+        'Payload hash',
+        'Finished at',
+      ],
+    }
+  );
+}
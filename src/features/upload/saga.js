@@ -17,10 +17,18 @@ import { errorToString, handleError } from '~/error-handling';
 import { flashLightOnUAVsAndHideFailures } from '~/utils/messaging';
 import { createActionListenerSaga, putWithRetry } from '~/utils/sagas';
 
+import {
+  MAX_UPLOAD_ATTEMPTS,
+  UPLOAD_RETRY_BASE_DELAY,
+  UPLOAD_RETRY_MAX_DELAY,
+} from './constants';
 import { getSpecificationForJobType } from './jobs';
+import { hashUploadData } from './report';
 import {
   getCurrentUploadJob,
+  getFailedUploadItems,
   getNextDroneFromUploadQueue,
+  getNextQueuedUploadJob,
   getUploadItemsBeingProcessed,
   shouldFlashLightsOfFailedUploads,
   shouldRetryFailedUploadsAutomatically,
@@ -35,8 +43,11 @@ import {
   _notifyUploadOnUavSucceeded,
   _notifyUploadFinished,
   _notifyUploadStarted,
+  _recordUploadResultForUAV,
   _setErrorMessageForUAV,
   _setProgressInfoForUAV,
+  removeUploadJobFromQueue,
+  setupNextUploadJob,
   startUpload,
 } from './slice';
 
@@ -76,12 +87,16 @@ function* runUploadWorker(chan, failed) {
     }
 
     const { executor, payload, selector, target: uavId } = job;
+    const startedAt = Date.now();
+    let hash;
+
     outcome = undefined;
     storedError = undefined;
 
     try {
       yield put(_notifyUploadOnUavStarted(uavId));
       const data = selector ? yield select(selector, uavId) : undefined;
+      hash = yield call(hashUploadData, payload, data);
       yield call(
         executor,
         { uavId, payload, data },
@@ -97,6 +112,11 @@ function* runUploadWorker(chan, failed) {
       }
     }
 
+    const errorMessage =
+      outcome === 'failure'
+        ? errorToString(storedError.message || storedError)
+        : undefined;
+
     switch (outcome) {
       case 'success':
         yield put(_notifyUploadOnUavSucceeded(uavId));
@@ -105,12 +125,7 @@ function* runUploadWorker(chan, failed) {
       case 'failure':
         failed.push(uavId);
         yield put(_notifyUploadOnUavFailed(uavId));
-        yield put(
-          _setErrorMessageForUAV(
-            uavId,
-            errorToString(storedError.message || storedError)
-          )
-        );
+        yield put(_setErrorMessageForUAV(uavId, errorMessage));
         break;
 
       case 'cancelled':
@@ -121,9 +136,101 @@ function* runUploadWorker(chan, failed) {
         console.warn('Unknown outcome: ' + outcome);
         break;
     }
+
+    if (outcome) {
+      yield put(
+        _recordUploadResultForUAV(uavId, {
+          status: outcome,
+          error: errorMessage,
+          duration: Date.now() - startedAt,
+          hash,
+        })
+      );
+    }
   }
 }
 
+/**
+ * Returns the number of milliseconds to wait before retrying an upload that
+ * has failed the given number of times.
+ */
+const getRetryDelay = (attempts) =>
+  Math.min(
+    UPLOAD_RETRY_BASE_DELAY * 2 ** Math.max(attempts - 1, 0),
+    UPLOAD_RETRY_MAX_DELAY
+  );
+
+/**
+ * Creates an object that keeps track of the automatic retries of the uploads
+ * that failed in the current upload session: the number of failed attempts
+ * and the time of the next retry for each UAV, and the UAVs that we gave up
+ * on.
+ */
+function createRetrySchedule() {
+  const attempts = new Map();
+  const retryAt = new Map();
+  const gaveUp = new Set();
+
+  return {
+    /**
+     * Schedules a retry for each of the given UAVs with an exponentially
+     * increasing delay, or gives up on them if they failed too many times.
+     */
+    add(uavIds, now) {
+      for (const uavId of uavIds) {
+        const attemptCount = (attempts.get(uavId) ?? 0) + 1;
+        attempts.set(uavId, attemptCount);
+        if (attemptCount < MAX_UPLOAD_ATTEMPTS) {
+          retryAt.set(uavId, now + getRetryDelay(attemptCount));
+        } else {
+          gaveUp.add(uavId);
+        }
+      }
+    },
+
+    /**
+     * Gives up on all the retries that are still pending.
+     */
+    cancel() {
+      for (const uavId of retryAt.keys()) {
+        gaveUp.add(uavId);
+      }
+
+      retryAt.clear();
+    },
+
+    /**
+     * Returns whether there are retries that are still pending.
+     */
+    hasPending: () => retryAt.size > 0,
+
+    /**
+     * Returns whether we gave up on any of the given UAVs.
+     */
+    hasGivenUpOnAny: (uavIds) => uavIds.some((uavId) => gaveUp.has(uavId)),
+
+    /**
+     * Removes the UAVs whose retry is due at the given time from the schedule
+     * and returns them.
+     */
+    takeDue(now) {
+      const result = [];
+      for (const [uavId, time] of retryAt.entries()) {
+        if (time <= now) {
+          result.push(uavId);
+        }
+      }
+
+      for (const uavId of result) {
+        retryAt.delete(uavId);
+        gaveUp.delete(uavId);
+      }
+
+      return result;
+    },
+  };
+}
+
 /**
  * Saga that manages the execution of an upload operation to multiple drones
  * with a set of worker sagas forked off from the main uploader saga.
@@ -141,6 +248,8 @@ function* forkingWorkerManagementSaga(spec, job, { workerCount = 8 } = {}) {
   const failed = [];
   const workers = [];
 
+  const retries = createRetrySchedule();
+
   let finished = false;
   let success = false;
 
@@ -173,28 +282,42 @@ function* forkingWorkerManagementSaga(spec, job, { workerCount = 8 } = {}) {
 
       // No job in the upload queue. If there are jobs that failed _in this
       // session_ and the user wants to retry failed jobs automatically, it
-      // is time to put them back in the queue.
+      // is time to schedule them for a retry, with an exponentially
+      // increasing delay between consecutive attempts.
       const shouldRetry = yield select(shouldRetryFailedUploadsAutomatically);
-      if (shouldRetry && failed.length > 0) {
-        const toEnqueue = [...failed];
+      const now = Date.now();
+
+      if (shouldRetry) {
+        retries.add(failed, now);
         failed.length = 0;
+      } else {
+        // The user may have switched off automatic retries while some
+        // retries were still pending
+        retries.cancel();
+      }
 
+      const toEnqueue = retries.takeDue(now);
+      if (toEnqueue.length > 0) {
         // Do not call retryFailedUploads() here because that would retry
         // _all_ failed uploads, even the ones that failed in a previous
         // session
         yield put(_enqueueFailedUploads(toEnqueue));
       } else {
-        // No failed jobs or we don't want to restart them automatically.
-        // Let's check whether there are any jobs still in progress; we need
-        // to wait for them to complete because the user may still check
-        // the "Retry failed uploads" checkbox any time.
+        // No failed jobs to restart now. Let's check whether there are any
+        // jobs still in progress or waiting for a retry; we need to wait for
+        // them to complete because the user may still check the "Retry
+        // failed uploads" checkbox any time.
         const itemsBeingProcessed = yield select(getUploadItemsBeingProcessed);
-        if (itemsBeingProcessed.length > 0) {
+        if (itemsBeingProcessed.length > 0 || retries.hasPending()) {
           // Wait a bit; there's no point in busy waiting.
           yield delay(500);
         } else {
+          // UAVs that we gave up on count as failures unless the user has
+          // retried them manually in the meanwhile
+          const failedItems = yield select(getFailedUploadItems);
           finished = true;
-          success = failed.length === 0;
+          success =
+            failed.length === 0 && !retries.hasGivenUpOnAny(failedItems);
         }
       }
     }
@@ -214,19 +337,21 @@ function* forkingWorkerManagementSaga(spec, job, { workerCount = 8 } = {}) {
 /**
  * Saga that starts an upload saga and waits for either the upload saga to
  * finish, or a cancellation action.
+ *
+ * @returns whether the upload finished successfully
  */
 function* uploaderSagaWithCancellation() {
   const job = yield select(getCurrentUploadJob);
   if (!job.type) {
     console.warn('No job type was specified for upload job, skipping');
-    return;
+    return false;
   }
 
   const spec = getSpecificationForJobType(job.type);
   if (!spec) {
     // Unknown job type
     console.warn(`Unknown job type: ${job.type}, skipping`);
-    return;
+    return false;
   }
 
   yield put(_notifyUploadStarted());
@@ -243,14 +368,38 @@ function* uploaderSagaWithCancellation() {
         success: Boolean(success),
       })
     );
+    return Boolean(success) && !cancelled;
   } catch (error) {
     handleError(error, 'Upload operation');
     yield put(_notifyUploadFinished({ cancelled: false, success: false }));
+    return false;
+  }
+}
+
+/**
+ * Saga that runs the current upload job, and then the jobs waiting in the
+ * job queue one by one for as long as the previous job finishes successfully.
+ * The jobs remaining in the queue after a failed or cancelled job are kept so
+ * the user can decide what to do with them.
+ */
+function* uploadJobQueueSaga() {
+  let success = yield call(uploaderSagaWithCancellation);
+
+  while (success) {
+    const nextJob = yield select(getNextQueuedUploadJob);
+    if (!nextJob) {
+      break;
+    }
+
+    const { id, type, payload, targets } = nextJob;
+    yield put(removeUploadJobFromQueue(id));
+    yield put(setupNextUploadJob({ type, payload, targets }));
+    success = yield call(uploaderSagaWithCancellation);
   }
 }
 
 const startUploadActionListenerSaga = createActionListenerSaga({
-  [startUpload]: uploaderSagaWithCancellation,
+  [startUpload]: uploadJobQueueSaga,
 });
 
 /**
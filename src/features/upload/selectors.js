@@ -43,6 +43,34 @@ export const getFailedUploadItems = (state) => state.upload.queues.failedItems;
 export const getLastUploadResultByJobType = (state, type) =>
   type ? state.upload.history.byId[type]?.result : null;
 
+/**
+ * Returns the history item of the last job with the given type, or null if
+ * there was no job with the given type yet.
+ */
+export const getLastUploadJobByJobType = (state, type) =>
+  (type ? state.upload.history.byId[type] : null) ?? null;
+
+/**
+ * Returns whether a per-UAV report is available for the last job with the
+ * given type.
+ */
+export const hasUploadReportForJobType = (state, type) => {
+  const report = getLastUploadJobByJobType(state, type)?.report;
+  return Boolean(report) && Object.keys(report).length > 0;
+};
+
+/**
+ * Returns the upload jobs waiting in the job queue to be started after the
+ * current job, in the order they will be executed.
+ */
+export const getQueuedUploadJobs = (state) => state.upload.jobQueue ?? [];
+
+/**
+ * Returns the next upload job from the job queue, or undefined if the job
+ * queue is empty.
+ */
+export const getNextQueuedUploadJob = (state) => getQueuedUploadJobs(state)[0];
+
 /**
  * Returns the upload items that are either already sent to a worker or that
  * are being processed by a worker. These items are the ones where the user
@@ -4,14 +4,24 @@
  */
 
 import { type Action, createSlice, type PayloadAction } from '@reduxjs/toolkit';
+import { nanoid } from 'nanoid';
 
-import { SHOW_UPLOAD_JOB } from '~/features/show/constants';
+import {
+  SHOW_UPLOAD_JOB,
+  SHOW_VERIFICATION_JOB,
+} from '~/features/show/constants';
 import { _clearLoadedShow } from '~/features/show/slice';
 import type UAV from '~/model/uav';
 import { type Collection, replaceItemOrAddToFront } from '~/utils/collections';
 import { noPayload } from '~/utils/redux';
 
-import { type JobPayload, type UploadJob } from './types';
+import {
+  type JobPayload,
+  type QueuedUploadJob,
+  type UploadJob,
+  type UploadReport,
+  type UploadReportItem,
+} from './types';
 import {
   clearLastUploadResultForJobTypeHelper,
   clearQueues,
@@ -39,8 +49,23 @@ export type UploadSliceState = {
 
     /** Whether the job is running or not */
     running: boolean;
+
+    /** Timestamp when the job was started for the first time */
+    startedAt?: number;
+
+    /**
+     * Outcome of the job for each UAV that it was attempted on so far; kept
+     * when the job is restarted for some of the UAVs
+     */
+    report: UploadReport;
   };
 
+  /**
+   * Upload jobs that are waiting to be started after the current job has
+   * finished successfully, in the order they should be executed.
+   */
+  jobQueue: QueuedUploadJob[];
+
   /**
    * History of recent upload jobs. Each upload job has a _type_ and a
    * _hash_; the type identifies the type of the job (e.g., show upload,
@@ -91,8 +116,12 @@ const initialState: UploadSliceState = {
     type: undefined,
     payload: undefined,
     running: false,
+    startedAt: undefined,
+    report: {},
   },
 
+  jobQueue: [],
+
   history: {
     order: [],
     byId: {},
@@ -132,6 +161,10 @@ const { actions, reducer } = createSlice({
       }
     },
 
+    clearUploadJobQueue: noPayload<UploadSliceState>((state) => {
+      state.jobQueue = [];
+    }),
+
     clearUploadQueue: noPayload<UploadSliceState>((state) => {
       state.queues.itemsWaitingToStart = [];
     }),
@@ -144,11 +177,26 @@ const { actions, reducer } = createSlice({
       state.dialog.showLastUploadResult = false;
     }),
 
+    enqueueUploadJob: {
+      prepare: ({ type, payload, targets }: Omit<QueuedUploadJob, 'id'>) => ({
+        payload: { id: nanoid(8), type, payload, targets },
+      }),
+      reducer(state, action: PayloadAction<QueuedUploadJob>) {
+        state.jobQueue.push(action.payload);
+      },
+    },
+
     putUavsInWaitingQueue: ensureItemsInQueue({
       target: 'itemsWaitingToStart',
       doNotMoveWhenIn: ['itemsQueued', 'itemsInProgress'],
     }),
 
+    removeUploadJobFromQueue(state, action: PayloadAction<string>) {
+      state.jobQueue = state.jobQueue.filter(
+        (job) => job.id !== action.payload
+      );
+    },
+
     removeUavsFromWaitingQueue: ensureItemsInQueue({
       target: undefined,
       doNotMoveWhenIn: ['itemsQueued', 'itemsInProgress'],
@@ -172,6 +220,8 @@ const { actions, reducer } = createSlice({
 
       state.currentJob.type = type;
       state.currentJob.payload = jobPayload;
+      state.currentJob.startedAt = undefined;
+      state.currentJob.report = {};
 
       clearQueues(state);
 
@@ -220,8 +270,19 @@ const { actions, reducer } = createSlice({
           id: state.currentJob.type,
           payload: state.currentJob.payload,
           result: cancelled ? 'cancelled' : success ? 'success' : 'error',
+          report: { ...state.currentJob.report },
+          startedAt: state.currentJob.startedAt,
+          finishedAt: Date.now(),
         };
         replaceItemOrAddToFront(state.history, historyItem);
+
+        // Uploading the show again invalidates the last verification result
+        if (state.currentJob.type === SHOW_UPLOAD_JOB.type) {
+          clearLastUploadResultForJobTypeHelper(
+            state,
+            SHOW_VERIFICATION_JOB.type
+          );
+        }
       }
 
       // Trigger the dialog box to show the result
@@ -231,6 +292,9 @@ const { actions, reducer } = createSlice({
     _notifyUploadStarted(state) {
       // Start the upload
       state.currentJob.running = true;
+      if (state.currentJob.startedAt === undefined) {
+        state.currentJob.startedAt = Date.now();
+      }
 
       // Hide the result of the last upload task in the dialog box
       state.dialog.showLastUploadResult = false;
@@ -261,6 +325,26 @@ const { actions, reducer } = createSlice({
       target: 'itemsFinished',
     }),
 
+    _recordUploadResultForUAV: {
+      reducer(
+        state,
+        action: PayloadAction<
+          { uavId: UAV['id'] } & Omit<UploadReportItem, 'attempts'>
+        >
+      ) {
+        const { uavId, ...result } = action.payload;
+        const attempts = (state.currentJob.report[uavId]?.attempts ?? 0) + 1;
+        state.currentJob.report[uavId] = { ...result, attempts };
+      },
+
+      prepare: (
+        uavId: UAV['id'],
+        result: Omit<UploadReportItem, 'attempts' | 'finishedAt'>
+      ) => ({
+        payload: { uavId, ...result, finishedAt: Date.now() },
+      }),
+    },
+
     _setErrorMessageForUAV: {
       reducer(
         state,
@@ -363,6 +447,7 @@ const { actions, reducer } = createSlice({
   extraReducers(builder) {
     builder.addCase(_clearLoadedShow, (state) => {
       clearLastUploadResultForJobTypeHelper(state, SHOW_UPLOAD_JOB.type);
+      clearLastUploadResultForJobTypeHelper(state, SHOW_VERIFICATION_JOB.type);
     });
   },
 });
@@ -370,9 +455,11 @@ const { actions, reducer } = createSlice({
 export const {
   cancelUpload,
   clearLastUploadResultForJobType,
+  clearUploadJobQueue,
   clearUploadQueue,
   closeUploadDialog,
   dismissLastUploadResult,
+  enqueueUploadJob,
   _enqueueFailedUploads,
   _enqueueSuccessfulUploads,
   _notifyUploadFinished,
@@ -382,12 +469,14 @@ export const {
   _notifyUploadOnUavQueued,
   _notifyUploadOnUavStarted,
   _notifyUploadOnUavSucceeded,
+  _recordUploadResultForUAV,
   _setErrorMessageForUAV,
   _setProgressInfoForUAV,
   openUploadDialogForJob,
   openUploadDialogKeepingCurrentJob,
   setupNextUploadJob,
   putUavsInWaitingQueue,
+  removeUploadJobFromQueue,
   removeUavsFromWaitingQueue,
   setUploadAutoRetry,
   setFlashFailed,
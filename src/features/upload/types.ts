@@ -1,9 +1,50 @@
+import type UAV from '~/model/uav';
 import { type Identifier } from '~/utils/collections';
 
 export type JobPayload = unknown;
 
+/**
+ * Outcome of an upload job for a single UAV, as shown in the per-UAV report
+ * of the job.
+ */
+export type UploadReportItem = {
+  /** Outcome of the last attempt */
+  status: 'success' | 'failure' | 'cancelled';
+
+  /** Error message of the last attempt if it failed */
+  error?: string;
+
+  /** Number of attempts made so far */
+  attempts: number;
+
+  /** Duration of the last attempt, in milliseconds */
+  duration: number;
+
+  /** Hash of the data that was uploaded in the last attempt, if known */
+  hash?: string;
+
+  /** Timestamp when the last attempt finished, in milliseconds */
+  finishedAt: number;
+};
+
+export type UploadReport = Record<UAV['id'], UploadReportItem>;
+
 export type UploadJob = {
   id: Identifier;
   payload: JobPayload;
   result: 'success' | 'error' | 'cancelled';
+  report?: UploadReport;
+  startedAt?: number;
+  finishedAt?: number;
+};
+
+/**
+ * Upload job that is waiting in the job queue to be started after the jobs
+ * before it have finished.
+ */
+export type QueuedUploadJob = {
+  id: Identifier;
+  type: string;
+  payload?: JobPayload;
+  targets: Array<UAV['id']>;
 };
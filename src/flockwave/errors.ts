@@ -1,5 +1,6 @@
 /**
- * @file Functions related to the handling of Flockwave error codes.
+ * @file Functions related to the handling of Flockwave error codes and of
+ * errors returned by the server.
  */
 
 import { Severity as ModelSeverity } from '~/model/enums';
@@ -51,3 +52,25 @@ export function errorSeverityToSemantics(severity: Severity): ModelSeverity {
 export function errorCodeToSemantics(code: ErrorCode): ModelSeverity {
   return errorSeverityToSemantics(getSeverityOfErrorCode(code));
 }
+
+/**
+ * Error class thrown when the target of a command execution request does not
+ * know the command that it was asked to execute.
+ */
+export class UnsupportedCommandError extends Error {
+  command: string;
+
+  constructor(command: string, message?: string) {
+    super(message ?? `Command not supported: ${command}`);
+    this.command = command;
+  }
+}
+
+/**
+ * Returns whether the given error, received in response to a command
+ * execution request, means that the target does not know the command.
+ */
+export const isUnknownCommandError = (error: unknown): boolean =>
+  /unknown command|no such command|not (?:supported|implemented)/i.test(
+    error instanceof Error ? error.message : String(error)
+  );
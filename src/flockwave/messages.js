@@ -1220,7 +1220,8 @@ export default class MessageHub {
     }
 
     this._notificationHandlers[type].splice(
-      this._notificationHandlers[type].indexOf(handler)
+      this._notificationHandlers[type].indexOf(handler),
+      1
     );
   }
 
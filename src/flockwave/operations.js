@@ -7,6 +7,7 @@ import {
   createFirmwareUploadRequest,
   createParameterSettingRequest,
 } from './builders';
+import { isUnknownCommandError, UnsupportedCommandError } from './errors';
 import { extractResponseForId } from './parsing';
 import { validateExtensionName, validateObjectId } from './validation';
 
@@ -49,6 +50,46 @@ export async function reloadExtension(hub, name) {
   return Boolean(status);
 }
 
+/**
+ * Sends a command to the docking station with the given ID and returns the
+ * response of the dock.
+ *
+ * NOTE: the `door`, `charge`, `schedule` and `unschedule` commands are not
+ * part of the Flockwave protocol; they are provided by the server extension
+ * that drives the docking station, and not all docks implement them. Replies
+ * saying that the command is unknown are therefore reported as an
+ * `UnsupportedCommandError` instead of a generic failure.
+ */
+async function sendDockCommand(hub, { dockId, command, args, kwds }, failure) {
+  validateObjectId(dockId);
+
+  try {
+    return await hub.sendCommandRequest({ uavId: dockId, command, args, kwds });
+  } catch (error) {
+    if (isUnknownCommandError(error)) {
+      throw new UnsupportedCommandError(
+        command,
+        `${failure} on dock ${dockId}: command not supported by this dock`
+      );
+    }
+
+    throw new Error(
+      errorToString(error.message || error, `${failure} on dock ${dockId}`)
+    );
+  }
+}
+
+/**
+ * Asks a docking station to cancel a previously scheduled mission.
+ */
+export async function cancelScheduledDockMission(hub, { dockId, missionId }) {
+  await sendDockCommand(
+    hub,
+    { dockId, command: 'unschedule', args: [String(missionId)] },
+    'Failed to cancel scheduled mission'
+  );
+}
+
 /**
  * Asks the server to reset the UAV with the given ID.
  */
@@ -61,6 +102,23 @@ export async function resetUAV(hub, uavId) {
   }
 }
 
+/**
+ * Asks a docking station to schedule a mission.
+ *
+ * @param {Object} options
+ * @param {string} options.dockId  ID of the docking station
+ * @param {string} options.name  human-readable name of the mission
+ * @param {number} options.startTime  the scheduled start of the mission, as
+ *        a UNIX timestamp in seconds
+ */
+export async function scheduleDockMission(hub, { dockId, name, startTime }) {
+  await sendDockCommand(
+    hub,
+    { dockId, command: 'schedule', kwds: { name, start: startTime } },
+    'Failed to schedule mission'
+  );
+}
+
 /**
  * Sends some debugging information to the server.
  */
@@ -71,6 +129,17 @@ export async function sendDebugMessage(hub, message) {
   });
 }
 
+/**
+ * Asks a docking station to open or close its door.
+ */
+export async function setDockDoorState(hub, { dockId, open }) {
+  await sendDockCommand(
+    hub,
+    { dockId, command: 'door', args: [open ? 'open' : 'close'] },
+    `Failed to ${open ? 'open' : 'close'} door`
+  );
+}
+
 /**
  * Sets the value of a parameter on a single UAV.
  */
@@ -148,6 +217,18 @@ export async function startRTKSurvey(hub, { accuracy, duration }) {
   }
 }
 
+/**
+ * Asks a docking station to start charging the drone on one of its landing
+ * pads.
+ */
+export async function startChargingOnDockPad(hub, { dockId, padId }) {
+  await sendDockCommand(
+    hub,
+    { dockId, command: 'charge', args: [String(padId)] },
+    'Failed to start charging'
+  );
+}
+
 /**
  * Asks the server to upload a drone show specification to a given UAV.
  */
@@ -270,15 +351,19 @@ export async function planMission(hub, { id, parameters }) {
  */
 export class OperationExecutor {
   _operations = {
+    cancelScheduledDockMission,
     configureExtension,
     planMission,
     reloadExtension,
     resetUAV,
+    scheduleDockMission,
     sendDebugMessage,
+    setDockDoorState,
     setParameter,
     setRTKCorrectionsSource,
     setShowConfiguration,
     setShowLightConfiguration,
+    startChargingOnDockPad,
     startRTKSurvey,
     uploadDroneShow,
     uploadFirmware,
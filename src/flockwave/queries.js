@@ -11,8 +11,9 @@ import { toScaledJSONFromLonLat } from '~/utils/geography';
 
 import { errorToString } from '~/error-handling';
 
+import { isUnknownCommandError, UnsupportedCommandError } from './errors';
 import { extractResponseForId } from './parsing';
-import { validateExtensionName } from './validation';
+import { validateExtensionName, validateObjectId } from './validation';
 
 /**
  * Returns the basic properties of the beacons with the given IDs.
@@ -61,6 +62,53 @@ export async function getConfigurationOfExtension(hub, name) {
   });
 }
 
+/**
+ * Asks a UAV for the hash of the show specification that is currently stored
+ * on it.
+ *
+ * NOTE: The `__show_hash` command is not provided by any released version of
+ * the server yet; this function describes the contract that the server side
+ * is expected to implement. Targets that do not know the command make this
+ * function throw an UnsupportedCommandError.
+ *
+ * @returns {Promise<string|null>} the hash of the show data on the UAV as a
+ *          lowercase hexadecimal string, or null if the UAV has no show
+ */
+export async function getDroneShowHash(hub, uavId, options) {
+  validateObjectId(uavId);
+
+  // HACK: we are (ab)using the command execution mechanism, just like when
+  // uploading the show itself
+  let response;
+
+  try {
+    response = await hub.sendCommandRequest(
+      { uavId, command: '__show_hash' },
+      options
+    );
+  } catch (error) {
+    if (isUnknownCommandError(error)) {
+      throw new UnsupportedCommandError(
+        '__show_hash',
+        `UAV ${uavId} does not support show verification`
+      );
+    }
+
+    throw new Error(
+      errorToString(
+        error.message || error,
+        `Failed to retrieve show hash from UAV ${uavId}`
+      )
+    );
+  }
+
+  const hash =
+    response && typeof response === 'object' ? response.hash : response;
+  return typeof hash === 'string' && hash.length > 0
+    ? hash.toLowerCase()
+    : null;
+}
+
 /**
  * Returns the list of firmware updatable objects from the server.
  */
@@ -402,6 +450,7 @@ export class QueryHandler {
   _queries = {
     getBasicBeaconProperties,
     getConfigurationOfExtension,
+    getDroneShowHash,
     getFirmwareUpdateObjects,
     getFirmwareUpdateTargets,
     getFlightLog,
@@ -20,9 +20,11 @@ import {
 } from './model/connections';
 import { handleObjectDeletionMessage } from './model/objects';
 
+import { addLogItems } from './features/log/slice';
 import { batchAddInboundMessages } from './features/messages/slice';
 import { showError, showNotification } from './features/snackbar/actions';
 import { semanticsFromSeverity } from './features/snackbar/utils';
+import { logLevelForSeverity } from './utils/logging';
 
 import flock from './flock';
 import store from './store';
@@ -61,6 +63,18 @@ messageHub.registerNotificationHandlers({
       batch(() => {
         const fromUAV = [];
 
+        // All system messages are recorded in the application log as well
+        dispatch(
+          addLogItems(
+            message.body.items.map((item) => ({
+              auxiliaryId: isEmpty(item.sender) ? '' : String(item.sender),
+              level: logLevelForSeverity(item.severity),
+              message: item.message,
+              module: isEmpty(item.sender) ? 'server' : 'UAV',
+            }))
+          )
+        );
+
         for (const item of message.body.items) {
           if (isEmpty(item.sender)) {
             // This message came directly from the server so we show it as a
@@ -1,11 +1,92 @@
+import isNil from 'lodash-es/isNil';
 import isUndefined from 'lodash-es/isUndefined';
 import mapValues from 'lodash-es/mapValues';
 import omitBy from 'lodash-es/omitBy';
 
 import { setDockStateMultiple } from '~/features/docks/slice';
+import {
+  DockChargingStatus,
+  DockDoorState,
+  DockMissionStatus,
+} from '~/features/docks/types';
 
 import { mapPosition } from './beacons';
 
+const mapEnum = (value, enumType, fallback) =>
+  Object.values(enumType).includes(value) ? value : fallback;
+
+const mapLandingPad = ({ id, occupied, uav, charging }) => ({
+  id: String(id),
+  occupied: Boolean(occupied),
+  uavId: isNil(uav) ? undefined : String(uav),
+  charging: {
+    status: mapEnum(
+      charging?.status,
+      DockChargingStatus,
+      DockChargingStatus.IDLE
+    ),
+    voltage: charging?.voltage,
+    timeToFull: charging?.timeToFull,
+  },
+});
+
+const mapScheduledMission = ({
+  id,
+  name,
+  start,
+  status,
+  duration,
+  reason,
+}) => ({
+  id: String(id),
+  name: name ?? String(id),
+  startTime: start,
+  status: mapEnum(status, DockMissionStatus, DockMissionStatus.SCHEDULED),
+  duration,
+  reason,
+});
+
+const mapStorageVolume = ({ device, label, used, free }) => ({
+  device,
+  label,
+  used,
+  free,
+});
+
+const mapArray = (items, mapper) =>
+  Array.isArray(items) ? items.map(mapper) : undefined;
+
+/**
+ * Maps a dock status object received from the server (either in a DOCK-INF
+ * message or from the device tree) into the format expected by our Redux
+ * actions. Keys for which the values are not provided by the server are
+ * omitted.
+ *
+ * @param  {Object} status  the status object of the dock from the server
+ * @return {Object} the status object in the format used in the state store
+ */
+export const mapDockStatus = ({
+  door,
+  pads,
+  position,
+  schedule,
+  storage,
+  temperature,
+}) =>
+  omitBy(
+    {
+      door: isUndefined(door)
+        ? undefined
+        : mapEnum(door, DockDoorState, DockDoorState.UNKNOWN),
+      pads: mapArray(pads, mapLandingPad),
+      position: mapPosition(position),
+      schedule: mapArray(schedule, mapScheduledMission),
+      storage: mapArray(storage, mapStorageVolume),
+      temperature,
+    },
+    isUndefined
+  );
+
 /**
  * Handles a DOCK-INF message from a Skybrush server and updates the
  * state of the Redux store appropriately.
@@ -14,19 +95,10 @@ import { mapPosition } from './beacons';
  * @param  {function} dispatch  the dispatch function of the Redux store
  */
 export function handleDockInformationMessage(body, dispatch) {
-  // Map the status objects from the server into the format expected
-  // by our Redux actions. Omit keys for which the values are not
-  // provided by the server.
-
-  const states = mapValues(body.status, ({ id, position }) =>
-    omitBy(
-      {
-        id,
-        position: mapPosition(position),
-      },
-      isUndefined
-    )
-  );
+  const states = mapValues(body.status, (status) => ({
+    id: status.id,
+    ...mapDockStatus(status),
+  }));
 
   dispatch(setDockStateMultiple(states));
 }
@@ -83,6 +83,14 @@ const lonLatsFromMapViewCoordinates = (cs) =>
  */
 export function createFeaturesFromOpenLayersGeometry(olGeometry) {
   const type = olGeometry.getType();
+
+  if (type === 'GeometryCollection') {
+    // Geometry collections have no coordinates on their own
+    return olGeometry
+      .getGeometries()
+      .flatMap(createFeaturesFromOpenLayersGeometry);
+  }
+
   const coordinates = olGeometry.getCoordinates();
 
   switch (type) {
@@ -94,6 +102,14 @@ export function createFeaturesFromOpenLayersGeometry(olGeometry) {
         },
       ];
 
+    case 'MultiPoint':
+      return [
+        {
+          type: FeatureType.POINTS,
+          points: lonLatsFromMapViewCoordinates(coordinates),
+        },
+      ];
+
     case 'Circle': {
       const center = olGeometry.getCenter();
       return [
@@ -115,6 +131,11 @@ export function createFeaturesFromOpenLayersGeometry(olGeometry) {
         },
       ];
 
+    case 'MultiLineString':
+      return olGeometry
+        .getLineStrings()
+        .flatMap(createFeaturesFromOpenLayersGeometry);
+
     case 'Polygon': {
       return (
         // Normalize the polygon by correcting overlapping or external holes
@@ -6,13 +6,22 @@ import config from 'config';
 
 import { all } from 'redux-saga/effects';
 
+import alertRulesSaga from '~/features/alert/saga';
 import beaconSaga from '~/features/beacons/saga';
+import calloutsSaga from '~/features/callouts/saga';
+import collisionAnalysisSaga from '~/features/collision-analysis/saga';
 import hotkeySaga from '~/features/hotkeys/saga';
 import localServerSaga from '~/features/local-server/saga';
+import logPersistenceSaga from '~/features/log/saga';
+import { getLogStorage } from '~/features/log/storage';
+import manualControlSaga from '~/features/manual-control/saga';
 import measurementSaga from '~/features/measurement/saga';
+import replaySaga from '~/features/recording/saga';
 import serversSaga from '~/features/servers/saga';
 import showSaga from '~/features/show/saga';
 import sessionSaga from '~/features/session/saga';
+import simulationSaga from '~/features/simulation/saga';
+import telemetryHistorySaga from '~/features/telemetry-history/saga';
 import threeDViewSaga from '~/features/three-d/saga';
 import tourSaga from '~/features/tour/saga';
 import uavManagementSaga from '~/features/uavs/saga';
@@ -28,12 +37,20 @@ import onboardingSaga from './onboarding';
  */
 export default function* rootSaga() {
   const { localServer } = (window ? window.bridge : null) || {};
+  const logStorage = getLogStorage();
   const sagas = [
+    alertRulesSaga(),
+    calloutsSaga(),
+    collisionAnalysisSaga(),
     hotkeySaga(),
+    manualControlSaga(),
     measurementSaga(),
     onboardingSaga(),
+    replaySaga(),
     serversSaga(),
     showSaga(),
+    simulationSaga(),
+    telemetryHistorySaga(),
     threeDViewSaga(),
     uavManagementSaga(flock),
     uploadSaga(),
@@ -44,6 +61,10 @@ export default function* rootSaga() {
     sagas.push(localServerSaga(localServer.search));
   }
 
+  if (logStorage) {
+    sagas.push(logPersistenceSaga(logStorage));
+  }
+
   if (hasFeature('beacons')) {
     sagas.push(beaconSaga());
   }
@@ -19,16 +19,20 @@ import {
   createFilter,
 } from 'redux-persist-transform-filter';
 
+import { createHistoryMiddleware } from '~/features/history/middleware';
 import { updateAveragingByIds } from '~/features/measurement/slice';
 import { shouldPreventSleepMode } from '~/features/power-saving/selectors';
+import { setReplayPosition } from '~/features/recording/slice';
 import { updateRTKStatistics } from '~/features/rtk/slice';
 import { showAppSettingsDialog } from '~/features/settings/actions';
 import { loadingPromiseFulfilled } from '~/features/show/slice';
+import { setSimulationPosition } from '~/features/simulation/slice';
+import { setElevationModel } from '~/features/terrain/slice';
 import { updateAgesOfUAVs, updateUAVs } from '~/features/uavs/slice';
 import { saveWorkbenchState } from '~/features/workbench/slice';
 import reducer from './reducers';
 
-import migrations from './migrations';
+import migrations, { STATE_VERSION } from './migrations';
 import { defaultStateReconciler, pristineReconciler } from './reconciler';
 import { bindSelectors } from './subscriptions';
 
@@ -44,13 +48,12 @@ import { bindSelectors } from './subscriptions';
 const persistConfig = {
   key: 'flockwave-client',
   storage: window.bridge ? window.bridge.createStateStore() : localForage,
-  version: 3,
+  version: STATE_VERSION,
   migrate: migrations,
   stateReconciler: defaultStateReconciler,
 
   // do not store the following slices of the state in the storage
   blacklist: [
-    'alert',
     'beacons',
     'clocks',
     'connections',
@@ -58,13 +61,16 @@ const persistConfig = {
     'detachablePanels',
     'docks',
     'firmwareUpdate',
+    'history',
     'localServer',
     'log',
     'logDownload',
     'messages',
+    'recording',
     'rtk',
     'servers',
     'session',
+    'simulation',
     'snackbar',
     'uavs',
     'weather',
@@ -74,6 +80,14 @@ const persistConfig = {
   throttle: 1000 /* msec */,
 
   transforms: [
+    // Alert rules are stored, but muting and the alerts themselves should be
+    // reset on reload
+    createFilter('alert', ['rules']),
+
+    // Store only the settings of the collision analysis; the result is
+    // recalculated when the show is loaded again
+    createFilter('collisionAnalysis', ['settings']),
+
     // store the state of only the given dialogs
     createFilter('dialogs', [
       'appSettings',
@@ -87,6 +101,10 @@ const persistConfig = {
     // The pending UAV Id overlay should be temporary and reset on reload
     createBlacklistFilter('hotkeys', ['pendingUAVId']),
 
+    // Manual control must never resume after a reload; only its settings are
+    // stored
+    createFilter('manualControl', ['settings']),
+
     // We do not wish to store the state of the license check, only whether the
     // license info dialog is open
     createFilter('licenseInfo', ['dialog']),
@@ -107,7 +125,8 @@ const persistConfig = {
     createBlacklistFilter('preflight', ['checked']),
 
     // Most of the stuff in the 'show' slice is temporary as we unload the
-    // show when refreshing the page
+    // show when refreshing the page. Imported scenery files are stored
+    // separately; the environment refers to them by their IDs only.
     createFilter('show', ['environment']),
 
     // Store only the persistent settings of the upload procedure
@@ -115,6 +134,10 @@ const persistConfig = {
 
     // We do not wish to save 3D view tooltips, camera pose or the scene ID
     createBlacklistFilter('threeD', ['camera', 'tooltip', 'sceneId']),
+
+    // Elevation models are too large to be stored; they need to be loaded
+    // again after a restart
+    createBlacklistFilter('terrain', ['elevationModel']),
   ],
 };
 
@@ -146,6 +169,11 @@ const promiseMiddleware = createPromise({
   promiseTypeSuffixes: ['Pending', 'Fulfilled', 'Rejected'],
 });
 
+/**
+ * Redux middleware that records the undoable changes of the state.
+ */
+const historyMiddleware = createHistoryMiddleware();
+
 /**
  * Redux middleware that manages long-running background processes.
  */
@@ -171,17 +199,26 @@ const store = configureStore({
           isError(value),
 
         // Checking the action dispatched when a show was loaded successfully
-        // takes a long time and it should not be necessary anyway
+        // takes a long time and it should not be necessary anyway; the same
+        // applies to elevation models, which are stored in typed arrays
         ignoredActions: [
           String(loadingPromiseFulfilled),
           String(saveWorkbenchState),
+          String(setElevationModel),
         ],
 
         // Checking the show specification takes a long time and it should not
-        // be necessary anyway; same for the workbench state
-        ignoredPaths: ['show.data', 'workbench'],
+        // be necessary anyway; same for the workbench state, the elevation
+        // model and the undo history, which consists of earlier copies of
+        // checked parts of the state
+        ignoredPaths: [
+          'history',
+          'show.data',
+          'terrain.elevationModel',
+          'workbench',
+        ],
       },
-    }).concat(debouncer, promiseMiddleware, sagaMiddleware),
+    }).concat(debouncer, promiseMiddleware, historyMiddleware, sagaMiddleware),
   devTools:
     // eslint-disable-next-line node/prefer-global/process
     process.env.NODE_ENV === 'production'
@@ -191,6 +228,8 @@ const store = configureStore({
             updateAgesOfUAVs.type,
             updateAveragingByIds.type,
             updateRTKStatistics.type,
+            setReplayPosition.type,
+            setSimulationPosition.type,
             updateUAVs.type,
           ],
 
@@ -9,8 +9,24 @@ import {
   LIPO_LOW_VOLTAGE_THRESHOLD,
 } from '~/model/constants';
 
-const migrations = {
+/**
+ * The current version of the persisted state. Increase this and add a new
+ * migration below whenever the structure of the persisted state changes.
+ */
+export const STATE_VERSION = 3;
+
+/**
+ * Migrations that bring the persisted state from the previous version to the
+ * version used as the key. Each migration must tolerate partial state objects
+ * as they are also used to upgrade the settings profiles exported by older
+ * versions of the application.
+ */
+export const migrations = {
   2: createNextState((state) => {
+    if (!state.settings) {
+      return;
+    }
+
     state.settings.uavs = {
       ...state.settings.uavs,
       defaultBatteryCellCount: DEFAULT_BATTERY_CELL_COUNT,
@@ -20,7 +36,7 @@ const migrations = {
     };
   }),
   3: createNextState((state) => {
-    if (typeof state.safety.settings.lowBatteryVoltage === 'number') {
+    if (typeof state.safety?.settings?.lowBatteryVoltage === 'number') {
       state.safety.settings.lowBatteryThreshold = {
         type: BatteryThresholdType.VOLTAGE,
         value: state.safety.settings.lowBatteryVoltage,
@@ -29,4 +45,33 @@ const migrations = {
   }),
 };
 
+/**
+ * Upgrades a (possibly partial) state object from the given version to the
+ * current version of the persisted state by applying the migrations one by
+ * one.
+ *
+ * @param {Object} state  the state object to upgrade
+ * @param {number} version  the version of the state object
+ * @returns {Object} the upgraded state object
+ * @throws {Error} if the state object is newer than the current version
+ */
+export function migrateState(state, version) {
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Invalid state version: ${version}`);
+  }
+
+  if (version > STATE_VERSION) {
+    throw new Error(
+      `State version ${version} is newer than the supported version ${STATE_VERSION}`
+    );
+  }
+
+  let result = state;
+  for (let next = version + 1; next <= STATE_VERSION; next++) {
+    result = migrations[next](result);
+  }
+
+  return result;
+}
+
 export default createMigrate(migrations);
@@ -11,14 +11,17 @@ import {
  */
 import appSettingsReducer from '~/features/settings/dialog';
 import authenticationReducer from '~/features/servers/authentication-dialog';
+import batteryForecastReducer from '~/features/battery-forecast/dialog';
 import deauthenticationReducer from '~/features/servers/deauthentication-dialog';
 import dockDetailsDialogReducer from '~/features/docks/details';
 import errorHandlingReducer from '~/features/error-handling/slice';
 import featureEditorReducer from '~/features/map-features/editor';
+import flightLogAnalysisReducer from '~/features/flight-log-analysis/dialog';
 import layerSettingsReducer from '~/features/map/layer-settings-dialog';
 import promptReducer from '~/features/prompt/slice';
 import savedLocationEditorReducer from '~/features/saved-locations/editor';
 import serverSettingsReducer from '~/features/servers/server-settings-dialog';
+import settingsProfileImportReducer from '~/features/settings/profile-import-dialog';
 import uavDetailsDialogReducer from '~/features/uavs/details';
 
 /**
@@ -27,18 +30,22 @@ import uavDetailsDialogReducer from '~/features/uavs/details';
 import alertReducer from '~/features/alert/slice';
 import beaconsReducer from '~/features/beacons/slice';
 import clocksReducer from '~/features/clocks/slice';
+import collisionAnalysisReducer from '~/features/collision-analysis/slice';
 import connectionsReducer from '~/features/connections/slice';
+import countdownReducer from '~/features/countdown/slice';
 import datasetsReducer from '~/features/datasets/slice';
 import detachablePanelsReducer from '~/features/detachable-panels/slice';
 import docksReducer from '~/features/docks/slice';
 import fieldNotesReducer from '~/features/field-notes/slice';
 import firmwareUpdateReducer from '~/features/firmware-update/slice';
+import historyReducer from '~/features/history/slice';
 import hotkeysReducer from '~/features/hotkeys/slice';
 import lcdClockReducer from '~/features/lcd-clock/slice';
 import localServerReducer from '~/features/local-server/slice';
 import licenseInfoReducer from '~/features/license-info/slice';
 import lightControlReducer from '~/features/light-control/slice';
 import logReducer from '~/features/log/slice';
+import manualControlReducer from '~/features/manual-control/slice';
 import mapCachingReducer from '~/features/map-caching/slice';
 import featuresReducer from '~/features/map-features/slice';
 import mapReducer from '~/features/map/slice';
@@ -47,6 +54,7 @@ import messagesReducer from '~/features/messages/slice';
 import missionReducer from '~/features/mission/slice';
 import parametersReducer from '~/features/parameters/slice';
 import preflightReducer from '~/features/preflight/slice';
+import recordingReducer from '~/features/recording/slice';
 import rtkReducer from '~/features/rtk/slice';
 import safetyReducer from '~/features/safety/slice';
 import savedLocationsReducer from '~/features/saved-locations/slice';
@@ -55,6 +63,8 @@ import sessionReducer from '~/features/session/slice';
 import settingsReducer from '~/features/settings/slice';
 import sidebarReducer from '~/features/sidebar/slice';
 import showReducer from '~/features/show/slice';
+import simulationReducer from '~/features/simulation/slice';
+import terrainReducer from '~/features/terrain/slice';
 import threeDReducer from '~/features/three-d/slice';
 import tourReducer from '~/features/tour/slice';
 import logDownloadReducer from '~/features/uavs/log-download';
@@ -72,14 +82,17 @@ import workbenchReducer from '~/features/workbench/slice';
 const dialogsReducer = combineReducers({
   appSettings: appSettingsReducer,
   authentication: authenticationReducer,
+  batteryForecast: batteryForecastReducer,
   deauthentication: deauthenticationReducer,
   dockDetails: dockDetailsDialogReducer,
   error: errorHandlingReducer,
   featureEditor: featureEditorReducer,
+  flightLogAnalysis: flightLogAnalysisReducer,
   layerSettings: layerSettingsReducer,
   prompt: promptReducer,
   savedLocationEditor: savedLocationEditorReducer,
   serverSettings: serverSettingsReducer,
+  settingsProfileImport: settingsProfileImportReducer,
   uavDetails: uavDetailsDialogReducer,
 });
 
@@ -90,7 +103,9 @@ const reducer = combineReducers({
   alert: alertReducer,
   beacons: beaconsReducer,
   clocks: clocksReducer,
+  collisionAnalysis: collisionAnalysisReducer,
   connections: connectionsReducer,
+  countdown: countdownReducer,
   datasets: datasetsReducer,
   detachablePanels: detachablePanelsReducer,
   dialogs: dialogsReducer,
@@ -98,6 +113,7 @@ const reducer = combineReducers({
   features: featuresReducer,
   fieldNotes: fieldNotesReducer,
   firmwareUpdate: firmwareUpdateReducer,
+  history: historyReducer,
   hotkeys: hotkeysReducer,
   lcdClock: lcdClockReducer,
   licenseInfo: licenseInfoReducer,
@@ -105,6 +121,7 @@ const reducer = combineReducers({
   localServer: localServerReducer,
   log: logReducer,
   logDownload: logDownloadReducer,
+  manualControl: manualControlReducer,
   map: mapReducer,
   mapCaching: mapCachingReducer,
   measurement: measurementReducer,
@@ -112,6 +129,7 @@ const reducer = combineReducers({
   mission: missionReducer,
   parameters: parametersReducer,
   preflight: preflightReducer,
+  recording: recordingReducer,
   rtk: rtkReducer,
   safety: safetyReducer,
   savedLocations: savedLocationsReducer,
@@ -120,6 +138,8 @@ const reducer = combineReducers({
   settings: settingsReducer,
   show: showReducer,
   sidebar: sidebarReducer,
+  simulation: simulationReducer,
+  terrain: terrainReducer,
   threeD: threeDReducer,
   tour: tourReducer,
   uavs: uavReducer,
@@ -2,6 +2,7 @@ import firmwareUploadJobSpecification from '~/features/firmware-update/upload';
 import missionItemUploadJobSpecification from '~/features/mission/upload';
 import parameterUploadJobSpecification from '~/features/parameters/upload';
 import showUploadJobSpecification from '~/features/show/upload';
+import showVerificationJobSpecification from '~/features/show/verification';
 import { registerUploadJobType } from '~/features/upload/jobs';
 
 function registerUploadJobTypes() {
@@ -10,6 +11,7 @@ function registerUploadJobTypes() {
     parameterUploadJobSpecification,
     missionItemUploadJobSpecification,
     showUploadJobSpecification,
+    showVerificationJobSpecification,
   ];
   const disposers = specs.map((spec) => registerUploadJobType(spec));
 
@@ -1,5 +1,9 @@
 import createColor from 'color';
 
+import { defaultFont } from '@skybrush/app-theme-material-ui';
+
+import { formatDuration } from './formatting';
+
 /**
  * Constant to use when there are no datasets in a chart.
  */
@@ -61,3 +65,68 @@ export function createGradientBackground(options = {}) {
   );
   return gradientFill;
 }
+
+/**
+ * Creates the options of a Chart.js line chart that plots time series where
+ * the X axis is the time elapsed since a reference point, in seconds.
+ *
+ * @param  {boolean} options.isDark  whether the chart is shown on a dark theme
+ * @param  {string}  options.unit    the unit of the values on the Y axis, shown
+ *         in the tooltips
+ * @return {Object}  the options to pass to the chart
+ */
+export function createTimeSeriesChartOptions({ isDark, unit } = {}) {
+  const textColor = isDark
+    ? 'rgba(255, 255, 255, 0.54)'
+    : 'rgba(0, 0, 0, 0.54)';
+  const gridColor = isDark
+    ? 'rgba(255, 255, 255, 0.17)'
+    : 'rgba(0, 0, 0, 0.17)';
+  const ticks = { color: textColor, font: { family: defaultFont, size: 12 } };
+  const suffix = unit ? ` ${unit}` : '';
+
+  return {
+    animation: false,
+    interaction: {
+      intersect: false,
+      mode: 'index',
+    },
+    plugins: {
+      legend: {
+        labels: {
+          color: textColor,
+          font: { family: defaultFont },
+          boxHeight: 2,
+        },
+        position: 'right',
+      },
+      tooltip: {
+        titleFont: { family: defaultFont },
+        bodyFont: { family: defaultFont },
+        callbacks: {
+          title: ([item]) => (item ? formatDuration(item.parsed.x) : ''),
+          label: (ctx) =>
+            ` ${ctx.dataset.label}: ${ctx.parsed.y.toFixed(2)}${suffix}`,
+        },
+      },
+    },
+    scales: {
+      x: {
+        type: 'linear',
+        grid: { display: false },
+        ticks: {
+          ...ticks,
+          callback: (value) => formatDuration(value),
+          maxTicksLimit: 8,
+        },
+      },
+      y: {
+        grid: { color: gridColor, borderColor: gridColor },
+        ticks: { ...ticks, maxTicksLimit: 4 },
+      },
+    },
+
+    // required for all charts
+    maintainAspectRatio: false,
+  };
+}
@@ -0,0 +1,42 @@
+/**
+ * @file Utility functions for producing comma-separated values.
+ */
+
+import isNil from 'lodash-es/isNil';
+
+/**
+ * Converts a single value into a field of a CSV file, quoting it if needed.
+ *
+ * Missing values become empty fields. Fields containing the separator, double
+ * quotes or line breaks are enclosed in double quotes, with the double quotes
+ * inside them doubled as mandated by RFC 4180.
+ *
+ * @param {*} value  the value to convert
+ * @returns {string} the formatted field
+ */
+export function formatCSVField(value) {
+  if (isNil(value) || (typeof value === 'number' && Number.isNaN(value))) {
+    return '';
+  }
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+/**
+ * Converts a list of rows into the contents of a CSV file.
+ *
+ * @param {Array<Array<*>>} rows  the rows to convert, each row being an array
+ *        of values
+ * @param {Object} options  additional options
+ * @param {string[]} options.header  the names of the columns to put in the
+ *        first row of the file, if any
+ * @returns {string} the contents of the CSV file, with CRLF line endings
+ */
+export function convertRowsToCSV(rows, { header } = {}) {
+  const lines = header ? [header, ...rows] : rows;
+  return lines
+    .map((row) => row.map(formatCSVField).join(','))
+    .join('\r\n')
+    .concat('\r\n');
+}
@@ -44,7 +44,10 @@ export async function readTextFromFile(options) {
  * @param {string} preferredFilename  the preferred filename when running in the browser
  * @param {object} options  additional options to pass on to the Electron save
  *        file dialog when running in Electron
- * @returns {Promise} a promise that resolves when the file was saved
+ * @returns {Promise<boolean>} a promise that resolves to whether the file was
+ *          saved. It resolves to false if the user cancelled the dialog in
+ *          Electron; the browser gives no feedback about the dialog so the
+ *          promise always resolves to true there
  */
 export async function writeBlobToFile(blob, preferredFilename, options = {}) {
   const { writeBufferToFile } = window?.bridge || {};
@@ -57,7 +60,8 @@ export async function writeBlobToFile(blob, preferredFilename, options = {}) {
       options
     );
   } else {
-    return saveAs(blob, preferredFilename);
+    saveAs(blob, preferredFilename);
+    return true;
   }
 }
 
@@ -70,7 +74,10 @@ export async function writeBlobToFile(blob, preferredFilename, options = {}) {
  * @param {string} preferredFilename  the preferred filename when running in the browser
  * @param {object} options  additional options to pass on to the Electron save
  *        file dialog when running in Electron
- * @returns {Promise} a promise that resolves when the file was saved
+ * @returns {Promise<boolean>} a promise that resolves to whether the file was
+ *          saved. It resolves to false if the user cancelled the dialog in
+ *          Electron; the browser gives no feedback about the dialog so the
+ *          promise always resolves to true there
  */
 export function writeTextToFile(text, preferredFilename, options) {
   const blob = new Blob([text], { type: 'text/plain;charset=utf-8' });
@@ -1,3 +1,4 @@
+import formatDate from 'date-fns/format';
 import formatISO9075 from 'date-fns/formatISO9075';
 import fromUnixTime from 'date-fns/fromUnixTime';
 import isNil from 'lodash-es/isNil';
@@ -9,6 +10,17 @@ export function formatCoordinateArray(coords: number[]): string {
   return `(${coords.map((coord) => coord.toFixed(2)).join(', ')})`;
 }
 
+/**
+ * Formats a date (or a timestamp in milliseconds) such that it can be used in
+ * the name of a file.
+ *
+ * The ISO 8601 extended format cannot be used because colons are usually not
+ * allowed in filenames, and the ISO 8601 basic format is less human-readable.
+ */
+export const formatDateForFilename = (
+  date: Date | number = new Date()
+): string => formatDate(date, 'yyyy-MM-dd_HH-mm-ss');
+
 /**
  * Formats a short (less than an hour) duration as minutes:seconds or
  * a long (not less than an hour) duration as hours:minutes:seconds.
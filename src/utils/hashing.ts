@@ -0,0 +1,28 @@
+/**
+ * @file Functions for computing hashes of data.
+ */
+
+const encoder = new TextEncoder();
+
+/**
+ * Computes the SHA-256 hash of a string or of binary data.
+ *
+ * Strings are encoded in UTF-8 before hashing. Throws an error if the Web
+ * Crypto API is not available, which is the case in insecure contexts.
+ *
+ * @param data  the data to hash
+ * @returns the hash of the data as a lowercase hexadecimal string
+ */
+export async function sha256Hex(data: string | BufferSource): Promise<string> {
+  if (!window.crypto?.subtle) {
+    throw new Error('Hashing is not supported in this environment');
+  }
+
+  const digest = await window.crypto.subtle.digest(
+    'SHA-256',
+    typeof data === 'string' ? encoder.encode(data) : data
+  );
+  return Array.from(new Uint8Array(digest), (byte) =>
+    byte.toString(16).padStart(2, '0')
+  ).join('');
+}
@@ -52,7 +52,47 @@ export function logLevelForLogLevelName(name) {
     name = 'FATAL';
   }
 
-  return LogLevel[name] || 'DEBUG';
+  return LogLevel[name] ?? LogLevel.DEBUG;
+}
+
+const logLevelsForSeverities = {
+  [Severity.DEBUG]: LogLevel.DEBUG,
+  [Severity.INFO]: LogLevel.INFO,
+  [Severity.WARNING]: LogLevel.WARNING,
+  [Severity.ERROR]: LogLevel.ERROR,
+  [Severity.CRITICAL]: LogLevel.FATAL,
+};
+
+/**
+ * Returns the numeric log level corresponding to the severity of a message
+ * received from the server. Unknown severities (e.g., `notice`) are treated as
+ * informational messages.
+ */
+export function logLevelForSeverity(severity) {
+  return (
+    logLevelsForSeverities[String(severity ?? '').toLowerCase()] ??
+    LogLevel.INFO
+  );
+}
+
+export function logLevelNameForLogLevel(level) {
+  if (level <= LogLevel.DEBUG) {
+    return 'DEBUG';
+  }
+
+  if (level <= LogLevel.INFO) {
+    return 'INFO';
+  }
+
+  if (level <= LogLevel.WARNING) {
+    return 'WARNING';
+  }
+
+  if (level <= LogLevel.ERROR) {
+    return 'ERROR';
+  }
+
+  return 'FATAL';
 }
 
 function Logger(module) {
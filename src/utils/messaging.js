@@ -199,18 +199,20 @@ export const wakeUpUAVs = performMassOperation({
   name: 'Resume from low-power mode command',
 });
 
+const createFlyToTargetArguments = ({ target }) => ({
+  target: [
+    Math.round(target.lat * 1e7),
+    Math.round(target.lon * 1e7),
+    isNil(target.amsl) ? null : Math.round(target.amsl * 1e3),
+    isNil(target.ahl) ? null : Math.round(target.ahl * 1e3),
+    isNil(target.agl) ? null : Math.round(target.agl * 1e3),
+  ],
+});
+
 const moveUAVsLowLevel = performMassOperation({
   type: 'UAV-FLY',
   name: 'Fly to target command',
-  mapper: ({ target }) => ({
-    target: [
-      Math.round(target.lat * 1e7),
-      Math.round(target.lon * 1e7),
-      isNil(target.amsl) ? null : Math.round(target.amsl * 1e3),
-      isNil(target.ahl) ? null : Math.round(target.ahl * 1e3),
-      isNil(target.agl) ? null : Math.round(target.agl * 1e3),
-    ],
-  }),
+  mapper: createFlyToTargetArguments,
 
   // Moving UAVs is such a common feature that we skip any confirmation dialogs
   skipConfirmation: true,
@@ -242,6 +244,31 @@ export const moveUAVs = (uavIds, { target, ...rest }) => {
   return moveUAVsLowLevel(uavIds, args);
 };
 
+/**
+ * Sends a position setpoint to a single UAV that is being controlled manually.
+ *
+ * Setpoints are sent several times per second during manual control so this
+ * function neither asks for confirmation nor reports the outcome of the
+ * command to the user; it is up to the caller to decide what to do with
+ * failures.
+ *
+ * @param {string} uavId  the ID of the UAV
+ * @param {Object} target  the target of the UAV, with keys `lat`, `lon` and
+ *        optionally `ahl`
+ * @throws {Error} when the command could not be sent or the UAV rejected it
+ */
+export const sendManualControlSetpoint = async (uavId, target) => {
+  const responses = await messageHub.startAsyncOperation({
+    type: 'UAV-FLY',
+    ids: [uavId],
+    ...createFlyToTargetArguments({ target }),
+  });
+  const error = values(responses).find(isError);
+  if (error) {
+    throw error;
+  }
+};
+
 export const turnMotorsOffForUAVs = performMassOperation({
   type: 'UAV-MOTOR',
   name: 'Motor off command',
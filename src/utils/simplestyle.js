@@ -105,3 +105,51 @@ export function convertSimpleStyleToOLStyle(style, defaults) {
 
   return new Style(styleProps);
 }
+
+/**
+ * Converts the style of a feature on the map to the corresponding MapBox
+ * SimpleStyle properties, to be used when exporting the feature into a
+ * GeoJSON file.
+ *
+ * @param  {Object}  style  the style of the feature
+ * @param  {string}  style.color  the color of the feature, in any format that
+ *         the `color` package understands
+ * @param  {boolean} style.filled  whether the feature is drawn as filled
+ * @param  {boolean} style.isPoint  whether the feature is a point feature;
+ *         point features are described with marker properties
+ * @param  {string}  style.title  the label of the feature
+ * @param  {number}  style.strokeWidth  the stroke width of the feature, in
+ *         pixels
+ * @return {Object}  the MapBox SimpleStyle properties of the feature
+ */
+export function convertStyleToSimpleStyle({
+  color,
+  filled = false,
+  isPoint = false,
+  title,
+  strokeWidth = 2,
+}) {
+  const hexColor = new Color(color || '#555555').hex();
+  const result = {};
+
+  if (title !== undefined) {
+    result.title = title;
+  }
+
+  if (isPoint) {
+    result['marker-color'] = hexColor;
+  } else {
+    result.stroke = hexColor;
+    result['stroke-opacity'] = 1;
+    result['stroke-width'] = strokeWidth;
+
+    if (filled) {
+      result.fill = hexColor;
+      result['fill-opacity'] = 0.6;
+    } else {
+      result['fill-opacity'] = 0;
+    }
+  }
+
+  return result;
+}
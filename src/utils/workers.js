@@ -0,0 +1,44 @@
+import { CANCEL } from 'redux-saga';
+
+/**
+ * Posts a message to the given web worker and returns a promise that resolves
+ * to the result that the worker sends back. The worker is expected to reply
+ * with a single message that contains either a `result` or an `error` key,
+ * and it is terminated as soon as it replies or fails.
+ *
+ * The promise is extended with a cancellation callback for Redux-saga that
+ * terminates the worker.
+ *
+ * @param {Worker} worker  the worker to run the job in
+ * @param {any} message  the message to post to the worker
+ * @param {Object} options  additional options
+ * @param {string} options.errorMessage  the error message to use when the
+ *        worker fails without providing a message of its own
+ */
+export function runInWorker(
+  worker,
+  message,
+  { errorMessage = 'Web worker failed' } = {}
+) {
+  const promise = new Promise((resolve, reject) => {
+    worker.addEventListener('message', ({ data }) => {
+      worker.terminate();
+
+      if (data.error) {
+        reject(new Error(data.error));
+      } else {
+        resolve(data.result);
+      }
+    });
+
+    worker.addEventListener('error', (event) => {
+      worker.terminate();
+      reject(new Error(event.message || errorMessage));
+    });
+  });
+
+  worker.postMessage(message);
+
+  promise[CANCEL] = () => worker.terminate();
+  return promise;
+}
@@ -0,0 +1,275 @@
+import clsx from 'clsx';
+import isNil from 'lodash-es/isNil';
+import PropTypes from 'prop-types';
+import React, { useCallback, useRef, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { connect } from 'react-redux';
+import { useHarmonicIntervalFn, useMeasure } from 'react-use';
+
+import Box from '@material-ui/core/Box';
+import IconButton from '@material-ui/core/IconButton';
+import MenuItem from '@material-ui/core/MenuItem';
+import Select from '@material-ui/core/Select';
+import { makeStyles } from '@material-ui/core/styles';
+import Fullscreen from '@material-ui/icons/Fullscreen';
+
+import Colors from '~/components/colors';
+import {
+  COUNTDOWN_FONT_SIZES,
+  CountdownPhase,
+} from '~/features/countdown/constants';
+import {
+  getCountdownFontSize,
+  getCountdownPhase,
+  getCountdownTimes,
+} from '~/features/countdown/selectors';
+import { setCountdownFontSize } from '~/features/countdown/slice';
+import { getShowStartTimeAsString } from '~/features/show/selectors';
+import { formatDuration } from '~/utils/formatting';
+
+/**
+ * Number of milliseconds between consecutive updates of the display.
+ */
+const UPDATE_INTERVAL = 200;
+
+const useStyles = makeStyles(
+  (theme) => ({
+    root: {
+      height: '100%',
+      overflow: 'hidden',
+      position: 'relative',
+      userSelect: 'none',
+    },
+
+    body: {
+      alignItems: 'center',
+      backgroundColor: theme.palette.background.default,
+      display: 'flex',
+      flexDirection: 'column',
+      height: '100%',
+      justifyContent: 'center',
+      transition: 'background-color 150ms',
+    },
+
+    critical: {
+      backgroundColor: Colors.error,
+      color: theme.palette.getContrastText(Colors.error),
+    },
+
+    toolbar: {
+      alignItems: 'center',
+      display: 'flex',
+      opacity: 0.3,
+      position: 'absolute',
+      right: theme.spacing(1),
+      top: theme.spacing(1),
+      transition: 'opacity 150ms',
+
+      '&:hover': {
+        opacity: 1,
+      },
+    },
+
+    readout: {
+      fontFamily: 'monospace',
+      fontVariantNumeric: 'tabular-nums',
+      fontWeight: 'bold',
+      lineHeight: 1,
+      whiteSpace: 'nowrap',
+    },
+
+    secondary: {
+      display: 'flex',
+      fontFamily: 'monospace',
+      fontVariantNumeric: 'tabular-nums',
+      gap: '1em',
+      opacity: 0.8,
+      whiteSpace: 'nowrap',
+    },
+  }),
+  { name: 'CountdownPanel' }
+);
+
+const colorForPhase = {
+  [CountdownPhase.WARNING]: Colors.warning,
+  [CountdownPhase.RUNNING]: Colors.success,
+};
+
+/**
+ * Formats a duration for the readouts after rounding it to whole seconds with
+ * the given function. Countdowns are rounded upwards so they reach zero
+ * exactly when the show starts.
+ */
+const formatTime = (seconds, round = Math.floor) =>
+  isNil(seconds) ? '--:--' : formatDuration(Math.max(round(seconds), 0));
+
+/**
+ * Returns the text of the main readout of the countdown display.
+ */
+function formatMainReadout(phase, { elapsed, secondsUntilStart }) {
+  switch (phase) {
+    case CountdownPhase.COUNTDOWN:
+    case CountdownPhase.WARNING:
+    case CountdownPhase.CRITICAL:
+      return `T-${formatTime(secondsUntilStart, Math.ceil)}`;
+
+    case CountdownPhase.RUNNING:
+    case CountdownPhase.FINISHED:
+      return `T+${formatTime(elapsed)}`;
+
+    default:
+      return formatTime();
+  }
+}
+
+/**
+ * Main readout of the countdown display along with the elapsed and remaining
+ * times of the show.
+ */
+const CountdownReadoutPresentation = ({
+  fontSize,
+  phase,
+  startTime,
+  times,
+}) => {
+  const classes = useStyles();
+  const { t } = useTranslation();
+  const { elapsed, remaining } = times;
+
+  return (
+    <Box
+      className={clsx(
+        classes.body,
+        phase === CountdownPhase.CRITICAL && classes.critical
+      )}
+    >
+      <Box
+        className={classes.readout}
+        style={{ color: colorForPhase[phase], fontSize }}
+      >
+        {formatMainReadout(phase, times)}
+      </Box>
+      <Box className={classes.secondary} style={{ fontSize: fontSize / 4 }}>
+        <span>
+          {t('countdown.elapsed')} {formatTime(elapsed)}
+        </span>
+        <span>
+          {t('countdown.remaining')} {formatTime(remaining, Math.ceil)}
+        </span>
+      </Box>
+      <Box className={classes.secondary} style={{ fontSize: fontSize / 6 }}>
+        {phase === CountdownPhase.FINISHED
+          ? t('countdown.finished')
+          : startTime
+            ? t('countdown.startTime', { time: startTime })
+            : t('countdown.noStartTime')}
+      </Box>
+    </Box>
+  );
+};
+
+CountdownReadoutPresentation.propTypes = {
+  fontSize: PropTypes.number,
+  phase: PropTypes.oneOf(Object.values(CountdownPhase)),
+  startTime: PropTypes.string,
+  times: PropTypes.shape({
+    elapsed: PropTypes.number,
+    remaining: PropTypes.number,
+    secondsUntilStart: PropTypes.number,
+  }),
+};
+
+const CountdownReadout = connect(
+  // mapStateToProps
+  (state, { now }) => {
+    const times = getCountdownTimes(state, now);
+    return {
+      phase: getCountdownPhase(times),
+      startTime: getShowStartTimeAsString(state),
+      times,
+    };
+  },
+  // mapDispatchToProps
+  {}
+)(CountdownReadoutPresentation);
+
+/**
+ * Panel that shows a large countdown until the start of the show, followed by
+ * the elapsed and remaining time of the show, so ground crews can synchronize
+ * to the start without looking at the screen of the operator. The panel is
+ * meant to be detached and shown on a second monitor.
+ */
+const CountdownPanel = ({ fontSize, onFontSizeChanged }) => {
+  const classes = useStyles();
+  const { t } = useTranslation();
+  const rootRef = useRef(null);
+  const [measureRef, { height, width }] = useMeasure();
+  const [now, setNow] = useState(Date.now);
+
+  useHarmonicIntervalFn(() => setNow(Date.now()), UPDATE_INTERVAL);
+
+  const setRef = useCallback(
+    (element) => {
+      rootRef.current = element;
+      measureRef(element);
+    },
+    [measureRef]
+  );
+
+  const requestFullscreen = useCallback(() => {
+    rootRef.current?.requestFullscreen?.();
+  }, []);
+
+  // We assume that the main readout looks like T-00:00:00, which is roughly
+  // 6x wider than tall in a monospace font, and that the secondary rows take
+  // about half the height of the main readout.
+  const fittedFontSize =
+    width > 0 && height > 0 ? Math.floor(Math.min(width / 6, height / 2)) : 0;
+
+  return (
+    <Box ref={setRef} className={classes.root}>
+      <CountdownReadout fontSize={fontSize ?? fittedFontSize} now={now} />
+      <Box className={classes.toolbar}>
+        <Select
+          disableUnderline
+          displayEmpty
+          value={fontSize ?? ''}
+          onChange={onFontSizeChanged}
+        >
+          <MenuItem value=''>{t('countdown.fontSize.auto')}</MenuItem>
+          {COUNTDOWN_FONT_SIZES.map((size) => (
+            <MenuItem key={size} value={size}>
+              {t('countdown.fontSize.fixed', { size })}
+            </MenuItem>
+          ))}
+        </Select>
+        <IconButton
+          size='small'
+          title={t('countdown.fullscreen')}
+          onClick={requestFullscreen}
+        >
+          <Fullscreen />
+        </IconButton>
+      </Box>
+    </Box>
+  );
+};
+
+CountdownPanel.propTypes = {
+  fontSize: PropTypes.number,
+  onFontSizeChanged: PropTypes.func,
+};
+
+export default connect(
+  // mapStateToProps
+  (state) => ({
+    fontSize: getCountdownFontSize(state),
+  }),
+  // mapDispatchToProps
+  {
+    onFontSizeChanged: (event) =>
+      setCountdownFontSize(
+        event.target.value === '' ? undefined : Number(event.target.value)
+      ),
+  }
+)(CountdownPanel);
@@ -21,6 +21,7 @@ import {
   getDocksInOrder,
   getSelectedDockIds,
 } from '~/features/docks/selectors';
+import { describeDoorState } from '~/features/docks/status';
 import { scrollToMapLocation } from '~/signals';
 
 /**
@@ -46,7 +47,12 @@ const DockListPresentation = multiSelectableListOf(
         className={selected ? 'selected-list-item' : undefined}
         onClick={props.onItemSelected}
       >
-        <ListItemText primary={dock.id} />
+        <ListItemText
+          primary={dock.id}
+          secondary={
+            dock.door ? `Door ${describeDoorState(dock.door).label}` : undefined
+          }
+        />
         <ListItemSecondaryAction>{rightIconButton}</ListItemSecondaryAction>
       </ListItem>
     );
@@ -1,20 +1,29 @@
-import GeoJSON from 'ol/format/GeoJSON';
 import PropTypes from 'prop-types';
-import React from 'react';
-import { batch, connect } from 'react-redux';
-import readShapeFile from 'shpjs';
+import React, { useState } from 'react';
+import { connect } from 'react-redux';
 
+import Button from '@material-ui/core/Button';
+import Divider from '@material-ui/core/Divider';
+import Menu from '@material-ui/core/Menu';
+import MenuItem from '@material-ui/core/MenuItem';
 import Paper from '@material-ui/core/Paper';
 import Toolbar from '@material-ui/core/Toolbar';
 import { makeStyles } from '@material-ui/core/styles';
 
 import FolderOpen from '@material-ui/icons/FolderOpen';
+import SaveAlt from '@material-ui/icons/SaveAlt';
 
 import FileButton from '~/components/FileButton';
-import { addFeatureWithName } from '~/features/map-features/actions';
-import { showError, showSuccess } from '~/features/snackbar/actions';
-import { createFeaturesFromOpenLayers } from '~/model/openlayers';
-import { readFileAsArrayBuffer } from '~/utils/files';
+import {
+  exportFeatures,
+  exportFlightArea,
+  importFeaturesFromFile,
+} from '~/features/map-features/actions';
+import {
+  FEATURE_IMPORT_FILTER,
+  FeatureFileFormat,
+  propertiesForFeatureFileFormats,
+} from '~/features/map-features/formats';
 
 const useStyles = makeStyles(
   (theme) => ({
@@ -28,8 +37,35 @@ const useStyles = makeStyles(
   }
 );
 
-const FeaturePanelToolbar = ({ importShapeFile }) => {
+const EXPORT_FORMATS = [
+  FeatureFileFormat.GEOJSON,
+  FeatureFileFormat.KML,
+  FeatureFileFormat.KMZ,
+  FeatureFileFormat.GPX,
+];
+
+const FeaturePanelToolbar = ({
+  exportFeatures,
+  exportFlightArea,
+  importFeaturesFromFile,
+}) => {
   const classes = useStyles();
+  const [anchorElement, setAnchorElement] = useState(null);
+
+  const handleClose = () => {
+    setAnchorElement(null);
+  };
+
+  const createExportListener = (format) => () => {
+    handleClose();
+    exportFeatures(format);
+  };
+
+  const handleExportFlightArea = () => {
+    handleClose();
+    exportFlightArea();
+  };
+
   return (
     <Paper square className={classes.root} elevation={4}>
       <Toolbar
@@ -39,66 +75,55 @@ const FeaturePanelToolbar = ({ importShapeFile }) => {
       >
         <FileButton
           size='small'
-          filter={['application/zip']}
+          filter={FEATURE_IMPORT_FILTER}
           startIcon={<FolderOpen />}
-          onSelected={importShapeFile}
+          onSelected={importFeaturesFromFile}
         >
-          Import shapefile
+          Import
         </FileButton>
+        <Button
+          aria-controls='feature-export-menu'
+          aria-haspopup='true'
+          size='small'
+          startIcon={<SaveAlt />}
+          onClick={(event) => setAnchorElement(event.currentTarget)}
+        >
+          Export
+        </Button>
+        <Menu
+          id='feature-export-menu'
+          anchorEl={anchorElement}
+          open={Boolean(anchorElement)}
+          onClose={handleClose}
+        >
+          {EXPORT_FORMATS.map((format) => (
+            <MenuItem key={format} onClick={createExportListener(format)}>
+              {propertiesForFeatureFileFormats[format].name}
+            </MenuItem>
+          ))}
+          <Divider />
+          <MenuItem onClick={handleExportFlightArea}>
+            Flight area (GeoJSON)
+          </MenuItem>
+        </Menu>
       </Toolbar>
     </Paper>
   );
 };
 
 FeaturePanelToolbar.propTypes = {
-  importShapeFile: PropTypes.func,
+  exportFeatures: PropTypes.func,
+  exportFlightArea: PropTypes.func,
+  importFeaturesFromFile: PropTypes.func,
 };
 
 export default connect(
   // mapStateToProps
   null,
   // mapDispatchToProps
-  (dispatch) => ({
-    async importShapeFile(file) {
-      try {
-        const data = await readFileAsArrayBuffer(file);
-        // Force the result to be an array, even if it's just a single element
-        const featureCollections = [await readShapeFile(data)].flat();
-        const geoJSON = new GeoJSON({ featureProjection: 'EPSG:3857' });
-
-        let counter = 0;
-
-        batch(() => {
-          for (const featureCollection of featureCollections) {
-            const parsedFeatures = geoJSON
-              .readFeatures(featureCollection)
-              .flatMap((feature) => createFeaturesFromOpenLayers(feature));
-            for (const [i, feature] of parsedFeatures.entries()) {
-              const suffix = i === 0 ? '' : ` (${i})`;
-              dispatch(
-                addFeatureWithName(
-                  {
-                    ...feature,
-                    label: featureCollection.fileName + suffix,
-                    owner: 'user',
-                  },
-                  featureCollection.fileName
-                )
-              );
-              counter++;
-            }
-          }
-        });
-
-        dispatch(
-          showSuccess(
-            // TODO: Use the `pluralize` package?
-            `Successfully imported ${counter} feature${counter > 1 ? 's' : ''}`
-          )
-        );
-      } catch (error) {
-        dispatch(showError(`Error while importing shapefile: ${error}`));
-      }
-    },
-  })
+  {
+    exportFeatures,
+    exportFlightArea,
+    importFeaturesFromFile,
+  }
 )(FeaturePanelToolbar);
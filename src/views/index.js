@@ -6,6 +6,7 @@
 import BeaconList from './beacons';
 import ClockDisplayList from './clocks';
 import ConnectionList from './connections';
+import CountdownPanel from './countdown';
 import DatasetList from './datasets';
 import DockList from './docks';
 import FeaturePanel from './features';
@@ -16,6 +17,7 @@ import SavedLocationList from './locations';
 import LogPanel from './log';
 import MessagesPanelView from './messages';
 import MissionOverviewPanel from './mission-editor';
+import RecordingPanel from './recording';
 import ShowControlPanel from './show-control';
 import UAVDetailsPanel from './uav-details';
 import UAVList from './uavs';
@@ -27,6 +29,7 @@ const views = {
   BeaconList,
   ClockDisplayList,
   ConnectionList,
+  CountdownPanel,
   DatasetList,
   DockList,
   FeaturePanel,
@@ -36,6 +39,7 @@ const views = {
   LogPanel,
   MessagesPanelView,
   MissionOverviewPanel,
+  RecordingPanel,
   SavedLocationList,
   ShowControlPanel,
   UAVDetailsPanel,
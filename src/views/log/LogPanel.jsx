@@ -3,33 +3,126 @@
  */
 
 import PropTypes from 'prop-types';
-import React from 'react';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
 import { connect } from 'react-redux';
-import { useEffectOnce } from 'react-use';
+import { useEffectOnce, useHarmonicIntervalFn } from 'react-use';
 
+import Box from '@material-ui/core/Box';
+
+import { exportLogItems, loadPersistedLogItems } from '~/features/log/actions';
+import { LOG_TIME_RANGE_UPDATE_INTERVAL } from '~/features/log/constants';
+import {
+  getFilteredLogItems,
+  getLogFilters,
+  getModulesInLog,
+  isShowingPersistedLogItems,
+} from '~/features/log/selectors';
 import { updateLogPanelVisibility } from '~/features/log/slice';
+import { filterLogItems, getModulesOfLogItems } from '~/features/log/utils';
 
 import LogMessageList from './LogMessageList';
+import LogPanelToolbar from './LogPanelToolbar';
+
+const LogPanel = ({
+  exportLogItems,
+  filters,
+  items,
+  loadPersistedLogItems,
+  modules,
+  now,
+  showingPersistedItems,
+  updateLogPanelVisibility,
+}) => {
+  const [persistedItems, setPersistedItems] = useState(null);
 
-const LogPanel = ({ items, updateLogPanelVisibility }) => {
   useEffectOnce(() => {
     updateLogPanelVisibility(true);
     return () => updateLogPanelVisibility(false);
   });
 
-  return <LogMessageList items={items} />;
+  // Load the persistent log of the session every time the user switches to it
+  useEffect(() => {
+    let cancelled = false;
+
+    if (showingPersistedItems) {
+      loadPersistedLogItems().then((loadedItems) => {
+        if (!cancelled) {
+          setPersistedItems(loadedItems);
+        }
+      });
+    } else {
+      setPersistedItems(null);
+    }
+
+    return () => {
+      cancelled = true;
+    };
+  }, [loadPersistedLogItems, showingPersistedItems]);
+
+  const displayedPersistedItems = useMemo(
+    () => (persistedItems ? filterLogItems(persistedItems, filters, now) : []),
+    [filters, now, persistedItems]
+  );
+  const displayedItems = showingPersistedItems
+    ? displayedPersistedItems
+    : items;
+  const displayedModules = useMemo(
+    () =>
+      showingPersistedItems && persistedItems
+        ? getModulesOfLogItems(persistedItems)
+        : modules,
+    [modules, persistedItems, showingPersistedItems]
+  );
+
+  const onExport = useCallback(
+    (format) => exportLogItems(displayedItems, format),
+    [displayedItems, exportLogItems]
+  );
+
+  return (
+    <Box display='flex' flexDirection='column' height='100%'>
+      <LogPanelToolbar modules={displayedModules} onExport={onExport} />
+      <Box flex={1} position='relative'>
+        <LogMessageList items={displayedItems} />
+      </Box>
+    </Box>
+  );
 };
 
 LogPanel.propTypes = {
+  exportLogItems: PropTypes.func,
+  filters: PropTypes.object,
   items: PropTypes.array,
+  loadPersistedLogItems: PropTypes.func,
+  modules: PropTypes.arrayOf(PropTypes.string),
+  now: PropTypes.number,
+  showingPersistedItems: PropTypes.bool,
   updateLogPanelVisibility: PropTypes.func.isRequired,
 };
 
-export default connect(
+const ConnectedLogPanel = connect(
   // mapStateToProps
-  (state) => ({
-    items: state.log.items,
+  (state, { now }) => ({
+    filters: getLogFilters(state),
+    items: getFilteredLogItems(state, now),
+    modules: getModulesInLog(state),
+    showingPersistedItems: isShowingPersistedLogItems(state),
   }),
   // mapDispatchToProps
-  { updateLogPanelVisibility }
+  { exportLogItems, loadPersistedLogItems, updateLogPanelVisibility }
 )(LogPanel);
+
+/**
+ * Log panel that keeps track of the current time so the time range filter
+ * stays up-to-date even if no new items are added to the log.
+ */
+const LogPanelWithClock = () => {
+  const [now, setNow] = useState(Date.now);
+  useHarmonicIntervalFn(
+    () => setNow(Date.now()),
+    LOG_TIME_RANGE_UPDATE_INTERVAL
+  );
+  return <ConnectedLogPanel now={now} />;
+};
+
+export default LogPanelWithClock;
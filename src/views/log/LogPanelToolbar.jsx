@@ -0,0 +1,242 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import { connect } from 'react-redux';
+
+import IconButton from '@material-ui/core/IconButton';
+import InputAdornment from '@material-ui/core/InputAdornment';
+import MenuItem from '@material-ui/core/MenuItem';
+import MenuList from '@material-ui/core/MenuList';
+import Select from '@material-ui/core/Select';
+import TextField from '@material-ui/core/TextField';
+import Toolbar from '@material-ui/core/Toolbar';
+import { makeStyles } from '@material-ui/core/styles';
+
+import Clear from '@material-ui/icons/Clear';
+import History from '@material-ui/icons/History';
+import SaveAlt from '@material-ui/icons/SaveAlt';
+import Search from '@material-ui/icons/Search';
+
+import ToggleButton from '~/components/ToggleButton';
+import {
+  PopoverWithContainerFromContext as Popover,
+  TooltipWithContainerFromContext as Tooltip,
+} from '~/containerContext';
+import { LogExportFormat, LogTimeRange } from '~/features/log/constants';
+import {
+  areLogFiltersActive,
+  getLogFilters,
+  isShowingPersistedLogItems,
+} from '~/features/log/selectors';
+import {
+  resetLogFilters,
+  setShowingPersistedLogItems,
+  updateLogFilters,
+} from '~/features/log/slice';
+import usePopover from '~/hooks/usePopover';
+import { LogLevel } from '~/utils/logging';
+
+const useStyles = makeStyles(
+  (theme) => ({
+    root: {
+      background: theme.palette.action.hover,
+      borderBottom: `1px solid ${theme.palette.divider}`,
+      padding: theme.spacing(0, 1),
+
+      '& > *': {
+        marginRight: theme.spacing(1),
+      },
+    },
+
+    search: {
+      flex: 1,
+      minWidth: 120,
+    },
+
+    select: {
+      fontSize: 'small',
+    },
+  }),
+  {
+    name: 'LogPanelToolbar',
+  }
+);
+
+const LEVELS = [
+  [LogLevel.DEBUG, 'debug'],
+  [LogLevel.INFO, 'info'],
+  [LogLevel.WARNING, 'warning'],
+  [LogLevel.ERROR, 'error'],
+];
+
+const TIME_RANGES = [
+  LogTimeRange.ALL,
+  LogTimeRange.LAST_5_MINUTES,
+  LogTimeRange.LAST_15_MINUTES,
+  LogTimeRange.LAST_HOUR,
+  LogTimeRange.LAST_DAY,
+];
+
+/**
+ * Toolbar of the log panel with the search field, the filters, the switch
+ * that toggles between the items in memory and the persistent log of the
+ * session, and the export button.
+ */
+const LogPanelToolbar = ({
+  filters,
+  filtersActive,
+  modules,
+  onExport,
+  onFiltersChanged,
+  onResetFilters,
+  onToggleShowingPersistedItems,
+  showingPersistedItems,
+}) => {
+  const classes = useStyles();
+  const { t } = useTranslation();
+  const [exportMenuAnchor, openExportMenu, closeExportMenu] = usePopover();
+
+  const createExportHandler = (format) => () => {
+    closeExportMenu();
+    onExport(format);
+  };
+
+  return (
+    <Toolbar disableGutters variant='dense' className={classes.root}>
+      <TextField
+        className={classes.search}
+        placeholder={t('logPanel.search')}
+        size='small'
+        value={filters.text}
+        InputProps={{
+          startAdornment: (
+            <InputAdornment position='start'>
+              <Search fontSize='small' />
+            </InputAdornment>
+          ),
+        }}
+        onChange={(event) => onFiltersChanged({ text: event.target.value })}
+      />
+      <Select
+        disableUnderline
+        className={classes.select}
+        value={filters.level}
+        onChange={(event) => onFiltersChanged({ level: event.target.value })}
+      >
+        {LEVELS.map(([level, key]) => (
+          <MenuItem key={key} value={level}>
+            {t(`logPanel.level.${key}`)}
+          </MenuItem>
+        ))}
+      </Select>
+      <Select
+        displayEmpty
+        disableUnderline
+        className={classes.select}
+        value={filters.module}
+        onChange={(event) => onFiltersChanged({ module: event.target.value })}
+      >
+        <MenuItem value=''>{t('logPanel.allModules')}</MenuItem>
+        {filters.module && !modules.includes(filters.module) && (
+          <MenuItem value={filters.module}>{filters.module}</MenuItem>
+        )}
+        {modules.map((module) => (
+          <MenuItem key={module} value={module}>
+            {module}
+          </MenuItem>
+        ))}
+      </Select>
+      <Select
+        disableUnderline
+        className={classes.select}
+        value={filters.timeRange}
+        onChange={(event) =>
+          onFiltersChanged({ timeRange: event.target.value })
+        }
+      >
+        {TIME_RANGES.map((timeRange) => (
+          <MenuItem key={timeRange} value={timeRange}>
+            {t(`logPanel.timeRange.${timeRange}`)}
+          </MenuItem>
+        ))}
+      </Select>
+      {filtersActive && (
+        <Tooltip content={t('logPanel.resetFilters')}>
+          <IconButton size='small' onClick={onResetFilters}>
+            <Clear fontSize='small' />
+          </IconButton>
+        </Tooltip>
+      )}
+      <Tooltip content={t('logPanel.showPersistedLog')}>
+        <ToggleButton
+          size='small'
+          value='persisted'
+          selected={showingPersistedItems}
+          onChange={onToggleShowingPersistedItems}
+        >
+          <History fontSize='small' />
+        </ToggleButton>
+      </Tooltip>
+      <Tooltip content={t('logPanel.export')}>
+        <IconButton size='small' onClick={openExportMenu}>
+          <SaveAlt fontSize='small' />
+        </IconButton>
+      </Tooltip>
+      <Popover
+        anchorEl={exportMenuAnchor}
+        open={Boolean(exportMenuAnchor)}
+        onClose={closeExportMenu}
+      >
+        <MenuList dense>
+          <MenuItem onClick={createExportHandler(LogExportFormat.TEXT)}>
+            {t('logPanel.exportAsText')}
+          </MenuItem>
+          <MenuItem onClick={createExportHandler(LogExportFormat.JSON)}>
+            {t('logPanel.exportAsJSON')}
+          </MenuItem>
+        </MenuList>
+      </Popover>
+    </Toolbar>
+  );
+};
+
+LogPanelToolbar.propTypes = {
+  filters: PropTypes.shape({
+    level: PropTypes.number,
+    module: PropTypes.string,
+    text: PropTypes.string,
+    timeRange: PropTypes.oneOf(Object.values(LogTimeRange)),
+  }),
+  filtersActive: PropTypes.bool,
+  modules: PropTypes.arrayOf(PropTypes.string),
+  onExport: PropTypes.func,
+  onFiltersChanged: PropTypes.func,
+  onResetFilters: PropTypes.func,
+  onToggleShowingPersistedItems: PropTypes.func,
+  showingPersistedItems: PropTypes.bool,
+};
+
+export default connect(
+  // mapStateToProps
+  (state) => ({
+    filters: getLogFilters(state),
+    filtersActive: areLogFiltersActive(state),
+    showingPersistedItems: isShowingPersistedLogItems(state),
+  }),
+  // mapDispatchToProps
+  (dispatch) => ({
+    onFiltersChanged(filters) {
+      dispatch(updateLogFilters(filters));
+    },
+    onResetFilters() {
+      dispatch(resetLogFilters());
+    },
+    onToggleShowingPersistedItems() {
+      dispatch((dispatch, getState) => {
+        dispatch(
+          setShowingPersistedLogItems(!isShowingPersistedLogItems(getState()))
+        );
+      });
+    },
+  })
+)(LogPanelToolbar);
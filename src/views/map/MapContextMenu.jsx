@@ -18,6 +18,7 @@ import Assignment from '@material-ui/icons/Assignment';
 import Block from '@material-ui/icons/Block';
 import ContentCut from '~/icons/ContentCut';
 import Edit from '@material-ui/icons/Edit';
+import EmojiFlags from '@material-ui/icons/EmojiFlags';
 import Flight from '@material-ui/icons/Flight';
 import FlightTakeoff from '@material-ui/icons/FlightTakeoff';
 import FlightLand from '@material-ui/icons/FlightLand';
@@ -59,6 +60,35 @@ import { openFlyToTargetDialogWithCoordinate } from '~/features/uav-control/acti
 import { openUAVDetailsDialog } from '~/features/uavs/details';
 import { getSelectedUAVIds } from '~/features/uavs/selectors';
 
+/**
+ * Creates the context menu item that marks the given feature as a rally point
+ * or clears the rally point flag of the feature.
+ */
+const createRallyPointMenuItem = (feature, t, updateFeatureAttributes) => {
+  const isSuitable = feature.type === FeatureType.POINTS;
+  const isRallyPoint = Boolean(feature.attributes?.isRallyPoint);
+  return (
+    <MenuItem
+      key='rallyPoint'
+      dense
+      disabled={!isSuitable}
+      onClick={() =>
+        updateFeatureAttributes?.({
+          id: feature.id,
+          attributes: { isRallyPoint: !isRallyPoint },
+        })
+      }
+    >
+      <ListItemIcon>
+        <EmojiFlags color={isRallyPoint ? 'disabled' : 'action'} />
+      </ListItemIcon>
+      {isRallyPoint
+        ? t('mapContextMenu.clearRallyPoint')
+        : t('mapContextMenu.useAsRallyPoint')}
+    </MenuItem>
+  );
+};
+
 /**
  * Context menu that shows the menu items that should appear when the
  * user right-clicks on the map.
@@ -316,7 +346,12 @@ class MapContextMenu extends React.Component {
                     {isExclusionZone
                       ? t('mapContextMenu.clearExclusionZone')
                       : t('mapContextMenu.useAsExclusionZone')}
-                  </MenuItem>
+                  </MenuItem>,
+                  createRallyPointMenuItem(
+                    selectedFeatures[0],
+                    t,
+                    this.props.updateFeatureAttributes
+                  )
                 );
               }
 
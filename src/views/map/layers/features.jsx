@@ -1,7 +1,7 @@
 import createColor from 'color';
 import unary from 'lodash-es/unary';
 import { MultiPoint, MultiPolygon, Polygon } from 'ol/geom';
-import { Circle, Style, Text } from 'ol/style';
+import { Circle, RegularShape, Style, Text } from 'ol/style';
 import FillPattern from 'ol-ext/style/FillPattern';
 import PropTypes from 'prop-types';
 import React from 'react';
@@ -124,6 +124,23 @@ export const styleForPointsOfPolygon = (selected, color) =>
     geometry: extractPointsFromPolygon,
   });
 
+/**
+ * Returns the image to show for a point feature. Rally points are shown as
+ * squares to distinguish them from ordinary points.
+ */
+const imageForPointFeature = (feature, { color, isSelected, radius }) => {
+  const stroke = isSelected ? whiteThinOutline : undefined;
+  return feature?.attributes?.isRallyPoint
+    ? new RegularShape({
+        stroke,
+        fill: fill(color),
+        points: 4,
+        radius: radius + 2,
+        angle: Math.PI / 4,
+      })
+    : new Circle({ stroke, fill: fill(color), radius });
+};
+
 // TODO: cache the style somewhere?
 const styleForFeature = (
   feature,
@@ -144,9 +161,9 @@ const styleForFeature = (
     case FeatureType.POINTS:
       styles.push(
         new Style({
-          image: new Circle({
-            ...(isSelected && { stroke: whiteThinOutline }),
-            fill: fill(parsedColor.rgb().array()),
+          image: imageForPointFeature(feature, {
+            color: parsedColor.rgb().array(),
+            isSelected,
             radius,
           }),
         })
@@ -19,6 +19,7 @@ import FormControlLabel from '@material-ui/core/FormControlLabel';
 import FormGroup from '@material-ui/core/FormGroup';
 
 import Colors from '~/components/colors';
+import { getCollisionSegmentsInWorldCoordinates } from '~/features/collision-analysis/selectors';
 import { setLayerParametersById } from '~/features/map/layers';
 import {
   getCurrentMissionItemIndex,
@@ -90,6 +91,7 @@ const MissionInfoLayerSettingsPresentation = ({
 }) => {
   const { parameters } = layer;
   const {
+    showCollisionSegments,
     showConvexHull,
     showOrigin,
     showHomePositions,
@@ -166,6 +168,16 @@ const MissionInfoLayerSettingsPresentation = ({
             }
             label='Show trajectories of selected drones'
           />
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={Boolean(showCollisionSegments)}
+                value='showCollisionSegments'
+                onChange={handleChange('showCollisionSegments')}
+              />
+            }
+            label='Show where drones get too close to each other'
+          />
         </>
       )}
       {hasFeature('missionEditor') && (
@@ -394,6 +406,14 @@ const missionConvexHullSelectionStyle = new Style({
   stroke: whiteThickOutline,
 });
 
+/**
+ * Style for the parts of the trajectories where two drones get closer to each
+ * other than the minimum separation.
+ */
+const collisionSegmentStyle = new Style({
+  stroke: thickOutline(Colors.error),
+});
+
 /**
  * Style for the flight area of the mission.
  */
@@ -767,6 +787,24 @@ const convexHullPolygon = (convexHull, selection) => {
   }
 };
 
+const collisionSegmentLines = (collisionSegments) =>
+  collisionSegments
+    ? collisionSegments.map(({ id, points }) => (
+        <Feature
+          key={`collisionSegment_${id}`}
+          id={`collisionSegment_${id}`}
+          properties={{ skipSelection: true }}
+          style={collisionSegmentStyle}
+        >
+          <geom.LineString
+            coordinates={points.map((point) =>
+              mapViewCoordinateFromLonLat([point.lon, point.lat])
+            )}
+          />
+        </Feature>
+      ))
+    : [];
+
 const selectionTrajectoryFeatures = (
   missionIndicesForTrajectories,
   uavIdsForTrajectories
@@ -802,6 +840,7 @@ const selectionTrajectoryFeatures = (
 };
 
 const MissionInfoVectorSource = ({
+  collisionSegments,
   convexHull,
   coordinateSystemType,
   currentItemIndex,
@@ -847,12 +886,19 @@ const MissionInfoVectorSource = ({
       selectionTrajectoryFeatures(
         missionIndicesForTrajectories,
         uavIdsForTrajectories
-      )
+      ),
+      collisionSegmentLines(collisionSegments)
     )}
   </source.Vector>
 );
 
 MissionInfoVectorSource.propTypes = {
+  collisionSegments: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string,
+      points: PropTypes.arrayOf(CustomPropTypes.coordinate),
+    })
+  ),
   convexHull: PropTypes.arrayOf(CustomPropTypes.coordinate),
   coordinateSystemType: PropTypes.oneOf(['neu', 'nwu']),
   currentItemIndex: PropTypes.number,
@@ -894,6 +940,9 @@ MissionInfoLayerPresentation.propTypes = {
 export const MissionInfoLayer = connect(
   // mapStateToProps
   (state, { layer }) => ({
+    collisionSegments: layer?.parameters?.showCollisionSegments
+      ? getCollisionSegmentsInWorldCoordinates(state)
+      : undefined,
     convexHull: layer?.parameters?.showConvexHull
       ? getConvexHullOfShowInWorldCoordinates(state)
       : undefined,
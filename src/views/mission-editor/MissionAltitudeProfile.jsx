@@ -0,0 +1,278 @@
+import loadable from '@loadable/component';
+import PropTypes from 'prop-types';
+import React, { useMemo } from 'react';
+import { connect } from 'react-redux';
+
+import Box from '@material-ui/core/Box';
+import IconButton from '@material-ui/core/IconButton';
+import Typography from '@material-ui/core/Typography';
+import { makeStyles, useTheme } from '@material-ui/core/styles';
+
+import Clear from '@material-ui/icons/Clear';
+import Terrain from '@material-ui/icons/Terrain';
+import Warning from '@material-ui/icons/Warning';
+
+import { defaultFont, isThemeDark } from '@skybrush/app-theme-material-ui';
+
+import Colors from '~/components/colors';
+import FileButton from '~/components/FileButton';
+import { SimpleDistanceField } from '~/components/forms';
+import { TooltipWithContainerFromContext as Tooltip } from '~/containerContext';
+import { loadElevationModelFromFile } from '~/features/terrain/actions';
+import { ELEVATION_MODEL_FILTER } from '~/features/terrain/constants';
+import {
+  getAltitudeProfileOfMission,
+  getElevationModelName,
+  getMinimumTerrainClearance,
+} from '~/features/terrain/selectors';
+import {
+  clearElevationModel,
+  setMinimumTerrainClearance,
+} from '~/features/terrain/slice';
+import { formatDistance } from '~/utils/formatting';
+
+/* ************************************************************************ */
+
+const LineChart = loadable(
+  () => import(/* webpackChunkName: "charts" */ '~/components/LineChart'),
+  {
+    resolveComponent: ({ default: Line }) => Line,
+  }
+);
+
+const TERRAIN_COLOR = '#a1887f';
+
+const useStyles = makeStyles(
+  (theme) => ({
+    root: {
+      borderTop: `1px solid ${theme.palette.divider}`,
+      padding: theme.spacing(1),
+    },
+
+    warnings: {
+      color: Colors.warning,
+      maxHeight: 72,
+      overflow: 'auto',
+      margin: 0,
+      paddingLeft: theme.spacing(3),
+    },
+  }),
+  {
+    name: 'MissionAltitudeProfile',
+  }
+);
+
+const createData = (samples) => ({
+  datasets: [
+    {
+      label: 'Planned altitude',
+      data: samples.map(({ distance, altitude }) => ({
+        x: distance,
+        y: altitude,
+      })),
+      borderColor: Colors.plannedTrajectory,
+      borderWidth: 2,
+      pointRadius: 0,
+    },
+    {
+      label: 'Terrain',
+      data: samples.map(({ distance, terrain }) => ({
+        x: distance,
+        y: terrain,
+      })),
+      backgroundColor: `${TERRAIN_COLOR}80`,
+      borderColor: TERRAIN_COLOR,
+      borderWidth: 1,
+      fill: 'origin',
+      pointRadius: 0,
+    },
+  ],
+});
+
+const createOptions = (isDark) => {
+  const textColor = isDark
+    ? 'rgba(255, 255, 255, 0.54)'
+    : 'rgba(0, 0, 0, 0.54)';
+  const gridColor = isDark
+    ? 'rgba(255, 255, 255, 0.17)'
+    : 'rgba(0, 0, 0, 0.17)';
+  const ticks = { color: textColor, font: { family: defaultFont, size: 12 } };
+
+  return {
+    animation: false,
+    interaction: {
+      intersect: false,
+      mode: 'index',
+    },
+    plugins: {
+      legend: {
+        display: false,
+      },
+      tooltip: {
+        titleFont: { family: defaultFont },
+        bodyFont: { family: defaultFont },
+        callbacks: {
+          title: ([item]) => (item ? formatDistance(item.parsed.x) : ''),
+          label: (ctx) =>
+            ` ${ctx.dataset.label}: ${formatDistance(ctx.parsed.y)} AMSL`,
+        },
+      },
+    },
+    scales: {
+      x: {
+        type: 'linear',
+        grid: { display: false },
+        ticks: {
+          ...ticks,
+          callback: (value) => formatDistance(value, 0),
+          maxTicksLimit: 6,
+        },
+      },
+      y: {
+        grid: { color: gridColor, borderColor: gridColor },
+        ticks: { ...ticks, maxTicksLimit: 5 },
+      },
+    },
+
+    // required for all charts
+    maintainAspectRatio: false,
+  };
+};
+
+const options = {
+  dark: createOptions(true),
+  light: createOptions(false),
+};
+
+/* ************************************************************************ */
+
+/**
+ * Component that shows the planned altitude of the current waypoint mission
+ * and the elevation of the terrain below it as a function of the distance
+ * travelled along the route, and lists the mission items whose route gets
+ * closer to the terrain than the minimum allowed clearance.
+ */
+const MissionAltitudeProfile = ({
+  elevationModelName,
+  minimumClearance,
+  onClearElevationModel,
+  onElevationModelSelected,
+  onMinimumClearanceChanged,
+  profile: { samples, warnings },
+}) => {
+  const classes = useStyles();
+  const theme = useTheme();
+  const data = useMemo(() => createData(samples), [samples]);
+
+  return (
+    <Box className={classes.root}>
+      <Box display='flex' alignItems='center'>
+        <FileButton
+          size='small'
+          filter={ELEVATION_MODEL_FILTER}
+          startIcon={<Terrain />}
+          onSelected={onElevationModelSelected}
+        >
+          {elevationModelName ? 'Change DEM' : 'Load DEM'}
+        </FileButton>
+        <Box flex={1} mx={1} minWidth={0}>
+          <Typography noWrap variant='body2' color='textSecondary'>
+            {elevationModelName ?? 'No elevation model loaded'}
+          </Typography>
+        </Box>
+        {elevationModelName && (
+          <Tooltip content='Unload elevation model'>
+            <IconButton size='small' onClick={onClearElevationModel}>
+              <Clear fontSize='small' />
+            </IconButton>
+          </Tooltip>
+        )}
+        <Box width={120} ml={1}>
+          <SimpleDistanceField
+            label='Min. clearance'
+            min={0}
+            size='small'
+            value={minimumClearance}
+            onChange={onMinimumClearanceChanged}
+          />
+        </Box>
+      </Box>
+
+      {samples.length > 1 ? (
+        <Box height={140} mt={1}>
+          <LineChart
+            data={data}
+            options={isThemeDark(theme) ? options.dark : options.light}
+          />
+        </Box>
+      ) : (
+        <Box py={2} textAlign='center'>
+          <Typography variant='body2' color='textSecondary'>
+            Add waypoints to the mission to see its altitude profile
+          </Typography>
+        </Box>
+      )}
+
+      {elevationModelName && warnings.length > 0 && (
+        <Box display='flex' alignItems='flex-start' mt={1}>
+          <Warning fontSize='small' style={{ color: Colors.warning }} />
+          <ul className={classes.warnings}>
+            {warnings.map(({ index, clearance }) => (
+              <li key={index}>
+                <Typography variant='body2'>
+                  Clearance of {formatDistance(clearance)} at item #{index + 1}
+                </Typography>
+              </li>
+            ))}
+          </ul>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+MissionAltitudeProfile.propTypes = {
+  elevationModelName: PropTypes.string,
+  minimumClearance: PropTypes.number,
+  onClearElevationModel: PropTypes.func,
+  onElevationModelSelected: PropTypes.func,
+  onMinimumClearanceChanged: PropTypes.func,
+  profile: PropTypes.shape({
+    samples: PropTypes.arrayOf(
+      PropTypes.shape({
+        distance: PropTypes.number,
+        altitude: PropTypes.number,
+        terrain: PropTypes.number,
+      })
+    ),
+    warnings: PropTypes.arrayOf(
+      PropTypes.shape({
+        index: PropTypes.number,
+        clearance: PropTypes.number,
+      })
+    ),
+  }),
+};
+
+export default connect(
+  // mapStateToProps
+  (state) => ({
+    elevationModelName: getElevationModelName(state),
+    minimumClearance: getMinimumTerrainClearance(state),
+    profile: getAltitudeProfileOfMission(state),
+  }),
+  // mapDispatchToProps
+  (dispatch) => ({
+    onClearElevationModel() {
+      dispatch(clearElevationModel());
+    },
+    onElevationModelSelected(file) {
+      dispatch(loadElevationModelFromFile(file));
+    },
+    onMinimumClearanceChanged(event) {
+      dispatch(
+        setMinimumTerrainClearance(Number.parseFloat(event.target.value))
+      );
+    },
+  })
+)(MissionAltitudeProfile);
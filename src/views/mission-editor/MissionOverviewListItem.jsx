@@ -24,6 +24,7 @@ import {
   hasActiveGeofencePolygon,
   isWaypointMissionConvexHullInsideGeofence,
 } from '~/features/mission/selectors';
+import { getExclusionZoneViolationsByMissionItemId } from '~/features/mission/selectors-exclusion-zones';
 import { SafetyDialogTab } from '~/features/safety/constants';
 import { openSafetyDialog, setSafetyDialogTab } from '~/features/safety/slice';
 import {
@@ -91,8 +92,29 @@ const formatMarkerStatusText = (marker, ratio) => {
   return markerText + ratioText;
 };
 
+const formatSpeedChangeText = ({ velocityXY, velocityZ }) => {
+  const tags = [];
+  if (typeof velocityXY === 'number') {
+    tags.push(`${velocityXY} m/s horizontal`);
+  }
+
+  if (typeof velocityZ === 'number') {
+    tags.push(`${velocityZ} m/s vertical`);
+  }
+
+  return tags.join(', ');
+};
+
+const formatExclusionZoneViolationText = (zoneIds) =>
+  zoneIds?.length > 0
+    ? zoneIds.length === 1
+      ? 'Route crosses an exclusion zone'
+      : `Route crosses ${zoneIds.length} exclusion zones`
+    : undefined;
+
 const MissionOverviewListItem = ({
   editMissionItemParameters,
+  exclusionZoneViolationText,
   id,
   index,
   item,
@@ -160,21 +182,9 @@ const MissionOverviewListItem = ({
         : 'Invalid mission item';
       break;
 
-    case MissionItemType.CHANGE_SPEED: {
-      const { velocityXY, velocityZ } = item.parameters;
-      const tags = [];
-      if (typeof velocityXY === 'number') {
-        tags.push(`${velocityXY} m/s horizontal`);
-      }
-
-      if (typeof velocityZ === 'number') {
-        tags.push(`${velocityZ} m/s vertical`);
-      }
-
-      secondaryText = tags.join(', ');
-
+    case MissionItemType.CHANGE_SPEED:
+      secondaryText = formatSpeedChangeText(item.parameters);
       break;
-    }
 
     case MissionItemType.MARKER:
       secondaryText = formatMarkerStatusText(
@@ -215,6 +225,10 @@ const MissionOverviewListItem = ({
       break;
   }
 
+  if (exclusionZoneViolationText) {
+    secondaryText = exclusionZoneViolationText;
+  }
+
   return (
     <Box position='relative'>
       <div
@@ -238,7 +252,13 @@ const MissionOverviewListItem = ({
       >
         {avatar && (
           <ListItemAvatar>
-            <Avatar className={isValid ? null : classes.error}>{avatar}</Avatar>
+            <Avatar
+              className={
+                isValid && !exclusionZoneViolationText ? null : classes.error
+              }
+            >
+              {avatar}
+            </Avatar>
           </ListItemAvatar>
         )}
         <ListItemText primary={primaryText} secondary={secondaryText} />
@@ -256,6 +276,7 @@ const MissionOverviewListItem = ({
 
 MissionOverviewListItem.propTypes = {
   editMissionItemParameters: PropTypes.func,
+  exclusionZoneViolationText: PropTypes.string,
   id: PropTypes.string,
   index: PropTypes.number,
   item: PropTypes.shape({
@@ -278,6 +299,9 @@ export default connect(
       //      an item that no longer exists in the redux store...
       type: MissionItemType.UNKNOWN,
     },
+    exclusionZoneViolationText: formatExclusionZoneViolationText(
+      getExclusionZoneViolationsByMissionItemId(state)[ownProps.id]
+    ),
     missionGeofenceStatus: hasActiveGeofencePolygon(state)
       ? isWaypointMissionConvexHullInsideGeofence(state)
         ? getGeofencePolygon(state).owner === MissionType.WAYPOINT
@@ -1,6 +1,12 @@
+import PropTypes from 'prop-types';
 import React from 'react';
+import { connect } from 'react-redux';
 
 import Box from '@material-ui/core/Box';
+
+import { isAltitudeProfileVisible } from '~/features/terrain/selectors';
+
+import MissionAltitudeProfile from './MissionAltitudeProfile';
 import MissionOverviewList from './MissionOverviewList';
 import MissionOverviewPanelFooter from './MissionOverviewPanelFooter';
 import MissionOverviewPanelHeader from './MissionOverviewPanelHeader';
@@ -10,13 +16,23 @@ import MissionOverviewPanelStatusBar from './MissionOverviewPanelStatusBar';
  * Panel that shows the widgets that are needed to edit a waypoint-based mission
  * for one or more drones.
  */
-const MissionOverviewPanel = () => (
+const MissionOverviewPanel = ({ altitudeProfileVisible }) => (
   <Box display='flex' flexDirection='column' height='100%'>
     <MissionOverviewPanelHeader />
     <MissionOverviewList />
+    {altitudeProfileVisible && <MissionAltitudeProfile />}
     <MissionOverviewPanelStatusBar />
     <MissionOverviewPanelFooter />
   </Box>
 );
 
-export default MissionOverviewPanel;
+MissionOverviewPanel.propTypes = {
+  altitudeProfileVisible: PropTypes.bool,
+};
+
+export default connect(
+  // mapStateToProps
+  (state) => ({
+    altitudeProfileVisible: isAltitudeProfileVisible(state),
+  })
+)(MissionOverviewPanel);
@@ -5,6 +5,8 @@ import { connect } from 'react-redux';
 import Box from '@material-ui/core/Box';
 import Button from '@material-ui/core/Button';
 import IconButton from '@material-ui/core/IconButton';
+import MenuItem from '@material-ui/core/MenuItem';
+import MenuList from '@material-ui/core/MenuList';
 import Paper from '@material-ui/core/Paper';
 import Toolbar from '@material-ui/core/Toolbar';
 import { makeStyles } from '@material-ui/core/styles';
@@ -28,7 +30,16 @@ import {
   invokeMissionPlanner,
   uploadMissionItemsToSelectedUAV,
 } from '~/features/mission/actions';
-import { isMissionPartiallyCompleted } from '~/features/mission/selectors';
+import {
+  MISSION_IMPORT_FILTER,
+  MissionFileFormat,
+  propertiesForMissionFileFormats,
+} from '~/features/mission/formats';
+import { isBuiltinMissionType } from '~/features/mission/builtin-planners';
+import {
+  getLastSuccessfulPlannerInvocationParameters,
+  isMissionPartiallyCompleted,
+} from '~/features/mission/selectors';
 import { showMissionPlannerDialog } from '~/features/mission/slice';
 import { isConnected as isConnectedToServer } from '~/features/servers/selectors';
 import { getSingleSelectedUAVId, getUAVById } from '~/features/uavs/selectors';
@@ -47,8 +58,14 @@ const useStyles = makeStyles(
   }
 );
 
+const EXPORT_FORMATS = [
+  MissionFileFormat.SKYBRUSH,
+  MissionFileFormat.QGC_PLAN,
+  MissionFileFormat.MAVLINK_WPL,
+];
+
 const MissionOverviewPanelHeader = ({
-  canPlan,
+  canReplan,
   canResume,
   canUpload,
   onClearMission,
@@ -61,6 +78,12 @@ const MissionOverviewPanelHeader = ({
   const classes = useStyles();
 
   const [planPopupAnchor, openPlanPopup, closePlanPopup] = usePopover();
+  const [exportPopupAnchor, openExportPopup, closeExportPopup] = usePopover();
+
+  const exportMission = (format) => {
+    closeExportPopup();
+    onExportMission(format);
+  };
 
   const showMissionPlannerDialog = useCallback(() => {
     closePlanPopup();
@@ -87,20 +110,36 @@ const MissionOverviewPanelHeader = ({
         <Tooltip content='Import mission' placement='top'>
           <FileButton
             style={{ minWidth: '26px' }}
-            filter={['.json']}
+            filter={MISSION_IMPORT_FILTER}
             onSelected={onImportMission}
           >
             <Import fontSize='small' />
           </FileButton>
         </Tooltip>
         <Tooltip content='Export mission' placement='top'>
-          <IconButton size='small' onClick={onExportMission}>
+          <IconButton size='small' onClick={openExportPopup}>
             <Export fontSize='small' />
           </IconButton>
         </Tooltip>
+        <Popover
+          open={Boolean(exportPopupAnchor)}
+          anchorEl={exportPopupAnchor}
+          anchorOrigin={{
+            vertical: 'bottom',
+            horizontal: 'left',
+          }}
+          onClose={closeExportPopup}
+        >
+          <MenuList dense>
+            {EXPORT_FORMATS.map((format) => (
+              <MenuItem key={format} onClick={() => exportMission(format)}>
+                {propertiesForMissionFileFormats[format].name}
+              </MenuItem>
+            ))}
+          </MenuList>
+        </Popover>
         <Box component='div' flex={1} />
         <Button
-          disabled={!canPlan}
           size='small'
           onClick={canResume ? openPlanPopup : showMissionPlannerDialog}
         >
@@ -120,7 +159,6 @@ const MissionOverviewPanelHeader = ({
           onClose={closePlanPopup}
         >
           <Button
-            disabled={!canPlan}
             size='small'
             startIcon={<DeleteForever />}
             onClick={showMissionPlannerDialog}
@@ -128,7 +166,7 @@ const MissionOverviewPanelHeader = ({
             New
           </Button>
           <Button
-            disabled={!canPlan}
+            disabled={!canReplan}
             size='small'
             startIcon={<PlayArrow />}
             onClick={resumeMission}
@@ -150,7 +188,7 @@ const MissionOverviewPanelHeader = ({
 };
 
 MissionOverviewPanelHeader.propTypes = {
-  canPlan: PropTypes.bool,
+  canReplan: PropTypes.bool,
   canResume: PropTypes.bool,
   canUpload: PropTypes.bool,
   onClearMission: PropTypes.func,
@@ -164,7 +202,12 @@ MissionOverviewPanelHeader.propTypes = {
 export default connect(
   // mapStateToProps
   (state) => ({
-    canPlan: isConnectedToServer(state),
+    // Built-in planners run in the client so they work without a server
+    canReplan:
+      isConnectedToServer(state) ||
+      isBuiltinMissionType(
+        getLastSuccessfulPlannerInvocationParameters(state)?.missionType
+      ),
     canResume: isMissionPartiallyCompleted(state),
     canUpload: (({ singleSelectedUAVId }) =>
       isConnectedToServer(state) &&
@@ -10,6 +10,7 @@ import { makeStyles } from '@material-ui/core/styles';
 
 import Error from '@material-ui/icons/Error';
 import Info from '@material-ui/icons/Info';
+import Terrain from '@material-ui/icons/Terrain';
 import Timeline from '@material-ui/icons/Timeline';
 import Timer from '@material-ui/icons/Timer';
 import Warning from '@material-ui/icons/Warning';
@@ -22,7 +23,14 @@ import {
   getMissionEstimates,
   shouldMissionEditorPanelFollowScroll,
 } from '~/features/mission/selectors';
+import { getExclusionZoneViolationsOfWaypointMission } from '~/features/mission/selectors-exclusion-zones';
 import { setEditorPanelFollowScroll } from '~/features/mission/slice';
+import {
+  getAltitudeProfileOfMission,
+  hasElevationModel,
+  isAltitudeProfileVisible,
+} from '~/features/terrain/selectors';
+import { setAltitudeProfileVisible } from '~/features/terrain/slice';
 import FollowScroll from '~/icons/FollowScroll';
 import { formatDistance, formatDuration } from '~/utils/formatting';
 import CustomPropTypes from '~/utils/prop-types';
@@ -48,6 +56,7 @@ const makeWarningList = (warnings) => (
 );
 
 const MissionOverviewPanelStatusBar = ({
+  altitudeProfileVisible,
   followScroll,
   homePositions: [homePosition],
   missionEstimates: {
@@ -55,7 +64,10 @@ const MissionOverviewPanelStatusBar = ({
     duration: estimatedDuration,
     error,
   },
+  exclusionZoneViolationCount,
+  onAltitudeProfileVisibilityChanged,
   onFollowScrollChanged,
+  terrainClearanceWarningCount,
 }) => {
   const classes = useStyles();
   const warnings = [];
@@ -74,6 +86,30 @@ const MissionOverviewPanelStatusBar = ({
     });
   }
 
+  if (terrainClearanceWarningCount > 0) {
+    warnings.push({
+      key: 'terrain',
+      text:
+        terrainClearanceWarningCount === 1
+          ? 'One mission item violates the minimum terrain clearance'
+          : `${terrainClearanceWarningCount} mission items violate the minimum terrain clearance`,
+    });
+  }
+
+  if (exclusionZoneViolationCount > 0) {
+    warnings.push({
+      key: 'exclusionZones',
+      text:
+        exclusionZoneViolationCount === 1
+          ? 'One leg of the route crosses an exclusion zone'
+          : `${exclusionZoneViolationCount} legs of the route cross exclusion zones`,
+    });
+  }
+
+  const toggleAltitudeProfile = useCallback(() => {
+    onAltitudeProfileVisibilityChanged(!altitudeProfileVisible);
+  }, [altitudeProfileVisible, onAltitudeProfileVisibilityChanged]);
+
   const toggleFollowScroll = useCallback(() => {
     onFollowScrollChanged(!followScroll);
   }, [followScroll, onFollowScrollChanged]);
@@ -135,6 +171,17 @@ const MissionOverviewPanelStatusBar = ({
           />
         )}
         <Box component='div' flex={1} />
+        <Tooltip content='Show altitude profile'>
+          <ToggleButton
+            size='small'
+            style={{ margin: -3, marginRight: 3 }}
+            value='altitudeProfile'
+            selected={altitudeProfileVisible}
+            onChange={toggleAltitudeProfile}
+          >
+            <Terrain />
+          </ToggleButton>
+        </Tooltip>
         <Tooltip content='Follow the active mission item'>
           <ToggleButton
             size='small'
@@ -152,6 +199,8 @@ const MissionOverviewPanelStatusBar = ({
 };
 
 MissionOverviewPanelStatusBar.propTypes = {
+  altitudeProfileVisible: PropTypes.bool,
+  exclusionZoneViolationCount: PropTypes.number,
   followScroll: PropTypes.bool,
   homePositions: PropTypes.arrayOf(CustomPropTypes.coordinate),
   missionEstimates: PropTypes.shape({
@@ -159,18 +208,30 @@ MissionOverviewPanelStatusBar.propTypes = {
     duration: PropTypes.number,
     error: PropTypes.string,
   }),
+  onAltitudeProfileVisibilityChanged: PropTypes.func,
   onFollowScrollChanged: PropTypes.func,
+  terrainClearanceWarningCount: PropTypes.number,
 };
 
 export default connect(
   // mapStateToProps
   (state) => ({
+    altitudeProfileVisible: isAltitudeProfileVisible(state),
+    exclusionZoneViolationCount: new Set(
+      getExclusionZoneViolationsOfWaypointMission(state).map(
+        ({ index }) => index
+      )
+    ).size,
     followScroll: shouldMissionEditorPanelFollowScroll(state),
     homePositions: getGPSBasedHomePositionsInMission(state),
     missionEstimates: getMissionEstimates(state),
+    terrainClearanceWarningCount: hasElevationModel(state)
+      ? getAltitudeProfileOfMission(state).warnings.length
+      : 0,
   }),
   // mapDispatchToProps
   {
+    onAltitudeProfileVisibilityChanged: setAltitudeProfileVisible,
     onFollowScrollChanged: setEditorPanelFollowScroll,
   }
 )(MissionOverviewPanelStatusBar);
@@ -0,0 +1,312 @@
+/**
+ * @file Panel that allows the user to record the telemetry of a session and
+ * to replay recorded sessions later.
+ */
+
+import formatDate from 'date-fns/format';
+import PropTypes from 'prop-types';
+import React, { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { connect } from 'react-redux';
+
+import Box from '@material-ui/core/Box';
+import Button from '@material-ui/core/Button';
+import IconButton from '@material-ui/core/IconButton';
+import MenuItem from '@material-ui/core/MenuItem';
+import Select from '@material-ui/core/Select';
+import Slider from '@material-ui/core/Slider';
+import Typography from '@material-ui/core/Typography';
+import { makeStyles } from '@material-ui/core/styles';
+
+import Close from '@material-ui/icons/Close';
+import FiberManualRecord from '@material-ui/icons/FiberManualRecord';
+import FolderOpen from '@material-ui/icons/FolderOpen';
+import Pause from '@material-ui/icons/Pause';
+import PlayArrow from '@material-ui/icons/PlayArrow';
+import Save from '@material-ui/icons/Save';
+import Stop from '@material-ui/icons/Stop';
+
+import FileButton from '~/components/FileButton';
+import { TooltipWithContainerFromContext as Tooltip } from '~/containerContext';
+import {
+  closeRecording,
+  loadRecordingFromFile,
+  saveRecording,
+  seekReplay,
+  startRecording,
+  stopRecording,
+  toggleReplayPlayback,
+} from '~/features/recording/actions';
+import { REPLAY_SPEEDS } from '~/features/recording/constants';
+import recorder from '~/features/recording/recorder';
+import {
+  getRecordingStartTime,
+  getReplayDuration,
+  getReplayFileName,
+  getReplayPosition,
+  getReplaySpeed,
+  getReplayStartTime,
+  isRecording,
+  isReplayActive,
+  isReplayPlaying,
+} from '~/features/recording/selectors';
+import { setReplaySpeed } from '~/features/recording/slice';
+import { isSimulationActive } from '~/features/simulation/selectors';
+import usePeriodicRefresh from '~/hooks/usePeriodicRefresh';
+import { formatDurationHMS } from '~/utils/formatting';
+
+const useStyles = makeStyles(
+  (theme) => ({
+    root: {
+      display: 'flex',
+      flexDirection: 'column',
+      height: '100%',
+      overflow: 'auto',
+      padding: theme.spacing(1, 2),
+    },
+
+    section: {
+      marginBottom: theme.spacing(2),
+    },
+
+    recordingIndicator: {
+      color: theme.palette.error.main,
+    },
+
+    slider: {
+      flex: 1,
+      margin: theme.spacing(0, 2),
+    },
+  }),
+  { name: 'RecordingPanel' }
+);
+
+const formatPosition = (milliseconds) => formatDurationHMS(milliseconds / 1000);
+
+/**
+ * Component that shows the statistics of the ongoing recording, refreshing
+ * itself periodically.
+ */
+const RecordingStatistics = ({ active, startedAt }) => {
+  const { t } = useTranslation();
+  usePeriodicRefresh(active ? 1000 : null);
+
+  if (startedAt === undefined) {
+    return (
+      <Typography variant='body2' color='textSecondary'>
+        {t('recordingPanel.notRecording')}
+      </Typography>
+    );
+  }
+
+  const { duration } = recorder.toRecording();
+
+  return (
+    <Typography variant='body2' color='textSecondary'>
+      {t('recordingPanel.recordingStatistics', {
+        messageCount: recorder.messageCount,
+        duration: formatPosition(duration),
+        startedAt: formatDate(startedAt, 'yyyy-MM-dd HH:mm:ss'),
+      })}
+    </Typography>
+  );
+};
+
+RecordingStatistics.propTypes = {
+  active: PropTypes.bool,
+  startedAt: PropTypes.number,
+};
+
+const RecordingPanel = ({
+  duration,
+  fileName,
+  isPlaying,
+  isRecording,
+  isReplayActive,
+  isSimulationActive,
+  onClose,
+  onLoad,
+  onSave,
+  onSeek,
+  onSetSpeed,
+  onStartRecording,
+  onStopRecording,
+  onTogglePlayback,
+  position,
+  recordingStartedAt,
+  replayStartedAt,
+  speed,
+}) => {
+  const classes = useStyles();
+  const { t } = useTranslation();
+
+  // Position shown on the slider while the user is dragging it; we seek only
+  // when the user releases the slider because seeking may be expensive
+  const [draggedPosition, setDraggedPosition] = useState(null);
+  const shownPosition = draggedPosition ?? position;
+
+  return (
+    <Box className={classes.root}>
+      <Box className={classes.section}>
+        <Typography gutterBottom variant='subtitle2'>
+          {t('recordingPanel.recording')}
+        </Typography>
+        <Box display='flex' alignItems='center' mb={1}>
+          {isRecording ? (
+            <Button size='small' startIcon={<Stop />} onClick={onStopRecording}>
+              {t('recordingPanel.stopRecording')}
+            </Button>
+          ) : (
+            <Button
+              disabled={isReplayActive}
+              size='small'
+              startIcon={
+                <FiberManualRecord className={classes.recordingIndicator} />
+              }
+              onClick={onStartRecording}
+            >
+              {t('recordingPanel.startRecording')}
+            </Button>
+          )}
+          <Button
+            disabled={recordingStartedAt === undefined}
+            size='small'
+            startIcon={<Save />}
+            onClick={onSave}
+          >
+            {t('recordingPanel.saveRecording')}
+          </Button>
+        </Box>
+        <RecordingStatistics
+          active={isRecording}
+          startedAt={recordingStartedAt}
+        />
+      </Box>
+
+      <Box className={classes.section}>
+        <Typography gutterBottom variant='subtitle2'>
+          {t('recordingPanel.replay')}
+        </Typography>
+        <Box display='flex' alignItems='center' mb={1}>
+          <FileButton
+            disabled={isSimulationActive}
+            filter={['.json']}
+            size='small'
+            startIcon={<FolderOpen />}
+            onSelected={onLoad}
+          >
+            {t('recordingPanel.loadRecording')}
+          </FileButton>
+          <Box flex={1} />
+          {isReplayActive && (
+            <Tooltip content={t('recordingPanel.closeRecording')}>
+              <IconButton size='small' onClick={onClose}>
+                <Close fontSize='small' />
+              </IconButton>
+            </Tooltip>
+          )}
+        </Box>
+
+        {isReplayActive ? (
+          <>
+            <Typography variant='body2' color='textSecondary'>
+              {t('recordingPanel.replayInfo', {
+                fileName: fileName || '—',
+                startedAt: formatDate(replayStartedAt, 'yyyy-MM-dd HH:mm:ss'),
+              })}
+            </Typography>
+            <Box display='flex' alignItems='center' mt={1}>
+              <IconButton size='small' onClick={onTogglePlayback}>
+                {isPlaying ? <Pause /> : <PlayArrow />}
+              </IconButton>
+              <Slider
+                className={classes.slider}
+                min={0}
+                max={duration}
+                step={100}
+                value={shownPosition}
+                onChange={(_event, value) => setDraggedPosition(value)}
+                onChangeCommitted={(_event, value) => {
+                  setDraggedPosition(null);
+                  onSeek(value);
+                }}
+              />
+              <Typography variant='body2'>
+                {formatPosition(shownPosition)} / {formatPosition(duration)}
+              </Typography>
+            </Box>
+            <Box display='flex' alignItems='center' mt={1}>
+              <Typography variant='body2' color='textSecondary'>
+                {t('recordingPanel.speed')}
+              </Typography>
+              <Box ml={1}>
+                <Select
+                  value={speed}
+                  onChange={(event) => onSetSpeed(event.target.value)}
+                >
+                  {REPLAY_SPEEDS.map((value) => (
+                    <MenuItem key={value} value={value}>
+                      {value}×
+                    </MenuItem>
+                  ))}
+                </Select>
+              </Box>
+            </Box>
+          </>
+        ) : (
+          <Typography variant='body2' color='textSecondary'>
+            {t('recordingPanel.noReplay')}
+          </Typography>
+        )}
+      </Box>
+    </Box>
+  );
+};
+
+RecordingPanel.propTypes = {
+  duration: PropTypes.number,
+  fileName: PropTypes.string,
+  isPlaying: PropTypes.bool,
+  isRecording: PropTypes.bool,
+  isReplayActive: PropTypes.bool,
+  isSimulationActive: PropTypes.bool,
+  onClose: PropTypes.func,
+  onLoad: PropTypes.func,
+  onSave: PropTypes.func,
+  onSeek: PropTypes.func,
+  onSetSpeed: PropTypes.func,
+  onStartRecording: PropTypes.func,
+  onStopRecording: PropTypes.func,
+  onTogglePlayback: PropTypes.func,
+  position: PropTypes.number,
+  recordingStartedAt: PropTypes.number,
+  replayStartedAt: PropTypes.number,
+  speed: PropTypes.number,
+};
+
+export default connect(
+  // mapStateToProps
+  (state) => ({
+    duration: getReplayDuration(state),
+    fileName: getReplayFileName(state),
+    isPlaying: isReplayPlaying(state),
+    isRecording: isRecording(state),
+    isReplayActive: isReplayActive(state),
+    isSimulationActive: isSimulationActive(state),
+    position: getReplayPosition(state),
+    recordingStartedAt: getRecordingStartTime(state),
+    replayStartedAt: getReplayStartTime(state),
+    speed: getReplaySpeed(state),
+  }),
+  // mapDispatchToProps
+  {
+    onClose: closeRecording,
+    onLoad: loadRecordingFromFile,
+    onSave: saveRecording,
+    onSeek: seekReplay,
+    onSetSpeed: setReplaySpeed,
+    onStartRecording: startRecording,
+    onStopRecording: stopRecording,
+    onTogglePlayback: toggleReplayPlayback,
+  }
+)(RecordingPanel);
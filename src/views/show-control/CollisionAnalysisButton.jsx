@@ -0,0 +1,77 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import { connect } from 'react-redux';
+
+import ListItem from '@material-ui/core/ListItem';
+import ListItemText from '@material-ui/core/ListItemText';
+
+import StatusLight from '@skybrush/mui-components/lib/StatusLight';
+
+import { Status } from '~/components/semantics';
+import {
+  getCollisionAnalysisStatusLight,
+  getCollisionAnalysisSummary,
+} from '~/features/collision-analysis/selectors';
+import { showCollisionAnalysisDialog } from '~/features/collision-analysis/slice';
+
+/**
+ * Component that shows whether the drones of the loaded show keep the minimum
+ * distance from each other, and that opens the dialog with the details of the
+ * collision analysis when clicked.
+ */
+const CollisionAnalysisButton = ({
+  conflictCount,
+  minimumDistance,
+  status,
+  ...rest
+}) => {
+  const { t } = useTranslation();
+
+  return (
+    <ListItem button disabled={status === Status.OFF} {...rest}>
+      <StatusLight status={status} />
+      <ListItemText
+        primary={t('show.checkCollisions')}
+        secondary={
+          status === Status.WAITING
+            ? t('collisionAnalysis.statusText.running')
+            : status === Status.ERROR && conflictCount === undefined
+              ? t('collisionAnalysis.statusText.failed')
+              : status === Status.ERROR
+                ? t('collisionAnalysis.statusText.error', {
+                    count: conflictCount,
+                  })
+                : status === Status.SUCCESS
+                  ? t('collisionAnalysis.statusText.success', {
+                      distance: minimumDistance?.toFixed(2) ?? '—',
+                    })
+                  : t('collisionAnalysis.statusText.no')
+        }
+      />
+    </ListItem>
+  );
+};
+
+CollisionAnalysisButton.propTypes = {
+  conflictCount: PropTypes.number,
+  minimumDistance: PropTypes.number,
+  onClick: PropTypes.func,
+  status: PropTypes.oneOf(Object.values(Status)),
+};
+
+export default connect(
+  // mapStateToProps
+  (state) => {
+    const summary = getCollisionAnalysisSummary(state);
+    return {
+      conflictCount: summary?.conflictCount,
+      minimumDistance: summary?.minimum?.distance,
+      status: getCollisionAnalysisStatusLight(state),
+    };
+  },
+  // mapDispatchToProps
+  {
+    onClick: showCollisionAnalysisDialog,
+  }
+)(CollisionAnalysisButton);
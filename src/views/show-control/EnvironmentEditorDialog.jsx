@@ -14,6 +14,7 @@ import { closeEnvironmentEditorDialog } from '~/features/show/slice';
 
 import IndoorEnvironmentEditor from './IndoorEnvironmentEditor';
 import OutdoorEnvironmentEditor from './OutdoorEnvironmentEditor';
+import SceneryEditor from './SceneryEditor';
 
 const instructionsByType = {
   indoor: 'environmentEditorDialog.indoor',
@@ -46,6 +47,9 @@ const EnvironmentEditorDialog = ({ editing, onClose, type, t }) => (
         {type === 'outdoor' && <OutdoorEnvironmentEditor />}
         {type === 'indoor' && <IndoorEnvironmentEditor />}
       </Box>
+      <Box my={2}>
+        <SceneryEditor />
+      </Box>
     </DialogContent>
   </DraggableDialog>
 );
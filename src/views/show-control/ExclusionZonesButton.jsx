@@ -0,0 +1,58 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import { connect } from 'react-redux';
+
+import ListItem from '@material-ui/core/ListItem';
+import ListItemText from '@material-ui/core/ListItemText';
+
+import StatusLight from '@skybrush/mui-components/lib/StatusLight';
+
+import { Status } from '~/components/semantics';
+import { getExclusionZoneViolationsOfShow } from '~/features/mission/selectors-exclusion-zones';
+import { getSetupStageStatuses } from '~/features/show/stages';
+
+/**
+ * Component that shows whether the trajectories of the loaded show avoid the
+ * exclusion zones drawn on the map.
+ */
+const ExclusionZonesButton = ({ droneCount, status, ...rest }) => {
+  const { t } = useTranslation();
+
+  return (
+    <ListItem disabled={status === Status.OFF} {...rest}>
+      <StatusLight status={status} />
+      <ListItemText
+        primary={t('show.checkExclusionZones')}
+        secondary={
+          status === Status.ERROR
+            ? t('exclusionZones.statusText.error', { count: droneCount })
+            : status === Status.SUCCESS
+              ? t('exclusionZones.statusText.success')
+              : t('exclusionZones.statusText.no')
+        }
+      />
+    </ListItem>
+  );
+};
+
+ExclusionZonesButton.propTypes = {
+  droneCount: PropTypes.number,
+  status: PropTypes.oneOf(Object.values(Status)),
+};
+
+export default connect(
+  // mapStateToProps
+  (state) => {
+    const status = getSetupStageStatuses(state).checkExclusionZones;
+    return {
+      droneCount:
+        status === Status.ERROR
+          ? new Set(
+              getExclusionZoneViolationsOfShow(state).map(({ index }) => index)
+            ).size
+          : 0,
+      status,
+    };
+  }
+)(ExclusionZonesButton);
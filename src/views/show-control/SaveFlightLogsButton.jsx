@@ -0,0 +1,67 @@
+import PropTypes from 'prop-types';
+import React, { useCallback, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { connect } from 'react-redux';
+
+import ListItem from '@material-ui/core/ListItem';
+import ListItemText from '@material-ui/core/ListItemText';
+
+import StatusLight from '@skybrush/mui-components/lib/StatusLight';
+
+import { Status } from '~/components/semantics';
+import { saveFlightLogsOfMission } from '~/features/flight-log-analysis/actions';
+import { hasNonemptyMappingSlot } from '~/features/mission/selectors';
+
+/**
+ * Button that downloads the most recent flight log of each UAV in the
+ * current mission, analyzes them and saves them into a single ZIP file.
+ */
+const SaveFlightLogsButton = ({ hasUAVsInMission, onSave }) => {
+  const { t } = useTranslation();
+  const [progress, setProgress] = useState(null);
+
+  const save = useCallback(async () => {
+    setProgress({ done: 0, total: 0 });
+    try {
+      await onSave({
+        onProgress: (done, total) => setProgress({ done, total }),
+      });
+    } finally {
+      setProgress(null);
+    }
+  }, [onSave]);
+
+  return (
+    <ListItem
+      button
+      disabled={!hasUAVsInMission || Boolean(progress)}
+      onClick={save}
+    >
+      <StatusLight status={progress ? Status.NEXT : Status.OFF} />
+      <ListItemText
+        primary={t('show.saveFlightLogs')}
+        secondary={
+          progress
+            ? t('show.saveFlightLogsProgress', progress)
+            : t('show.saveFlightLogsDescription')
+        }
+      />
+    </ListItem>
+  );
+};
+
+SaveFlightLogsButton.propTypes = {
+  hasUAVsInMission: PropTypes.bool,
+  onSave: PropTypes.func,
+};
+
+export default connect(
+  // mapStateToProps
+  (state) => ({
+    hasUAVsInMission: hasNonemptyMappingSlot(state),
+  }),
+  // mapDispatchToProps
+  {
+    onSave: saveFlightLogsOfMission,
+  }
+)(SaveFlightLogsButton);
@@ -0,0 +1,230 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+import { withTranslation } from 'react-i18next';
+import { connect } from 'react-redux';
+
+import Box from '@material-ui/core/Box';
+import Button from '@material-ui/core/Button';
+import Checkbox from '@material-ui/core/Checkbox';
+import FormControlLabel from '@material-ui/core/FormControlLabel';
+import FormGroup from '@material-ui/core/FormGroup';
+import Typography from '@material-ui/core/Typography';
+
+import FormHeader from '@skybrush/mui-components/lib/FormHeader';
+
+import FileButton from '~/components/FileButton';
+import {
+  SimpleAngleField,
+  SimpleDistanceField,
+  SimpleNumericField,
+} from '~/components/forms/fields';
+import XYZFields from '~/components/XYZFields';
+import {
+  importSceneryModel,
+  importSceneryTerrain,
+  removeSceneryModel,
+  removeSceneryTerrain,
+} from '~/features/show/actions';
+import { getSceneryModel, getSceneryTerrain } from '~/features/show/selectors';
+import {
+  updateSceneryModel,
+  updateSceneryTerrain,
+} from '~/features/show/slice';
+
+const SCENERY_MODEL_FILTER = ['.glb', '.gltf', '.obj'];
+const SCENERY_TERRAIN_FILTER = ['image/*'];
+
+/**
+ * Calls the given function with the numeric value of the input field that
+ * triggered the event, ignoring values that are not positive numbers when
+ * `positive` is set.
+ */
+const withNumericValue =
+  (func, { positive = false } = {}) =>
+  (event) => {
+    const value = Number.parseFloat(event.target.value);
+    if (Number.isFinite(value) && (!positive || value > 0)) {
+      func(value);
+    }
+  };
+
+/**
+ * Form section that allows the user to import, place, hide and remove a single
+ * scenery item (a venue model or a terrain).
+ */
+const SceneryItemEditor = withTranslation()(
+  ({ children, filter, item, onImport, onRemove, onUpdate, t, title }) => (
+    <>
+      <FormHeader>{title}</FormHeader>
+      {item ? (
+        <>
+          <Box display='flex' alignItems='center'>
+            <FormControlLabel
+              label={t('sceneryEditor.visibleIn3D')}
+              control={
+                <Checkbox
+                  checked={Boolean(item.visible)}
+                  onChange={(event) =>
+                    onUpdate({ visible: event.target.checked })
+                  }
+                />
+              }
+            />
+            <Box flex={1} minWidth={0}>
+              <Typography noWrap variant='body2' color='textSecondary'>
+                {item.name}
+              </Typography>
+            </Box>
+            <FileButton filter={filter} onSelected={onImport}>
+              {t('sceneryEditor.replace')}
+            </FileButton>
+            <Button onClick={onRemove}>{t('general.action.remove')}</Button>
+          </Box>
+          <XYZFields
+            value={item.offset}
+            onChange={(offset) => onUpdate({ offset })}
+          />
+          <Box display='flex' flexDirection='row' mt={1}>
+            <SimpleAngleField
+              label={t('sceneryEditor.rotation')}
+              value={item.rotation}
+              onChange={withNumericValue((rotation) => onUpdate({ rotation }))}
+            />
+            <Box p={1} />
+            <SimpleNumericField
+              label={t('sceneryEditor.scale')}
+              value={item.scale}
+              onChange={withNumericValue((scale) => onUpdate({ scale }), {
+                positive: true,
+              })}
+            />
+          </Box>
+          {children}
+        </>
+      ) : (
+        <Box>
+          <FileButton filter={filter} onSelected={onImport}>
+            {t('general.action.import')}
+          </FileButton>
+        </Box>
+      )}
+    </>
+  )
+);
+
+SceneryItemEditor.propTypes = {
+  children: PropTypes.node,
+  filter: PropTypes.arrayOf(PropTypes.string),
+  item: PropTypes.shape({
+    name: PropTypes.string,
+    offset: PropTypes.arrayOf(PropTypes.number),
+    rotation: PropTypes.number,
+    scale: PropTypes.number,
+    visible: PropTypes.bool,
+  }),
+  onImport: PropTypes.func,
+  onRemove: PropTypes.func,
+  onUpdate: PropTypes.func,
+  title: PropTypes.string,
+};
+
+/**
+ * Presentation component for the form that allows the user to import a venue
+ * model and a terrain heightmap into the 3D view and to place them in show
+ * coordinates.
+ */
+const SceneryEditor = ({
+  model,
+  onImportModel,
+  onImportTerrain,
+  onRemoveModel,
+  onRemoveTerrain,
+  onUpdateModel,
+  onUpdateTerrain,
+  t,
+  terrain,
+}) => (
+  <FormGroup>
+    <Typography variant='body2' color='textSecondary'>
+      {t('sceneryEditor.instructions')}
+    </Typography>
+
+    <SceneryItemEditor
+      filter={SCENERY_MODEL_FILTER}
+      item={model}
+      title={t('sceneryEditor.venueModel')}
+      onImport={onImportModel}
+      onRemove={onRemoveModel}
+      onUpdate={onUpdateModel}
+    />
+
+    <SceneryItemEditor
+      filter={SCENERY_TERRAIN_FILTER}
+      item={terrain}
+      title={t('sceneryEditor.terrain')}
+      onImport={onImportTerrain}
+      onRemove={onRemoveTerrain}
+      onUpdate={onUpdateTerrain}
+    >
+      {terrain && (
+        <Box display='flex' flexDirection='row' mt={1}>
+          <SimpleDistanceField
+            label={t('sceneryEditor.terrainWidth')}
+            value={terrain.size[0]}
+            onChange={withNumericValue(
+              (width) => onUpdateTerrain({ size: [width, terrain.size[1]] }),
+              { positive: true }
+            )}
+          />
+          <Box p={1} />
+          <SimpleDistanceField
+            label={t('sceneryEditor.terrainDepth')}
+            value={terrain.size[1]}
+            onChange={withNumericValue(
+              (depth) => onUpdateTerrain({ size: [terrain.size[0], depth] }),
+              { positive: true }
+            )}
+          />
+          <Box p={1} />
+          <SimpleDistanceField
+            label={t('sceneryEditor.terrainHeight')}
+            value={terrain.heightScale}
+            onChange={withNumericValue((heightScale) =>
+              onUpdateTerrain({ heightScale })
+            )}
+          />
+        </Box>
+      )}
+    </SceneryItemEditor>
+  </FormGroup>
+);
+
+SceneryEditor.propTypes = {
+  model: PropTypes.object,
+  onImportModel: PropTypes.func,
+  onImportTerrain: PropTypes.func,
+  onRemoveModel: PropTypes.func,
+  onRemoveTerrain: PropTypes.func,
+  onUpdateModel: PropTypes.func,
+  onUpdateTerrain: PropTypes.func,
+  t: PropTypes.func,
+  terrain: PropTypes.object,
+};
+
+export default connect(
+  // mapStateToProps
+  (state) => ({
+    model: getSceneryModel(state),
+    terrain: getSceneryTerrain(state),
+  }),
+
+  // mapDispatchToProps
+  {
+    onImportModel: importSceneryModel,
+    onImportTerrain: importSceneryTerrain,
+    onRemoveModel: removeSceneryModel,
+    onRemoveTerrain: removeSceneryTerrain,
+    onUpdateModel: updateSceneryModel,
+    onUpdateTerrain: updateSceneryTerrain,
+  }
+)(withTranslation()(SceneryEditor));
@@ -6,18 +6,24 @@ import Divider from '@material-ui/core/Divider';
 import List from '@material-ui/core/List';
 
 import MultiPagePanel, { Page } from '~/components/MultiPagePanel';
+import { areExperimentalFeaturesEnabled } from '~/features/settings/selectors';
 import {
   getShowEnvironmentType,
   isShowAuthorizedToStartLocally,
 } from '~/features/show/selectors';
 
+import CollisionAnalysisButton from './CollisionAnalysisButton';
 import EnvironmentButton from './EnvironmentButton';
+import ExclusionZonesButton from './ExclusionZonesButton';
 import GeofenceButton from './GeofenceButton';
 import LargeControlButtonGroup from './LargeControlButtonGroup';
 import LoadShowFromFileButton from './LoadShowFromFileButton';
 import ManualPreflightChecksButton from './ManualPreflightChecksButton';
 import OnboardPreflightChecksButton from './OnboardPreflightChecksButton';
+import SaveFlightLogsButton from './SaveFlightLogsButton';
 import ShowUploadDialogButton from './ShowUploadDialogButton';
+import ShowVerificationDialogButton from './ShowVerificationDialogButton';
+import SimulationButton from './SimulationButton';
 import StartTimeButton from './StartTimeButton';
 import TakeoffAreaButton from './TakeoffAreaButton';
 
@@ -25,7 +31,11 @@ import TakeoffAreaButton from './TakeoffAreaButton';
  * Panel that shows the widgets that are needed to load and configure a drone
  * show.
  */
-const ShowControlPanelUpperSegment = ({ environmentType, isAuthorized }) => (
+const ShowControlPanelUpperSegment = ({
+  environmentType,
+  experimentalFeaturesEnabled,
+  isAuthorized,
+}) => (
   <MultiPagePanel flex={1} selectedPage={isAuthorized ? 'execution' : 'setup'}>
     <Page scrollable id='setup'>
       <List dense>
@@ -36,7 +46,13 @@ const ShowControlPanelUpperSegment = ({ environmentType, isAuthorized }) => (
         <EnvironmentButton />
         <TakeoffAreaButton />
         {environmentType === 'outdoor' && <GeofenceButton />}
+        {environmentType === 'outdoor' && <ExclusionZonesButton />}
+        <CollisionAnalysisButton />
         <ShowUploadDialogButton />
+        {/* Show verification needs a server-side command that is not
+            available in released server versions yet */}
+        {experimentalFeaturesEnabled && <ShowVerificationDialogButton />}
+        <SimulationButton />
 
         <Divider />
 
@@ -46,6 +62,10 @@ const ShowControlPanelUpperSegment = ({ environmentType, isAuthorized }) => (
         <Divider />
 
         <StartTimeButton />
+
+        <Divider />
+
+        <SaveFlightLogsButton />
       </List>
     </Page>
     <Page scrollable id='execution' display='flex' flexDirection='column'>
@@ -56,6 +76,7 @@ const ShowControlPanelUpperSegment = ({ environmentType, isAuthorized }) => (
 
 ShowControlPanelUpperSegment.propTypes = {
   environmentType: PropTypes.oneOf(['indoor', 'outdoor']),
+  experimentalFeaturesEnabled: PropTypes.bool,
   isAuthorized: PropTypes.bool,
 };
 
@@ -63,6 +84,7 @@ export default connect(
   // mapStateToProps
   (state) => ({
     environmentType: getShowEnvironmentType(state),
+    experimentalFeaturesEnabled: areExperimentalFeaturesEnabled(state),
     filename: null,
     isAuthorized: isShowAuthorizedToStartLocally(state),
   })
@@ -0,0 +1,64 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import { connect } from 'react-redux';
+
+import ListItem from '@material-ui/core/ListItem';
+
+import StatusLight from '@skybrush/mui-components/lib/StatusLight';
+
+import ListItemTextWithProgress from '~/components/ListItemTextWithProgress';
+import { Status } from '~/components/semantics';
+import {
+  SHOW_VERIFICATION_JOB,
+  VERIFICATION_JOB_TYPE,
+} from '~/features/show/constants';
+import { getSetupStageStatuses } from '~/features/show/stages';
+import {
+  getCurrentUploadJob,
+  isUploadInProgress,
+} from '~/features/upload/selectors';
+import { openUploadDialogForJob } from '~/features/upload/slice';
+import UploadProgressBar from '~/features/upload/UploadProgressBar';
+
+/**
+ * React component for the button that allows the user to verify whether the
+ * show data stored on the drones matches the current show.
+ */
+const ShowVerificationDialogButton = ({ loading, status, ...rest }) => {
+  const { t } = useTranslation();
+
+  return (
+    <ListItem button disabled={status === Status.OFF} {...rest}>
+      <StatusLight status={status} />
+      <ListItemTextWithProgress
+        primary={
+          loading ? t('show.verifyShowDataLoading') : t('show.verifyShowData')
+        }
+        secondary={
+          loading ? <UploadProgressBar /> : t('show.verifyShowDataStart')
+        }
+      />
+    </ListItem>
+  );
+};
+
+ShowVerificationDialogButton.propTypes = {
+  loading: PropTypes.bool,
+  onClick: PropTypes.func,
+  status: PropTypes.oneOf(Object.values(Status)),
+};
+
+export default connect(
+  // mapStateToProps
+  (state) => ({
+    loading:
+      isUploadInProgress(state) &&
+      getCurrentUploadJob(state).type === VERIFICATION_JOB_TYPE,
+    status: getSetupStageStatuses(state).verifyShow,
+  }),
+  // mapDispatchToProps
+  {
+    onClick: () => openUploadDialogForJob({ job: SHOW_VERIFICATION_JOB }),
+  }
+)(ShowVerificationDialogButton);
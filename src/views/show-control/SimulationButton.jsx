@@ -0,0 +1,178 @@
+import PropTypes from 'prop-types';
+import React, { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { connect } from 'react-redux';
+
+import Box from '@material-ui/core/Box';
+import IconButton from '@material-ui/core/IconButton';
+import ListItem from '@material-ui/core/ListItem';
+import ListItemText from '@material-ui/core/ListItemText';
+import MenuItem from '@material-ui/core/MenuItem';
+import Select from '@material-ui/core/Select';
+import Slider from '@material-ui/core/Slider';
+import Typography from '@material-ui/core/Typography';
+import { makeStyles } from '@material-ui/core/styles';
+
+import Pause from '@material-ui/icons/Pause';
+import PlayArrow from '@material-ui/icons/PlayArrow';
+
+import StatusLight from '@skybrush/mui-components/lib/StatusLight';
+
+import { Status } from '~/components/semantics';
+import { isReplayActive } from '~/features/recording/selectors';
+import { hasLoadedShowFile } from '~/features/show/selectors';
+import {
+  seekSimulation,
+  startSimulation,
+  stopSimulation,
+  toggleSimulationPlayback,
+} from '~/features/simulation/actions';
+import { SIMULATION_SPEEDS } from '~/features/simulation/constants';
+import {
+  getSimulationDuration,
+  getSimulationPosition,
+  getSimulationSpeed,
+  isSimulationActive,
+  isSimulationPlaying,
+} from '~/features/simulation/selectors';
+import { setSimulationSpeed } from '~/features/simulation/slice';
+import { formatDurationHMS } from '~/utils/formatting';
+
+const useStyles = makeStyles(
+  (theme) => ({
+    controls: {
+      display: 'flex',
+      alignItems: 'center',
+      padding: theme.spacing(0, 2, 1, 2),
+    },
+
+    slider: {
+      flex: 1,
+      margin: theme.spacing(0, 2),
+    },
+
+    speed: {
+      marginLeft: theme.spacing(1),
+    },
+  }),
+  { name: 'SimulationButton' }
+);
+
+const formatPosition = (milliseconds) => formatDurationHMS(milliseconds / 1000);
+
+/**
+ * Button that allows the user to simulate the loaded show without a server,
+ * moving virtual UAVs along the trajectories of the show, and the controls of
+ * the simulation when it is active.
+ */
+const SimulationButton = ({
+  duration,
+  hasLoadedShowFile,
+  isActive,
+  isPlaying,
+  isReplayActive,
+  onSeek,
+  onSetSpeed,
+  onStart,
+  onStop,
+  onTogglePlayback,
+  position,
+  speed,
+}) => {
+  const classes = useStyles();
+  const { t } = useTranslation();
+
+  // Position shown on the slider while the user is dragging it
+  const [draggedPosition, setDraggedPosition] = useState(null);
+  const shownPosition = draggedPosition ?? position;
+
+  return (
+    <>
+      <ListItem
+        button
+        disabled={!isActive && (!hasLoadedShowFile || isReplayActive)}
+        selected={isActive}
+        onClick={isActive ? onStop : onStart}
+      >
+        <StatusLight status={isActive ? Status.INFO : Status.OFF} />
+        <ListItemText
+          primary={isActive ? t('show.stopSimulation') : t('show.simulateShow')}
+          secondary={
+            isActive
+              ? t('show.simulationActive')
+              : t('show.simulationDescription')
+          }
+        />
+      </ListItem>
+      {isActive && (
+        <Box className={classes.controls}>
+          <IconButton size='small' onClick={onTogglePlayback}>
+            {isPlaying ? <Pause /> : <PlayArrow />}
+          </IconButton>
+          <Slider
+            className={classes.slider}
+            min={0}
+            max={duration}
+            step={100}
+            value={shownPosition}
+            onChange={(_event, value) => setDraggedPosition(value)}
+            onChangeCommitted={(_event, value) => {
+              setDraggedPosition(null);
+              onSeek(value);
+            }}
+          />
+          <Typography variant='body2'>
+            {formatPosition(shownPosition)}
+          </Typography>
+          <Select
+            className={classes.speed}
+            value={speed}
+            onChange={(event) => onSetSpeed(event.target.value)}
+          >
+            {SIMULATION_SPEEDS.map((value) => (
+              <MenuItem key={value} value={value}>
+                {value}×
+              </MenuItem>
+            ))}
+          </Select>
+        </Box>
+      )}
+    </>
+  );
+};
+
+SimulationButton.propTypes = {
+  duration: PropTypes.number,
+  hasLoadedShowFile: PropTypes.bool,
+  isActive: PropTypes.bool,
+  isPlaying: PropTypes.bool,
+  isReplayActive: PropTypes.bool,
+  onSeek: PropTypes.func,
+  onSetSpeed: PropTypes.func,
+  onStart: PropTypes.func,
+  onStop: PropTypes.func,
+  onTogglePlayback: PropTypes.func,
+  position: PropTypes.number,
+  speed: PropTypes.number,
+};
+
+export default connect(
+  // mapStateToProps
+  (state) => ({
+    duration: getSimulationDuration(state),
+    hasLoadedShowFile: hasLoadedShowFile(state),
+    isActive: isSimulationActive(state),
+    isPlaying: isSimulationPlaying(state),
+    isReplayActive: isReplayActive(state),
+    position: getSimulationPosition(state),
+    speed: getSimulationSpeed(state),
+  }),
+  // mapDispatchToProps
+  {
+    onSeek: seekSimulation,
+    onSetSpeed: setSimulationSpeed,
+    onStart: startSimulation,
+    onStop: stopSimulation,
+    onTogglePlayback: toggleSimulationPlayback,
+  }
+)(SimulationButton);
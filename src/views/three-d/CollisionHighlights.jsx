@@ -0,0 +1,35 @@
+import PropTypes from 'prop-types';
+import React from 'react';
+import { connect } from 'react-redux';
+
+import Colors from '~/components/colors';
+import { getCollisionSegmentsForThreeDView } from '~/features/three-d/selectors';
+
+import Trajectory from './Trajectory';
+
+/**
+ * Component that highlights the parts of the trajectories where two drones of
+ * the loaded show get closer to each other than the minimum separation.
+ */
+const CollisionHighlights = ({ segments }) =>
+  segments.map(({ id, points }) => (
+    <Trajectory key={id} color={Colors.error} lineWidth={8} points={points} />
+  ));
+
+CollisionHighlights.propTypes = {
+  segments: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string,
+      points: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number)),
+    })
+  ),
+};
+
+export default connect(
+  // mapStateToProps
+  (state) => ({
+    segments: getCollisionSegmentsForThreeDView(state),
+  }),
+  // mapDispatchToProps
+  {}
+)(CollisionHighlights);
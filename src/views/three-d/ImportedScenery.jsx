@@ -0,0 +1,159 @@
+import PropTypes from 'prop-types';
+import React, { useEffect, useState } from 'react';
+import { connect } from 'react-redux';
+
+import { objectToString } from '~/aframe/utils';
+import { SceneryModelFormat } from '~/features/show/constants';
+import { loadSceneryFile } from '~/features/show/scenery-files';
+import { getSceneryModel, getSceneryTerrain } from '~/features/show/selectors';
+
+/**
+ * Hook that loads the scenery file with the given ID from the scenery file
+ * store and returns an object URL pointing to it. The object URL is revoked
+ * when the file ID changes or the component is unmounted.
+ *
+ * Object URLs are used because they can be passed to A-Frame components
+ * directly, without reading the contents of large files into strings.
+ */
+const useSceneryFileURL = (fileId) => {
+  const [objectURL, setObjectURL] = useState();
+
+  useEffect(() => {
+    let cancelled = false;
+    let url;
+
+    if (fileId) {
+      loadSceneryFile(fileId)
+        .then((blob) => {
+          if (blob && !cancelled) {
+            url = URL.createObjectURL(blob);
+            setObjectURL(url);
+          }
+        })
+        .catch((error) => {
+          console.warn('Failed to load scenery file', error);
+        });
+    }
+
+    return () => {
+      cancelled = true;
+      setObjectURL(undefined);
+      if (url) {
+        URL.revokeObjectURL(url);
+      }
+    };
+  }, [fileId]);
+
+  return objectURL;
+};
+
+const formatPosition = (offset) => offset.join(' ');
+
+const modelAttributesForFormats = {
+  [SceneryModelFormat.GLTF]: 'gltf-model',
+  [SceneryModelFormat.OBJ]: 'obj-model',
+};
+
+/**
+ * Venue model imported by the user, placed in show coordinates.
+ */
+const VenueModel = ({ model }) => {
+  const url = useSceneryFileURL(model.fileId);
+  if (!url) {
+    return null;
+  }
+
+  const { format, offset, rotation, scale } = model;
+  const attribute = modelAttributesForFormats[format];
+  const modelProps = {
+    [attribute]:
+      format === SceneryModelFormat.OBJ
+        ? objectToString({ obj: `url(${url})` })
+        : `url(${url})`,
+  };
+
+  /* Venue models are typically Y-up while the show coordinate system is Z-up
+   * so the model is rotated by 90 degrees around the X axis */
+  return (
+    <a-entity position={formatPosition(offset)} rotation={`0 0 ${rotation}`}>
+      <a-entity
+        rotation='90 0 0'
+        scale={`${scale} ${scale} ${scale}`}
+        {...modelProps}
+      />
+    </a-entity>
+  );
+};
+
+VenueModel.propTypes = {
+  model: PropTypes.shape({
+    fileId: PropTypes.string,
+    format: PropTypes.oneOf(Object.values(SceneryModelFormat)),
+    offset: PropTypes.arrayOf(PropTypes.number),
+    rotation: PropTypes.number,
+    scale: PropTypes.number,
+  }),
+};
+
+/**
+ * Terrain generated from a heightmap imported by the user, placed in show
+ * coordinates.
+ */
+const Terrain = ({ terrain }) => {
+  const url = useSceneryFileURL(terrain.fileId);
+  if (!url) {
+    return null;
+  }
+
+  const { heightScale, offset, rotation, scale, size } = terrain;
+  return (
+    <a-entity
+      position={formatPosition(offset)}
+      rotation={`0 0 ${rotation}`}
+      scale={`${scale} ${scale} ${scale}`}
+      heightmap-terrain={objectToString({
+        src: url,
+        width: size[0],
+        depth: size[1],
+        heightScale,
+      })}
+    />
+  );
+};
+
+Terrain.propTypes = {
+  terrain: PropTypes.shape({
+    fileId: PropTypes.string,
+    heightScale: PropTypes.number,
+    offset: PropTypes.arrayOf(PropTypes.number),
+    rotation: PropTypes.number,
+    scale: PropTypes.number,
+    size: PropTypes.arrayOf(PropTypes.number),
+  }),
+};
+
+/**
+ * Component that renders the venue model and the terrain imported by the user
+ * into the 3D view. Must be placed in an entity that uses show coordinates.
+ */
+const ImportedScenery = ({ model, terrain }) => (
+  <>
+    {model?.visible && <VenueModel model={model} />}
+    {terrain?.visible && <Terrain terrain={terrain} />}
+  </>
+);
+
+ImportedScenery.propTypes = {
+  model: PropTypes.object,
+  terrain: PropTypes.object,
+};
+
+export default connect(
+  // mapStateToProps
+  (state) => ({
+    model: getSceneryModel(state),
+    terrain: getSceneryTerrain(state),
+  }),
+  // mapDispatchToProps
+  {}
+)(ImportedScenery);
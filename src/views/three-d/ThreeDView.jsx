@@ -6,8 +6,10 @@ import PropTypes from 'prop-types';
 import React from 'react';
 import { connect } from 'react-redux';
 
+import CollisionHighlights from './CollisionHighlights';
 import CoordinateSystemAxes from './CoordinateSystemAxes';
 import HomePositionMarkers from './HomePositionMarkers';
+import ImportedScenery from './ImportedScenery';
 import LandingPositionMarkers from './LandingPositionMarkers';
 import Room from './Room';
 import Scenery from './Scenery';
@@ -129,10 +131,12 @@ const ThreeDView = React.forwardRef((props, ref) => {
         {showHomePositions && <HomePositionMarkers />}
         {showLandingPositions && <LandingPositionMarkers />}
         {showTrajectoriesOfSelection && <SelectedTrajectories />}
+        <CollisionHighlights />
 
         <a-drone-flock />
 
         <Room />
+        <ImportedScenery />
       </a-entity>
 
       <Scenery type={`${scenery}-${lighting}`} grid={grid} />
@@ -26,21 +26,23 @@ function pointsToString(points) {
     .join(', ');
 }
 
-const Trajectory = ({ lineWidth, points }) => {
+const Trajectory = ({ color, lineWidth, points }) => {
   const path = pointsToString(points);
   return path ? (
     <a-entity
-      meshline={`lineWidth: ${lineWidth}; path: ${path}; color: ${Colors.plannedTrajectory}`}
+      meshline={`lineWidth: ${lineWidth}; path: ${path}; color: ${color}`}
     />
   ) : null;
 };
 
 Trajectory.propTypes = {
+  color: PropTypes.string,
   lineWidth: PropTypes.number,
   points: PropTypes.arrayOf(PropTypes.arrayOf(PropTypes.number)),
 };
 
 Trajectory.defaultProps = {
+  color: Colors.plannedTrajectory,
   lineWidth: 5,
 };
 
@@ -5,6 +5,8 @@ import { connect } from 'react-redux';
 import BackgroundHint from '@skybrush/mui-components/lib/BackgroundHint';
 
 import MessagesPanel from '~/components/chat/MessagesPanel';
+import ManualControlPanel from '~/features/manual-control/ManualControlPanel';
+import TelemetryChartsPanel from '~/features/telemetry-history/TelemetryChartsPanel';
 import UAVLogsPanel from '~/features/uavs/UAVLogsPanel';
 import PreflightStatusPanel from '~/features/uavs/PreflightStatusPanel';
 import RangefinderPanel from '~/features/uavs/RangefinderPanel';
@@ -20,6 +22,8 @@ export const views = {
   messages: MessagesPanel,
   logs: UAVLogsPanel,
   rangefinder: RangefinderPanel,
+  charts: TelemetryChartsPanel,
+  control: ManualControlPanel,
 };
 
 // prettier-ignore
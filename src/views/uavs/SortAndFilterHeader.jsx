@@ -12,6 +12,7 @@ import MenuItem from '@material-ui/core/MenuItem';
 import makeStyles from '@material-ui/core/styles/makeStyles';
 import Check from '@material-ui/icons/Check';
 import Filter from '@material-ui/icons/FilterList';
+import SaveAlt from '@material-ui/icons/SaveAlt';
 import SortAscending from '@material-ui/icons/ArrowDownward';
 import SortDescending from '@material-ui/icons/ArrowUpward';
 import {
@@ -48,6 +49,8 @@ import {
   shortLabelsForUAVSortKey,
 } from '~/model/sorting';
 
+import { exportUAVList, UAVListExportFormat } from './export';
+
 const createChipStyle = (color, theme) => {
   const result = {
     cursor: 'hand',
@@ -373,6 +376,7 @@ function formatHeaderParts(parts, sortBy, classes, onClick) {
 const SortAndFilterHeader = ({
   filters,
   layout,
+  onExport,
   onSetFilter,
   onSetSortBy,
   onToggleSortDirection,
@@ -391,6 +395,11 @@ const SortAndFilterHeader = ({
     variant: 'popover',
     popupId: 'uav-list-filter-options',
   });
+  const exportChipRef = useRef();
+  const exportPopupState = usePopupState({
+    variant: 'popover',
+    popupId: 'uav-list-export-options',
+  });
 
   const setFilter = useCallback(
     (value) => {
@@ -402,6 +411,16 @@ const SortAndFilterHeader = ({
     },
     [onSetFilter, filterPopupState]
   );
+  const exportList = useCallback(
+    (format) => {
+      if (onExport) {
+        onExport(format);
+      }
+
+      exportPopupState.close();
+    },
+    [onExport, exportPopupState]
+  );
   const setSortKey = useCallback(
     (value) => {
       if (onSetSortBy) {
@@ -518,6 +537,30 @@ const SortAndFilterHeader = ({
             />
           ))}
         </Menu>
+
+        <Chip
+          ref={exportChipRef}
+          className={classes.chip}
+          variant='outlined'
+          label={t('UAVList.export')}
+          size='small'
+          deleteIcon={<SaveAlt />}
+          {...bindChip({
+            state: exportPopupState,
+            ref: exportChipRef.current,
+          })}
+        />
+        <Menu {...bindMenu(exportPopupState)}>
+          <MenuItem dense disabled>
+            {t('UAVList.exportVisibleUAVs')}
+          </MenuItem>
+          <MenuItem dense onClick={() => exportList(UAVListExportFormat.CSV)}>
+            CSV
+          </MenuItem>
+          <MenuItem dense onClick={() => exportList(UAVListExportFormat.JSON)}>
+            JSON
+          </MenuItem>
+        </Menu>
       </div>
       <FadeAndSlide in={layout === 'list'}>
         <div className={classes.headerLine}>
@@ -538,6 +581,7 @@ const SortAndFilterHeader = ({
 SortAndFilterHeader.propTypes = {
   filters: PropTypes.arrayOf(PropTypes.string),
   layout: PropTypes.oneOf(['grid', 'list']),
+  onExport: PropTypes.func,
   onSetFilter: PropTypes.func,
   onSetSortBy: PropTypes.func,
   onToggleSortDirection: PropTypes.func,
@@ -559,6 +603,7 @@ export default connect(
   }),
   // mapDispatchToProps
   {
+    onExport: exportUAVList,
     onSetFilter: setSingleUAVListFilter,
     onSetSortBy: setUAVListSortPreference,
     onToggleSortDirection: toggleUAVListSortDirection,
@@ -0,0 +1,169 @@
+/**
+ * @file Export of the UAV list as shown on the UI, with its current sorting
+ * and filtering applied.
+ */
+
+import isNil from 'lodash-es/isNil';
+
+import { showError, showSuccess } from '~/features/snackbar/actions';
+import { getUAVIdToStateMapping } from '~/features/uavs/selectors';
+import UAVErrorCode from '~/flockwave/UAVErrorCode';
+import { abbreviateGPSFixType } from '~/model/enums';
+import { convertRowsToCSV } from '~/utils/csv';
+import { writeTextToFile } from '~/utils/filesystem';
+import { formatDateForFilename, formatMissionId } from '~/utils/formatting';
+
+import { getDisplayedIdListBySections } from './selectors';
+
+/**
+ * Enum containing the file formats that the UAV list can be exported to.
+ */
+export const UAVListExportFormat = {
+  CSV: 'csv',
+  JSON: 'json',
+};
+
+const CSV_COLUMNS = [
+  'id',
+  'missionSlot',
+  'lat',
+  'lon',
+  'amsl',
+  'ahl',
+  'agl',
+  'batteryVoltage',
+  'batteryPercentage',
+  'gpsFix',
+  'satellites',
+  'rssi',
+  'mode',
+  'errors',
+  'lastUpdated',
+];
+
+const formatTimestamp = (timestamp) =>
+  isNil(timestamp) ? undefined : new Date(timestamp).toISOString();
+
+/**
+ * Creates a snapshot of the UAVs that are currently visible in the UAV list,
+ * in the order they appear on the UI. Empty mission slots are not included.
+ *
+ * @param {Object} state  the state of the application
+ * @returns {Object[]} one entry for each visible UAV
+ */
+export function createUAVListSnapshot(state) {
+  const { mainUAVIds, spareUAVIds } = getDisplayedIdListBySections(state);
+  const uavsById = getUAVIdToStateMapping(state);
+  const result = [];
+
+  for (const [uavId, missionIndex] of [...mainUAVIds, ...spareUAVIds]) {
+    if (isNil(uavId)) {
+      continue;
+    }
+
+    const uav = uavsById[uavId];
+    const { lat, lon, amsl, ahl, agl } = uav?.position || {};
+
+    result.push({
+      id: uavId,
+      missionSlot: isNil(missionIndex) ? null : formatMissionId(missionIndex),
+      position: uav?.position ? { lat, lon, amsl, ahl, agl } : null,
+      battery: uav?.battery
+        ? {
+            voltage: uav.battery.voltage,
+            percentage: uav.battery.percentage,
+            charging: Boolean(uav.battery.charging),
+          }
+        : null,
+      gpsFix: uav?.gpsFix
+        ? {
+            type: abbreviateGPSFixType(uav.gpsFix.type),
+            numSatellites: uav.gpsFix.numSatellites,
+          }
+        : null,
+      rssi: uav?.rssi?.[0] ?? null,
+      mode: uav?.mode ?? null,
+      errors: (uav?.errors ?? []).map((code) => ({
+        code,
+        description: UAVErrorCode.describe(code),
+      })),
+      lastUpdated: formatTimestamp(uav?.lastUpdated) ?? null,
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Converts a snapshot of the UAV list to CSV.
+ */
+const convertSnapshotToCSV = (snapshot) =>
+  convertRowsToCSV(
+    snapshot.map(
+      ({
+        id,
+        missionSlot,
+        position,
+        battery,
+        gpsFix,
+        rssi,
+        mode,
+        errors,
+        lastUpdated,
+      }) => [
+        id,
+        missionSlot,
+        position?.lat,
+        position?.lon,
+        position?.amsl,
+        position?.ahl,
+        position?.agl,
+        battery?.voltage,
+        battery?.percentage,
+        gpsFix?.type,
+        gpsFix?.numSatellites,
+        rssi,
+        mode,
+        errors.map(({ description }) => description).join('; '),
+        lastUpdated,
+      ]
+    ),
+    { header: CSV_COLUMNS }
+  );
+
+/**
+ * Thunk that exports the UAVs currently visible in the UAV list, in the order
+ * they are shown, into a CSV or JSON file.
+ *
+ * @param {string} format  the format of the exported file; one of the
+ *        constants from `UAVListExportFormat`
+ */
+export const exportUAVList =
+  (format = UAVListExportFormat.CSV) =>
+  async (dispatch, getState) => {
+    const snapshot = createUAVListSnapshot(getState());
+    const now = new Date();
+    const date = formatDateForFilename(now);
+
+    const text =
+      format === UAVListExportFormat.JSON
+        ? JSON.stringify(
+            { exportedAt: now.toISOString(), uavs: snapshot },
+            null,
+            2
+          )
+        : convertSnapshotToCSV(snapshot);
+    const name = format === UAVListExportFormat.JSON ? 'JSON' : 'CSV';
+
+    try {
+      const saved = await writeTextToFile(text, `uavs-${date}.${format}`, {
+        title: 'Export UAV list',
+        filters: [{ name, extensions: [format] }],
+      });
+      if (saved) {
+        dispatch(showSuccess(`Exported ${snapshot.length} UAV(s)`));
+      }
+    } catch (error) {
+      dispatch(showError(`Error while exporting UAV list: ${String(error)}`));
+    }
+  };
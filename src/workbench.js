@@ -81,6 +81,12 @@ export const componentRegistry = {
     component: views.ConnectionList,
     label: 'Connections',
   },
+  'countdown-panel': {
+    component: views.CountdownPanel,
+    label: 'Countdown',
+    detachable: true,
+    feature: 'showControl',
+  },
   'dataset-list': {
     component: views.DatasetList,
     label: 'Datasets',
@@ -147,6 +153,11 @@ export const componentRegistry = {
     component: Nothing,
     label: 'Placeholder',
   },
+  'recording-panel': {
+    component: views.RecordingPanel,
+    label: 'Recording',
+    detachable: true,
+  },
   'saved-location-list': {
     component: views.SavedLocationList,
     label: 'Locations',